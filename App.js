@@ -16,12 +16,19 @@ import {
   ScrollView,
 } from 'react-native';
 import AsyncStorage from '@react-native-async-storage/async-storage';
+import Constants from 'expo-constants';
 import { GestureHandlerRootView } from 'react-native-gesture-handler';
 import { SafeAreaProvider } from 'react-native-safe-area-context';
 import { Provider as PaperProvider, DefaultTheme } from 'react-native-paper';
 
 // Import our Auth Provider
 import { AuthProvider, useAuth } from './services/AuthContext';
+import { SettingsProvider, useSettings } from './services/SettingsContext';
+import { ConnectivityProvider, useConnectivity } from './services/ConnectivityContext';
+import { GenieClientProvider } from './services/GenieClientContext';
+import { httpGenieClient } from './services/genieClient';
+import { createMockGenieClient } from './services/mockGenieClient';
+import { demoRecordings } from './services/demoRecordings';
 import LoginScreen from './components/LoginScreen';
 
 // Custom theme for React Native Paper
@@ -37,6 +44,11 @@ const theme = {
 // Import our new components
 import ChatMessage from './components/ChatMessage';
 import ChatInput from './components/ChatInput';
+import ConversationHistory from './components/ConversationHistory';
+import SettingsPanel from './components/SettingsPanel';
+import RetryDebugPanel from './components/RetryDebugPanel';
+import SpacePicker from './components/SpacePicker';
+import Dashboard from './components/Dashboard';
 
 // Error boundary component to catch rendering errors
 class ErrorBoundary extends Component {
@@ -92,7 +104,51 @@ let useChatService = () => ({
   loading: false,
   error: null,
   sendMessage: () => console.log('Chat service not initialized'),
-  clearChat: () => console.log('Chat service not initialized')
+  retryMessage: () => console.log('Chat service not initialized'),
+  startWarehouse: async () => console.log('Chat service not initialized'),
+  runEditedQuery: () => console.log('Chat service not initialized'),
+  loadMoreRows: () => console.log('Chat service not initialized'),
+  updateChartConfig: () => console.log('Chat service not initialized'),
+  exportResult: async () => console.log('Chat service not initialized'),
+  cancelRequest: () => console.log('Chat service not initialized'),
+  clearChat: () => console.log('Chat service not initialized'),
+  conversations: [],
+  activeConversationId: null,
+  openConversation: () => console.log('Chat service not initialized'),
+  renameConversation: () => console.log('Chat service not initialized'),
+  deleteConversation: () => console.log('Chat service not initialized'),
+  spaceId: null,
+  warehouseId: null,
+  switchSpace: () => console.log('Chat service not initialized')
+});
+let useSpaces = () => ({
+  spaces: [],
+  warehouses: [],
+  defaultSpaceId: null,
+  loading: false,
+  error: null,
+  refreshSpaces: async () => console.log('Spaces not initialized'),
+  setDefaultSpace: async () => console.log('Spaces not initialized'),
+  selectWarehouse: async () => console.log('Spaces not initialized'),
+  getWarehouseId: () => null,
+  getSpaceTitle: (spaceId) => spaceId
+});
+let useDashboard = () => ({
+  pins: [],
+  pinResult: async () => console.log('Dashboard not initialized'),
+  unpinResult: async () => console.log('Dashboard not initialized'),
+  updatePinnedChartConfig: async () => console.log('Dashboard not initialized'),
+  runPinnedQuery: async () => null
+});
+let useAlerts = () => ({
+  rules: [],
+  history: [],
+  checking: false,
+  saveRule: async () => console.log('Alerts not initialized'),
+  deleteRule: async () => console.log('Alerts not initialized'),
+  deleteRulesForPin: async () => console.log('Alerts not initialized'),
+  toggleRule: async () => console.log('Alerts not initialized'),
+  checkNow: async () => console.log('Alerts not initialized')
 });
 
 // Disable yellow box warnings
@@ -103,6 +159,9 @@ try {
   const ChatServiceModule = require('./services/useChatService');
   useChatService = ChatServiceModule.useChatService;
   SQLResultChart = require('./services/SQLResultChart').default;
+  useDashboard = require('./services/useDashboard').useDashboard;
+  useSpaces = require('./services/useSpaces').useSpaces;
+  useAlerts = require('./services/useAlerts').useAlerts;
   console.log('Successfully loaded chat services');
 } catch (err) {
   console.error('Error loading services:', err);
@@ -110,10 +169,18 @@ try {
 
 function AppContent() {
   const { apiKey, isAuthenticated, login, logout, loading: authLoading } = useAuth();
+  const { settings, loading: settingsLoading } = useSettings();
   const [initializing, setInitializing] = useState(true);
   const [initError, setInitError] = useState(null);
-  const [networkAvailable, setNetworkAvailable] = useState(true);
+  const { isOnline } = useConnectivity();
   const [lastUserMessage, setLastUserMessage] = useState('');
+  const [showHistory, setShowHistory] = useState(false);
+  const [showSettings, setShowSettings] = useState(false);
+  const [showRetryLog, setShowRetryLog] = useState(false);
+  const [showSpacePicker, setShowSpacePicker] = useState(false);
+  const [showDashboard, setShowDashboard] = useState(false);
+  // Pinned result opened from an alert notification - the token re-runs it when opened again
+  const [focusedPin, setFocusedPin] = useState(null);
   
   // Handle login success
   const handleLoginSuccess = (newApiKey) => {
@@ -121,10 +188,49 @@ function AppContent() {
   };
   
   // Safe initialization of chat service
-  let chatServiceResult = { messages: [], loading: false, error: null, sendMessage: () => {}, clearChat: () => {} };
+  let chatServiceResult = {
+    messages: [],
+    loading: false,
+    error: null,
+    sendMessage: () => {},
+    retryMessage: () => {},
+    startWarehouse: async () => {},
+    runEditedQuery: () => {},
+    loadMoreRows: () => {},
+    updateChartConfig: () => {},
+    exportResult: async () => {},
+    cancelRequest: () => {},
+    clearChat: () => {},
+    conversations: [],
+    activeConversationId: null,
+    openConversation: () => {},
+    renameConversation: () => {},
+    deleteConversation: () => {},
+    spaceId: null,
+    warehouseId: null,
+    switchSpace: () => {}
+  };
+  const {
+    spaces,
+    warehouses,
+    defaultSpaceId,
+    loading: spacesLoading,
+    error: spacesError,
+    refreshSpaces,
+    setDefaultSpace,
+    selectWarehouse,
+    getWarehouseId,
+    getSpaceTitle
+  } = useSpaces({ apiKey });
   try {
-    // Pass the API key to the chat service
-    chatServiceResult = useChatService({ apiKey });
+    // Pass the API key, result source setting, connectivity and space selection to the chat service
+    chatServiceResult = useChatService({
+      apiKey,
+      resultSource: settings.resultSource,
+      isOnline,
+      defaultSpaceId,
+      getWarehouseId
+    });
   } catch (err) {
     console.error('Error initializing chat service:', err);
     setInitError(`Failed to initialize chat service: ${err.message || 'Unknown error'}`);
@@ -132,7 +238,41 @@ function AppContent() {
     return; // Stop execution
   }
   
-  const { messages, loading, error, sendMessage, clearChat } = chatServiceResult;
+  const {
+    messages,
+    loading,
+    error,
+    sendMessage,
+    retryMessage,
+    startWarehouse,
+    runEditedQuery,
+    loadMoreRows,
+    updateChartConfig,
+    exportResult,
+    cancelRequest,
+    clearChat,
+    conversations,
+    activeConversationId,
+    openConversation,
+    renameConversation,
+    deleteConversation,
+    spaceId,
+    switchSpace
+  } = chatServiceResult;
+  const {
+    pins,
+    pinResult,
+    unpinResult,
+    updatePinnedChartConfig,
+    runPinnedQuery
+  } = useDashboard({ apiKey, getWarehouseId });
+  const alerts = useAlerts({
+    apiKey,
+    onOpenPin: (pinId) => {
+      setShowDashboard(true);
+      setFocusedPin({ id: pinId, token: Date.now() });
+    }
+  });
   const [inputText, setInputText] = useState('');
   
   const flatListRef = useRef(null);
@@ -146,14 +286,56 @@ function AppContent() {
 
   // Function to regenerate the last response
   const handleRegenerateMessage = () => {
-    if (lastUserMessage) {
+    // Fall back to the last stored question for reopened conversations
+    const questionToRegenerate = lastUserMessage
+      || [...messages].reverse().find(msg => msg.sender === 'user')?.text;
+    if (questionToRegenerate) {
       // Simply send the message again with the regeneration flag
       // The sendMessage function in useChatService will handle
       // finding and replacing the last bot message
-      sendMessage(lastUserMessage, true);
+      sendMessage(questionToRegenerate, true);
     }
   };
 
+  // Reopen a past conversation from the history panel
+  const handleSelectConversation = (id) => {
+    // Regeneration should only ever apply to questions asked in this session
+    setLastUserMessage('');
+    openConversation(id);
+  };
+
+  // Pin a query result to the dashboard
+  const handlePinResult = async (pin) => {
+    // The pin's SQL keeps running in the space it was asked in
+    await pinResult({ ...pin, spaceId });
+    Alert.alert('Pinned', `"${pin.title}" was added to your dashboard`);
+  };
+
+  // Unpinning a result also removes its alerts
+  const handleUnpinResult = async (id) => {
+    await unpinResult(id);
+    await alerts.deleteRulesForPin(id);
+  };
+
+  // Switch between the chat and the dashboard
+  const handleToggleDashboard = () => {
+    setFocusedPin(null);
+    setShowDashboard(!showDashboard);
+  };
+
+  // Ask the next question in another space - new conversations start there too
+  const handleSelectSpace = (id) => {
+    setLastUserMessage('');
+    switchSpace(id);
+    setDefaultSpace(id);
+  };
+
+  // Start a fresh conversation - the current one stays in the history
+  const handleNewConversation = () => {
+    setLastUserMessage('');
+    clearChat();
+  };
+
   // Handle logout
   const handleLogout = async () => {
     Alert.alert(
@@ -174,28 +356,6 @@ function AppContent() {
     );
   };
 
-  // Check network connectivity
-  useEffect(() => {
-    const checkConnectivity = async () => {
-      try {
-        const response = await fetch('https://www.google.com', { 
-          method: 'HEAD',
-          timeout: 5000
-        });
-        setNetworkAvailable(response.ok);
-      } catch (error) {
-        console.log('Network connectivity check failed:', error);
-        setNetworkAvailable(false);
-      }
-    };
-    
-    checkConnectivity();
-    
-    // Check connectivity periodically
-    const intervalId = setInterval(checkConnectivity, 30000);
-    return () => clearInterval(intervalId);
-  }, []);
-
   // Initialization completion
   useEffect(() => {
     console.log('App mounted, initializing...');
@@ -217,6 +377,9 @@ function AppContent() {
     }
   }, [messages]);
 
+  // Questions asked while offline that haven't been sent yet
+  const queuedCount = messages.filter(msg => msg.queued).length;
+
   // Find the last bot message
   const getIsLastBotMessage = (message, index) => {
     // Skip the first welcome message (has id '1')
@@ -236,7 +399,7 @@ function AppContent() {
   };
 
   // If still initializing or auth is loading, show loading screen
-  if (initializing || authLoading) {
+  if (initializing || authLoading || settingsLoading) {
     return (
       <SafeAreaProvider>
         <GestureHandlerRootView style={{ flex: 1 }}>
@@ -283,61 +446,145 @@ function AppContent() {
           <View style={styles.header}>
             <Text style={styles.headerTitle}>Genie Chat</Text>
             <View style={styles.headerButtons}>
-              <TouchableOpacity style={styles.clearButton} onPress={clearChat}>
+              <TouchableOpacity style={styles.clearButton} onPress={() => setShowSpacePicker(true)}>
+                <Text style={styles.clearButtonText} numberOfLines={1}>Space: {spaceId ? getSpaceTitle(spaceId) : 'None'}</Text>
+              </TouchableOpacity>
+              <TouchableOpacity style={styles.clearButton} onPress={handleToggleDashboard}>
+                <Text style={styles.clearButtonText}>{showDashboard ? 'Chat' : 'Dashboard'}</Text>
+              </TouchableOpacity>
+              <TouchableOpacity style={styles.clearButton} onPress={() => setShowHistory(!showHistory)}>
+                <Text style={styles.clearButtonText}>{showHistory ? 'Hide History' : 'History'}</Text>
+              </TouchableOpacity>
+              <TouchableOpacity style={styles.clearButton} onPress={handleNewConversation}>
                 <Text style={styles.clearButtonText}>Clear Chat</Text>
               </TouchableOpacity>
+              <TouchableOpacity style={styles.clearButton} onPress={() => setShowSettings(true)}>
+                <Text style={styles.clearButtonText}>Settings</Text>
+              </TouchableOpacity>
               <TouchableOpacity style={styles.logoutButton} onPress={handleLogout}>
                 <Text style={styles.clearButtonText}>Logout</Text>
               </TouchableOpacity>
             </View>
           </View>
           
-          {!networkAvailable && (
+          {!isOnline && (
             <View style={styles.networkWarning}>
               <Text style={styles.networkWarningText}>
-                No internet connection. Some features may not work.
+                {queuedCount > 0
+                  ? `Can't reach Databricks. ${queuedCount} ${queuedCount === 1 ? 'question' : 'questions'} will be sent when the connection returns.`
+                  : "Can't reach Databricks. Saved results are shown, and questions will be sent when the connection returns."}
               </Text>
             </View>
           )}
           
-          <View style={styles.chatContainer}>
-            <FlatList
-              ref={flatListRef}
-              data={messages}
-              renderItem={({ item, index }) => (
-                <ChatMessage 
-                  message={item} 
-                  isLastBotMessage={getIsLastBotMessage(item, index)}
-                  onRegenerateMessage={handleRegenerateMessage}
+          <View style={styles.mainContent}>
+            {showHistory && (
+              <ConversationHistory
+                conversations={conversations}
+                activeConversationId={activeConversationId}
+                onSelectConversation={handleSelectConversation}
+                onRenameConversation={renameConversation}
+                onDeleteConversation={deleteConversation}
+                onNewConversation={handleNewConversation}
+              />
+            )}
+          
+            {showDashboard ? (
+              <Dashboard
+                pins={pins}
+                onRunPin={runPinnedQuery}
+                onUnpin={handleUnpinResult}
+                onChartConfigChange={updatePinnedChartConfig}
+                alerts={alerts}
+                focusedPin={focusedPin}
+              />
+            ) : (
+              <View style={styles.chatContainer}>
+                <FlatList
+                  ref={flatListRef}
+                  data={messages}
+                  renderItem={({ item, index }) => (
+                    <ChatMessage 
+                      message={item} 
+                      isLastBotMessage={getIsLastBotMessage(item, index)}
+                      onRegenerateMessage={handleRegenerateMessage}
+                      onSuggestedQuestion={loading ? undefined : handleSendMessage}
+                      onRunEditedQuery={runEditedQuery}
+                      onLoadMoreRows={loadMoreRows}
+                      onChartConfigChange={updateChartConfig}
+                      onExportResult={exportResult}
+                      onPinResult={handlePinResult}
+                      onRetryMessage={loading ? undefined : retryMessage}
+                      onStartWarehouse={loading ? undefined : startWarehouse}
+                      onRelogin={logout}
+                    />
+                  )}
+                  keyExtractor={item => item.id}
+                  contentContainerStyle={styles.messageList}
                 />
-              )}
-              keyExtractor={item => item.id}
-              contentContainerStyle={styles.messageList}
-            />
+              </View>
+            )}
           </View>
           
-          <ChatInput 
-            onSendMessage={handleSendMessage} 
-            loading={loading} 
-          />
+          {!showDashboard && (
+            <ChatInput 
+              onSendMessage={handleSendMessage} 
+              onStop={cancelRequest}
+              loading={loading} 
+            />
+          )}
           
           {error && (
             <View style={styles.errorContainer}>
               <Text style={styles.errorText}>{error}</Text>
             </View>
           )}
+          
+          <SettingsPanel
+            visible={showSettings}
+            onClose={() => setShowSettings(false)}
+            onShowRetryLog={() => {
+              setShowSettings(false);
+              setShowRetryLog(true);
+            }}
+          />
+          <RetryDebugPanel visible={showRetryLog} onClose={() => setShowRetryLog(false)} />
+          <SpacePicker
+            visible={showSpacePicker}
+            spaces={spaces}
+            warehouses={warehouses}
+            activeSpaceId={spaceId}
+            getWarehouseId={getWarehouseId}
+            loading={spacesLoading}
+            error={spacesError}
+            onSelectSpace={handleSelectSpace}
+            onSelectWarehouse={selectWarehouse}
+            onRefresh={refreshSpaces}
+            onClose={() => setShowSpacePicker(false)}
+          />
         </SafeAreaView>
       </GestureHandlerRootView>
     </SafeAreaProvider>
   );
 }
 
+// Demo mode replays recorded answers so the app can be shown without a workspace
+const genieClient = Constants.expoConfig?.extra?.GENIE_DEMO_MODE
+  ? createMockGenieClient(demoRecordings, { latencyMs: 600 })
+  : httpGenieClient;
+
 export default function App() {
   return (
     <ErrorBoundary>
       <PaperProvider theme={theme}>
         <AuthProvider>
-          <AppContent />
+          <SettingsProvider>
+            <GenieClientProvider client={genieClient}>
+              <ConnectivityProvider>
+                <AppContent />
+              </ConnectivityProvider>
+            </GenieClientProvider>
+          </SettingsProvider>
         </AuthProvider>
       </PaperProvider>
     </ErrorBoundary>
@@ -383,6 +630,10 @@ const styles = StyleSheet.create({
     color: '#666',
     fontWeight: '500',
   },
+  mainContent: {
+    flex: 1,
+    flexDirection: 'row',
+  },
   chatContainer: {
     flex: 1,
     paddingHorizontal: 16,
@@ -27,7 +27,9 @@ module.exports = {
         "UIInterfaceOrientationLandscapeLeft",
         "UIInterfaceOrientationLandscapeRight"
       ],
-      ITSAppUsesNonExemptEncryption: false
+      ITSAppUsesNonExemptEncryption: false,
+      // Lets alert rules on pinned results be checked in the background
+      UIBackgroundModes: ["fetch"]
     }
   },
   android: {
@@ -37,11 +39,17 @@ module.exports = {
     },
     package: "com.taylorfarms.ChatbotGenie"
   },
+  plugins: [
+    "expo-notifications",
+    "expo-background-fetch"
+  ],
   extra: {
     eas: {
       projectId: "fa78857b-9c66-4627-b8c9-d03542144ca0"
     },
     MAX_MESSAGE_LENGTH: process.env.MAX_MESSAGE_LENGTH || 1000,
-    SHOW_COUNT_THRESHOLD: process.env.SHOW_COUNT_THRESHOLD || 900
+    SHOW_COUNT_THRESHOLD: process.env.SHOW_COUNT_THRESHOLD || 900,
+    // Replay the recorded answers in services/demoRecordings.ts instead of calling the workspace
+    GENIE_DEMO_MODE: process.env.GENIE_DEMO_MODE === 'true'
   }
 }; 
\ No newline at end of file
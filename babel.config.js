@@ -1,9 +1,10 @@
 module.exports = function(api) {
-  api.cache(true);
+  // Jest maps @env to jest.setup.js instead of reading .env
+  const isTest = api.env('test');
   return {
     presets: ['babel-preset-expo', '@babel/preset-typescript'],
     plugins: [
-      ['module:react-native-dotenv', {
+      !isTest && ['module:react-native-dotenv', {
         moduleName: '@env',
         path: '.env',
         blacklist: null,
@@ -22,6 +23,6 @@ module.exports = function(api) {
       }],
       '@babel/plugin-transform-export-namespace-from',
       '@babel/plugin-transform-runtime'
-    ]
+    ].filter(Boolean)
   };
 }; 
\ No newline at end of file
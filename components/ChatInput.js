@@ -9,7 +9,7 @@ import {
 } from 'react-native';
 import { Button } from 'react-native-paper';
 
-const ChatInput = ({ onSendMessage, loading }) => {
+const ChatInput = ({ onSendMessage, onStop, loading }) => {
   const [message, setMessage] = useState('');
 
   const handleSend = () => {
@@ -39,18 +39,33 @@ const ChatInput = ({ onSendMessage, loading }) => {
             editable={!loading}
           />
         </View>
-        <Button
-          mode="contained"
-          onPress={handleSend}
-          loading={loading}
-          disabled={message.trim() === '' || loading}
-          style={styles.sendButton}
-          contentStyle={styles.buttonContent}
-          labelStyle={styles.buttonLabel}
-          buttonColor={message.trim() === '' || loading ? '#b0d0c4' : '#4ae383'}
-        >
-          Send
-        </Button>
+        {loading && onStop ? (
+          // While Genie is working, the send button becomes a Stop control
+          <Button
+            mode="contained"
+            icon="stop"
+            onPress={onStop}
+            style={styles.sendButton}
+            contentStyle={styles.buttonContent}
+            labelStyle={styles.buttonLabel}
+            buttonColor="#e74c3c"
+          >
+            Stop
+          </Button>
+        ) : (
+          <Button
+            mode="contained"
+            onPress={handleSend}
+            loading={loading}
+            disabled={message.trim() === '' || loading}
+            style={styles.sendButton}
+            contentStyle={styles.buttonContent}
+            labelStyle={styles.buttonLabel}
+            buttonColor={message.trim() === '' || loading ? '#b0d0c4' : '#4ae383'}
+          >
+            Send
+          </Button>
+        )}
       </View>
     </KeyboardAvoidingView>
   );
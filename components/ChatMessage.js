@@ -1,12 +1,333 @@
-import React from 'react';
+import React, { useState, useEffect } from 'react';
 import { View, StyleSheet, Text, TouchableOpacity } from 'react-native';
 import { Avatar, ActivityIndicator, Button, IconButton } from 'react-native-paper';
 import SQLResultChart from '../services/SQLResultChart';
+import SQLQueryPanel from './SQLQueryPanel';
+import { describeError } from '../services/genieErrors';
 
-const ChatMessage = ({ message, isLastBotMessage = false, onRegenerateMessage }) => {
+// Friendly labels for the phases a Genie message goes through
+const PROGRESS_LABELS = {
+  SENDING: 'Sending question',
+  SUBMITTED: 'Question submitted',
+  IN_PROGRESS: 'Working on it',
+  FETCHING_METADATA: 'Reading table metadata',
+  FILTERING_CONTEXT: 'Finding relevant tables',
+  ASKING_AI: 'Generating answer',
+  PENDING_WAREHOUSE: 'Waiting for SQL warehouse',
+  EXECUTING_QUERY: 'Running query',
+  FETCHING_RESULTS: 'Loading results',
+  COMPLETED: 'Completed',
+};
+
+const formatProgressLabel = (status) =>
+  PROGRESS_LABELS[status] || status.charAt(0) + status.slice(1).toLowerCase().replace(/_/g, ' ');
+
+const formatElapsed = (ms) => `${Math.max(0, Math.floor(ms / 1000))}s`;
+
+const ERROR_ACTION_LABELS = {
+  relogin: 'Log in again',
+  startWarehouse: 'Start warehouse',
+};
+
+// What went wrong with a failed answer, with the action that fixes it and a Retry button
+const ErrorDetails = ({ errorInfo, onRetry, onStartWarehouse, onRelogin }) => {
+  const { title, explanation, action } = describeError(errorInfo.kind);
+  const actionHandlers = { relogin: onRelogin, startWarehouse: onStartWarehouse };
+  const onAction = action ? actionHandlers[action] : undefined;
+
+  return (
+    <View>
+      <Text style={styles.errorTitle}>{title}</Text>
+      <Text style={styles.errorExplanation}>{explanation}</Text>
+      <Text style={styles.errorDetail}>{errorInfo.message}</Text>
+      {(onAction || onRetry) && (
+        <View style={styles.errorActions}>
+          {onAction && (
+            <TouchableOpacity style={styles.errorActionButton} onPress={onAction}>
+              <Text style={styles.errorActionText}>{ERROR_ACTION_LABELS[action]}</Text>
+            </TouchableOpacity>
+          )}
+          {onRetry && (
+            <TouchableOpacity style={styles.errorRetryButton} onPress={onRetry}>
+              <Text style={styles.errorRetryText}>Retry</Text>
+            </TouchableOpacity>
+          )}
+        </View>
+      )}
+    </View>
+  );
+};
+
+// Step-by-step progress for a loading message with a ticking elapsed time
+const MessageProgress = ({ steps, startedAt }) => {
+  const [now, setNow] = useState(Date.now());
+
+  useEffect(() => {
+    const intervalId = setInterval(() => setNow(Date.now()), 1000);
+    return () => clearInterval(intervalId);
+  }, []);
+
+  return (
+    <View>
+      {steps.map((step, index) => {
+        const isCurrent = index === steps.length - 1;
+        const stepEnd = isCurrent ? now : steps[index + 1].startedAt;
+        return (
+          <View key={`${step.status}-${index}`} style={styles.progressStep}>
+            {isCurrent ? (
+              <ActivityIndicator animating={true} color="#4ae383" size={12} />
+            ) : (
+              <Text style={styles.progressCheck}>✓</Text>
+            )}
+            <Text style={[styles.progressLabel, isCurrent && styles.progressLabelCurrent]}>
+              {formatProgressLabel(step.status)}
+            </Text>
+            <Text style={styles.progressTime}>{formatElapsed(stepEnd - step.startedAt)}</Text>
+          </View>
+        );
+      })}
+      {startedAt && (
+        <Text style={styles.progressTotal}>Elapsed: {formatElapsed(now - startedAt)}</Text>
+      )}
+    </View>
+  );
+};
+
+// Bot bubble row - only the first bubble of an answer shows the avatar
+const BotBubbleRow = ({ showAvatar, children, bubbleStyle }) => (
+  <View style={[styles.messageRow, styles.attachmentRow]}>
+    {showAvatar ? (
+      <Avatar.Text 
+        size={40} 
+        label="G" 
+        style={{ backgroundColor: "#4ae383" }}
+        labelStyle={{ color: 'white' }}
+      />
+    ) : (
+      <View style={{ width: 40, opacity: 0 }} />
+    )}
+    <View style={[styles.messageBubble, styles.botBubble, bubbleStyle]}>
+      {children}
+    </View>
+  </View>
+);
+
+// Labels for where a query result came from
+const RESULT_SOURCE_LABELS = {
+  genie: 'Result from Genie',
+  direct: 'Result from direct SQL execution',
+};
+
+// Query attachment - description and SQL panel, then the result chart.
+// Edited re-runs appear as extra versions next to Genie's original result.
+const QueryAttachmentBubbles = ({ 
+  attachment, 
+  showAvatar, 
+  onRunEdited, 
+  onLoadMore, 
+  onChartConfigChange, 
+  onExport,
+  onFollowUp,
+  onPin 
+}) => {
+  const versions = attachment.versions || [];
+  // -1 selects Genie's original query
+  const [selectedVersion, setSelectedVersion] = useState(-1);
+  
+  // Jump to a new version as soon as it's added
+  useEffect(() => {
+    setSelectedVersion(versions.length - 1);
+  }, [versions.length]);
+  
+  const current = selectedVersion >= 0 && versions[selectedVersion]
+    ? versions[selectedVersion]
+    : attachment;
+  const anyVersionRunning = versions.some(version => version.loading);
+  
+  return (
+    <>
+      <BotBubbleRow showAvatar={showAvatar}>
+        {attachment.title && (
+          <Text style={[styles.messageText, styles.botText, styles.queryTitle]}>{attachment.title}</Text>
+        )}
+        {attachment.description && (
+          <Text style={[styles.messageText, styles.botText]}>{attachment.description}</Text>
+        )}
+        <SQLQueryPanel 
+          key={current.id || 'original'}
+          query={current.query}
+          onRunEdited={onRunEdited}
+          running={anyVersionRunning}
+        />
+      </BotBubbleRow>
+      <BotBubbleRow showAvatar={false}>
+        {versions.length > 0 && (
+          <View style={styles.versionTabs}>
+            {[null, ...versions].map((version, index) => {
+              const versionIndex = index - 1;
+              const isSelected = versionIndex === selectedVersion;
+              return (
+                <TouchableOpacity 
+                  key={version ? version.id : 'original'}
+                  style={[styles.versionTab, isSelected && styles.versionTabActive]}
+                  onPress={() => setSelectedVersion(versionIndex)}
+                >
+                  <Text style={[styles.versionTabText, isSelected && styles.versionTabTextActive]}>
+                    {version ? `Edit ${index}` : 'Original'}
+                  </Text>
+                </TouchableOpacity>
+              );
+            })}
+          </View>
+        )}
+        {current.loading ? (
+          <ActivityIndicator animating={true} color="#4ae383" size={24} />
+        ) : (
+          <SQLResultChart 
+            data={current.chartData}
+            error={current.sqlError}
+            onLoadMore={onLoadMore ? () => onLoadMore(current === attachment ? undefined : current.id) : undefined}
+            savedChartConfig={current.chartConfig}
+            onChartConfigChange={onChartConfigChange 
+              ? (config) => onChartConfigChange(config, current === attachment ? undefined : current.id)
+              : undefined}
+            onExport={onExport ? (format) => onExport(format, current === attachment ? undefined : current.id) : undefined}
+            onFollowUp={onFollowUp}
+            onPin={onPin && current.query
+              ? (view) => onPin({
+                  title: (attachment.title || 'Pinned result') + (current === attachment ? '' : ' (edited)'),
+                  query: current.query,
+                  ...view
+                })
+              : undefined}
+          />
+        )}
+        {current === attachment && attachment.resultSource && (
+          <Text style={styles.resultSourceText}>{RESULT_SOURCE_LABELS[attachment.resultSource]}</Text>
+        )}
+      </BotBubbleRow>
+    </>
+  );
+};
+
+// Render one parsed Genie attachment as one or more bubbles
+const AttachmentBubbles = ({ 
+  attachment, 
+  showAvatar, 
+  onSuggestedQuestion, 
+  onRunEditedQuery, 
+  onLoadMoreRows, 
+  onChartConfigChange, 
+  onExportResult,
+  onPinResult 
+}) => {
+  if (attachment.type === 'text') {
+    return (
+      <BotBubbleRow showAvatar={showAvatar}>
+        <Text style={[styles.messageText, styles.botText]}>{attachment.content}</Text>
+      </BotBubbleRow>
+    );
+  }
+  
+  if (attachment.type === 'query') {
+    return (
+      <QueryAttachmentBubbles 
+        attachment={attachment}
+        showAvatar={showAvatar}
+        onRunEdited={onRunEditedQuery}
+        onLoadMore={onLoadMoreRows}
+        onChartConfigChange={onChartConfigChange}
+        onExport={onExportResult}
+        onFollowUp={onSuggestedQuestion}
+        onPin={onPinResult}
+      />
+    );
+  }
+  
+  if (attachment.type === 'suggested_questions') {
+    return (
+      <BotBubbleRow showAvatar={showAvatar} bubbleStyle={styles.suggestionsBubble}>
+        <Text style={styles.suggestionsTitle}>Suggested follow-ups</Text>
+        <View style={styles.suggestionsList}>
+          {attachment.questions.map((question, index) => (
+            <TouchableOpacity 
+              key={`suggestion-${index}`}
+              style={styles.suggestionChip}
+              onPress={() => onSuggestedQuestion && onSuggestedQuestion(question)}
+              disabled={!onSuggestedQuestion}
+            >
+              <Text style={styles.suggestionText}>{question}</Text>
+            </TouchableOpacity>
+          ))}
+        </View>
+      </BotBubbleRow>
+    );
+  }
+  
+  return null;
+};
+
+const ChatMessage = ({ 
+  message, 
+  isLastBotMessage = false, 
+  onRegenerateMessage, 
+  onSuggestedQuestion,
+  onRunEditedQuery,
+  onLoadMoreRows,
+  onChartConfigChange,
+  onExportResult,
+  onPinResult,
+  onRetryMessage,
+  onStartWarehouse,
+  onRelogin
+}) => {
   const isBot = message.sender === 'bot';
   const isError = message.error === true;
+  const isCancelled = isBot && message.cancelled === true;
+  
+  // Answers with parsed attachments render every attachment in order
+  if (isBot && !message.loading && message.attachments && message.attachments.length > 0) {
+    return (
+      <View style={styles.attachmentsContainer}>
+        {message.attachments.map((attachment, index) => (
+          <AttachmentBubbles 
+            key={attachment.attachmentId || `attachment-${index}`}
+            attachment={attachment}
+            showAvatar={index === 0}
+            onSuggestedQuestion={onSuggestedQuestion}
+            onRunEditedQuery={onRunEditedQuery 
+              ? (sqlQuery) => onRunEditedQuery(message.id, index, sqlQuery)
+              : undefined}
+            onLoadMoreRows={onLoadMoreRows 
+              ? (versionId) => onLoadMoreRows(message.id, index, versionId)
+              : undefined}
+            onChartConfigChange={onChartConfigChange 
+              ? (config, versionId) => onChartConfigChange(message.id, index, config, versionId)
+              : undefined}
+            onExportResult={onExportResult 
+              ? (format, versionId) => onExportResult(message.id, index, format, versionId)
+              : undefined}
+            onPinResult={onPinResult}
+          />
+        ))}
+        
+        {/* Regenerate button for last bot message */}
+        {isLastBotMessage && (
+          <View style={styles.regenerateContainer}>
+            <IconButton
+              icon="refresh"
+              size={16}
+              onPress={onRegenerateMessage}
+              style={styles.regenerateButton}
+              iconColor="#666"
+            />
+          </View>
+        )}
+      </View>
+    );
+  }
   
+  // Messages saved before attachments were parsed only carry the first query's chart data
   // If this is a bot message with SQL chart data, we'll render two separate bubbles
   if (isBot && message.sqlChartData && !message.loading) {
     return (
@@ -43,6 +364,7 @@ const ChatMessage = ({ message, isLastBotMessage = false, onRegenerateMessage })
             <SQLResultChart 
               data={message.sqlChartData}
               error={message.sqlError}
+              onFollowUp={onSuggestedQuestion}
             />
           </View>
         </View>
@@ -81,10 +403,27 @@ const ChatMessage = ({ message, isLastBotMessage = false, onRegenerateMessage })
         <View style={[
           styles.messageBubble,
           isBot ? styles.botBubble : styles.userBubble,
-          isError && styles.errorBubble
+          isError && styles.errorBubble,
+          isCancelled && styles.cancelledBubble,
+          message.queued && styles.queuedBubble
         ]}>
           {message.loading ? (
-            <ActivityIndicator animating={true} color="#4ae383" size={24} />
+            message.progressSteps && message.progressSteps.length > 0 ? (
+              <MessageProgress steps={message.progressSteps} startedAt={message.loadingStartedAt} />
+            ) : (
+              <ActivityIndicator animating={true} color="#4ae383" size={24} />
+            )
+          ) : isCancelled ? (
+            <Text style={[styles.messageText, styles.cancelledText]}>
+              Request cancelled
+            </Text>
+          ) : isBot && message.errorInfo ? (
+            <ErrorDetails
+              errorInfo={message.errorInfo}
+              onRetry={onRetryMessage ? () => onRetryMessage(message.id) : undefined}
+              onStartWarehouse={onStartWarehouse ? () => onStartWarehouse(message.id) : undefined}
+              onRelogin={onRelogin}
+            />
           ) : (
             <Text style={[
               styles.messageText,
@@ -96,6 +435,10 @@ const ChatMessage = ({ message, isLastBotMessage = false, onRegenerateMessage })
         </View>
       </View>
       
+      {message.queued && (
+        <Text style={styles.queuedText}>Queued - will be sent when the connection returns</Text>
+      )}
+      
       {/* Regenerate button for last bot message */}
       {isBot && isLastBotMessage && !message.loading && (
         <View style={styles.regenerateContainer}>
@@ -150,6 +493,169 @@ const styles = StyleSheet.create({
   errorBubble: {
     backgroundColor: '#ffebee',
   },
+  errorTitle: {
+    fontSize: 16,
+    fontWeight: '600',
+    color: '#c0392b',
+    marginBottom: 4,
+  },
+  errorExplanation: {
+    fontSize: 15,
+    color: '#333',
+  },
+  errorDetail: {
+    fontSize: 12,
+    color: '#888',
+    marginTop: 6,
+  },
+  errorActions: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    marginTop: 10,
+  },
+  errorActionButton: {
+    paddingHorizontal: 14,
+    paddingVertical: 6,
+    borderRadius: 6,
+    backgroundColor: '#e74c3c',
+    marginRight: 8,
+  },
+  errorActionText: {
+    color: 'white',
+    fontWeight: '600',
+  },
+  errorRetryButton: {
+    paddingHorizontal: 14,
+    paddingVertical: 6,
+    borderRadius: 6,
+    borderWidth: 1,
+    borderColor: '#e74c3c',
+  },
+  errorRetryText: {
+    color: '#e74c3c',
+    fontWeight: '600',
+  },
+  progressStep: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginVertical: 2,
+  },
+  progressCheck: {
+    color: '#4ae383',
+    fontWeight: 'bold',
+    width: 12,
+    textAlign: 'center',
+  },
+  progressLabel: {
+    fontSize: 14,
+    color: '#666',
+    marginLeft: 8,
+    flexShrink: 1,
+  },
+  progressLabelCurrent: {
+    color: '#333',
+    fontWeight: '500',
+  },
+  progressTime: {
+    fontSize: 12,
+    color: '#999',
+    marginLeft: 8,
+  },
+  progressTotal: {
+    fontSize: 12,
+    color: '#888',
+    marginTop: 6,
+  },
+  queuedBubble: {
+    opacity: 0.6,
+  },
+  queuedText: {
+    alignSelf: 'flex-end',
+    fontSize: 12,
+    color: '#999',
+    fontStyle: 'italic',
+    marginTop: -4,
+  },
+  cancelledBubble: {
+    backgroundColor: '#f5f5f5',
+    borderWidth: 1,
+    borderColor: '#dddddd',
+    borderStyle: 'dashed',
+  },
+  cancelledText: {
+    color: '#888',
+    fontStyle: 'italic',
+  },
+  attachmentsContainer: {
+    marginTop: 8,
+    marginBottom: 8,
+  },
+  attachmentRow: {
+    marginVertical: 4,
+  },
+  queryTitle: {
+    fontWeight: 'bold',
+    marginBottom: 4,
+  },
+  resultSourceText: {
+    fontSize: 11,
+    color: '#888',
+    marginTop: 2,
+  },
+  versionTabs: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    marginBottom: 6,
+  },
+  versionTab: {
+    paddingHorizontal: 10,
+    paddingVertical: 4,
+    borderRadius: 12,
+    backgroundColor: '#f0f0f0',
+    marginRight: 6,
+    marginBottom: 4,
+  },
+  versionTabActive: {
+    backgroundColor: '#4ae383',
+  },
+  versionTabText: {
+    color: '#666',
+    fontSize: 12,
+    fontWeight: '500',
+  },
+  versionTabTextActive: {
+    color: 'white',
+    fontWeight: 'bold',
+  },
+  suggestionsBubble: {
+    backgroundColor: '#f8f9fa',
+    borderWidth: 1,
+    borderColor: '#e5e5ea',
+  },
+  suggestionsTitle: {
+    fontSize: 12,
+    fontWeight: '600',
+    color: '#666',
+    marginBottom: 6,
+  },
+  suggestionsList: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+  },
+  suggestionChip: {
+    paddingHorizontal: 12,
+    paddingVertical: 6,
+    borderRadius: 16,
+    borderWidth: 1,
+    borderColor: '#4ae383',
+    backgroundColor: 'white',
+    marginRight: 6,
+    marginBottom: 6,
+  },
+  suggestionText: {
+    color: '#2a9d5c',
+    fontSize: 14,
+  },
   messageText: {
     fontSize: 16,
     lineHeight: 22,
@@ -0,0 +1,217 @@
+import React, { useState } from 'react';
+import {
+  View,
+  StyleSheet,
+  Text,
+  TextInput,
+  TouchableOpacity,
+  FlatList,
+  Alert
+} from 'react-native';
+import { IconButton } from 'react-native-paper';
+
+// Format a timestamp as a short date for the history list
+const formatDate = (timestamp) => {
+  const date = new Date(timestamp);
+  const isToday = date.toDateString() === new Date().toDateString();
+  return isToday
+    ? date.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })
+    : date.toLocaleDateString();
+};
+
+const ConversationHistory = ({
+  conversations,
+  activeConversationId,
+  onSelectConversation,
+  onRenameConversation,
+  onDeleteConversation,
+  onNewConversation
+}) => {
+  const [editingId, setEditingId] = useState(null);
+  const [editingTitle, setEditingTitle] = useState('');
+
+  const startRename = (conversation) => {
+    setEditingId(conversation.id);
+    setEditingTitle(conversation.title);
+  };
+
+  const submitRename = () => {
+    if (editingId && editingTitle.trim()) {
+      onRenameConversation(editingId, editingTitle);
+    }
+    setEditingId(null);
+    setEditingTitle('');
+  };
+
+  const confirmDelete = (conversation) => {
+    Alert.alert(
+      'Delete Conversation',
+      `Delete "${conversation.title}"? This cannot be undone.`,
+      [
+        { text: 'Cancel', style: 'cancel' },
+        {
+          text: 'Delete',
+          style: 'destructive',
+          onPress: () => onDeleteConversation(conversation.id)
+        }
+      ]
+    );
+  };
+
+  const renderConversation = ({ item }) => {
+    const isActive = item.id === activeConversationId;
+    const isEditing = item.id === editingId;
+
+    return (
+      <TouchableOpacity
+        style={[styles.conversationItem, isActive && styles.conversationItemActive]}
+        onPress={() => !isEditing && onSelectConversation(item.id)}
+        disabled={isEditing}
+      >
+        <View style={styles.conversationInfo}>
+          {isEditing ? (
+            <TextInput
+              style={styles.renameInput}
+              value={editingTitle}
+              onChangeText={setEditingTitle}
+              onSubmitEditing={submitRename}
+              onBlur={submitRename}
+              autoFocus={true}
+              returnKeyType="done"
+            />
+          ) : (
+            <Text style={styles.conversationTitle} numberOfLines={2}>
+              {item.title}
+            </Text>
+          )}
+          <Text style={styles.conversationMeta}>
+            {formatDate(item.updatedAt)} · {item.messageCount} {item.messageCount === 1 ? 'message' : 'messages'}
+          </Text>
+        </View>
+        <View style={styles.conversationActions}>
+          <IconButton
+            icon="pencil"
+            size={16}
+            onPress={() => startRename(item)}
+            style={styles.actionButton}
+            iconColor="#666"
+          />
+          <IconButton
+            icon="delete"
+            size={16}
+            onPress={() => confirmDelete(item)}
+            style={styles.actionButton}
+            iconColor="#d32f2f"
+          />
+        </View>
+      </TouchableOpacity>
+    );
+  };
+
+  return (
+    <View style={styles.container}>
+      <View style={styles.header}>
+        <Text style={styles.headerTitle}>History</Text>
+        <TouchableOpacity style={styles.newButton} onPress={onNewConversation}>
+          <Text style={styles.newButtonText}>New Chat</Text>
+        </TouchableOpacity>
+      </View>
+      {conversations.length === 0 ? (
+        <Text style={styles.emptyText}>No saved conversations yet</Text>
+      ) : (
+        <FlatList
+          data={conversations}
+          renderItem={renderConversation}
+          keyExtractor={item => item.id}
+          extraData={{ activeConversationId, editingId, editingTitle }}
+          keyboardShouldPersistTaps="handled"
+        />
+      )}
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    width: 280,
+    borderRightWidth: 1,
+    borderRightColor: '#f0f0f0',
+    backgroundColor: '#fafafa',
+  },
+  header: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    paddingVertical: 12,
+    paddingHorizontal: 16,
+    borderBottomWidth: 1,
+    borderBottomColor: '#f0f0f0',
+  },
+  headerTitle: {
+    fontSize: 16,
+    fontWeight: '600',
+    color: '#333',
+  },
+  newButton: {
+    paddingHorizontal: 10,
+    paddingVertical: 5,
+    borderRadius: 6,
+    backgroundColor: '#4ae383',
+  },
+  newButtonText: {
+    color: 'white',
+    fontWeight: '500',
+    fontSize: 12,
+  },
+  emptyText: {
+    color: '#666',
+    fontStyle: 'italic',
+    padding: 16,
+  },
+  conversationItem: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingVertical: 10,
+    paddingLeft: 16,
+    paddingRight: 4,
+    borderBottomWidth: 1,
+    borderBottomColor: '#f0f0f0',
+  },
+  conversationItemActive: {
+    backgroundColor: '#e8fbef',
+    borderLeftWidth: 4,
+    borderLeftColor: '#4ae383',
+    paddingLeft: 12,
+  },
+  conversationInfo: {
+    flex: 1,
+  },
+  conversationTitle: {
+    fontSize: 14,
+    fontWeight: '500',
+    color: '#333',
+  },
+  conversationMeta: {
+    fontSize: 12,
+    color: '#888',
+    marginTop: 4,
+  },
+  renameInput: {
+    fontSize: 14,
+    color: '#333',
+    backgroundColor: 'white',
+    borderWidth: 1,
+    borderColor: '#4ae383',
+    borderRadius: 4,
+    paddingHorizontal: 6,
+    paddingVertical: 4,
+  },
+  conversationActions: {
+    flexDirection: 'row',
+  },
+  actionButton: {
+    margin: 0,
+  },
+});
+
+export default ConversationHistory;
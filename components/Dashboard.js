@@ -0,0 +1,294 @@
+import React, { useState, useEffect, useRef, useCallback } from 'react';
+import {
+  View,
+  StyleSheet,
+  Text,
+  FlatList,
+  ActivityIndicator,
+  RefreshControl,
+  Alert,
+  Dimensions
+} from 'react-native';
+import { IconButton } from 'react-native-paper';
+import SQLResultChart from '../services/SQLResultChart';
+import AlertRulesPanel from '../services/AlertRulesPanel';
+import { isAbortError } from '../services/genieApi';
+import { getResultColumns } from '../services/resultTypes';
+
+// Tiles are laid out two across when there's room
+const TWO_COLUMN_MIN_WIDTH = 900;
+const GRID_PADDING = 16;
+
+// Format when a tile was last updated
+const formatUpdated = (timestamp) => {
+  const date = new Date(timestamp);
+  const time = date.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+  const isToday = date.toDateString() === new Date().toDateString();
+  return isToday ? `today at ${time}` : `${date.toLocaleDateString()} at ${time}`;
+};
+
+// A pinned result - its SQL is re-run when the tile opens, on every refresh and when an alert opens it
+const DashboardTile = ({
+  pin,
+  refreshToken,
+  focusToken,
+  width,
+  alerts,
+  onRun,
+  onUnpin,
+  onChartConfigChange,
+  onLoadingChange
+}) => {
+  const [chartData, setChartData] = useState(null);
+  const [error, setError] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [showAlerts, setShowAlerts] = useState(false);
+
+  const pinRules = alerts.rules.filter(rule => rule.pinId === pin.id);
+  const isAlertTriggered = pinRules.some(rule => rule.enabled && rule.lastTriggered);
+
+  useEffect(() => {
+    const controller = new AbortController();
+    setLoading(true);
+    setError(null);
+    onLoadingChange(pin.id, true);
+
+    onRun(pin, controller.signal)
+      .then(setChartData)
+      .catch(err => {
+        if (isAbortError(err)) return;
+        console.error(`Error refreshing pinned result ${pin.id}:`, err);
+        setError(err.message || 'Error executing SQL query');
+      })
+      .finally(() => {
+        if (!controller.signal.aborted) setLoading(false);
+        onLoadingChange(pin.id, false);
+      });
+
+    // Leaving the dashboard cancels queries that are still running
+    return () => controller.abort();
+  }, [pin.id, pin.query, refreshToken, focusToken]);
+
+  const confirmUnpin = () => {
+    Alert.alert(
+      'Unpin Result',
+      `Remove "${pin.title}" from the dashboard?`,
+      [
+        { text: 'Cancel', style: 'cancel' },
+        { text: 'Unpin', style: 'destructive', onPress: () => onUnpin(pin.id) }
+      ]
+    );
+  };
+
+  return (
+    <View style={[styles.tile, focusToken && styles.tileFocused, { width }]}>
+      <View style={styles.tileHeader}>
+        <View style={styles.tileInfo}>
+          <Text style={styles.tileTitle} numberOfLines={2}>{pin.title}</Text>
+          <Text style={styles.tileMeta}>
+            {loading
+              ? 'Refreshing...'
+              : pin.lastUpdatedAt ? `Updated ${formatUpdated(pin.lastUpdatedAt)}` : 'Not updated yet'}
+          </Text>
+        </View>
+        {loading && <ActivityIndicator size="small" color="#4ae383" />}
+        <IconButton
+          icon={isAlertTriggered ? 'bell-ring' : pinRules.length > 0 ? 'bell' : 'bell-outline'}
+          size={16}
+          onPress={() => setShowAlerts(true)}
+          style={styles.unpinButton}
+          iconColor={isAlertTriggered ? '#2a9d5c' : '#666'}
+        />
+        <IconButton
+          icon="pin-off"
+          size={16}
+          onPress={confirmUnpin}
+          style={styles.unpinButton}
+          iconColor="#666"
+        />
+      </View>
+
+      {/* Keep showing the previous result while a refresh runs */}
+      {chartData || error ? (
+        <SQLResultChart
+          data={chartData}
+          error={error}
+          savedChartConfig={pin.chartConfig}
+          savedVisualizationType={pin.visualizationType}
+          onChartConfigChange={(config) => onChartConfigChange(pin.id, config)}
+          width={width - 24}
+        />
+      ) : (
+        <ActivityIndicator style={styles.tileLoading} color="#4ae383" />
+      )}
+
+      {showAlerts && (
+        <AlertRulesPanel
+          visible={showAlerts}
+          pinId={pin.id}
+          pinTitle={pin.title}
+          columns={getResultColumns(chartData)}
+          rules={pinRules}
+          history={alerts.history.filter(evaluation => evaluation.pinId === pin.id)}
+          checking={alerts.checking}
+          onSaveRule={alerts.saveRule}
+          onDeleteRule={alerts.deleteRule}
+          onToggleRule={alerts.toggleRule}
+          onCheckNow={alerts.checkNow}
+          onClose={() => setShowAlerts(false)}
+        />
+      )}
+    </View>
+  );
+};
+
+const Dashboard = ({ pins, onRunPin, onUnpin, onChartConfigChange, alerts, focusedPin }) => {
+  const listRef = useRef(null);
+  const [containerWidth, setContainerWidth] = useState(Dimensions.get('window').width);
+  // Bumped by pull-to-refresh so every tile re-runs its query
+  const [refreshToken, setRefreshToken] = useState(0);
+  const [refreshing, setRefreshing] = useState(false);
+  // Tiles whose query is still running
+  const loadingIdsRef = useRef(new Set());
+
+  const handleLoadingChange = useCallback((id, isLoading) => {
+    if (isLoading) {
+      loadingIdsRef.current.add(id);
+    } else {
+      loadingIdsRef.current.delete(id);
+    }
+    if (loadingIdsRef.current.size === 0) {
+      setRefreshing(false);
+    }
+  }, []);
+
+  const handleRefresh = () => {
+    if (pins.length === 0) return;
+    setRefreshing(true);
+    setRefreshToken(token => token + 1);
+  };
+
+  const numColumns = containerWidth >= TWO_COLUMN_MIN_WIDTH ? 2 : 1;
+  const tileWidth = (containerWidth - GRID_PADDING * (numColumns + 1)) / numColumns;
+
+  // Scroll to the pinned result an alert opened
+  const focusedIndex = focusedPin ? pins.findIndex(pin => pin.id === focusedPin.id) : -1;
+  useEffect(() => {
+    if (focusedIndex < 0) return;
+    listRef.current?.scrollToIndex({ index: Math.floor(focusedIndex / numColumns), animated: true });
+  }, [focusedIndex, focusedPin?.token, numColumns]);
+
+  return (
+    <View style={styles.container} onLayout={(event) => setContainerWidth(event.nativeEvent.layout.width)}>
+      <View style={styles.header}>
+        <Text style={styles.headerTitle}>Dashboard</Text>
+        {pins.length > 0 && <Text style={styles.headerHint}>Pull down to refresh</Text>}
+      </View>
+      <FlatList
+        ref={listRef}
+        // Changing the column count needs a fresh list
+        key={`columns-${numColumns}`}
+        data={pins}
+        numColumns={numColumns}
+        keyExtractor={item => item.id}
+        renderItem={({ item }) => (
+          <DashboardTile
+            pin={item}
+            refreshToken={refreshToken}
+            focusToken={focusedPin?.id === item.id ? focusedPin.token : null}
+            width={tileWidth}
+            alerts={alerts}
+            onRun={onRunPin}
+            onUnpin={onUnpin}
+            onChartConfigChange={onChartConfigChange}
+            onLoadingChange={handleLoadingChange}
+          />
+        )}
+        // Tiles vary in height, so wait for the rows to lay out before scrolling to one
+        onScrollToIndexFailed={({ index }) => setTimeout(() => {
+          listRef.current?.scrollToIndex({ index, animated: true });
+        }, 300)}
+        columnWrapperStyle={numColumns > 1 ? styles.tileRow : undefined}
+        contentContainerStyle={styles.grid}
+        refreshControl={
+          <RefreshControl refreshing={refreshing} onRefresh={handleRefresh} colors={['#4ae383']} tintColor="#4ae383" />
+        }
+        ListEmptyComponent={
+          <Text style={styles.emptyText}>Pin a query result from the chat to see it here</Text>
+        }
+      />
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#fafafa',
+  },
+  header: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+    paddingHorizontal: GRID_PADDING,
+    paddingTop: 12,
+  },
+  headerTitle: {
+    fontSize: 16,
+    fontWeight: '600',
+    color: '#333',
+  },
+  headerHint: {
+    fontSize: 12,
+    color: '#999',
+  },
+  grid: {
+    padding: GRID_PADDING,
+  },
+  tileRow: {
+    justifyContent: 'space-between',
+  },
+  tile: {
+    backgroundColor: 'white',
+    borderRadius: 12,
+    borderWidth: 1,
+    borderColor: '#eee',
+    padding: 12,
+    marginBottom: GRID_PADDING,
+  },
+  tileFocused: {
+    borderColor: '#4ae383',
+    borderWidth: 2,
+  },
+  tileHeader: {
+    flexDirection: 'row',
+    alignItems: 'center',
+  },
+  tileInfo: {
+    flex: 1,
+  },
+  tileTitle: {
+    fontSize: 15,
+    fontWeight: '600',
+    color: '#333',
+  },
+  tileMeta: {
+    fontSize: 12,
+    color: '#999',
+    marginTop: 2,
+  },
+  unpinButton: {
+    margin: 0,
+  },
+  tileLoading: {
+    marginVertical: 40,
+  },
+  emptyText: {
+    padding: 16,
+    color: '#999',
+    fontStyle: 'italic',
+    textAlign: 'center',
+  },
+});
+
+export default Dashboard;
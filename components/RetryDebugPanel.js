@@ -0,0 +1,198 @@
+import React from 'react';
+import {
+  View,
+  StyleSheet,
+  Text,
+  TouchableOpacity,
+  ScrollView,
+  Modal
+} from 'react-native';
+import { useRetryEvents, clearRetryEvents, summarizeRetryEvents } from '../services/retryTelemetry';
+
+// Labels for the endpoint groups of the retry policies
+const POLICY_LABELS = {
+  read: 'Spaces and warehouses',
+  submit: 'Questions and statements',
+  messagePoll: 'Genie answers',
+  queryResultPoll: 'Genie query results',
+  statementPoll: 'SQL statements',
+  resultChunk: 'Result chunks',
+};
+
+const formatTime = (timestamp) => new Date(timestamp).toLocaleTimeString();
+
+const formatDelay = (ms) => (ms >= 1000 ? `${(ms / 1000).toFixed(1)}s` : `${ms}ms`);
+
+// Debug view of the retries the request layer made this session
+const RetryDebugPanel = ({ visible, onClose }) => {
+  const events = useRetryEvents();
+  const summaries = summarizeRetryEvents(events);
+
+  return (
+    <Modal visible={visible} transparent={true} animationType="fade" onRequestClose={onClose}>
+      <View style={styles.backdrop}>
+        <View style={styles.panel}>
+          <Text style={styles.title}>Retry log</Text>
+
+          <ScrollView style={styles.content}>
+            {events.length === 0 && (
+              <Text style={styles.emptyText}>No requests have been retried</Text>
+            )}
+
+            {summaries.length > 0 && <Text style={styles.sectionTitle}>By endpoint</Text>}
+            {summaries.map(summary => (
+              <View key={summary.policy} style={styles.summaryRow}>
+                <Text style={styles.summaryLabel}>{POLICY_LABELS[summary.policy] || summary.policy}</Text>
+                <Text style={styles.summaryCounts}>
+                  {summary.retries} {summary.retries === 1 ? 'retry' : 'retries'}
+                  {summary.retryAfter > 0 ? ` (${summary.retryAfter} Retry-After)` : ''}
+                  {summary.gaveUp > 0 ? ` · gave up ${summary.gaveUp}×` : ''}
+                </Text>
+              </View>
+            ))}
+
+            {events.length > 0 && <Text style={styles.sectionTitle}>Recent</Text>}
+            {events.map((event, index) => (
+              <View key={`${event.at}-${index}`} style={[styles.event, event.gaveUp && styles.eventGaveUp]}>
+                <View style={styles.eventHeader}>
+                  <Text style={styles.eventReason}>{event.reason}</Text>
+                  <Text style={styles.eventTime}>{formatTime(event.at)}</Text>
+                </View>
+                <Text style={styles.eventPath} numberOfLines={1}>{event.method} {event.path}</Text>
+                <Text style={styles.eventDetail}>
+                  {event.gaveUp
+                    ? `Gave up after attempt ${event.attempt}`
+                    : `Attempt ${event.attempt} failed, retried after ${formatDelay(event.delayMs)}${event.retryAfter ? ' (Retry-After)' : ''}`}
+                </Text>
+              </View>
+            ))}
+          </ScrollView>
+
+          <View style={styles.actions}>
+            <TouchableOpacity style={styles.clearButton} onPress={clearRetryEvents} disabled={events.length === 0}>
+              <Text style={styles.clearButtonText}>Clear</Text>
+            </TouchableOpacity>
+            <TouchableOpacity style={styles.closeButton} onPress={onClose}>
+              <Text style={styles.closeButtonText}>Done</Text>
+            </TouchableOpacity>
+          </View>
+        </View>
+      </View>
+    </Modal>
+  );
+};
+
+const styles = StyleSheet.create({
+  backdrop: {
+    flex: 1,
+    backgroundColor: 'rgba(0, 0, 0, 0.3)',
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  panel: {
+    width: 480,
+    maxWidth: '90%',
+    maxHeight: '85%',
+    backgroundColor: 'white',
+    borderRadius: 12,
+    padding: 20,
+  },
+  title: {
+    fontSize: 20,
+    fontWeight: '600',
+    color: '#333',
+    marginBottom: 16,
+  },
+  content: {
+    flexGrow: 0,
+  },
+  sectionTitle: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: '#666',
+    marginTop: 8,
+    marginBottom: 8,
+  },
+  emptyText: {
+    color: '#999',
+    fontStyle: 'italic',
+    marginBottom: 8,
+  },
+  summaryRow: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    paddingVertical: 4,
+  },
+  summaryLabel: {
+    fontSize: 14,
+    color: '#333',
+  },
+  summaryCounts: {
+    fontSize: 13,
+    color: '#666',
+  },
+  event: {
+    padding: 10,
+    borderRadius: 8,
+    marginBottom: 6,
+    borderWidth: 1,
+    borderColor: '#f0f0f0',
+  },
+  eventGaveUp: {
+    borderColor: '#f5c6c1',
+    backgroundColor: '#fdf1f0',
+  },
+  eventHeader: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+  },
+  eventReason: {
+    fontSize: 14,
+    fontWeight: '500',
+    color: '#333',
+  },
+  eventTime: {
+    fontSize: 12,
+    color: '#999',
+  },
+  eventPath: {
+    fontSize: 12,
+    color: '#666',
+    fontFamily: 'monospace',
+    marginTop: 2,
+  },
+  eventDetail: {
+    fontSize: 12,
+    color: '#888',
+    marginTop: 2,
+  },
+  actions: {
+    flexDirection: 'row',
+    justifyContent: 'flex-end',
+    alignItems: 'center',
+    marginTop: 12,
+  },
+  clearButton: {
+    paddingHorizontal: 16,
+    paddingVertical: 8,
+    borderRadius: 6,
+    backgroundColor: '#f0f0f0',
+  },
+  clearButtonText: {
+    color: '#666',
+    fontWeight: '500',
+  },
+  closeButton: {
+    marginLeft: 8,
+    paddingHorizontal: 16,
+    paddingVertical: 8,
+    borderRadius: 6,
+    backgroundColor: '#4ae383',
+  },
+  closeButtonText: {
+    color: 'white',
+    fontWeight: 'bold',
+  },
+});
+
+export default RetryDebugPanel;
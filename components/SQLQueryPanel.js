@@ -0,0 +1,212 @@
+import React, { useState } from 'react';
+import {
+  View,
+  StyleSheet,
+  Text,
+  TextInput,
+  TouchableOpacity,
+  ScrollView,
+  Platform
+} from 'react-native';
+import * as Clipboard from 'expo-clipboard';
+import { tokenizeSQL } from '../services/sqlHighlight';
+
+// Colors for each SQL token type
+const TOKEN_COLORS = {
+  keyword: '#0b63c4',
+  function: '#8e44ad',
+  string: '#b35900',
+  number: '#098658',
+  comment: '#8a8a8a',
+  operator: '#555555',
+  identifier: '#222222',
+  whitespace: '#222222',
+};
+
+// SQL text with each token colored by type
+const HighlightedSQL = ({ sql }) => (
+  <Text style={styles.sqlText} selectable={true}>
+    {tokenizeSQL(sql).map((token, index) => (
+      <Text
+        key={`token-${index}`}
+        style={[
+          { color: TOKEN_COLORS[token.type] },
+          token.type === 'keyword' && styles.keywordToken,
+          token.type === 'comment' && styles.commentToken
+        ]}
+      >
+        {token.text}
+      </Text>
+    ))}
+  </Text>
+);
+
+// Collapsible panel showing the SQL Genie generated, with copy and "Edit & Run"
+const SQLQueryPanel = ({ query, onRunEdited, running = false }) => {
+  const [expanded, setExpanded] = useState(false);
+  const [editing, setEditing] = useState(false);
+  const [draft, setDraft] = useState(query);
+  const [copied, setCopied] = useState(false);
+
+  if (!query) return null;
+
+  const handleCopy = async () => {
+    try {
+      await Clipboard.setStringAsync(query);
+      setCopied(true);
+      setTimeout(() => setCopied(false), 2000);
+    } catch (err) {
+      console.error('Error copying SQL to clipboard:', err);
+    }
+  };
+
+  const startEditing = () => {
+    setDraft(query);
+    setEditing(true);
+    setExpanded(true);
+  };
+
+  const handleRun = () => {
+    if (!draft.trim() || !onRunEdited) return;
+    onRunEdited(draft);
+    setEditing(false);
+  };
+
+  return (
+    <View style={styles.container}>
+      <View style={styles.headerRow}>
+        <TouchableOpacity style={styles.toggle} onPress={() => setExpanded(!expanded)}>
+          <Text style={styles.toggleText}>{expanded ? '▾ Hide SQL' : '▸ Show SQL'}</Text>
+        </TouchableOpacity>
+        <View style={styles.actions}>
+          <TouchableOpacity style={styles.actionButton} onPress={handleCopy}>
+            <Text style={styles.actionText}>{copied ? 'Copied' : 'Copy'}</Text>
+          </TouchableOpacity>
+          {onRunEdited && !editing && (
+            <TouchableOpacity
+              style={[styles.actionButton, running && styles.actionButtonDisabled]}
+              onPress={startEditing}
+              disabled={running}
+            >
+              <Text style={styles.actionText}>{running ? 'Running...' : 'Edit & Run'}</Text>
+            </TouchableOpacity>
+          )}
+        </View>
+      </View>
+
+      {expanded && (
+        editing ? (
+          <View>
+            <TextInput
+              style={[styles.sqlText, styles.editor]}
+              value={draft}
+              onChangeText={setDraft}
+              multiline={true}
+              autoCapitalize="none"
+              autoCorrect={false}
+              spellCheck={false}
+            />
+            <View style={styles.editorActions}>
+              <TouchableOpacity style={styles.actionButton} onPress={() => setEditing(false)}>
+                <Text style={styles.actionText}>Cancel</Text>
+              </TouchableOpacity>
+              <TouchableOpacity
+                style={[styles.actionButton, styles.runButton, !draft.trim() && styles.actionButtonDisabled]}
+                onPress={handleRun}
+                disabled={!draft.trim()}
+              >
+                <Text style={[styles.actionText, styles.runButtonText]}>Run</Text>
+              </TouchableOpacity>
+            </View>
+          </View>
+        ) : (
+          <ScrollView horizontal={true} style={styles.sqlScroll}>
+            <HighlightedSQL sql={query} />
+          </ScrollView>
+        )
+      )}
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    marginTop: 8,
+    borderTopWidth: 1,
+    borderTopColor: '#d5d5da',
+    paddingTop: 6,
+  },
+  headerRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+  },
+  toggle: {
+    paddingVertical: 4,
+  },
+  toggleText: {
+    color: '#2a9d5c',
+    fontWeight: '600',
+    fontSize: 14,
+  },
+  actions: {
+    flexDirection: 'row',
+  },
+  actionButton: {
+    paddingHorizontal: 10,
+    paddingVertical: 4,
+    borderRadius: 6,
+    backgroundColor: '#f0f0f0',
+    marginLeft: 6,
+  },
+  actionButtonDisabled: {
+    opacity: 0.5,
+  },
+  actionText: {
+    color: '#666',
+    fontWeight: '500',
+    fontSize: 12,
+  },
+  runButton: {
+    backgroundColor: '#4ae383',
+  },
+  runButtonText: {
+    color: 'white',
+  },
+  sqlScroll: {
+    marginTop: 6,
+    backgroundColor: '#f8f9fa',
+    borderRadius: 6,
+    padding: 8,
+  },
+  sqlText: {
+    fontFamily: Platform.OS === 'ios' ? 'Menlo' : 'monospace',
+    fontSize: 12,
+    lineHeight: 18,
+  },
+  keywordToken: {
+    fontWeight: 'bold',
+  },
+  commentToken: {
+    fontStyle: 'italic',
+  },
+  editor: {
+    marginTop: 6,
+    minHeight: 120,
+    maxHeight: 300,
+    backgroundColor: 'white',
+    borderWidth: 1,
+    borderColor: '#4ae383',
+    borderRadius: 6,
+    padding: 8,
+    color: '#222',
+    textAlignVertical: 'top',
+  },
+  editorActions: {
+    flexDirection: 'row',
+    justifyContent: 'flex-end',
+    marginTop: 6,
+  },
+});
+
+export default SQLQueryPanel;
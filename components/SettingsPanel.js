@@ -0,0 +1,156 @@
+import React from 'react';
+import {
+  View,
+  StyleSheet,
+  Text,
+  TouchableOpacity,
+  Modal
+} from 'react-native';
+import { useSettings, RESULT_SOURCES } from '../services/SettingsContext';
+
+const RESULT_SOURCE_OPTIONS = [
+  {
+    value: RESULT_SOURCES.AUTO,
+    label: 'Automatic',
+    description: "Use Genie's result, running the query directly only if it's missing or truncated",
+  },
+  {
+    value: RESULT_SOURCES.GENIE,
+    label: 'Genie only',
+    description: "Always use the result Genie produced",
+  },
+  {
+    value: RESULT_SOURCES.DIRECT,
+    label: 'Direct execution',
+    description: 'Always run the query on the SQL warehouse',
+  },
+];
+
+// Modal with app settings
+const SettingsPanel = ({ visible, onClose, onShowRetryLog }) => {
+  const { settings, updateSettings } = useSettings();
+
+  return (
+    <Modal visible={visible} transparent={true} animationType="fade" onRequestClose={onClose}>
+      <View style={styles.backdrop}>
+        <View style={styles.panel}>
+          <Text style={styles.title}>Settings</Text>
+
+          <Text style={styles.sectionTitle}>Query result source</Text>
+          {RESULT_SOURCE_OPTIONS.map(option => {
+            const isSelected = settings.resultSource === option.value;
+            return (
+              <TouchableOpacity
+                key={option.value}
+                style={[styles.option, isSelected && styles.optionSelected]}
+                onPress={() => updateSettings({ resultSource: option.value })}
+              >
+                <View style={[styles.radio, isSelected && styles.radioSelected]} />
+                <View style={styles.optionText}>
+                  <Text style={styles.optionLabel}>{option.label}</Text>
+                  <Text style={styles.optionDescription}>{option.description}</Text>
+                </View>
+              </TouchableOpacity>
+            );
+          })}
+
+          {onShowRetryLog && (
+            <>
+              <Text style={styles.sectionTitle}>Debugging</Text>
+              <TouchableOpacity style={styles.option} onPress={onShowRetryLog}>
+                <View style={styles.optionText}>
+                  <Text style={styles.optionLabel}>Retry log</Text>
+                  <Text style={styles.optionDescription}>Requests to Databricks that were retried or given up on</Text>
+                </View>
+              </TouchableOpacity>
+            </>
+          )}
+
+          <TouchableOpacity style={styles.closeButton} onPress={onClose}>
+            <Text style={styles.closeButtonText}>Done</Text>
+          </TouchableOpacity>
+        </View>
+      </View>
+    </Modal>
+  );
+};
+
+const styles = StyleSheet.create({
+  backdrop: {
+    flex: 1,
+    backgroundColor: 'rgba(0, 0, 0, 0.3)',
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  panel: {
+    width: 480,
+    maxWidth: '90%',
+    backgroundColor: 'white',
+    borderRadius: 12,
+    padding: 20,
+  },
+  title: {
+    fontSize: 20,
+    fontWeight: '600',
+    color: '#333',
+    marginBottom: 16,
+  },
+  sectionTitle: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: '#666',
+    marginBottom: 8,
+  },
+  option: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    padding: 10,
+    borderRadius: 8,
+    marginBottom: 6,
+    borderWidth: 1,
+    borderColor: '#f0f0f0',
+  },
+  optionSelected: {
+    borderColor: '#4ae383',
+    backgroundColor: '#e8fbef',
+  },
+  radio: {
+    width: 16,
+    height: 16,
+    borderRadius: 8,
+    borderWidth: 2,
+    borderColor: '#bbb',
+    marginRight: 10,
+  },
+  radioSelected: {
+    borderColor: '#4ae383',
+    backgroundColor: '#4ae383',
+  },
+  optionText: {
+    flex: 1,
+  },
+  optionLabel: {
+    fontSize: 15,
+    fontWeight: '500',
+    color: '#333',
+  },
+  optionDescription: {
+    fontSize: 12,
+    color: '#888',
+    marginTop: 2,
+  },
+  closeButton: {
+    marginTop: 12,
+    alignSelf: 'flex-end',
+    paddingHorizontal: 16,
+    paddingVertical: 8,
+    borderRadius: 6,
+    backgroundColor: '#4ae383',
+  },
+  closeButtonText: {
+    color: 'white',
+    fontWeight: 'bold',
+  },
+});
+
+export default SettingsPanel;
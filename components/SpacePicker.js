@@ -0,0 +1,222 @@
+import React from 'react';
+import {
+  View,
+  StyleSheet,
+  Text,
+  TouchableOpacity,
+  ScrollView,
+  Modal,
+  ActivityIndicator
+} from 'react-native';
+
+// Modal for picking the Genie space of the conversation and the SQL warehouse each space uses
+const SpacePicker = ({
+  visible,
+  spaces,
+  warehouses,
+  activeSpaceId,
+  getWarehouseId,
+  loading,
+  error,
+  onSelectSpace,
+  onSelectWarehouse,
+  onRefresh,
+  onClose
+}) => {
+  const activeSpace = spaces.find(space => space.id === activeSpaceId);
+  const activeWarehouseId = getWarehouseId(activeSpaceId);
+
+  return (
+    <Modal visible={visible} transparent={true} animationType="fade" onRequestClose={onClose}>
+      <View style={styles.backdrop}>
+        <View style={styles.panel}>
+          <Text style={styles.title}>Genie Space</Text>
+
+          <ScrollView style={styles.content}>
+            <Text style={styles.sectionTitle}>Space</Text>
+            <Text style={styles.hint}>Switching spaces starts a new conversation</Text>
+            {spaces.length === 0 && !loading && (
+              <Text style={styles.emptyText}>No spaces available</Text>
+            )}
+            {spaces.map(space => {
+              const isSelected = space.id === activeSpaceId;
+              return (
+                <TouchableOpacity
+                  key={space.id}
+                  style={[styles.option, isSelected && styles.optionSelected]}
+                  onPress={() => onSelectSpace(space.id)}
+                >
+                  <View style={[styles.radio, isSelected && styles.radioSelected]} />
+                  <View style={styles.optionText}>
+                    <Text style={styles.optionLabel}>{space.title}</Text>
+                    {!!space.description && (
+                      <Text style={styles.optionDescription} numberOfLines={2}>{space.description}</Text>
+                    )}
+                  </View>
+                </TouchableOpacity>
+              );
+            })}
+
+            <Text style={styles.sectionTitle}>
+              SQL warehouse{activeSpace ? ` for ${activeSpace.title}` : ''}
+            </Text>
+            {warehouses.length === 0 && !loading && (
+              <Text style={styles.emptyText}>No warehouses listed - the space's own warehouse is used</Text>
+            )}
+            {warehouses.map(warehouse => {
+              const isSelected = warehouse.id === activeWarehouseId;
+              return (
+                <TouchableOpacity
+                  key={warehouse.id}
+                  style={[styles.option, isSelected && styles.optionSelected]}
+                  onPress={() => onSelectWarehouse(activeSpaceId, warehouse.id)}
+                >
+                  <View style={[styles.radio, isSelected && styles.radioSelected]} />
+                  <View style={styles.optionText}>
+                    <Text style={styles.optionLabel}>{warehouse.name}</Text>
+                    {!!warehouse.state && (
+                      <Text style={styles.optionDescription}>
+                        {warehouse.state === 'RUNNING' ? 'Running' : `${warehouse.state.toLowerCase()} - starts when a query runs`}
+                      </Text>
+                    )}
+                  </View>
+                </TouchableOpacity>
+              );
+            })}
+
+            {error && <Text style={styles.errorText}>Couldn't list spaces: {error}</Text>}
+          </ScrollView>
+
+          <View style={styles.actions}>
+            {loading ? (
+              <ActivityIndicator size="small" color="#4ae383" />
+            ) : (
+              <TouchableOpacity style={styles.refreshButton} onPress={onRefresh}>
+                <Text style={styles.refreshButtonText}>Refresh</Text>
+              </TouchableOpacity>
+            )}
+            <TouchableOpacity style={styles.closeButton} onPress={onClose}>
+              <Text style={styles.closeButtonText}>Done</Text>
+            </TouchableOpacity>
+          </View>
+        </View>
+      </View>
+    </Modal>
+  );
+};
+
+const styles = StyleSheet.create({
+  backdrop: {
+    flex: 1,
+    backgroundColor: 'rgba(0, 0, 0, 0.3)',
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  panel: {
+    width: 480,
+    maxWidth: '90%',
+    maxHeight: '85%',
+    backgroundColor: 'white',
+    borderRadius: 12,
+    padding: 20,
+  },
+  title: {
+    fontSize: 20,
+    fontWeight: '600',
+    color: '#333',
+    marginBottom: 16,
+  },
+  content: {
+    flexGrow: 0,
+  },
+  sectionTitle: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: '#666',
+    marginTop: 8,
+    marginBottom: 8,
+  },
+  hint: {
+    fontSize: 12,
+    color: '#999',
+    marginTop: -4,
+    marginBottom: 8,
+  },
+  emptyText: {
+    color: '#999',
+    fontStyle: 'italic',
+    marginBottom: 8,
+  },
+  errorText: {
+    color: '#e74c3c',
+    fontSize: 12,
+    marginTop: 4,
+  },
+  option: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    padding: 10,
+    borderRadius: 8,
+    marginBottom: 6,
+    borderWidth: 1,
+    borderColor: '#f0f0f0',
+  },
+  optionSelected: {
+    borderColor: '#4ae383',
+    backgroundColor: '#e8fbef',
+  },
+  radio: {
+    width: 16,
+    height: 16,
+    borderRadius: 8,
+    borderWidth: 2,
+    borderColor: '#bbb',
+    marginRight: 10,
+  },
+  radioSelected: {
+    borderColor: '#4ae383',
+    backgroundColor: '#4ae383',
+  },
+  optionText: {
+    flex: 1,
+  },
+  optionLabel: {
+    fontSize: 15,
+    fontWeight: '500',
+    color: '#333',
+  },
+  optionDescription: {
+    fontSize: 12,
+    color: '#888',
+    marginTop: 2,
+  },
+  actions: {
+    flexDirection: 'row',
+    justifyContent: 'flex-end',
+    alignItems: 'center',
+    marginTop: 12,
+  },
+  refreshButton: {
+    paddingHorizontal: 16,
+    paddingVertical: 8,
+    borderRadius: 6,
+    backgroundColor: '#f0f0f0',
+  },
+  refreshButtonText: {
+    color: '#666',
+    fontWeight: '500',
+  },
+  closeButton: {
+    marginLeft: 8,
+    paddingHorizontal: 16,
+    paddingVertical: 8,
+    borderRadius: 6,
+    backgroundColor: '#4ae383',
+  },
+  closeButtonText: {
+    color: 'white',
+    fontWeight: 'bold',
+  },
+});
+
+export default SpacePicker;
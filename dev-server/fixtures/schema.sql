@@ -0,0 +1,65 @@
+-- Sample sales data for the local dev server. Loaded into an in-memory
+-- SQLite database on every start, so edits here take effect on restart.
+
+CREATE TABLE customers (
+  id INTEGER PRIMARY KEY,
+  name TEXT NOT NULL,
+  region TEXT NOT NULL,
+  segment TEXT NOT NULL
+);
+
+CREATE TABLE products (
+  id INTEGER PRIMARY KEY,
+  name TEXT NOT NULL,
+  category TEXT NOT NULL,
+  unit_price REAL NOT NULL
+);
+
+CREATE TABLE orders (
+  id INTEGER PRIMARY KEY,
+  customer_id INTEGER NOT NULL REFERENCES customers(id),
+  product_id INTEGER NOT NULL REFERENCES products(id),
+  order_date DATE NOT NULL,
+  quantity INTEGER NOT NULL,
+  revenue REAL NOT NULL
+);
+
+INSERT INTO customers (id, name, region, segment) VALUES
+  (1, 'Fresh Market Co', 'West', 'Retail'),
+  (2, 'Green Valley Grocers', 'West', 'Retail'),
+  (3, 'Harbor Foods', 'East', 'Wholesale'),
+  (4, 'Summit Kitchens', 'Central', 'Food Service'),
+  (5, 'Lakeside Deli', 'Central', 'Food Service'),
+  (6, 'Sunrise Supermarkets', 'South', 'Retail'),
+  (7, 'Metro Catering', 'East', 'Food Service'),
+  (8, 'Prairie Provisions', 'Central', 'Wholesale'),
+  (9, 'Coastal Cafe Group', 'West', 'Food Service'),
+  (10, 'Bayou Distributors', 'South', 'Wholesale'),
+  (11, 'Northside Markets', 'East', 'Retail'),
+  (12, 'Canyon Bistro', 'South', 'Food Service');
+
+INSERT INTO products (id, name, category, unit_price) VALUES
+  (1, 'Garden Salad Kit', 'Salad Kits', 3.49),
+  (2, 'Caesar Salad Kit', 'Salad Kits', 3.99),
+  (3, 'Chopped Kale Kit', 'Salad Kits', 4.29),
+  (4, 'Romaine Hearts', 'Lettuce', 2.79),
+  (5, 'Spring Mix', 'Lettuce', 3.29),
+  (6, 'Shredded Iceberg', 'Lettuce', 1.99),
+  (7, 'Veggie Tray', 'Snacking', 6.49),
+  (8, 'Apple Slices', 'Snacking', 2.49);
+
+-- 1,200 orders spread over the first half of 2024 - enough to page through result chunks
+INSERT INTO orders (id, customer_id, product_id, order_date, quantity, revenue)
+WITH RECURSIVE seq(n) AS (
+  SELECT 1
+  UNION ALL
+  SELECT n + 1 FROM seq WHERE n < 1200
+)
+SELECT
+  n,
+  (n * 7) % 12 + 1,
+  (n * 5) % 8 + 1,
+  DATE('2024-01-01', '+' || ((n * 13) % 182) || ' days'),
+  (n * 37) % 90 + 10,
+  ROUND(((n * 37) % 90 + 10) * (SELECT unit_price FROM products WHERE id = (n * 5) % 8 + 1), 2)
+FROM seq;
@@ -0,0 +1,464 @@
+// Local stand-in for the Databricks Genie and SQL statement APIs.
+//
+// Serves scripted Genie answers from fixtures/answers.json and runs SQL
+// against an in-memory SQLite database loaded from fixtures/schema.sql, so the
+// app can be developed, tested end to end and demoed without a workspace.
+// Point the app at it with INSTANCE_URL=http://localhost:8787 in .env.
+//
+// Environment:
+//   DEV_SERVER_PORT               port to listen on (8787)
+//   DEV_SERVER_FIXTURES           directory holding schema.sql and answers.json (./fixtures)
+//   DEV_SERVER_TOKEN              token requests must send - any token is accepted when unset
+//   DEV_SERVER_THINK_MS           time Genie takes to answer a question (2000)
+//   DEV_SERVER_STATEMENT_MS       time a SQL statement runs before it succeeds (0)
+//   DEV_SERVER_CHUNK_ROWS         rows per result chunk (500)
+//   DEV_SERVER_WAREHOUSE_STOPPED  start with the warehouse stopped, so queries fail until it's started (false)
+
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+const Database = require('better-sqlite3');
+
+const PORT = Number(process.env.DEV_SERVER_PORT) || 8787;
+const FIXTURES_DIR = process.env.DEV_SERVER_FIXTURES || path.join(__dirname, 'fixtures');
+const ACCESS_TOKEN = process.env.DEV_SERVER_TOKEN;
+const THINK_MS = Number(process.env.DEV_SERVER_THINK_MS ?? 2000);
+const STATEMENT_MS = Number(process.env.DEV_SERVER_STATEMENT_MS ?? 0);
+const CHUNK_ROWS = Number(process.env.DEV_SERVER_CHUNK_ROWS) || 500;
+const WAREHOUSE_STOPPED = process.env.DEV_SERVER_WAREHOUSE_STOPPED === 'true';
+
+const WAREHOUSE_ID = 'local-sqlite';
+
+// Error thrown by a route - sent as a Databricks error body
+class ApiError extends Error {
+  constructor(status, errorCode, message) {
+    super(message);
+    this.status = status;
+    this.errorCode = errorCode;
+  }
+}
+
+// Load the fixture database and scripted answers
+const loadFixtures = (fixturesDir) => {
+  const db = new Database(':memory:');
+  db.exec(fs.readFileSync(path.join(fixturesDir, 'schema.sql'), 'utf8'));
+  const { space, answers } = JSON.parse(fs.readFileSync(path.join(fixturesDir, 'answers.json'), 'utf8'));
+  return { db, space, answers };
+};
+
+// Databricks type for a SQLite column - from its declared type, or from its values for expressions
+const getColumnType = (declaredType, values) => {
+  const type = (declaredType || '').toUpperCase();
+  if (type.includes('INT')) return 'LONG';
+  if (type.includes('REAL') || type.includes('FLOA') || type.includes('DOUB')) return 'DOUBLE';
+  if (type.includes('DEC') || type.includes('NUMERIC')) return 'DECIMAL';
+  if (type === 'DATE') return 'DATE';
+  if (type.includes('TIME')) return 'TIMESTAMP';
+  if (type.includes('BOOL')) return 'BOOLEAN';
+  if (type) return 'STRING';
+
+  const value = values.find(item => item !== null && item !== undefined);
+  if (typeof value === 'number') return Number.isInteger(value) ? 'LONG' : 'DOUBLE';
+  if (typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value)) return 'DATE';
+  if (typeof value === 'string' && /^\d{4}-\d{2}-\d{2}[ T]\d{2}:\d{2}/.test(value)) return 'TIMESTAMP';
+  return 'STRING';
+};
+
+// Run a statement on the fixture database - returns its schema and rows in the JSON_ARRAY format
+const runQuery = (db, sql) => {
+  const statement = db.prepare(sql);
+  if (!statement.reader) {
+    throw new Error('Only queries that return rows can be run against the fixtures');
+  }
+  const rows = statement.raw(true).all();
+  const columns = statement.columns().map((column, position) => ({
+    name: column.name,
+    type_name: getColumnType(column.type, rows.map(row => row[position])),
+    position,
+  }));
+  // JSON_ARRAY results hold every value as a string
+  const dataArray = rows.map(row => row.map(value => value === null ? null : String(value)));
+  return { columns, dataArray };
+};
+
+const createDevServer = (options = {}) => {
+  const { db, space, answers } = loadFixtures(options.fixturesDir || FIXTURES_DIR);
+  const thinkMs = options.thinkMs ?? THINK_MS;
+  const statementMs = options.statementMs ?? STATEMENT_MS;
+  const chunkRows = options.chunkRows ?? CHUNK_ROWS;
+  const warehouseStopped = options.warehouseStopped ?? WAREHOUSE_STOPPED;
+  const warehouse = { id: WAREHOUSE_ID, name: 'Local SQLite', state: warehouseStopped ? 'STOPPED' : 'RUNNING' };
+  const warehouseStoppedMessage = () => `SQL warehouse ${warehouse.id} is stopped. Start it to run queries.`;
+
+  const conversations = new Map();
+  const messages = new Map();
+  const statements = new Map();
+  let nextId = 1;
+  const createId = (prefix) => `${prefix}-${Date.now().toString(36)}-${nextId++}`;
+
+  // ---- SQL statements ----
+
+  // Run a statement - it finishes straight away unless DEV_SERVER_STATEMENT_MS makes it run longer
+  const executeStatement = (sql, rowLimit) => {
+    const statement = { id: createId('stmt'), sql, startedAt: Date.now(), state: 'RUNNING' };
+    try {
+      const { columns, dataArray } = runQuery(db, sql);
+      const limit = rowLimit > 0 ? rowLimit : dataArray.length;
+      statement.columns = columns;
+      statement.rows = dataArray.slice(0, limit);
+      statement.truncated = dataArray.length > limit;
+    } catch (error) {
+      statement.error = { error_code: 'BAD_REQUEST', message: error.message };
+    }
+    statements.set(statement.id, statement);
+    return statement;
+  };
+
+  // Current state of a statement - running ones finish once their time is up
+  const getStatementState = (statement) => {
+    if (statement.state === 'RUNNING' && Date.now() - statement.startedAt >= statementMs) {
+      statement.state = statement.error ? 'FAILED' : 'SUCCEEDED';
+    }
+    return statement.state;
+  };
+
+  const getChunkCount = (statement) => Math.max(1, Math.ceil(statement.rows.length / chunkRows));
+
+  // Chunk of a result - inline rows, or a link to download them for EXTERNAL_LINKS
+  const getChunk = (statement, chunkIndex, disposition, origin) => {
+    const rowOffset = chunkIndex * chunkRows;
+    const dataArray = statement.rows.slice(rowOffset, rowOffset + chunkRows);
+    const hasNext = chunkIndex + 1 < getChunkCount(statement);
+    const chunk = {
+      chunk_index: chunkIndex,
+      row_offset: rowOffset,
+      row_count: dataArray.length,
+      ...(hasNext && {
+        next_chunk_index: chunkIndex + 1,
+        next_chunk_internal_link: `/api/2.0/sql/statements/${statement.id}/result/chunks/${chunkIndex + 1}?disposition=${disposition}`,
+      }),
+    };
+    if (disposition !== 'EXTERNAL_LINKS') {
+      return { ...chunk, data_array: dataArray };
+    }
+    return {
+      external_links: [{
+        ...chunk,
+        external_link: `${origin}/external-results/${statement.id}/${chunkIndex}`,
+        expiration: new Date(Date.now() + 15 * 60 * 1000).toISOString(),
+      }],
+    };
+  };
+
+  // Statement response as the SQL statements API returns it
+  const getStatementResponse = (statement, disposition, origin) => {
+    const state = getStatementState(statement);
+    const response = { statement_id: statement.id, status: { state } };
+    if (state === 'FAILED') {
+      response.status.error = statement.error;
+    }
+    if (state !== 'SUCCEEDED') {
+      return response;
+    }
+    const chunkCount = getChunkCount(statement);
+    return {
+      ...response,
+      manifest: {
+        format: 'JSON_ARRAY',
+        schema: { column_count: statement.columns.length, columns: statement.columns },
+        total_row_count: statement.rows.length,
+        total_chunk_count: chunkCount,
+        truncated: statement.truncated,
+      },
+      result: getChunk(statement, 0, disposition, origin),
+    };
+  };
+
+  const getStatement = (statementId) => {
+    const statement = statements.get(statementId);
+    if (!statement) {
+      throw new ApiError(404, 'RESOURCE_DOES_NOT_EXIST', `Statement ${statementId} does not exist`);
+    }
+    return statement;
+  };
+
+  // ---- Genie ----
+
+  // Scripted answer for a question - every keyword has to appear in it
+  const findAnswer = (question) => {
+    const text = question.toLowerCase();
+    return answers.find(answer =>
+      answer.question.toLowerCase() === text.trim()
+        || (answer.keywords || []).length > 0 && answer.keywords.every(keyword => text.includes(keyword.toLowerCase()))
+    );
+  };
+
+  // Answer for a question that has no script - SQL runs as written, anything else gets the scripted questions
+  const getFallbackAnswer = (question) => {
+    if (/^\s*(select|with)\b/i.test(question)) {
+      return { title: 'Query', description: 'Your SQL, run as written.', sql: question.trim() };
+    }
+    return {
+      text: "The local dev server doesn't have a scripted answer for that. Try one of these questions.",
+      suggestedQuestions: answers.map(answer => answer.question),
+    };
+  };
+
+  const addMessage = (conversationId, content) => {
+    const message = {
+      id: createId('msg'),
+      conversationId,
+      content,
+      answer: findAnswer(content) || getFallbackAnswer(content),
+      createdAt: Date.now(),
+      status: 'SUBMITTED',
+      attachments: [],
+    };
+    messages.set(message.id, message);
+    conversations.get(conversationId).messageIds.push(message.id);
+    return message;
+  };
+
+  // Build the finished answer - the scripted SQL runs on the fixture database like Genie's would
+  const completeMessage = (message) => {
+    const { answer } = message;
+    if (answer.error) {
+      message.status = 'FAILED';
+      message.error = { error: answer.error, type: 'SCRIPTED_FAILURE' };
+      return;
+    }
+    if (answer.text) {
+      message.attachments.push({ attachment_id: createId('att'), text: { content: answer.text } });
+    }
+    if (answer.sql && warehouse.state !== 'RUNNING') {
+      message.status = 'FAILED';
+      message.error = { error: warehouseStoppedMessage(), type: 'WAREHOUSE_ACCESS_ERROR' };
+      return;
+    }
+    if (answer.sql) {
+      const statement = executeStatement(answer.sql, 0);
+      message.attachments.push({
+        attachment_id: createId('att'),
+        query: { title: answer.title, description: answer.description, query: answer.sql, statement_id: statement.id },
+      });
+    }
+    if (answer.suggestedQuestions?.length) {
+      message.attachments.push({
+        attachment_id: createId('att'),
+        suggested_questions: { questions: answer.suggestedQuestions },
+      });
+    }
+    message.status = 'COMPLETED';
+  };
+
+  // Move a message through Genie's statuses as time passes
+  const updateMessageStatus = (message) => {
+    if (message.status === 'COMPLETED' || message.status === 'FAILED') return;
+    const elapsed = Date.now() - message.createdAt;
+    if (elapsed >= thinkMs) {
+      completeMessage(message);
+    } else if (elapsed >= thinkMs / 2 && message.answer.sql) {
+      message.status = 'EXECUTING_QUERY';
+    } else {
+      message.status = 'ASKING_AI';
+    }
+  };
+
+  const serializeMessage = (message) => ({
+    id: message.id,
+    message_id: message.id,
+    conversation_id: message.conversationId,
+    space_id: space.space_id,
+    content: message.content,
+    status: message.status,
+    attachments: message.attachments,
+    ...(message.error && { error: message.error }),
+    created_timestamp: message.createdAt,
+    last_updated_timestamp: Date.now(),
+  });
+
+  const getMessage = (conversationId, messageId) => {
+    const message = messages.get(messageId);
+    if (!message || message.conversationId !== conversationId) {
+      throw new ApiError(404, 'RESOURCE_DOES_NOT_EXIST', `Message ${messageId} does not exist`);
+    }
+    updateMessageStatus(message);
+    return message;
+  };
+
+  // Query result of a message - its first query attachment, or the one asked for
+  const getQueryResult = (message, attachmentId, origin) => {
+    const attachment = message.attachments.find(item =>
+      item.query && (!attachmentId || item.attachment_id === attachmentId)
+    );
+    if (!attachment) {
+      throw new ApiError(404, 'RESOURCE_DOES_NOT_EXIST', 'The message has no query result');
+    }
+    const statement = getStatement(attachment.query.statement_id);
+    return { statement_response: getStatementResponse(statement, 'INLINE', origin) };
+  };
+
+  // ---- Routing ----
+
+  const routes = [
+    ['GET', /^\/api\/2\.0\/genie\/spaces$/, () => ({ spaces: [space] })],
+    ['GET', /^\/api\/2\.0\/sql\/warehouses$/, () => ({ warehouses: [warehouse] })],
+    ['POST', /^\/api\/2\.0\/sql\/warehouses\/([^/]+)\/start$/, () => {
+      warehouse.state = 'RUNNING';
+      return {};
+    }],
+
+    ['POST', /^\/api\/2\.0\/genie\/spaces\/([^/]+)\/start-conversation$/, ({ body }) => {
+      const conversation = { id: createId('conv'), messageIds: [] };
+      conversations.set(conversation.id, conversation);
+      const message = addMessage(conversation.id, body.content || '');
+      return {
+        conversation_id: conversation.id,
+        message_id: message.id,
+        conversation: { id: conversation.id, space_id: space.space_id, title: message.content },
+        message: serializeMessage(message),
+      };
+    }],
+    ['POST', /^\/api\/2\.0\/genie\/spaces\/[^/]+\/conversations\/([^/]+)\/messages$/, ({ body, params }) => {
+      if (!conversations.has(params[0])) {
+        throw new ApiError(404, 'RESOURCE_DOES_NOT_EXIST', `Conversation ${params[0]} does not exist`);
+      }
+      return serializeMessage(addMessage(params[0], body.content || ''));
+    }],
+    ['GET', /^\/api\/2\.0\/genie\/spaces\/[^/]+\/conversations\/([^/]+)\/messages\/([^/]+)$/, ({ params }) =>
+      serializeMessage(getMessage(params[0], params[1]))
+    ],
+    ['GET', /^\/api\/2\.0\/genie\/spaces\/[^/]+\/conversations\/([^/]+)\/messages\/([^/]+)\/query-result$/, ({ params, origin }) =>
+      getQueryResult(getMessage(params[0], params[1]), null, origin)
+    ],
+    ['GET', /^\/api\/2\.0\/genie\/spaces\/[^/]+\/conversations\/([^/]+)\/messages\/([^/]+)\/attachments\/([^/]+)\/query-result$/, ({ params, origin }) =>
+      getQueryResult(getMessage(params[0], params[1]), params[2], origin)
+    ],
+
+    ['POST', /^\/api\/2\.0\/sql\/statements\/?$/, ({ body, origin }) => {
+      if (!body.statement) {
+        throw new ApiError(400, 'INVALID_PARAMETER_VALUE', 'statement is required');
+      }
+      if (warehouse.state !== 'RUNNING') {
+        throw new ApiError(400, 'INVALID_STATE', warehouseStoppedMessage());
+      }
+      const statement = executeStatement(body.statement, Number(body.row_limit) || 0);
+      statement.disposition = body.disposition || 'INLINE';
+      return getStatementResponse(statement, statement.disposition, origin);
+    }],
+    ['GET', /^\/api\/2\.0\/sql\/statements\/([^/]+)$/, ({ params, origin }) => {
+      const statement = getStatement(params[0]);
+      return getStatementResponse(statement, statement.disposition || 'INLINE', origin);
+    }],
+    ['POST', /^\/api\/2\.0\/sql\/statements\/([^/]+)\/cancel$/, ({ params }) => {
+      const statement = getStatement(params[0]);
+      if (getStatementState(statement) === 'RUNNING') {
+        statement.state = 'CANCELED';
+      }
+      return {};
+    }],
+    ['GET', /^\/api\/2\.0\/sql\/statements\/([^/]+)\/result\/chunks\/(\d+)$/, ({ params, query, origin }) => {
+      const statement = getStatement(params[0]);
+      const chunkIndex = Number(params[1]);
+      if (getStatementState(statement) !== 'SUCCEEDED' || chunkIndex >= getChunkCount(statement)) {
+        throw new ApiError(404, 'RESOURCE_DOES_NOT_EXIST', `Chunk ${chunkIndex} does not exist`);
+      }
+      return getChunk(statement, chunkIndex, query.get('disposition') || 'INLINE', origin);
+    }],
+  ];
+
+  // Presigned result downloads - sent without the Authorization header, like cloud storage links
+  const externalResultRoute = /^\/external-results\/([^/]+)\/(\d+)$/;
+
+  const sendJson = (res, status, body) => {
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(body));
+  };
+
+  const readBody = (req) => new Promise((resolve, reject) => {
+    let data = '';
+    req.on('data', chunk => { data += chunk; });
+    req.on('end', () => {
+      try {
+        resolve(data ? JSON.parse(data) : {});
+      } catch (error) {
+        reject(new ApiError(400, 'MALFORMED_REQUEST', 'Request body is not valid JSON'));
+      }
+    });
+    req.on('error', reject);
+  });
+
+  // Check the bearer token the way the workspace does
+  const authorize = (req) => {
+    const match = (req.headers.authorization || '').match(/^Bearer (.+)$/);
+    if (!match) {
+      throw new ApiError(401, 'UNAUTHENTICATED', 'Credential was not sent or was of an unsupported type for this API.');
+    }
+    if (ACCESS_TOKEN && match[1] !== ACCESS_TOKEN) {
+      throw new ApiError(403, 'PERMISSION_DENIED', 'Invalid access token.');
+    }
+  };
+
+  const handleRequest = async (req, res) => {
+    const url = new URL(req.url, `http://${req.headers.host || 'localhost'}`);
+    const origin = `http://${req.headers.host || `localhost:${PORT}`}`;
+
+    // Allow the web build to call the server from the Expo dev server's origin
+    res.setHeader('Access-Control-Allow-Origin', '*');
+    res.setHeader('Access-Control-Allow-Headers', 'Authorization, Content-Type');
+    res.setHeader('Access-Control-Allow-Methods', 'GET, POST, HEAD, OPTIONS');
+    if (req.method === 'OPTIONS' || req.method === 'HEAD') {
+      res.writeHead(200);
+      res.end();
+      return;
+    }
+
+    try {
+      const externalMatch = req.method === 'GET' && url.pathname.match(externalResultRoute);
+      if (externalMatch) {
+        const statement = getStatement(externalMatch[1]);
+        const rowOffset = Number(externalMatch[2]) * chunkRows;
+        sendJson(res, 200, statement.rows.slice(rowOffset, rowOffset + chunkRows));
+        return;
+      }
+
+      for (const [method, pattern, handler] of routes) {
+        const match = req.method === method && url.pathname.match(pattern);
+        if (!match) continue;
+        authorize(req);
+        const body = method === 'POST' ? await readBody(req) : {};
+        sendJson(res, 200, await handler({ body, params: match.slice(1), query: url.searchParams, origin }));
+        return;
+      }
+
+      throw new ApiError(404, 'ENDPOINT_NOT_FOUND', `No API found for '${req.method} ${url.pathname}'`);
+    } catch (error) {
+      if (!(error instanceof ApiError)) {
+        console.error('Error handling request:', error);
+      }
+      const status = error instanceof ApiError ? error.status : 500;
+      sendJson(res, status, {
+        error_code: error instanceof ApiError ? error.errorCode : 'INTERNAL_ERROR',
+        message: error.message,
+      });
+    } finally {
+      console.log(`${req.method} ${url.pathname} ${res.statusCode}`);
+    }
+  };
+
+  return http.createServer((req, res) => {
+    handleRequest(req, res);
+  });
+};
+
+module.exports = { createDevServer };
+
+if (require.main === module) {
+  createDevServer().listen(PORT, () => {
+    console.log(`Genie dev server listening on http://localhost:${PORT}`);
+    console.log(`Set INSTANCE_URL=http://localhost:${PORT} in .env to use it`);
+    if (!ACCESS_TOKEN) {
+      console.log('Any API token is accepted - set DEV_SERVER_TOKEN to require one');
+    }
+  });
+}
@@ -0,0 +1,465 @@
+/**
+ * AlertRulesPanel.tsx
+ *
+ * Alert editor for a pinned result: lists its rules with a switch to pause
+ * each one, adds rules on the result's typed columns or its row count, and
+ * shows the most recent evaluations.
+ */
+
+import React, { useState } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  TouchableOpacity,
+  ScrollView,
+  Modal,
+  Switch,
+  TextInput,
+  ActivityIndicator
+} from 'react-native';
+import { ResultColumn } from './resultTypes';
+import {
+  ALERT_AGGREGATIONS,
+  ALERT_INTERVALS,
+  ALERT_OPERATORS,
+  AlertAggregation,
+  AlertCondition,
+  AlertEvaluation,
+  AlertOperator,
+  AlertRule,
+  describeAlertCondition,
+  getAlertColumns
+} from './alertRules';
+import { createAlertId } from './alertStore';
+
+interface AlertRulesPanelProps {
+  visible: boolean;
+  pinId: string;
+  pinTitle: string;
+  columns: ResultColumn[];
+  // Rules and evaluations for this pinned result
+  rules: AlertRule[];
+  history: AlertEvaluation[];
+  checking?: boolean;
+  onSaveRule: (rule: AlertRule) => void;
+  onDeleteRule: (id: string) => void;
+  onToggleRule: (id: string, enabled: boolean) => void;
+  onCheckNow: () => void;
+  onClose: () => void;
+}
+
+type ConditionType = AlertCondition['type'];
+
+const CONDITION_TYPES: { value: ConditionType; label: string }[] = [
+  { value: 'value', label: 'Column value' },
+  { value: 'rowCount', label: 'Row count' },
+  { value: 'rowCountChanged', label: 'Row count changes' },
+];
+
+// Most evaluations shown in the history
+const HISTORY_LIMIT = 20;
+
+const getIntervalLabel = (minutes: number): string =>
+  ALERT_INTERVALS.find(interval => interval.minutes === minutes)?.label || `Every ${minutes} min`;
+
+const formatCheckedAt = (timestamp: number): string => {
+  const date = new Date(timestamp);
+  const time = date.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+  return date.toDateString() === new Date().toDateString() ? time : `${date.toLocaleDateString()} ${time}`;
+};
+
+// A selectable option chip
+const Chip = ({ label, selected, onPress }: { label: string; selected: boolean; onPress: () => void }) => (
+  <TouchableOpacity style={[styles.chip, selected && styles.chipSelected]} onPress={onPress}>
+    <Text style={[styles.chipText, selected && styles.chipTextSelected]} numberOfLines={1}>{label}</Text>
+  </TouchableOpacity>
+);
+
+const AlertRulesPanel: React.FC<AlertRulesPanelProps> = ({
+  visible,
+  pinId,
+  pinTitle,
+  columns,
+  rules,
+  history,
+  checking = false,
+  onSaveRule,
+  onDeleteRule,
+  onToggleRule,
+  onCheckNow,
+  onClose
+}) => {
+  const numericColumns = getAlertColumns(columns);
+  const [conditionType, setConditionType] = useState<ConditionType>(numericColumns.length > 0 ? 'value' : 'rowCountChanged');
+  const [column, setColumn] = useState<string | null>(numericColumns[0]?.name ?? null);
+  const [aggregation, setAggregation] = useState<AlertAggregation>('first');
+  const [operator, setOperator] = useState<AlertOperator>('>');
+  const [threshold, setThreshold] = useState('');
+  const [intervalMinutes, setIntervalMinutes] = useState(ALERT_INTERVALS[1].minutes);
+
+  const thresholdValue = parseFloat(threshold);
+  const hasThreshold = threshold.trim() !== '' && !isNaN(thresholdValue);
+  // Columns a saved rule refers to may be gone from a fresh result, so check against the current ones
+  const selectedColumn = numericColumns.some(item => item.name === column) ? column : numericColumns[0]?.name ?? null;
+
+  const buildCondition = (): AlertCondition | null => {
+    switch (conditionType) {
+      case 'value':
+        return selectedColumn && hasThreshold
+          ? { type: 'value', column: selectedColumn, aggregation, operator, threshold: thresholdValue }
+          : null;
+      case 'rowCount':
+        return hasThreshold ? { type: 'rowCount', operator, threshold: thresholdValue } : null;
+      default:
+        return { type: 'rowCountChanged' };
+    }
+  };
+  const condition = buildCondition();
+
+  const handleAdd = () => {
+    if (!condition) return;
+    onSaveRule({
+      id: createAlertId(),
+      pinId,
+      condition,
+      intervalMinutes,
+      enabled: true,
+      createdAt: Date.now(),
+    });
+    setThreshold('');
+  };
+
+  const recentHistory = history.slice(0, HISTORY_LIMIT);
+
+  return (
+    <Modal visible={visible} transparent={true} animationType="fade" onRequestClose={onClose}>
+      <View style={styles.backdrop}>
+        <View style={styles.panel}>
+          <Text style={styles.title}>Alerts</Text>
+          <Text style={styles.subtitle} numberOfLines={1}>{pinTitle}</Text>
+
+          <ScrollView style={styles.content}>
+            <Text style={styles.sectionTitle}>Rules</Text>
+            {rules.length === 0 ? (
+              <Text style={styles.emptyText}>No alerts yet - add one below</Text>
+            ) : (
+              rules.map(rule => (
+                <View key={rule.id} style={styles.ruleRow}>
+                  <View style={styles.ruleInfo}>
+                    <Text style={styles.ruleText}>{describeAlertCondition(rule.condition)}</Text>
+                    <Text style={styles.ruleMeta}>
+                      {getIntervalLabel(rule.intervalMinutes)}
+                      {rule.lastCheckedAt ? ` · Checked ${formatCheckedAt(rule.lastCheckedAt)}` : ' · Not checked yet'}
+                      {rule.lastTriggered ? ' · Met' : ''}
+                    </Text>
+                  </View>
+                  <Switch
+                    value={rule.enabled}
+                    onValueChange={(enabled) => onToggleRule(rule.id, enabled)}
+                    trackColor={{ true: '#4ae383', false: '#ddd' }}
+                  />
+                  <TouchableOpacity onPress={() => onDeleteRule(rule.id)} style={styles.deleteButton}>
+                    <Text style={styles.deleteText}>Remove</Text>
+                  </TouchableOpacity>
+                </View>
+              ))
+            )}
+
+            <Text style={styles.sectionTitle}>New alert</Text>
+            <View style={styles.chipRow}>
+              {CONDITION_TYPES.map(option => (
+                // Value conditions need a numeric column
+                option.value === 'value' && numericColumns.length === 0 ? null : (
+                  <Chip
+                    key={option.value}
+                    label={option.label}
+                    selected={conditionType === option.value}
+                    onPress={() => setConditionType(option.value)}
+                  />
+                )
+              ))}
+            </View>
+
+            {conditionType === 'value' && (
+              <>
+                <Text style={styles.fieldLabel}>Column</Text>
+                <View style={styles.chipRow}>
+                  {numericColumns.map(item => (
+                    <Chip
+                      key={item.name}
+                      label={item.name}
+                      selected={selectedColumn === item.name}
+                      onPress={() => setColumn(item.name)}
+                    />
+                  ))}
+                </View>
+                <Text style={styles.fieldLabel}>Value</Text>
+                <View style={styles.chipRow}>
+                  {ALERT_AGGREGATIONS.map(option => (
+                    <Chip
+                      key={option.value}
+                      label={option.label}
+                      selected={aggregation === option.value}
+                      onPress={() => setAggregation(option.value)}
+                    />
+                  ))}
+                </View>
+              </>
+            )}
+
+            {conditionType !== 'rowCountChanged' && (
+              <>
+                <Text style={styles.fieldLabel}>Condition</Text>
+                <View style={styles.thresholdRow}>
+                  <View style={[styles.chipRow, styles.operatorRow]}>
+                    {ALERT_OPERATORS.map(option => (
+                      <Chip key={option} label={option} selected={operator === option} onPress={() => setOperator(option)} />
+                    ))}
+                  </View>
+                  <TextInput
+                    style={styles.thresholdInput}
+                    value={threshold}
+                    onChangeText={setThreshold}
+                    placeholder="Threshold"
+                    keyboardType="numeric"
+                  />
+                </View>
+              </>
+            )}
+
+            <Text style={styles.fieldLabel}>Check</Text>
+            <View style={styles.chipRow}>
+              {ALERT_INTERVALS.map(interval => (
+                <Chip
+                  key={interval.minutes}
+                  label={interval.label}
+                  selected={intervalMinutes === interval.minutes}
+                  onPress={() => setIntervalMinutes(interval.minutes)}
+                />
+              ))}
+            </View>
+
+            <TouchableOpacity
+              style={[styles.button, styles.applyButton, styles.addButton, !condition && styles.buttonDisabled]}
+              onPress={handleAdd}
+              disabled={!condition}
+            >
+              <Text style={[styles.buttonText, styles.applyButtonText]}>
+                {condition ? `Add "${describeAlertCondition(condition)}"` : 'Add alert'}
+              </Text>
+            </TouchableOpacity>
+
+            <Text style={styles.sectionTitle}>History</Text>
+            {recentHistory.length === 0 ? (
+              <Text style={styles.emptyText}>No checks yet</Text>
+            ) : (
+              recentHistory.map(evaluation => (
+                <View key={evaluation.id} style={styles.historyRow}>
+                  <View style={[
+                    styles.historyDot,
+                    evaluation.error ? styles.historyDotError : evaluation.triggered && styles.historyDotTriggered
+                  ]} />
+                  <View style={styles.ruleInfo}>
+                    <Text style={styles.historyText}>{evaluation.error || evaluation.message}</Text>
+                    <Text style={styles.ruleMeta}>{formatCheckedAt(evaluation.checkedAt)}</Text>
+                  </View>
+                </View>
+              ))
+            )}
+          </ScrollView>
+
+          <View style={styles.actions}>
+            {checking && <ActivityIndicator size="small" color="#4ae383" />}
+            <TouchableOpacity
+              style={[styles.button, rules.length === 0 && styles.buttonDisabled]}
+              onPress={onCheckNow}
+              disabled={checking || rules.length === 0}
+            >
+              <Text style={styles.buttonText}>Check now</Text>
+            </TouchableOpacity>
+            <TouchableOpacity style={[styles.button, styles.applyButton]} onPress={onClose}>
+              <Text style={[styles.buttonText, styles.applyButtonText]}>Done</Text>
+            </TouchableOpacity>
+          </View>
+        </View>
+      </View>
+    </Modal>
+  );
+};
+
+const styles = StyleSheet.create({
+  backdrop: {
+    flex: 1,
+    backgroundColor: 'rgba(0, 0, 0, 0.3)',
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  panel: {
+    width: 480,
+    maxWidth: '90%',
+    maxHeight: '85%',
+    backgroundColor: 'white',
+    borderRadius: 12,
+    padding: 20,
+  },
+  title: {
+    fontSize: 18,
+    fontWeight: '600',
+    color: '#333',
+  },
+  subtitle: {
+    fontSize: 13,
+    color: '#999',
+    marginTop: 2,
+    marginBottom: 8,
+  },
+  content: {
+    flexGrow: 0,
+  },
+  sectionTitle: {
+    fontSize: 13,
+    fontWeight: '600',
+    color: '#666',
+    marginTop: 12,
+    marginBottom: 6,
+  },
+  fieldLabel: {
+    fontSize: 12,
+    color: '#999',
+    marginTop: 6,
+    marginBottom: 4,
+  },
+  emptyText: {
+    color: '#999',
+    fontStyle: 'italic',
+    fontSize: 13,
+  },
+  ruleRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingVertical: 6,
+    borderBottomWidth: 1,
+    borderBottomColor: '#f0f0f0',
+  },
+  ruleInfo: {
+    flex: 1,
+  },
+  ruleText: {
+    fontSize: 14,
+    color: '#333',
+  },
+  ruleMeta: {
+    fontSize: 12,
+    color: '#999',
+    marginTop: 2,
+  },
+  deleteButton: {
+    marginLeft: 8,
+  },
+  deleteText: {
+    color: '#e74c3c',
+    fontSize: 13,
+  },
+  chipRow: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+  },
+  chip: {
+    paddingHorizontal: 12,
+    paddingVertical: 6,
+    borderRadius: 16,
+    borderWidth: 1,
+    borderColor: '#ddd',
+    backgroundColor: '#f8f9fa',
+    marginRight: 6,
+    marginBottom: 6,
+    maxWidth: 200,
+  },
+  chipSelected: {
+    backgroundColor: '#4ae383',
+    borderColor: '#4ae383',
+  },
+  chipText: {
+    color: '#333',
+    fontSize: 13,
+  },
+  chipTextSelected: {
+    color: 'white',
+    fontWeight: 'bold',
+  },
+  thresholdRow: {
+    flexDirection: 'row',
+    alignItems: 'flex-start',
+  },
+  operatorRow: {
+    flex: 1,
+  },
+  thresholdInput: {
+    width: 100,
+    borderWidth: 1,
+    borderColor: '#ddd',
+    borderRadius: 6,
+    paddingHorizontal: 10,
+    paddingVertical: 6,
+    fontSize: 14,
+    color: '#333',
+  },
+  historyRow: {
+    flexDirection: 'row',
+    alignItems: 'flex-start',
+    paddingVertical: 4,
+  },
+  historyDot: {
+    width: 8,
+    height: 8,
+    borderRadius: 4,
+    backgroundColor: '#ccc',
+    marginTop: 5,
+    marginRight: 8,
+  },
+  historyDotTriggered: {
+    backgroundColor: '#4ae383',
+  },
+  historyDotError: {
+    backgroundColor: '#e74c3c',
+  },
+  historyText: {
+    fontSize: 13,
+    color: '#333',
+  },
+  actions: {
+    flexDirection: 'row',
+    justifyContent: 'flex-end',
+    alignItems: 'center',
+    marginTop: 16,
+  },
+  button: {
+    paddingHorizontal: 14,
+    paddingVertical: 8,
+    borderRadius: 6,
+    backgroundColor: '#f0f0f0',
+    marginLeft: 8,
+  },
+  buttonDisabled: {
+    opacity: 0.5,
+  },
+  buttonText: {
+    color: '#666',
+    fontWeight: '500',
+  },
+  applyButton: {
+    backgroundColor: '#4ae383',
+  },
+  applyButtonText: {
+    color: 'white',
+    fontWeight: 'bold',
+  },
+  addButton: {
+    alignSelf: 'flex-start',
+    marginLeft: 0,
+    marginTop: 8,
+  },
+});
+
+export default AlertRulesPanel;
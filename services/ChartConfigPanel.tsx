@@ -0,0 +1,308 @@
+/**
+ * ChartConfigPanel.tsx
+ *
+ * Chart builder modal: pick the X column, one or more Y series, the
+ * aggregation, the sort order and how many groups to chart. Stacked bar
+ * charts can also be broken down by a text column, and date or timestamp
+ * X axes can be bucketed into hours, days, weeks or months.
+ */
+
+import React, { useState } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  TouchableOpacity,
+  ScrollView,
+  Modal
+} from 'react-native';
+import { ResultColumn, isNumericColumn, isTemporalColumn } from './resultTypes';
+import {
+  AGGREGATIONS,
+  Aggregation,
+  ChartConfig,
+  ChartSortBy,
+  TOP_N_OPTIONS,
+  getDefaultChartConfig
+} from './chartConfig';
+import { GRANULARITY_LABELS, TIME_GRANULARITIES } from './timeSeries';
+
+interface ChartConfigPanelProps {
+  visible: boolean;
+  columns: ResultColumn[];
+  config: ChartConfig;
+  onApply: (config: ChartConfig) => void;
+  onClose: () => void;
+}
+
+const AGGREGATION_LABELS: Record<Aggregation, string> = {
+  sum: 'Sum',
+  avg: 'Average',
+  count: 'Count',
+  min: 'Min',
+  max: 'Max',
+};
+
+const SORT_OPTIONS: { value: ChartSortBy; label: string }[] = [
+  { value: 'none', label: 'Result order' },
+  { value: 'x', label: 'X axis' },
+  { value: 'value', label: 'First series' },
+];
+
+// A selectable option chip
+const Chip = ({ label, selected, onPress }: { label: string; selected: boolean; onPress: () => void }) => (
+  <TouchableOpacity style={[styles.chip, selected && styles.chipSelected]} onPress={onPress}>
+    <Text style={[styles.chipText, selected && styles.chipTextSelected]} numberOfLines={1}>{label}</Text>
+  </TouchableOpacity>
+);
+
+const ChartConfigPanel: React.FC<ChartConfigPanelProps> = ({ visible, columns, config, onApply, onClose }) => {
+  const [draft, setDraft] = useState<ChartConfig>(config);
+
+  const update = (changes: Partial<ChartConfig>) => setDraft(prev => ({ ...prev, ...changes }));
+
+  // Count works on any column, the other aggregations need numbers
+  const numericColumns = columns.filter(isNumericColumn);
+  const seriesColumns = draft.aggregation === 'count' || numericColumns.length === 0 ? columns : numericColumns;
+  // Text columns other than the X axis can be stacked
+  const stackColumns = columns.filter(column => !isNumericColumn(column) && column.name !== draft.xColumn);
+  // Time axes are always chronological and have their own bucketing options
+  const isTimeAxis = isTemporalColumn(columns.find(column => column.name === draft.xColumn));
+
+  const toggleSeries = (name: string) => {
+    const selected = draft.yColumns.includes(name);
+    // Keep at least one series
+    if (selected && draft.yColumns.length === 1) return;
+    update({ yColumns: selected ? draft.yColumns.filter(item => item !== name) : [...draft.yColumns, name] });
+  };
+
+  return (
+    <Modal visible={visible} transparent={true} animationType="fade" onRequestClose={onClose}>
+      <View style={styles.backdrop}>
+        <View style={styles.panel}>
+          <Text style={styles.title}>Configure Chart</Text>
+
+          <ScrollView style={styles.content}>
+            <Text style={styles.sectionTitle}>X axis</Text>
+            <View style={styles.chipRow}>
+              {columns.map(column => (
+                <Chip
+                  key={column.name}
+                  label={column.name}
+                  selected={draft.xColumn === column.name}
+                  onPress={() => update({
+                    xColumn: column.name,
+                    stackColumn: draft.stackColumn === column.name ? null : draft.stackColumn
+                  })}
+                />
+              ))}
+            </View>
+
+            <Text style={styles.sectionTitle}>Series</Text>
+            <View style={styles.chipRow}>
+              {seriesColumns.map(column => (
+                <Chip
+                  key={column.name}
+                  label={column.name}
+                  selected={draft.yColumns.includes(column.name)}
+                  onPress={() => toggleSeries(column.name)}
+                />
+              ))}
+            </View>
+
+            <Text style={styles.sectionTitle}>Aggregation</Text>
+            <View style={styles.chipRow}>
+              {AGGREGATIONS.map(aggregation => (
+                <Chip
+                  key={aggregation}
+                  label={AGGREGATION_LABELS[aggregation]}
+                  selected={draft.aggregation === aggregation}
+                  onPress={() => {
+                    // Drop text series when switching away from count
+                    const yColumns = aggregation === 'count' || numericColumns.length === 0
+                      ? draft.yColumns
+                      : draft.yColumns.filter(name => numericColumns.some(column => column.name === name));
+                    update({
+                      aggregation,
+                      yColumns: yColumns.length > 0 ? yColumns : getDefaultChartConfig(columns).yColumns
+                    });
+                  }}
+                />
+              ))}
+            </View>
+
+            {stackColumns.length > 0 && (
+              <>
+                <Text style={styles.sectionTitle}>Stack by (stacked bar)</Text>
+                <View style={styles.chipRow}>
+                  <Chip label="Auto" selected={!draft.stackColumn} onPress={() => update({ stackColumn: null })} />
+                  {stackColumns.map(column => (
+                    <Chip
+                      key={column.name}
+                      label={column.name}
+                      selected={draft.stackColumn === column.name}
+                      onPress={() => update({ stackColumn: column.name })}
+                    />
+                  ))}
+                </View>
+              </>
+            )}
+
+            {isTimeAxis ? (
+              <>
+                <Text style={styles.sectionTitle}>Time buckets</Text>
+                <View style={styles.chipRow}>
+                  <Chip label="Auto" selected={!draft.timeBucket} onPress={() => update({ timeBucket: null })} />
+                  {TIME_GRANULARITIES.map(granularity => (
+                    <Chip
+                      key={granularity}
+                      label={GRANULARITY_LABELS[granularity]}
+                      selected={draft.timeBucket === granularity}
+                      onPress={() => update({ timeBucket: granularity })}
+                    />
+                  ))}
+                </View>
+
+                <Text style={styles.sectionTitle}>Missing periods</Text>
+                <View style={styles.chipRow}>
+                  <Chip label="Fill with 0" selected={draft.gapMode !== 'mark'} onPress={() => update({ gapMode: 'zero' })} />
+                  <Chip label="Interpolate and mark" selected={draft.gapMode === 'mark'} onPress={() => update({ gapMode: 'mark' })} />
+                </View>
+              </>
+            ) : (
+              <>
+                <Text style={styles.sectionTitle}>Sort by</Text>
+                <View style={styles.chipRow}>
+                  {SORT_OPTIONS.map(option => (
+                    <Chip
+                      key={option.value}
+                      label={option.label}
+                      selected={draft.sortBy === option.value}
+                      onPress={() => update({ sortBy: option.value })}
+                    />
+                  ))}
+                </View>
+                {draft.sortBy !== 'none' && (
+                  <View style={styles.chipRow}>
+                    <Chip label="Ascending" selected={draft.sortDirection === 'asc'} onPress={() => update({ sortDirection: 'asc' })} />
+                    <Chip label="Descending" selected={draft.sortDirection === 'desc'} onPress={() => update({ sortDirection: 'desc' })} />
+                  </View>
+                )}
+              </>
+            )}
+
+            <Text style={styles.sectionTitle}>Show</Text>
+            <View style={styles.chipRow}>
+              {TOP_N_OPTIONS.map(limit => (
+                <Chip
+                  key={limit}
+                  label={isTimeAxis ? `Latest ${limit}` : `Top ${limit}`}
+                  selected={draft.limit === limit}
+                  onPress={() => update({ limit })}
+                />
+              ))}
+              <Chip label="All rows" selected={draft.limit === null} onPress={() => update({ limit: null })} />
+            </View>
+          </ScrollView>
+
+          <View style={styles.actions}>
+            <TouchableOpacity style={styles.button} onPress={() => setDraft(getDefaultChartConfig(columns))}>
+              <Text style={styles.buttonText}>Reset</Text>
+            </TouchableOpacity>
+            <TouchableOpacity style={styles.button} onPress={onClose}>
+              <Text style={styles.buttonText}>Cancel</Text>
+            </TouchableOpacity>
+            <TouchableOpacity style={[styles.button, styles.applyButton]} onPress={() => onApply(draft)}>
+              <Text style={[styles.buttonText, styles.applyButtonText]}>Apply</Text>
+            </TouchableOpacity>
+          </View>
+        </View>
+      </View>
+    </Modal>
+  );
+};
+
+const styles = StyleSheet.create({
+  backdrop: {
+    flex: 1,
+    backgroundColor: 'rgba(0, 0, 0, 0.3)',
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  panel: {
+    width: 480,
+    maxWidth: '90%',
+    maxHeight: '85%',
+    backgroundColor: 'white',
+    borderRadius: 12,
+    padding: 20,
+  },
+  title: {
+    fontSize: 18,
+    fontWeight: '600',
+    color: '#333',
+    marginBottom: 8,
+  },
+  content: {
+    flexGrow: 0,
+  },
+  sectionTitle: {
+    fontSize: 13,
+    fontWeight: '600',
+    color: '#666',
+    marginTop: 12,
+    marginBottom: 6,
+  },
+  chipRow: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+  },
+  chip: {
+    paddingHorizontal: 12,
+    paddingVertical: 6,
+    borderRadius: 16,
+    borderWidth: 1,
+    borderColor: '#ddd',
+    backgroundColor: '#f8f9fa',
+    marginRight: 6,
+    marginBottom: 6,
+    maxWidth: 200,
+  },
+  chipSelected: {
+    backgroundColor: '#4ae383',
+    borderColor: '#4ae383',
+  },
+  chipText: {
+    color: '#333',
+    fontSize: 13,
+  },
+  chipTextSelected: {
+    color: 'white',
+    fontWeight: 'bold',
+  },
+  actions: {
+    flexDirection: 'row',
+    justifyContent: 'flex-end',
+    marginTop: 16,
+  },
+  button: {
+    paddingHorizontal: 14,
+    paddingVertical: 8,
+    borderRadius: 6,
+    backgroundColor: '#f0f0f0',
+    marginLeft: 8,
+  },
+  buttonText: {
+    color: '#666',
+    fontWeight: '500',
+  },
+  applyButton: {
+    backgroundColor: '#4ae383',
+  },
+  applyButtonText: {
+    color: 'white',
+    fontWeight: 'bold',
+  },
+});
+
+export default ChartConfigPanel;
@@ -0,0 +1,277 @@
+/**
+ * ColumnFilterPanel.tsx
+ *
+ * Modal for filtering a single result column:
+ * - Text and boolean columns get a searchable list of values to pick from
+ * - Numeric and date columns get a min/max range
+ */
+
+import React, { useState, useMemo } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  TextInput,
+  TouchableOpacity,
+  FlatList,
+  Modal
+} from 'react-native';
+import { CellValue, ResultColumn, isTemporalColumn, formatTemporalISO } from './resultTypes';
+import { ColumnFilter, getDistinctValues, usesRangeFilter } from './tableQuery';
+
+interface ColumnFilterPanelProps {
+  visible: boolean;
+  column?: ResultColumn;
+  columnIndex: number;
+  rows: CellValue[][];
+  filter?: ColumnFilter;
+  onApply: (filter: ColumnFilter | null) => void;
+  onClose: () => void;
+}
+
+// Show a range bound in the input's format - dates as YYYY-MM-DD
+const formatBound = (value: number | undefined, column?: ResultColumn): string => {
+  if (value === undefined) return '';
+  return column && isTemporalColumn(column) ? formatTemporalISO(value, column.kind) : String(value);
+};
+
+// Parse a range bound typed by the user - undefined when empty or invalid
+const parseBound = (text: string, column?: ResultColumn): number | undefined => {
+  const trimmed = text.trim();
+  if (!trimmed) return undefined;
+  if (column && isTemporalColumn(column)) {
+    const time = Date.parse(/^\d{4}-\d{2}-\d{2}$/.test(trimmed) ? `${trimmed}T00:00:00Z` : trimmed);
+    return isNaN(time) ? undefined : time;
+  }
+  const numeric = Number(trimmed);
+  return isNaN(numeric) ? undefined : numeric;
+};
+
+const ColumnFilterPanel: React.FC<ColumnFilterPanelProps> = ({
+  visible,
+  column,
+  columnIndex,
+  rows,
+  filter,
+  onApply,
+  onClose
+}) => {
+  const isRange = usesRangeFilter(column);
+  const [minText, setMinText] = useState(filter?.type === 'range' ? formatBound(filter.min, column) : '');
+  const [maxText, setMaxText] = useState(filter?.type === 'range' ? formatBound(filter.max, column) : '');
+  const [selectedValues, setSelectedValues] = useState<string[]>(filter?.type === 'values' ? filter.values : []);
+  const [valueSearch, setValueSearch] = useState('');
+
+  // Distinct values are only needed for value list filters
+  const distinct = useMemo(
+    () => (isRange ? { values: [], truncated: false } : getDistinctValues(rows, columnIndex, column)),
+    [rows, columnIndex, column, isRange]
+  );
+  const visibleValues = valueSearch.trim()
+    ? distinct.values.filter(value => value.toLowerCase().includes(valueSearch.trim().toLowerCase()))
+    : distinct.values;
+
+  const toggleValue = (value: string) => {
+    setSelectedValues(prev => prev.includes(value) ? prev.filter(item => item !== value) : [...prev, value]);
+  };
+
+  const handleApply = () => {
+    if (isRange) {
+      const min = parseBound(minText, column);
+      const max = parseBound(maxText, column);
+      onApply(min === undefined && max === undefined ? null : { type: 'range', min, max });
+    } else {
+      onApply(selectedValues.length > 0 ? { type: 'values', values: selectedValues } : null);
+    }
+  };
+
+  const rangePlaceholder = column && isTemporalColumn(column) ? 'YYYY-MM-DD' : 'Number';
+
+  return (
+    <Modal visible={visible} transparent={true} animationType="fade" onRequestClose={onClose}>
+      <View style={styles.backdrop}>
+        <View style={styles.panel}>
+          <Text style={styles.title}>Filter {column?.name || 'column'}</Text>
+
+          {isRange ? (
+            <View style={styles.rangeRow}>
+              <View style={styles.rangeField}>
+                <Text style={styles.label}>Min</Text>
+                <TextInput
+                  style={styles.input}
+                  value={minText}
+                  onChangeText={setMinText}
+                  placeholder={rangePlaceholder}
+                  placeholderTextColor="#aaa"
+                  autoCapitalize="none"
+                  keyboardType={column && isTemporalColumn(column) ? 'default' : 'numeric'}
+                />
+              </View>
+              <View style={styles.rangeField}>
+                <Text style={styles.label}>Max</Text>
+                <TextInput
+                  style={styles.input}
+                  value={maxText}
+                  onChangeText={setMaxText}
+                  placeholder={rangePlaceholder}
+                  placeholderTextColor="#aaa"
+                  autoCapitalize="none"
+                  keyboardType={column && isTemporalColumn(column) ? 'default' : 'numeric'}
+                />
+              </View>
+            </View>
+          ) : (
+            <View>
+              <TextInput
+                style={styles.input}
+                value={valueSearch}
+                onChangeText={setValueSearch}
+                placeholder="Search values"
+                placeholderTextColor="#aaa"
+                autoCapitalize="none"
+              />
+              <FlatList
+                style={styles.valueList}
+                data={visibleValues}
+                keyExtractor={item => item}
+                extraData={selectedValues}
+                renderItem={({ item }) => {
+                  const isSelected = selectedValues.includes(item);
+                  return (
+                    <TouchableOpacity style={styles.valueRow} onPress={() => toggleValue(item)}>
+                      <View style={[styles.checkbox, isSelected && styles.checkboxSelected]}>
+                        {isSelected && <Text style={styles.checkmark}>✓</Text>}
+                      </View>
+                      <Text style={styles.valueText} numberOfLines={1}>{item}</Text>
+                    </TouchableOpacity>
+                  );
+                }}
+              />
+              {distinct.truncated && (
+                <Text style={styles.note}>Showing the first {distinct.values.length} distinct values</Text>
+              )}
+            </View>
+          )}
+
+          <View style={styles.actions}>
+            <TouchableOpacity style={styles.button} onPress={() => onApply(null)}>
+              <Text style={styles.buttonText}>Clear</Text>
+            </TouchableOpacity>
+            <TouchableOpacity style={styles.button} onPress={onClose}>
+              <Text style={styles.buttonText}>Cancel</Text>
+            </TouchableOpacity>
+            <TouchableOpacity style={[styles.button, styles.applyButton]} onPress={handleApply}>
+              <Text style={[styles.buttonText, styles.applyButtonText]}>Apply</Text>
+            </TouchableOpacity>
+          </View>
+        </View>
+      </View>
+    </Modal>
+  );
+};
+
+const styles = StyleSheet.create({
+  backdrop: {
+    flex: 1,
+    backgroundColor: 'rgba(0, 0, 0, 0.3)',
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  panel: {
+    width: 420,
+    maxWidth: '90%',
+    backgroundColor: 'white',
+    borderRadius: 12,
+    padding: 20,
+  },
+  title: {
+    fontSize: 18,
+    fontWeight: '600',
+    color: '#333',
+    marginBottom: 12,
+  },
+  rangeRow: {
+    flexDirection: 'row',
+  },
+  rangeField: {
+    flex: 1,
+    marginRight: 8,
+  },
+  label: {
+    fontSize: 12,
+    color: '#666',
+    marginBottom: 4,
+  },
+  input: {
+    backgroundColor: '#f0f0f0',
+    borderRadius: 6,
+    paddingHorizontal: 10,
+    paddingVertical: 8,
+    fontSize: 14,
+    color: '#333',
+  },
+  valueList: {
+    maxHeight: 300,
+    marginTop: 8,
+  },
+  valueRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingVertical: 6,
+  },
+  checkbox: {
+    width: 18,
+    height: 18,
+    borderRadius: 4,
+    borderWidth: 2,
+    borderColor: '#bbb',
+    marginRight: 10,
+    alignItems: 'center',
+    justifyContent: 'center',
+  },
+  checkboxSelected: {
+    borderColor: '#4ae383',
+    backgroundColor: '#4ae383',
+  },
+  checkmark: {
+    color: 'white',
+    fontSize: 11,
+    fontWeight: 'bold',
+  },
+  valueText: {
+    flex: 1,
+    fontSize: 14,
+    color: '#333',
+  },
+  note: {
+    fontSize: 12,
+    color: '#888',
+    fontStyle: 'italic',
+    marginTop: 6,
+  },
+  actions: {
+    flexDirection: 'row',
+    justifyContent: 'flex-end',
+    marginTop: 16,
+  },
+  button: {
+    paddingHorizontal: 14,
+    paddingVertical: 8,
+    borderRadius: 6,
+    backgroundColor: '#f0f0f0',
+    marginLeft: 8,
+  },
+  buttonText: {
+    color: '#666',
+    fontWeight: '500',
+  },
+  applyButton: {
+    backgroundColor: '#4ae383',
+  },
+  applyButtonText: {
+    color: 'white',
+    fontWeight: 'bold',
+  },
+});
+
+export default ColumnFilterPanel;
@@ -0,0 +1,55 @@
+/**
+ * ConnectivityContext.tsx
+ *
+ * Tracks whether the Databricks host can be reached by checking it
+ * periodically. Components use it to queue questions and to mark results
+ * that are shown from the local cache as stale.
+ */
+
+import React, { createContext, useContext, useEffect, useState, useCallback } from 'react';
+import { useGenieApi } from './GenieClientContext';
+
+// How often the host is checked while it's reachable, and while it isn't
+const ONLINE_CHECK_INTERVAL = 30000;
+const OFFLINE_CHECK_INTERVAL = 10000;
+
+interface ConnectivityContextValue {
+  isOnline: boolean;
+  // Check the host right away
+  checkConnectivity: () => Promise<boolean>;
+}
+
+// Without a provider the app is assumed to be online
+const ConnectivityContext = createContext<ConnectivityContextValue>({
+  isOnline: true,
+  checkConnectivity: async () => true,
+});
+
+export const ConnectivityProvider = ({ children }: { children: React.ReactNode }) => {
+  const { checkDatabricksReachable } = useGenieApi();
+  const [isOnline, setIsOnline] = useState(true);
+
+  const checkConnectivity = useCallback(async () => {
+    const reachable = await checkDatabricksReachable();
+    if (!reachable) {
+      console.log('Databricks host is unreachable');
+    }
+    setIsOnline(reachable);
+    return reachable;
+  }, [checkDatabricksReachable]);
+
+  // Check more often while offline so queued questions go out soon after the connection returns
+  useEffect(() => {
+    checkConnectivity();
+    const intervalId = setInterval(checkConnectivity, isOnline ? ONLINE_CHECK_INTERVAL : OFFLINE_CHECK_INTERVAL);
+    return () => clearInterval(intervalId);
+  }, [isOnline, checkConnectivity]);
+
+  return (
+    <ConnectivityContext.Provider value={{ isOnline, checkConnectivity }}>
+      {children}
+    </ConnectivityContext.Provider>
+  );
+};
+
+export const useConnectivity = () => useContext(ConnectivityContext);
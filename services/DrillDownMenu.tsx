@@ -0,0 +1,173 @@
+/**
+ * DrillDownMenu.tsx
+ *
+ * Context menu for a value picked from a chart or a table row. Each action
+ * asks Genie a follow-up question about the value, so exploring a result
+ * doesn't mean retyping it.
+ */
+
+import React, { useState } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  TouchableOpacity,
+  Modal
+} from 'react-native';
+import { ResultColumn } from './resultTypes';
+import {
+  DRILL_DOWN_ACTIONS,
+  DrillDownAction,
+  DrillDownTarget,
+  buildDrillDownQuestion,
+  getBreakdownColumns
+} from './drillDown';
+
+interface DrillDownMenuProps {
+  visible: boolean;
+  target: DrillDownTarget;
+  columns: ResultColumn[];
+  onAsk: (question: string) => void;
+  onClose: () => void;
+}
+
+const DrillDownMenu: React.FC<DrillDownMenuProps> = ({ visible, target, columns, onAsk, onClose }) => {
+  // Breakdowns first ask which column to break down by
+  const [choosingBreakdown, setChoosingBreakdown] = useState(false);
+  const breakdownColumns = getBreakdownColumns(columns, target);
+
+  const ask = (action: DrillDownAction, breakdownColumn?: string) => {
+    onAsk(buildDrillDownQuestion(action, target, breakdownColumn));
+    onClose();
+  };
+
+  return (
+    <Modal visible={visible} transparent={true} animationType="fade" onRequestClose={onClose}>
+      <View style={styles.backdrop}>
+        <View style={styles.panel}>
+          <Text style={styles.title} numberOfLines={2}>{target.column}: {target.value}</Text>
+          {target.measure && target.measureValue && (
+            <Text style={styles.subtitle} numberOfLines={1}>{target.measure}: {target.measureValue}</Text>
+          )}
+
+          {choosingBreakdown ? (
+            <>
+              <Text style={styles.sectionTitle}>Break down by</Text>
+              <View style={styles.chipRow}>
+                {breakdownColumns.map(column => (
+                  <TouchableOpacity key={column.name} style={styles.chip} onPress={() => ask('breakdown', column.name)}>
+                    <Text style={styles.chipText} numberOfLines={1}>{column.name}</Text>
+                  </TouchableOpacity>
+                ))}
+                <TouchableOpacity style={styles.chip} onPress={() => ask('breakdown')}>
+                  <Text style={styles.chipText}>Let Genie choose</Text>
+                </TouchableOpacity>
+              </View>
+            </>
+          ) : (
+            DRILL_DOWN_ACTIONS.map(({ action, label }) => (
+              <TouchableOpacity
+                key={action}
+                style={styles.actionRow}
+                onPress={() => action === 'breakdown' ? setChoosingBreakdown(true) : ask(action)}
+              >
+                <Text style={styles.actionText}>{label}</Text>
+              </TouchableOpacity>
+            ))
+          )}
+
+          <View style={styles.actions}>
+            {choosingBreakdown && (
+              <TouchableOpacity style={styles.button} onPress={() => setChoosingBreakdown(false)}>
+                <Text style={styles.buttonText}>Back</Text>
+              </TouchableOpacity>
+            )}
+            <TouchableOpacity style={styles.button} onPress={onClose}>
+              <Text style={styles.buttonText}>Cancel</Text>
+            </TouchableOpacity>
+          </View>
+        </View>
+      </View>
+    </Modal>
+  );
+};
+
+const styles = StyleSheet.create({
+  backdrop: {
+    flex: 1,
+    backgroundColor: 'rgba(0, 0, 0, 0.3)',
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  panel: {
+    width: 380,
+    maxWidth: '90%',
+    backgroundColor: 'white',
+    borderRadius: 12,
+    padding: 20,
+  },
+  title: {
+    fontSize: 18,
+    fontWeight: '600',
+    color: '#333',
+  },
+  subtitle: {
+    fontSize: 13,
+    color: '#666',
+    marginTop: 2,
+  },
+  sectionTitle: {
+    fontSize: 13,
+    fontWeight: '600',
+    color: '#666',
+    marginTop: 12,
+    marginBottom: 6,
+  },
+  actionRow: {
+    paddingVertical: 12,
+    borderBottomWidth: 1,
+    borderBottomColor: '#eee',
+  },
+  actionText: {
+    fontSize: 15,
+    color: '#2a9d5c',
+    fontWeight: '500',
+  },
+  chipRow: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+  },
+  chip: {
+    paddingHorizontal: 12,
+    paddingVertical: 6,
+    borderRadius: 16,
+    borderWidth: 1,
+    borderColor: '#ddd',
+    backgroundColor: '#f8f9fa',
+    marginRight: 6,
+    marginBottom: 6,
+    maxWidth: 200,
+  },
+  chipText: {
+    color: '#333',
+    fontSize: 13,
+  },
+  actions: {
+    flexDirection: 'row',
+    justifyContent: 'flex-end',
+    marginTop: 16,
+  },
+  button: {
+    paddingHorizontal: 14,
+    paddingVertical: 8,
+    borderRadius: 6,
+    backgroundColor: '#f0f0f0',
+    marginLeft: 8,
+  },
+  buttonText: {
+    color: '#666',
+    fontWeight: '500',
+  },
+});
+
+export default DrillDownMenu;
@@ -0,0 +1,36 @@
+/**
+ * GenieClientContext.tsx
+ *
+ * Provides the GenieClient the hooks send their requests through. The app
+ * uses the workspace over HTTP; tests and demo mode provide the in-memory
+ * mock from mockGenieClient.ts instead.
+ */
+
+import React, { createContext, useContext, useMemo } from 'react';
+import { GenieClient, httpGenieClient } from './genieClient';
+import { GenieApi, GenieApiOptions, createGenieApi, genieApi } from './genieApi';
+
+// Without a provider requests go to the workspace in .env
+const GenieClientContext = createContext<GenieApi>(genieApi);
+
+interface GenieClientProviderProps {
+  client: GenieClient;
+  options?: GenieApiOptions;
+  children: React.ReactNode;
+}
+
+export const GenieClientProvider = ({ client, options, children }: GenieClientProviderProps) => {
+  const api = useMemo(
+    () => client === httpGenieClient && !options ? genieApi : createGenieApi(client, options),
+    [client, options]
+  );
+
+  return (
+    <GenieClientContext.Provider value={api}>
+      {children}
+    </GenieClientContext.Provider>
+  );
+};
+
+// API functions bound to the provided client
+export const useGenieApi = () => useContext(GenieClientContext);
@@ -0,0 +1,289 @@
+/**
+ * InteractiveChart.tsx
+ *
+ * Gesture layer for the category and time charts in SQLResultChart:
+ * - Tap a point or bar to see a tooltip with its full label and values, and tap
+ *   it again to act on it (for example to drill down)
+ * - Pinch to zoom the X range, and pan with two fingers to move it
+ * - Long-press and drag to select a range of points (brushing)
+ * The wrapped chart is re-rendered for the visible range only, so zooming in
+ * also spreads out labels that overlap at full range.
+ */
+
+import React, { useState, useRef, useEffect } from 'react';
+import { View, Text, StyleSheet, TouchableOpacity } from 'react-native';
+import { Gesture, GestureDetector } from 'react-native-gesture-handler';
+
+export interface ChartTooltip {
+  title: string;
+  values: { name: string; value: string; color: string }[];
+}
+
+export interface IndexRange {
+  start: number;
+  // Exclusive
+  end: number;
+}
+
+interface InteractiveChartProps {
+  pointCount: number;
+  // Width of the chart drawing
+  width: number;
+  // Left edge of the plot area inside the chart (room for the Y axis labels)
+  plotOffset?: number;
+  // Width of the plot area - the rest of the chart right of plotOffset by default
+  plotWidth?: number;
+  // Space between the left edge of the wrapper and the chart drawing (padding and border)
+  frameInset?: number;
+  // Bars fill a slot from its left edge; line points sit on the slot edge
+  barLayout?: boolean;
+  getTooltip: (index: number) => ChartTooltip;
+  // Tapping a point whose tooltip is open
+  onPointPress?: (index: number) => void;
+  renderChart: (range: IndexRange) => React.ReactNode;
+  // Highlighted selection, in point indexes
+  selection?: IndexRange | null;
+  onSelectRange?: (range: IndexRange) => void;
+}
+
+// Fewest points a zoomed chart shows
+const MIN_VISIBLE_POINTS = 3;
+
+// react-native-chart-kit draws its Y axis labels in the first 64 points of the chart
+const DEFAULT_PLOT_OFFSET = 64;
+
+const clamp = (value: number, min: number, max: number) => Math.min(max, Math.max(min, value));
+
+const InteractiveChart: React.FC<InteractiveChartProps> = ({
+  pointCount,
+  width,
+  plotOffset = DEFAULT_PLOT_OFFSET,
+  plotWidth: plotWidthProp,
+  frameInset = 0,
+  barLayout = false,
+  getTooltip,
+  onPointPress,
+  renderChart,
+  selection,
+  onSelectRange
+}) => {
+  const [range, setRange] = useState<IndexRange>({ start: 0, end: pointCount });
+  const [tooltip, setTooltip] = useState<{ index: number; x: number } | null>(null);
+  // Range being dragged out, before it's committed
+  const [brush, setBrush] = useState<{ from: number; to: number } | null>(null);
+  // Range and focal point when a pinch or pan started
+  const gestureStartRef = useRef<{ range: IndexRange; focalIndex: number }>({ range, focalIndex: 0 });
+
+  // New data resets the zoom
+  useEffect(() => {
+    setRange({ start: 0, end: pointCount });
+    setTooltip(null);
+  }, [pointCount]);
+
+  const visibleCount = Math.max(1, range.end - range.start);
+  const plotWidth = Math.max(1, plotWidthProp ?? width - plotOffset);
+  const slotWidth = plotWidth / visibleCount;
+
+  // Get the index of the point under an x position
+  const indexAt = (x: number) => {
+    const slot = (x - frameInset - plotOffset) / slotWidth;
+    return range.start + clamp(barLayout ? Math.floor(slot) : Math.round(slot), 0, visibleCount - 1);
+  };
+
+  // Get the x position of the left edge of a point's slot
+  const slotLeft = (index: number) =>
+    frameInset + plotOffset + (index - range.start) * slotWidth - (barLayout ? 0 : slotWidth / 2);
+
+  const zoomTo = (start: number, count: number) => {
+    const nextCount = clamp(Math.round(count), Math.min(MIN_VISIBLE_POINTS, pointCount), pointCount);
+    const nextStart = clamp(Math.round(start), 0, pointCount - nextCount);
+    setRange({ start: nextStart, end: nextStart + nextCount });
+  };
+
+  const tap = Gesture.Tap()
+    .runOnJS(true)
+    .onEnd(event => {
+      const index = indexAt(event.x);
+      if (tooltip && tooltip.index === index) {
+        setTooltip(null);
+        onPointPress?.(index);
+      } else {
+        setTooltip({ index, x: event.x });
+      }
+    });
+
+  const pinch = Gesture.Pinch()
+    .runOnJS(true)
+    .onStart(event => {
+      gestureStartRef.current = { range, focalIndex: indexAt(event.focalX) };
+      setTooltip(null);
+    })
+    .onUpdate(event => {
+      const { range: startRange, focalIndex } = gestureStartRef.current;
+      const count = (startRange.end - startRange.start) / event.scale;
+      // Keep the point under the fingers in place while zooming
+      const focalFraction = clamp((event.focalX - frameInset - plotOffset) / plotWidth, 0, 1);
+      zoomTo(focalIndex - focalFraction * count, count);
+    });
+
+  const pan = Gesture.Pan()
+    .minPointers(2)
+    .runOnJS(true)
+    .onStart(() => {
+      gestureStartRef.current = { range, focalIndex: 0 };
+    })
+    .onUpdate(event => {
+      const { range: startRange } = gestureStartRef.current;
+      const count = startRange.end - startRange.start;
+      zoomTo(startRange.start - event.translationX / (plotWidth / count), count);
+    });
+
+  const brushGesture = Gesture.Pan()
+    .maxPointers(1)
+    .activateAfterLongPress(300)
+    .runOnJS(true)
+    .onStart(event => {
+      const index = indexAt(event.x);
+      setTooltip(null);
+      setBrush({ from: index, to: index });
+    })
+    .onUpdate(event => {
+      setBrush(prev => (prev ? { ...prev, to: indexAt(event.x) } : prev));
+    })
+    .onEnd(() => {
+      setBrush(prev => {
+        if (prev && onSelectRange) {
+          onSelectRange({ start: Math.min(prev.from, prev.to), end: Math.max(prev.from, prev.to) + 1 });
+        }
+        return null;
+      });
+    });
+
+  const gesture = Gesture.Race(Gesture.Simultaneous(pinch, pan), brushGesture, tap);
+
+  // Draw a highlighted range over the chart, clipped to the visible window
+  const renderHighlight = (from: number, to: number, style: object) => {
+    const start = Math.max(from, range.start);
+    const end = Math.min(to, range.end);
+    if (end <= start) return null;
+    return (
+      <View
+        pointerEvents="none"
+        style={[styles.highlight, style, { left: slotLeft(start), width: (end - start) * slotWidth }]}
+      />
+    );
+  };
+
+  const tooltipContent = tooltip && tooltip.index < pointCount ? getTooltip(tooltip.index) : null;
+  const isZoomed = range.start > 0 || range.end < pointCount;
+
+  return (
+    <View>
+      <GestureDetector gesture={gesture}>
+        <View collapsable={false}>
+          {renderChart(range)}
+
+          {selection && renderHighlight(selection.start, selection.end, styles.selection)}
+          {brush && renderHighlight(Math.min(brush.from, brush.to), Math.max(brush.from, brush.to) + 1, styles.brush)}
+
+          {tooltipContent && (
+            <View
+              pointerEvents="none"
+              style={[styles.tooltip, { left: clamp(tooltip!.x - 90, 0, Math.max(0, width + frameInset - 180)) }]}
+            >
+              <Text style={styles.tooltipTitle}>{tooltipContent.title}</Text>
+              {tooltipContent.values.map(item => (
+                <View key={item.name} style={styles.tooltipRow}>
+                  <View style={[styles.tooltipSwatch, { backgroundColor: item.color }]} />
+                  <Text style={styles.tooltipText} numberOfLines={1}>{item.name}: {item.value}</Text>
+                </View>
+              ))}
+              {onPointPress && <Text style={styles.tooltipHint}>Tap again to explore</Text>}
+            </View>
+          )}
+        </View>
+      </GestureDetector>
+
+      <View style={styles.footer}>
+        <Text style={styles.hintText}>
+          {isZoomed
+            ? `Showing ${range.start + 1}–${range.end} of ${pointCount}`
+            : 'Tap for details · pinch to zoom · long-press and drag to select'}
+        </Text>
+        {isZoomed && (
+          <TouchableOpacity onPress={() => setRange({ start: 0, end: pointCount })}>
+            <Text style={styles.resetText}>Reset zoom</Text>
+          </TouchableOpacity>
+        )}
+      </View>
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  highlight: {
+    position: 'absolute',
+    top: 0,
+    bottom: 0,
+  },
+  selection: {
+    backgroundColor: 'rgba(74, 227, 131, 0.15)',
+    borderLeftWidth: 1,
+    borderRightWidth: 1,
+    borderColor: '#4ae383',
+  },
+  brush: {
+    backgroundColor: 'rgba(52, 152, 219, 0.2)',
+  },
+  tooltip: {
+    position: 'absolute',
+    top: 8,
+    width: 180,
+    padding: 8,
+    borderRadius: 6,
+    backgroundColor: 'rgba(51, 51, 51, 0.92)',
+  },
+  tooltipTitle: {
+    color: 'white',
+    fontWeight: 'bold',
+    marginBottom: 4,
+  },
+  tooltipRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+  },
+  tooltipSwatch: {
+    width: 8,
+    height: 8,
+    borderRadius: 4,
+    marginRight: 6,
+  },
+  tooltipText: {
+    flex: 1,
+    color: 'white',
+    fontSize: 12,
+  },
+  tooltipHint: {
+    color: '#ccc',
+    fontSize: 11,
+    fontStyle: 'italic',
+    marginTop: 4,
+  },
+  footer: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    marginTop: 2,
+  },
+  hintText: {
+    fontSize: 12,
+    color: '#888',
+  },
+  resetText: {
+    fontSize: 12,
+    color: '#2a9d5c',
+    fontWeight: '600',
+  },
+});
+
+export default InteractiveChart;
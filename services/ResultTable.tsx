@@ -0,0 +1,294 @@
+/**
+ * ResultTable.tsx
+ *
+ * Virtualized table for query results:
+ * - Rows are rendered by a FlatList, so only the rows near the viewport exist
+ *   at any time, even for 10,000-row results
+ * - The header row stays at the top and the first column stays at the left
+ *   while the table is scrolled
+ * - Column widths are measured from the header and cell text
+ */
+
+import React, { useRef, useCallback } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  FlatList,
+  Animated,
+  TouchableOpacity,
+  ActivityIndicator,
+  ListRenderItemInfo
+} from 'react-native';
+import { CellValue, ResultColumn, isNumericColumn, formatCellValue } from './resultTypes';
+import { ColumnFilters, SortState, isFilterActive } from './tableQuery';
+
+interface ResultTableProps {
+  columns: ResultColumn[];
+  rows: CellValue[][];
+  columnWidths: number[];
+  maxHeight: number;
+  sort: SortState | null;
+  filters: ColumnFilters;
+  onSortColumn: (columnIndex: number) => void;
+  onFilterColumn: (columnIndex: number) => void;
+  // Tapping a row - rows aren't touchable without it
+  onRowPress?: (row: CellValue[]) => void;
+  // Footer shown when further result chunks can be loaded
+  hasMoreRows?: boolean;
+  loadingMore?: boolean;
+  onLoadMore?: () => void;
+  // Load the next chunk automatically when the end of the list is reached
+  autoLoadMore?: boolean;
+  emptyText?: string;
+}
+
+// Every row has the same height so the list can skip measuring rows
+const ROW_HEIGHT = 40;
+
+// Rows measured when sizing columns - enough to be representative without
+// walking the whole result
+const MEASURE_SAMPLE_ROWS = 200;
+
+// Approximate character width of the cell font, plus cell padding
+const CHAR_WIDTH = 7.5;
+const CELL_PADDING = 20;
+// Room for the sort indicator and filter button in header cells
+const HEADER_EXTRA_WIDTH = 36;
+const MIN_COLUMN_WIDTH = 80;
+const MAX_COLUMN_WIDTH = 320;
+
+// Measure column widths from the header and a sample of the formatted cells
+export const measureColumnWidths = (columns: ResultColumn[], rows: CellValue[][]): number[] => {
+  const sample = rows.length > MEASURE_SAMPLE_ROWS ? rows.slice(0, MEASURE_SAMPLE_ROWS) : rows;
+  return columns.map((column, index) => {
+    let longest = 0;
+    for (const row of sample) {
+      const length = formatCellValue(row[index], column).length;
+      if (length > longest) longest = length;
+    }
+    const cellWidth = longest * CHAR_WIDTH + CELL_PADDING;
+    const headerWidth = column.name.length * CHAR_WIDTH + CELL_PADDING + HEADER_EXTRA_WIDTH;
+    return Math.round(Math.min(MAX_COLUMN_WIDTH, Math.max(MIN_COLUMN_WIDTH, cellWidth, headerWidth)));
+  });
+};
+
+const ResultTable: React.FC<ResultTableProps> = ({
+  columns,
+  rows,
+  columnWidths,
+  maxHeight,
+  sort,
+  filters,
+  onSortColumn,
+  onFilterColumn,
+  onRowPress,
+  hasMoreRows = false,
+  loadingMore = false,
+  onLoadMore,
+  autoLoadMore = true,
+  emptyText = 'No rows'
+}) => {
+  // Horizontal scroll offset - the first column is shifted by it so it stays in place
+  const scrollX = useRef(new Animated.Value(0)).current;
+  const handleHorizontalScroll = useRef(Animated.event(
+    [{ nativeEvent: { contentOffset: { x: scrollX } } }],
+    { useNativeDriver: true }
+  )).current;
+  // Ignore overscroll bounce so the frozen column doesn't drift right
+  const frozenOffset = scrollX.interpolate({
+    inputRange: [0, 1],
+    outputRange: [0, 1],
+    extrapolateLeft: 'clamp'
+  });
+
+  const totalWidth = columnWidths.reduce((sum, width) => sum + width, 0);
+
+  const renderCell = (cell: CellValue, columnIndex: number) => (
+    <View style={[styles.tableCell, { width: columnWidths[columnIndex] }]}>
+      <Text
+        style={[styles.cellText, isNumericColumn(columns[columnIndex]) && styles.numericCellText]}
+        numberOfLines={1}
+        ellipsizeMode="tail"
+      >
+        {formatCellValue(cell, columns[columnIndex])}
+      </Text>
+    </View>
+  );
+
+  const renderRow = useCallback(({ item }: ListRenderItemInfo<CellValue[]>) => (
+    <TouchableOpacity
+      style={styles.tableRow}
+      onPress={onRowPress ? () => onRowPress(item) : undefined}
+      disabled={!onRowPress}
+      activeOpacity={0.6}
+    >
+      <Animated.View style={[styles.frozenCell, { transform: [{ translateX: frozenOffset }] }]}>
+        {renderCell(item[0], 0)}
+      </Animated.View>
+      {item.slice(1).map((cell, index) => (
+        <React.Fragment key={index + 1}>{renderCell(cell, index + 1)}</React.Fragment>
+      ))}
+    </TouchableOpacity>
+  ), [columns, columnWidths, frozenOffset, onRowPress]);
+
+  const getItemLayout = useCallback((_: any, index: number) => (
+    { length: ROW_HEIGHT, offset: ROW_HEIGHT * index, index }
+  ), []);
+
+  const renderHeaderCell = (column: ResultColumn, index: number) => {
+    const sortIndicator = sort?.columnIndex === index ? (sort.direction === 'asc' ? ' ▲' : ' ▼') : '';
+    const hasFilter = isFilterActive(filters[index]);
+    return (
+      <View style={[styles.headerCell, { width: columnWidths[index] }]}>
+        <TouchableOpacity style={styles.headerLabel} onPress={() => onSortColumn(index)}>
+          <Text style={styles.headerText} numberOfLines={1} ellipsizeMode="tail">
+            {column.name}{sortIndicator}
+          </Text>
+        </TouchableOpacity>
+        <TouchableOpacity style={styles.filterButton} onPress={() => onFilterColumn(index)}>
+          <Text style={[styles.filterIcon, hasFilter && styles.filterIconActive]}>▾</Text>
+        </TouchableOpacity>
+      </View>
+    );
+  };
+
+  const renderFooter = () => (
+    hasMoreRows && onLoadMore ? (
+      <TouchableOpacity style={styles.loadMoreRow} onPress={onLoadMore} disabled={loadingMore}>
+        <Animated.View style={{ transform: [{ translateX: frozenOffset }] }}>
+          {loadingMore ? (
+            <ActivityIndicator size="small" color="#4ae383" />
+          ) : (
+            <Text style={styles.loadMoreText}>Load more rows</Text>
+          )}
+        </Animated.View>
+      </TouchableOpacity>
+    ) : null
+  );
+
+  return (
+    <View style={styles.tableWrapper}>
+      {/* Horizontal scrolling for wide tables - the header and the row list scroll together */}
+      <Animated.ScrollView
+        horizontal={true}
+        onScroll={handleHorizontalScroll}
+        scrollEventThrottle={16}
+      >
+        <View style={{ width: totalWidth }}>
+          {/* Header Row - outside the list so it stays visible */}
+          <View style={styles.tableRow}>
+            <Animated.View style={[styles.frozenCell, { transform: [{ translateX: frozenOffset }] }]}>
+              {renderHeaderCell(columns[0], 0)}
+            </Animated.View>
+            {columns.slice(1).map((column, index) => (
+              <React.Fragment key={`header-${index + 1}`}>{renderHeaderCell(column, index + 1)}</React.Fragment>
+            ))}
+          </View>
+
+          {/* Vertical scrolling for many rows - only rows near the viewport are mounted */}
+          <FlatList
+            style={{ maxHeight }}
+            data={rows}
+            renderItem={renderRow}
+            keyExtractor={(_, index) => String(index)}
+            getItemLayout={getItemLayout}
+            initialNumToRender={20}
+            maxToRenderPerBatch={20}
+            windowSize={5}
+            removeClippedSubviews={true}
+            onEndReached={autoLoadMore && hasMoreRows && !loadingMore ? onLoadMore : undefined}
+            onEndReachedThreshold={0.5}
+            ListEmptyComponent={
+              <Animated.View style={{ transform: [{ translateX: frozenOffset }] }}>
+                <Text style={styles.emptyText}>{emptyText}</Text>
+              </Animated.View>
+            }
+            ListFooterComponent={renderFooter()}
+          />
+        </View>
+      </Animated.ScrollView>
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  tableWrapper: {
+    borderWidth: 1,
+    borderColor: '#ddd',
+    borderRadius: 4,
+    overflow: 'hidden',
+  },
+  tableRow: {
+    flexDirection: 'row',
+    height: ROW_HEIGHT,
+    borderBottomWidth: 1,
+    borderBottomColor: '#ddd',
+  },
+  // Drawn above the cells scrolling underneath it
+  frozenCell: {
+    zIndex: 1,
+    elevation: 2,
+    borderRightWidth: 1,
+    borderRightColor: '#bbb',
+  },
+  headerCell: {
+    height: '100%',
+    paddingHorizontal: 10,
+    backgroundColor: '#4ae383',
+    flexDirection: 'row',
+    alignItems: 'center',
+    borderRightWidth: 1,
+    borderRightColor: '#3ad372',
+  },
+  headerLabel: {
+    flex: 1,
+  },
+  headerText: {
+    color: 'white',
+    fontWeight: 'bold',
+    textAlign: 'left',
+  },
+  filterButton: {
+    paddingLeft: 6,
+  },
+  filterIcon: {
+    color: 'rgba(255, 255, 255, 0.6)',
+    fontSize: 14,
+  },
+  filterIconActive: {
+    color: 'white',
+    fontWeight: 'bold',
+  },
+  tableCell: {
+    height: '100%',
+    paddingHorizontal: 10,
+    justifyContent: 'center',
+    borderRightWidth: 1,
+    borderRightColor: '#ddd',
+    backgroundColor: 'white',
+  },
+  cellText: {
+    color: '#333',
+    textAlign: 'left',
+  },
+  numericCellText: {
+    textAlign: 'right',
+  },
+  loadMoreRow: {
+    padding: 12,
+    alignItems: 'flex-start',
+    backgroundColor: 'white',
+  },
+  loadMoreText: {
+    color: '#2a9d5c',
+    fontWeight: '600',
+  },
+  emptyText: {
+    padding: 12,
+    color: '#666',
+    fontStyle: 'italic',
+  },
+});
+
+export default ResultTable;
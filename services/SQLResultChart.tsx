@@ -2,34 +2,193 @@
  * SQLResultChart.tsx
  * 
  * A component for visualizing SQL query results with multiple view options:
- * - Table view: Shows data in a tabular format with scrollable rows and columns
+ * - Table view: Shows data in a virtualized table with a frozen header and first column,
+ *   sortable by tapping a header, with a search box and per-column filters
  * - Bar chart: Displays data as a bar chart for comparing values
- * - Line chart: Shows data as a line chart for trend analysis
+ * - Stacked bar chart: Breaks each bar down by series or by a text column
+ * - Line and area charts: Show data as lines for trend analysis
+ * - Pie chart: Shows each group's share of the total
+ * - Scatter plot: Plots two numeric columns against each other
+ * - KPI cards: Show the values of a single-row result
  * 
- * The component automatically selects appropriate columns for labels and values,
- * and provides a toggle interface to switch between visualization types.
+ * Each result opens on a visualization recommended from its shape, with a short
+ * note explaining the choice. Charts are drawn from a chart builder configuration (X column, series,
+ * aggregation, sort and top-N) that defaults to the first text column for labels
+ * and the first numeric column for values. A toggle switches between visualization types.
+ *
+ * Bar, line, area and stacked bar charts are interactive: tap for a tooltip, pinch to
+ * zoom, and long-press and drag to select a range, which filters the table to its rows.
+ * Tapping a chart point again, or a table row, opens a menu of follow-up questions
+ * about its value.
  */
 
-import React, { useState } from 'react';
-import { View, Text, StyleSheet, ScrollView, Dimensions, TouchableOpacity } from 'react-native';
-import { BarChart, LineChart } from 'react-native-chart-kit';
+import React, { useState, useMemo, useDeferredValue } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  Dimensions,
+  TouchableOpacity,
+  ActivityIndicator,
+  Alert,
+  TextInput
+} from 'react-native';
+import { BarChart, LineChart, PieChart, StackedBarChart } from 'react-native-chart-kit';
+import type { ExportFormat } from './resultExport';
+import {
+  CellValue,
+  ResultColumn,
+  getResultColumns
+} from './resultTypes';
+import {
+  ColumnFilter,
+  ColumnFilters,
+  SortState,
+  applyTableQuery,
+  getNextSort,
+  isFilterActive
+} from './tableQuery';
+import ColumnFilterPanel from './ColumnFilterPanel';
+import ResultTable, { measureColumnWidths } from './ResultTable';
+import { ChartConfig, resolveChartConfig, buildChartSeries } from './chartConfig';
+import ChartConfigPanel from './ChartConfigPanel';
+import ScatterPlot from './ScatterPlot';
+import InteractiveChart, { ChartTooltip, IndexRange } from './InteractiveChart';
+import DrillDownMenu from './DrillDownMenu';
+import { DrillDownTarget, getRowDrillDownTarget } from './drillDown';
+import { recommendVisualization } from './chartRecommender';
+import { useConnectivity } from './ConnectivityContext';
+import {
+  GRANULARITY_LABELS,
+  TimeGranularity,
+  addPeriod,
+  buildTimeSeries,
+  isTimeAxis,
+  thinTickLabels
+} from './timeSeries';
+import {
+  VisualizationType,
+  VISUALIZATION_LABELS,
+  getAvailableVisualizations,
+  buildPieSlices,
+  buildStackedSeries,
+  buildScatterPoints,
+  buildKPIValues
+} from './visualizations';
 
 interface SQLResultChartProps {
   data: {
+    // Typed columns from the manifest schema (older saved results only have columnNames)
+    columns?: ResultColumn[];
     columnNames: string[];
-    rows: any[][];
+    rows: CellValue[][];
     rowCount: number;
     totalRowCount?: number;
+    // Link to the next chunk of rows when the result has more than were loaded
+    nextChunkLink?: string | null;
+    // When the rows were fetched (missing on results saved before it was recorded)
+    fetchedAt?: number;
+    // Set when the result came from the local cache because the host couldn't be reached
+    staleAsOf?: number;
   } | null;
   error?: string;
+  // Fetch the next chunk of rows - called as the table is scrolled to the bottom
+  onLoadMore?: () => Promise<void> | void;
+  // Export the full result - the Export button is hidden without it
+  onExport?: (format: ExportFormat) => Promise<void>;
+  // Saved chart builder configuration - kept locally when onChartConfigChange isn't given
+  savedChartConfig?: ChartConfig | null;
+  onChartConfigChange?: (config: ChartConfig) => void;
+  // Ask a follow-up question in the same conversation - drill-down menus are hidden without it
+  onFollowUp?: (question: string) => void;
+  // Pin the result with its current visualization - the Pin button is hidden without it
+  onPin?: (view: { visualizationType: VisualizationType; chartConfig: ChartConfig }) => void;
+  // Visualization to open on instead of the recommended one
+  savedVisualizationType?: VisualizationType | null;
+  // Width available to the result - the window width by default
+  width?: number;
 }
 
-// Visualization types for toggle
-type VisualizationType = 'table' | 'bar' | 'line';
+// Colors for each chart series, starting with the header color
+const SERIES_COLORS = ['74, 227, 131', '52, 152, 219', '231, 76, 60', '155, 89, 182', '243, 156, 18', '26, 188, 156'];
 
-const SQLResultChart: React.FC<SQLResultChartProps> = ({ data, error }) => {
+const getSeriesColor = (index: number) => (opacity = 1) =>
+  `rgba(${SERIES_COLORS[index % SERIES_COLORS.length]}, ${opacity})`;
+
+// Solid series colors for charts that take color strings rather than functions
+const getSeriesColorString = (index: number) => getSeriesColor(index)(1);
+
+// Truncate a label to fit under a chart
+const truncateLabel = (label: string, length: number) =>
+  label.length > length ? label.substring(0, length) + '...' : label;
+
+// Format when a stale result was fetched
+const formatStaleAsOf = (timestamp: number) => {
+  const date = new Date(timestamp);
+  const time = date.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+  return date.toDateString() === new Date().toDateString() ? time : `${date.toLocaleDateString()} ${time}`;
+};
+
+// Outside a chart drawing, from the padding and border of styles.chartStyle
+const CHART_FRAME_INSET = 11;
+
+// Stacked bar charts with a legend start their bars at 70 and scale them by 0.7 to make room for it
+const STACKED_PLOT_OFFSET = 70 * 0.7;
+const getStackedPlotWidth = (width: number) => (width - 70) * 0.7;
+
+const SQLResultChart: React.FC<SQLResultChartProps> = ({
+  data,
+  error,
+  onLoadMore,
+  onExport,
+  savedChartConfig,
+  onChartConfigChange,
+  onFollowUp,
+  onPin,
+  savedVisualizationType,
+  width
+}) => {
   // State to track the current visualization type
-  const [visualizationType, setVisualizationType] = useState<VisualizationType>('table');
+  // Null until the user picks a type - the recommended one is shown until then
+  const [visualizationType, setVisualizationType] = useState<VisualizationType | null>(null);
+  const [loadingMore, setLoadingMore] = useState(false);
+  const [exporting, setExporting] = useState(false);
+  const [searchText, setSearchText] = useState('');
+  const [filters, setFilters] = useState<ColumnFilters>({});
+  const [sort, setSort] = useState<SortState | null>(null);
+  // Column whose filter panel is open
+  const [filterColumnIndex, setFilterColumnIndex] = useState<number | null>(null);
+  const [localChartConfig, setLocalChartConfig] = useState<ChartConfig | null>(null);
+  const [showChartConfig, setShowChartConfig] = useState(false);
+  // Range brushed on a chart, with its first and last labels to tell whether it still applies
+  const [brushSelection, setBrushSelection] = useState<{
+    range: IndexRange;
+    firstLabel: string;
+    lastLabel: string;
+    columnIndex: number;
+    filter: ColumnFilter;
+  } | null>(null);
+  // Value whose drill-down menu is open
+  const [drillDownTarget, setDrillDownTarget] = useState<DrillDownTarget | null>(null);
+  const { isOnline } = useConnectivity();
+
+  // Filtering large results on every keystroke would make typing lag, so
+  // search with a deferred copy of the text that React can update later
+  const deferredSearch = useDeferredValue(searchText);
+  const columns = useMemo(() => getResultColumns(data), [data]);
+  const rows = data?.rows;
+  const filteredRows = useMemo(
+    () => (rows ? applyTableQuery(rows, columns, { search: deferredSearch, filters, sort }) : []),
+    [rows, columns, deferredSearch, filters, sort]
+  );
+  // Recommended from the first rows loaded - later chunks don't change the default
+  // so the view doesn't switch while the user is scrolling
+  const recommendation = useMemo(
+    () => (rows && rows.length > 0 ? recommendVisualization(columns, rows) : null),
+    [columns]
+  );
+  // Measured from the unfiltered rows so columns don't resize while filtering
+  const columnWidths = useMemo(() => (rows ? measureColumnWidths(columns, rows) : []), [columns, rows]);
 
   if (error) {
     return (
@@ -47,102 +206,144 @@ const SQLResultChart: React.FC<SQLResultChartProps> = ({ data, error }) => {
     );
   }
 
-  // Calculate consistent column width based on number of columns
-  const columnCount = data.columnNames.length;
-  const columnWidth = Math.max(120, Math.min(200, 900 / columnCount));
-  
   // Get window dimensions for responsive height calculation
   const windowHeight = Dimensions.get('window').height;
-  const windowWidth = Dimensions.get('window').width;
+  const windowWidth = width ?? Dimensions.get('window').width;
   // Calculate a reasonable max height for the table - either 60% of window height or 500px max
   const tableMaxHeight = Math.min(windowHeight * 0.6, 500);
 
+  const hasMoreRows = !!(data.nextChunkLink && onLoadMore);
+  
+  // Load the next chunk of rows, ignoring requests while one is in flight
+  const handleLoadMore = async () => {
+    if (!hasMoreRows || loadingMore || !onLoadMore) return;
+    setLoadingMore(true);
+    try {
+      await onLoadMore();
+    } finally {
+      setLoadingMore(false);
+    }
+  };
+  
+  // Export the full result in the chosen format
+  const runExport = async (format: ExportFormat) => {
+    if (!onExport) return;
+    setExporting(true);
+    try {
+      await onExport(format);
+    } catch (err) {
+      console.error('Error exporting result:', err);
+      Alert.alert('Export Failed', err instanceof Error ? err.message : 'The result could not be exported');
+    } finally {
+      setExporting(false);
+    }
+  };
+  
+  // Ask which format to export
+  const handleExport = () => {
+    Alert.alert(
+      'Export Results',
+      'Choose a format for the full result',
+      [
+        { text: 'CSV', onPress: () => runExport('csv') },
+        { text: 'Excel', onPress: () => runExport('xlsx') },
+        { text: 'JSON', onPress: () => runExport('json') },
+        { text: 'Cancel', style: 'cancel' }
+      ]
+    );
+  };
+
   // Display actual rows count vs total if different
   const rowCountText = data.totalRowCount && data.totalRowCount > data.rowCount 
     ? `${data.rowCount} displayed of ${data.totalRowCount} total rows`
     : `${data.rowCount} rows`;
+  const isFiltered = !!deferredSearch.trim() || Object.values(filters).some(isFilterActive);
+  const filteredCountText = isFiltered ? ` · ${filteredRows.length} matching` : '';
+  // Results served from the cache are stale, and so is any result shown while offline
+  const staleAsOf: number | undefined = data.staleAsOf ?? (isOnline ? undefined : data.fetchedAt);
 
-  // Prepare data for charts
-  // We'll intelligently select columns for chart visualization
-  const prepareChartData = () => {
-    if (!data || data.rows.length === 0) return null;
-
-    console.log('Preparing chart data from:', data.columnNames, data.rows[0]);
-    
-    // For simplicity, we'll use up to 10 rows for the chart
-    // In a real app, you might want to add pagination or filtering
-    const displayRows = data.rows.slice(0, 10);
-    
-    // Find the most appropriate columns for labels and values
-    // Strategy: Look for a numeric column (likely to be values) and a string column (likely to be labels)
-    let labelColumnIndex = 0;
-    let valueColumnIndex = 1;
-    
-    // Try to find the first string column for labels and first numeric column for values
-    const firstRowSample = data.rows[0] || [];
-    for (let i = 0; i < firstRowSample.length; i++) {
-      const value = firstRowSample[i];
-      // If we find a non-numeric column first, use it for labels
-      if (typeof value !== 'number' && !isNumericString(value) && labelColumnIndex === 0) {
-        labelColumnIndex = i;
-      }
-      // If we find a numeric column first, use it for values
-      else if ((typeof value === 'number' || isNumericString(value)) && valueColumnIndex === 1 && i !== labelColumnIndex) {
-        valueColumnIndex = i;
-        break;
+  // Set or clear the filter for the column whose panel is open
+  const handleApplyFilter = (filter: ColumnFilter | null) => {
+    if (filterColumnIndex === null) return;
+    setFilters(prev => {
+      const next = { ...prev };
+      if (filter) {
+        next[filterColumnIndex] = filter;
+      } else {
+        delete next[filterColumnIndex];
       }
-    }
-    
-    console.log(`Using column ${labelColumnIndex} (${data.columnNames[labelColumnIndex]}) for labels`);
-    console.log(`Using column ${valueColumnIndex} (${data.columnNames[valueColumnIndex]}) for values`);
-    
-    // Extract labels from selected label column
-    const labels = displayRows.map(row => {
-      // Truncate long labels for better display
-      const label = String(row[labelColumnIndex] || '');
-      return label.length > 10 ? label.substring(0, 10) + '...' : label;
-    });
-    
-    // Extract values from selected value column, ensuring proper numeric conversion
-    const values = displayRows.map(row => {
-      const val = row[valueColumnIndex];
-      return parseNumericValue(val);
+      return next;
     });
-    
-    console.log('Chart labels:', labels);
-    console.log('Chart values:', values);
+    setFilterColumnIndex(null);
+  };
+
+  const clearTableQuery = () => {
+    setSearchText('');
+    setFilters({});
+  };
+
+  // Chart builder configuration, falling back to the default columns
+  const activeChartConfig = resolveChartConfig(
+    savedChartConfig ?? localChartConfig ?? recommendation?.config,
+    columns
+  );
+
+  const handleApplyChartConfig = (config: ChartConfig) => {
+    if (onChartConfigChange) {
+      onChartConfigChange(config);
+    } else {
+      setLocalChartConfig(config);
+    }
+    setShowChartConfig(false);
+  };
+
+  // Prepare data for charts from the chart builder configuration
+  const prepareChartData = () => {
+    // Date and timestamp axes are chronological, with gaps filled and ticks per granularity
+    if (isTimeAxis(columns, activeChartConfig)) {
+      const timeSeries = buildTimeSeries(data.rows, columns, activeChartConfig);
+      if (!timeSeries || timeSeries.times.length === 0) return null;
+      const missingCount = timeSeries.missing.filter(Boolean).length;
+      const gapNote = missingCount > 0
+        ? ` · ${missingCount} missing ${missingCount === 1 ? 'period' : 'periods'} ${activeChartConfig.gapMode === 'mark' ? 'interpolated (grey dots)' : 'shown as 0'}`
+        : '';
+      return {
+        labels: timeSeries.labels,
+        times: timeSeries.times,
+        granularity: timeSeries.granularity as TimeGranularity | null,
+        datasets: timeSeries.series.map((item, index) => ({
+          data: item.values,
+          color: getSeriesColor(index),
+          strokeWidth: 2
+        })),
+        legend: timeSeries.series.map(item => item.name),
+        groupCount: timeSeries.groupCount,
+        missing: timeSeries.missing,
+        isTimeAxis: true,
+        note: `${GRANULARITY_LABELS[timeSeries.granularity]} points${gapNote}`
+      };
+    }
+
+    const { labels, series, groupCount } = buildChartSeries(data.rows, columns, activeChartConfig);
+    if (labels.length === 0 || series.length === 0) return null;
 
     return {
       labels,
-      datasets: [
-        {
-          data: values,
-          color: (opacity = 1) => `rgba(74, 227, 131, ${opacity})`, // Match header color
-          strokeWidth: 2
-        }
-      ],
-      legend: [data.columnNames[valueColumnIndex] || 'Value'] // Use actual column name as legend
+      times: [] as number[],
+      granularity: null as TimeGranularity | null,
+      datasets: series.map((item, index) => ({
+        data: item.values,
+        color: getSeriesColor(index),
+        strokeWidth: 2
+      })),
+      legend: series.map(item => item.name),
+      groupCount,
+      missing: [] as boolean[],
+      isTimeAxis: false,
+      note: ''
     };
   };
   
-  // Helper function to check if a string represents a number
-  const isNumericString = (value: any): boolean => {
-    if (typeof value === 'number') return true;
-    if (typeof value !== 'string') return false;
-    return !isNaN(parseFloat(value)) && isFinite(Number(value));
-  };
-  
-  // Helper function to safely parse a numeric value from various formats
-  const parseNumericValue = (value: any): number => {
-    if (typeof value === 'number') return value;
-    if (typeof value === 'string') {
-      // Remove any non-numeric characters except decimal point
-      const cleaned = value.replace(/[^0-9.-]/g, '');
-      return parseFloat(cleaned) || 0;
-    }
-    return 0;
-  };
-
   // Common chart configuration
   const chartConfig = {
     backgroundColor: '#f8f9fa',
@@ -162,148 +363,485 @@ const SQLResultChart: React.FC<SQLResultChartProps> = ({ data, error }) => {
   };
 
   const chartData = prepareChartData();
+
+  // Interactive charts fill the width and zoom rather than scroll
+  const chartWidth = windowWidth - 40;
+
+  // Axis labels for the visible range - long category labels are truncated, and
+  // labels are thinned so they don't overlap
+  const getAxisLabels = (labels: string[], range: IndexRange, isTime: boolean) =>
+    thinTickLabels(labels.slice(range.start, range.end).map(label => isTime ? label : truncateLabel(label, 10)));
+
+  // Narrow the bars as more are shown so they stay inside their slots
+  const getBarPercentage = (count: number) =>
+    Math.min(1, Math.max(0.05, ((chartWidth - 64) / Math.max(1, count)) * 0.6 / 32));
+
+  // Grey dots mark interpolated points on time axes; dense series only show those
+  const getDotColor = (range: IndexRange) => (_: number, index: number) => {
+    if (chartData?.missing[range.start + index]) return '#bbb';
+    return range.end - range.start > 60 ? 'transparent' : '#3ad372';
+  };
+
+  // Tooltip with the full label and every series value of a point
+  const getChartTooltip = (index: number): ChartTooltip => ({
+    title: chartData ? chartData.labels[index] : '',
+    values: chartData
+      ? chartData.datasets.map((dataset, seriesIndex) => ({
+          name: chartData.legend[seriesIndex] + (chartData.missing[index] ? ' (interpolated)' : ''),
+          value: dataset.data[index].toLocaleString(undefined, { maximumFractionDigits: 2 }),
+          color: getSeriesColorString(seriesIndex)
+        }))
+      : []
+  });
+
+  // Drill into a chart point - the X value with the first series as its measure
+  const handleChartPointPress = (index: number) => {
+    if (!chartData) return;
+    setDrillDownTarget({
+      column: activeChartConfig.xColumn,
+      value: chartData.labels[index],
+      measure: chartData.legend[0],
+      measureValue: chartData.datasets[0].data[index].toLocaleString(undefined, { maximumFractionDigits: 2 })
+    });
+  };
+
+  // Filter the table to the rows behind a brushed range of chart points
+  const handleBrushRange = (labels: string[], range: IndexRange, times: number[] = [], granularity: TimeGranularity | null = null) => {
+    const columnIndex = columns.findIndex(column => column.name === activeChartConfig.xColumn);
+    if (columnIndex < 0 || range.end <= range.start) return;
+
+    let filter: ColumnFilter;
+    if (granularity && times.length > 0) {
+      // Up to the end of the last period, without reaching the next point
+      const periodEnd = addPeriod(times[range.end - 1], granularity) - 1;
+      filter = {
+        type: 'range',
+        min: times[range.start],
+        max: range.end < times.length ? Math.min(periodEnd, times[range.end] - 1) : periodEnd
+      };
+    } else {
+      filter = { type: 'values', values: labels.slice(range.start, range.end) };
+    }
+
+    setFilters(prev => ({ ...prev, [columnIndex]: filter }));
+    setBrushSelection({
+      range,
+      firstLabel: labels[range.start],
+      lastLabel: labels[range.end - 1],
+      columnIndex,
+      filter
+    });
+  };
+
+  // The brushed range, while its filter is still applied and the chart still has the same points
+  const getActiveSelection = (labels: string[]): IndexRange | null => {
+    if (!brushSelection || filters[brushSelection.columnIndex] !== brushSelection.filter) return null;
+    const { range, firstLabel, lastLabel } = brushSelection;
+    return labels[range.start] === firstLabel && labels[range.end - 1] === lastLabel ? range : null;
+  };
+
+  const clearBrushSelection = () => {
+    if (!brushSelection) return;
+    setFilters(prev => {
+      const next = { ...prev };
+      if (next[brushSelection.columnIndex] === brushSelection.filter) {
+        delete next[brushSelection.columnIndex];
+      }
+      return next;
+    });
+    setBrushSelection(null);
+  };
   
+  // Only offer the visualizations that fit the result's shape
+  const availableTypes = getAvailableVisualizations(columns, data.rows.length);
+  const requestedType = visualizationType ?? savedVisualizationType ?? recommendation?.type ?? 'table';
+  const activeType = availableTypes.includes(requestedType) ? requestedType : 'table';
+  // Explain the default while it's still the recommended chart and axes
+  const showRecommendationNote = !!recommendation
+    && activeType === recommendation.type
+    && !savedVisualizationType
+    && activeType !== 'table'
+    && !savedChartConfig
+    && !localChartConfig;
+
   // Widget to toggle between visualizations
   const VisualizationToggle = () => (
     <View style={styles.toggleContainer}>
-      <TouchableOpacity 
-        style={[
-          styles.toggleButton, 
-          visualizationType === 'table' && styles.toggleButtonActive
-        ]}
-        onPress={() => setVisualizationType('table')}
-      >
-        <Text style={[
-          styles.toggleText,
-          visualizationType === 'table' && styles.toggleTextActive
-        ]}>Table</Text>
-      </TouchableOpacity>
-      
-      <TouchableOpacity 
-        style={[
-          styles.toggleButton, 
-          visualizationType === 'bar' && styles.toggleButtonActive
-        ]}
-        onPress={() => setVisualizationType('bar')}
-      >
-        <Text style={[
-          styles.toggleText,
-          visualizationType === 'bar' && styles.toggleTextActive
-        ]}>Bar</Text>
-      </TouchableOpacity>
-      
-      <TouchableOpacity 
-        style={[
-          styles.toggleButton, 
-          visualizationType === 'line' && styles.toggleButtonActive
-        ]}
-        onPress={() => setVisualizationType('line')}
-      >
-        <Text style={[
-          styles.toggleText,
-          visualizationType === 'line' && styles.toggleTextActive
-        ]}>Line</Text>
-      </TouchableOpacity>
+      {availableTypes.map(type => (
+        <TouchableOpacity 
+          key={type}
+          style={[
+            styles.toggleButton, 
+            activeType === type && styles.toggleButtonActive
+          ]}
+          onPress={() => setVisualizationType(type)}
+        >
+          <Text style={[
+            styles.toggleText,
+            activeType === type && styles.toggleTextActive
+          ]}>{VISUALIZATION_LABELS[type]}</Text>
+        </TouchableOpacity>
+      ))}
     </View>
   );
 
-  // Table View
-  const TableView = () => (
-    <View style={styles.tableWrapper}>
-      {/* Horizontal scrolling for wide tables */}
-      <ScrollView horizontal={true} style={styles.horizontalScroll}>
-        <View>
-          {/* Header Row */}
-          <View style={styles.tableRow}>
-            {data.columnNames.map((column, index) => (
-              <View 
-                key={`header-${index}`} 
-                style={[styles.headerCell, { width: columnWidth }]}
-              >
-                <Text style={styles.headerText} numberOfLines={2} ellipsizeMode="tail">
-                  {column}
-                </Text>
-              </View>
-            ))}
-          </View>
-          
-          {/* Vertical scrolling for many rows */}
-          <ScrollView style={[styles.verticalScroll, { maxHeight: tableMaxHeight }]}>
-            {/* Data Rows */}
-            {data.rows.map((row, rowIndex) => (
-              <View key={`row-${rowIndex}`} style={styles.tableRow}>
-                {row.map((cell, cellIndex) => (
-                  <View 
-                    key={`cell-${rowIndex}-${cellIndex}`} 
-                    style={[styles.tableCell, { width: columnWidth }]}
-                  >
-                    <Text style={styles.cellText} numberOfLines={2} ellipsizeMode="tail">
-                      {cell === null ? 'NULL' : String(cell)}
-                    </Text>
-                  </View>
-                ))}
-              </View>
-            ))}
-          </ScrollView>
-        </View>
-      </ScrollView>
+  // Table View - rendered as a plain function rather than a component so the
+  // search box keeps focus across re-renders
+  const renderTableView = () => (
+    <View>
+      {/* Search across every column */}
+      <View style={styles.searchRow}>
+        <TextInput
+          style={styles.searchInput}
+          value={searchText}
+          onChangeText={setSearchText}
+          placeholder="Search results"
+          placeholderTextColor="#aaa"
+          autoCapitalize="none"
+          autoCorrect={false}
+          clearButtonMode="while-editing"
+        />
+        {isFiltered && (
+          <TouchableOpacity style={styles.clearFiltersButton} onPress={clearTableQuery}>
+            <Text style={styles.clearFiltersText}>Clear filters</Text>
+          </TouchableOpacity>
+        )}
+      </View>
+
+      <ResultTable
+        columns={columns}
+        rows={filteredRows}
+        columnWidths={columnWidths}
+        maxHeight={tableMaxHeight}
+        sort={sort}
+        filters={filters}
+        onSortColumn={index => setSort(getNextSort(sort, index))}
+        onFilterColumn={setFilterColumnIndex}
+        onRowPress={onFollowUp ? row => setDrillDownTarget(getRowDrillDownTarget(row, columns)) : undefined}
+        hasMoreRows={hasMoreRows}
+        loadingMore={loadingMore}
+        onLoadMore={handleLoadMore}
+        autoLoadMore={!isFiltered}
+        emptyText={isFiltered ? 'No rows match the current filters' : 'No rows'}
+      />
+
+      {filterColumnIndex !== null && (
+        <ColumnFilterPanel
+          visible={true}
+          column={columns[filterColumnIndex]}
+          columnIndex={filterColumnIndex}
+          rows={data.rows}
+          filter={filters[filterColumnIndex]}
+          onApply={handleApplyFilter}
+          onClose={() => setFilterColumnIndex(null)}
+        />
+      )}
+    </View>
+  );
+
+  // Chart builder button and a note when the top-N limit hides groups
+  const ChartOptionsRow = ({ note }: { note?: string }) => (
+    <View style={styles.chartOptionsRow}>
+      <Text style={styles.chartNote}>{note || ''}</Text>
+      <TouchableOpacity style={styles.configureButton} onPress={() => setShowChartConfig(true)}>
+        <Text style={styles.configureButtonText}>Configure</Text>
+      </TouchableOpacity>
     </View>
   );
 
   // Chart Views
-  const BarChartView = () => (
+  // Interactive charts are rendered as plain functions rather than components so
+  // their zoom isn't reset when a brushed range re-renders this component
+  const renderInteractiveChart = (renderChart: (range: IndexRange) => React.ReactNode) => (
     chartData ? (
-      <ScrollView horizontal={true}>
-        <BarChart
-          data={chartData}
-          width={Math.max(windowWidth - 40, chartData.labels.length * 80)}
-          height={tableMaxHeight}
-          yAxisLabel=""
-          yAxisSuffix=""
-          chartConfig={chartConfig}
-          verticalLabelRotation={30}
-          showValuesOnTopOfBars={true}
-          fromZero={true}
-          style={styles.chartStyle}
-        />
-      </ScrollView>
+      <InteractiveChart
+        pointCount={chartData.labels.length}
+        width={chartWidth}
+        frameInset={CHART_FRAME_INSET}
+        barLayout={activeType === 'bar'}
+        getTooltip={getChartTooltip}
+        onPointPress={onFollowUp ? handleChartPointPress : undefined}
+        renderChart={renderChart}
+        selection={getActiveSelection(chartData.labels)}
+        onSelectRange={range => handleBrushRange(chartData.labels, range, chartData.times, chartData.granularity)}
+      />
     ) : (
       <Text style={styles.noDataText}>Could not prepare chart data</Text>
     )
   );
-  
-  const LineChartView = () => (
-    chartData ? (
-      <ScrollView horizontal={true}>
-        <LineChart
-          data={chartData}
-          width={Math.max(windowWidth - 40, chartData.labels.length * 80)}
-          height={tableMaxHeight}
-          yAxisLabel=""
-          yAxisSuffix=""
+
+  // Bar charts only draw one dataset, so each series gets its own chart
+  const renderBarChart = () => renderInteractiveChart(range => chartData && (
+    <View>
+      {chartData.datasets.map((dataset, index) => (
+        <View key={`bar-${index}`}>
+          {chartData.datasets.length > 1 && (
+            <Text style={styles.seriesTitle}>{chartData.legend[index]}</Text>
+          )}
+          <BarChart
+            data={{
+              labels: getAxisLabels(chartData.labels, range, chartData.isTimeAxis),
+              datasets: [{ ...dataset, data: dataset.data.slice(range.start, range.end) }]
+            }}
+            width={chartWidth}
+            height={chartData.datasets.length > 1 ? tableMaxHeight * 0.6 : tableMaxHeight}
+            yAxisLabel=""
+            yAxisSuffix=""
+            chartConfig={{ ...chartConfig, color: dataset.color, barPercentage: getBarPercentage(range.end - range.start) }}
+            verticalLabelRotation={30}
+            showValuesOnTopOfBars={range.end - range.start <= 20}
+            fromZero={true}
+            style={styles.chartStyle}
+          />
+        </View>
+      ))}
+    </View>
+  ));
+
+  // Data for a line or area chart over the visible range
+  const getLineData = (range: IndexRange) => chartData && {
+    labels: getAxisLabels(chartData.labels, range, chartData.isTimeAxis),
+    datasets: chartData.datasets.map(dataset => ({ ...dataset, data: dataset.data.slice(range.start, range.end) })),
+    legend: chartData.legend
+  };
+
+  const renderLineChart = () => renderInteractiveChart(range => chartData && (
+    <LineChart
+      data={getLineData(range)!}
+      width={chartWidth}
+      height={tableMaxHeight}
+      yAxisLabel=""
+      yAxisSuffix=""
+      chartConfig={chartConfig}
+      verticalLabelRotation={30}
+      bezier={!chartData.isTimeAxis}
+      getDotColor={getDotColor(range)}
+      fromZero={true}
+      style={styles.chartStyle}
+    />
+  ));
+
+  // Area chart - a straight line chart with the area below each series filled in
+  const renderAreaChart = () => renderInteractiveChart(range => chartData && (
+    <LineChart
+      data={getLineData(range)!}
+      width={chartWidth}
+      height={tableMaxHeight}
+      yAxisLabel=""
+      yAxisSuffix=""
+      chartConfig={{ ...chartConfig, fillShadowGradientOpacity: 0.5, useShadowColorFromDataset: true }}
+      verticalLabelRotation={30}
+      withDots={false}
+      withShadow={true}
+      fromZero={true}
+      style={styles.chartStyle}
+    />
+  ));
+
+  const renderStackedBarChart = () => {
+    const stacked = buildStackedSeries(data.rows, columns, activeChartConfig);
+    if (stacked.labels.length === 0) {
+      return <Text style={styles.noDataText}>Could not prepare chart data</Text>;
+    }
+    const legend = stacked.legend.map(label => truncateLabel(label, 12));
+    return (
+      <View>
+        <ChartOptionsRow note={stacked.labels.length < stacked.groupCount
+          ? `Showing ${stacked.labels.length} of ${stacked.groupCount} groups`
+          : undefined} />
+        <InteractiveChart
+          pointCount={stacked.labels.length}
+          width={chartWidth}
+          plotOffset={STACKED_PLOT_OFFSET}
+          plotWidth={getStackedPlotWidth(chartWidth)}
+          frameInset={CHART_FRAME_INSET}
+          barLayout={true}
+          getTooltip={index => ({
+            title: stacked.labels[index],
+            values: stacked.legend.map((name, stackIndex) => ({
+              name,
+              value: stacked.data[index][stackIndex].toLocaleString(undefined, { maximumFractionDigits: 2 }),
+              color: getSeriesColorString(stackIndex)
+            }))
+          })}
+          onPointPress={onFollowUp
+            ? index => setDrillDownTarget({
+                column: activeChartConfig.xColumn,
+                value: stacked.labels[index],
+                measure: activeChartConfig.yColumns[0]
+              })
+            : undefined}
+          renderChart={range => (
+            <StackedBarChart
+              data={{
+                labels: getAxisLabels(stacked.labels, range, false),
+                legend,
+                data: stacked.data.slice(range.start, range.end),
+                barColors: stacked.legend.map((_, index) => getSeriesColorString(index))
+              }}
+              width={chartWidth}
+              height={tableMaxHeight}
+              chartConfig={{ ...chartConfig, barPercentage: getBarPercentage(range.end - range.start) }}
+              hideLegend={false}
+              style={styles.chartStyle}
+            />
+          )}
+          selection={getActiveSelection(stacked.labels)}
+          onSelectRange={range => handleBrushRange(stacked.labels, range)}
+        />
+      </View>
+    );
+  };
+
+  const PieChartView = () => {
+    const slices = buildPieSlices(data.rows, columns, activeChartConfig);
+    if (slices.length === 0) {
+      return <Text style={styles.noDataText}>Could not prepare chart data - a pie chart needs positive values</Text>;
+    }
+    return (
+      <View>
+        <ChartOptionsRow />
+        <PieChart
+          data={slices.map((slice, index) => ({
+            name: slice.name.length > 20 ? slice.name.substring(0, 20) + '...' : slice.name,
+            value: slice.value,
+            color: getSeriesColorString(index),
+            legendFontColor: '#333',
+            legendFontSize: 12
+          }))}
+          width={Math.min(windowWidth - 40, 700)}
+          height={Math.min(tableMaxHeight, 300)}
+          accessor="value"
+          backgroundColor="transparent"
+          paddingLeft="15"
           chartConfig={chartConfig}
-          verticalLabelRotation={30}
-          bezier
-          fromZero={true}
           style={styles.chartStyle}
         />
-      </ScrollView>
-    ) : (
-      <Text style={styles.noDataText}>Could not prepare chart data</Text>
-    )
+      </View>
+    );
+  };
+
+  const ScatterChartView = () => {
+    const scatter = buildScatterPoints(data.rows, columns, activeChartConfig);
+    if (!scatter || scatter.points.length === 0) {
+      return <Text style={styles.noDataText}>Could not prepare chart data</Text>;
+    }
+    return (
+      <View>
+        <ChartOptionsRow note={scatter.points.length < scatter.pointCount
+          ? `Showing a sample of ${scatter.points.length} of ${scatter.pointCount} points`
+          : undefined} />
+        <View style={styles.chartStyle}>
+          <ScatterPlot
+            points={scatter.points}
+            xLabel={scatter.xColumn.name}
+            yLabel={scatter.yColumn.name}
+            width={Math.min(windowWidth - 60, 800)}
+            height={tableMaxHeight}
+          />
+        </View>
+      </View>
+    );
+  };
+
+  // KPI cards for a single-row result
+  const KPIView = () => (
+    <View style={styles.kpiContainer}>
+      {buildKPIValues(data.rows, columns).map(kpi => (
+        <View key={kpi.label} style={styles.kpiCard}>
+          <Text style={styles.kpiValue} numberOfLines={1} adjustsFontSizeToFit={true}>{kpi.value}</Text>
+          <Text style={styles.kpiLabel} numberOfLines={2}>{kpi.label}</Text>
+        </View>
+      ))}
+    </View>
   );
 
   return (
     <View style={styles.container}>
-      <Text style={styles.resultTitle}>Data Results ({rowCountText})</Text>
+      <View style={styles.titleRow}>
+        <Text style={styles.resultTitle}>Data Results ({rowCountText}{filteredCountText})</Text>
+        {onPin && (
+          <TouchableOpacity
+            style={styles.exportButton}
+            onPress={() => onPin({ visualizationType: activeType, chartConfig: activeChartConfig })}
+          >
+            <Text style={styles.exportButtonText}>Pin</Text>
+          </TouchableOpacity>
+        )}
+        {onExport && (
+          <TouchableOpacity style={styles.exportButton} onPress={handleExport} disabled={exporting}>
+            {exporting ? (
+              <ActivityIndicator size="small" color="#4ae383" />
+            ) : (
+              <Text style={styles.exportButtonText}>Export</Text>
+            )}
+          </TouchableOpacity>
+        )}
+      </View>
+      
+      {staleAsOf && (
+        <View style={styles.staleBadge}>
+          <Text style={styles.staleBadgeText}>Stale as of {formatStaleAsOf(staleAsOf)}</Text>
+        </View>
+      )}
       
       {/* Visualization Toggle */}
       <VisualizationToggle />
       
+      {showRecommendationNote && (
+        <Text style={styles.recommendationNote}>Why this chart: {recommendation.reason}</Text>
+      )}
+      
+      {(activeType === 'bar' || activeType === 'line' || activeType === 'area') && (
+        <ChartOptionsRow note={chartData && chartData.labels.length < chartData.groupCount
+          ? `${chartData.note ? chartData.note + ' · ' : ''}Showing ${chartData.labels.length} of ${chartData.groupCount} ${chartData.isTimeAxis ? 'periods' : 'groups'}`
+          : chartData?.note} />
+      )}
+      
       {/* Visualization Content */}
-      {visualizationType === 'table' && <TableView />}
-      {visualizationType === 'bar' && <BarChartView />}
-      {visualizationType === 'line' && <LineChartView />}
+      {activeType === 'table' && renderTableView()}
+      {activeType === 'kpi' && <KPIView />}
+      {activeType === 'bar' && renderBarChart()}
+      {activeType === 'stackedBar' && renderStackedBarChart()}
+      {activeType === 'line' && renderLineChart()}
+      {activeType === 'area' && renderAreaChart()}
+      {activeType === 'pie' && <PieChartView />}
+      {activeType === 'scatter' && <ScatterChartView />}
+
+      {/* Rows behind a brushed range */}
+      {activeType !== 'table' && brushSelection && filters[brushSelection.columnIndex] === brushSelection.filter && (
+        <View style={styles.selectionBanner}>
+          <Text style={styles.selectionText}>
+            {filteredRows.length} {filteredRows.length === 1 ? 'row' : 'rows'} selected
+          </Text>
+          <TouchableOpacity style={styles.selectionButton} onPress={() => setVisualizationType('table')}>
+            <Text style={styles.selectionButtonText}>Show in table</Text>
+          </TouchableOpacity>
+          <TouchableOpacity style={styles.selectionButton} onPress={clearBrushSelection}>
+            <Text style={styles.selectionButtonText}>Clear</Text>
+          </TouchableOpacity>
+        </View>
+      )}
+
+      {drillDownTarget && onFollowUp && (
+        <DrillDownMenu
+          visible={true}
+          target={drillDownTarget}
+          columns={columns}
+          onAsk={onFollowUp}
+          onClose={() => setDrillDownTarget(null)}
+        />
+      )}
+
+      {showChartConfig && (
+        <ChartConfigPanel
+          visible={true}
+          columns={columns}
+          config={activeChartConfig}
+          onApply={handleApplyChartConfig}
+          onClose={() => setShowChartConfig(false)}
+        />
+      )}
     </View>
   );
 };
@@ -315,11 +853,42 @@ const styles = StyleSheet.create({
     padding: 10,
     marginVertical: 10,
   },
+  titleRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+    marginBottom: 10,
+  },
   resultTitle: {
     fontSize: 16,
     fontWeight: 'bold',
-    marginBottom: 10,
     color: '#333',
+    flexShrink: 1,
+  },
+  exportButton: {
+    paddingHorizontal: 12,
+    paddingVertical: 6,
+    borderRadius: 6,
+    backgroundColor: '#f0f0f0',
+    marginLeft: 10,
+    minWidth: 70,
+    alignItems: 'center',
+  },
+  exportButtonText: {
+    color: '#666',
+    fontWeight: '500',
+  },
+  staleBadge: {
+    alignSelf: 'flex-start',
+    paddingHorizontal: 8,
+    paddingVertical: 3,
+    borderRadius: 10,
+    backgroundColor: '#fff3cd',
+    marginBottom: 10,
+  },
+  staleBadgeText: {
+    fontSize: 12,
+    color: '#856404',
   },
   toggleContainer: {
     flexDirection: 'row',
@@ -346,12 +915,6 @@ const styles = StyleSheet.create({
     color: 'white',
     fontWeight: 'bold',
   },
-  tableWrapper: {
-    borderWidth: 1,
-    borderColor: '#ddd',
-    borderRadius: 4,
-    overflow: 'hidden',
-  },
   chartStyle: {
     borderRadius: 8,
     padding: 10,
@@ -359,39 +922,115 @@ const styles = StyleSheet.create({
     borderWidth: 1,
     borderColor: '#ddd',
   },
-  horizontalScroll: {
-    // No fixed height here
+  chartOptionsRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+    marginBottom: 8,
   },
-  verticalScroll: {
-    // Dynamic max height will be set in component
+  chartNote: {
+    fontSize: 12,
+    color: '#888',
+    fontStyle: 'italic',
+    flexShrink: 1,
   },
-  tableRow: {
+  seriesTitle: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: '#333',
+    marginTop: 4,
+  },
+  recommendationNote: {
+    fontSize: 12,
+    color: '#666',
+    fontStyle: 'italic',
+    textAlign: 'center',
+    marginTop: -8,
+    marginBottom: 10,
+  },
+  selectionBanner: {
     flexDirection: 'row',
-    borderBottomWidth: 1,
-    borderBottomColor: '#ddd',
+    alignItems: 'center',
+    paddingHorizontal: 10,
+    paddingVertical: 6,
+    marginTop: 4,
+    borderRadius: 6,
+    backgroundColor: 'rgba(74, 227, 131, 0.15)',
   },
-  headerCell: {
-    padding: 10,
-    backgroundColor: '#4ae383',
-    justifyContent: 'center',
-    borderRightWidth: 1,
-    borderRightColor: '#3ad372',
+  selectionText: {
+    flex: 1,
+    color: '#333',
   },
-  headerText: {
-    color: 'white',
-    fontWeight: 'bold',
-    textAlign: 'left',
+  selectionButton: {
+    marginLeft: 12,
   },
-  tableCell: {
-    padding: 10,
+  selectionButtonText: {
+    color: '#2a9d5c',
+    fontWeight: '600',
+  },
+  kpiContainer: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
     justifyContent: 'center',
-    borderRightWidth: 1,
-    borderRightColor: '#ddd',
+  },
+  kpiCard: {
+    minWidth: 180,
+    maxWidth: 320,
+    flexGrow: 1,
+    margin: 6,
+    padding: 20,
+    borderRadius: 12,
     backgroundColor: 'white',
+    borderWidth: 1,
+    borderColor: '#ddd',
+    borderLeftWidth: 4,
+    borderLeftColor: '#4ae383',
+  },
+  kpiValue: {
+    fontSize: 34,
+    fontWeight: 'bold',
+    color: '#333',
+  },
+  kpiLabel: {
+    marginTop: 4,
+    fontSize: 14,
+    color: '#666',
   },
-  cellText: {
+  configureButton: {
+    paddingHorizontal: 12,
+    paddingVertical: 6,
+    borderRadius: 6,
+    backgroundColor: '#f0f0f0',
+    marginLeft: 10,
+  },
+  configureButtonText: {
+    color: '#666',
+    fontWeight: '500',
+  },
+  searchRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginBottom: 8,
+  },
+  searchInput: {
+    flex: 1,
+    backgroundColor: 'white',
+    borderWidth: 1,
+    borderColor: '#ddd',
+    borderRadius: 6,
+    paddingHorizontal: 10,
+    paddingVertical: 6,
+    fontSize: 14,
     color: '#333',
-    textAlign: 'left',
+  },
+  clearFiltersButton: {
+    marginLeft: 8,
+    paddingHorizontal: 10,
+    paddingVertical: 6,
+  },
+  clearFiltersText: {
+    color: '#2a9d5c',
+    fontWeight: '600',
   },
   errorText: {
     color: '#d32f2f',
@@ -0,0 +1,138 @@
+/**
+ * ScatterPlot.tsx
+ *
+ * Scatter plot of two numeric columns, drawn with react-native-svg since
+ * react-native-chart-kit has no scatter chart.
+ */
+
+import React from 'react';
+import Svg, { Circle, Line, Text as SvgText } from 'react-native-svg';
+
+interface ScatterPlotProps {
+  points: { x: number; y: number }[];
+  xLabel: string;
+  yLabel: string;
+  width: number;
+  height: number;
+  color?: string;
+}
+
+// Space for axis labels around the plot area
+const PADDING = { top: 16, right: 16, bottom: 44, left: 64 };
+const TICK_COUNT = 5;
+
+// Short axis label for a tick value
+const formatTick = (value: number): string => {
+  const abs = Math.abs(value);
+  if (abs >= 1e9) return `${(value / 1e9).toFixed(1)}B`;
+  if (abs >= 1e6) return `${(value / 1e6).toFixed(1)}M`;
+  if (abs >= 1e3) return `${(value / 1e3).toFixed(1)}K`;
+  return Number.isInteger(value) ? String(value) : value.toFixed(2);
+};
+
+// Get the min and max of a set of values, padded so points aren't drawn on the edges
+const getDomain = (values: number[]): [number, number] => {
+  let min = Infinity;
+  let max = -Infinity;
+  for (const value of values) {
+    if (value < min) min = value;
+    if (value > max) max = value;
+  }
+  if (min === max) return [min - 1, max + 1];
+  const padding = (max - min) * 0.05;
+  return [min - padding, max + padding];
+};
+
+const ScatterPlot: React.FC<ScatterPlotProps> = ({
+  points,
+  xLabel,
+  yLabel,
+  width,
+  height,
+  color = 'rgba(74, 227, 131, 0.7)'
+}) => {
+  const plotWidth = width - PADDING.left - PADDING.right;
+  const plotHeight = height - PADDING.top - PADDING.bottom;
+  const [xMin, xMax] = getDomain(points.map(point => point.x));
+  const [yMin, yMax] = getDomain(points.map(point => point.y));
+
+  const toX = (value: number) => PADDING.left + ((value - xMin) / (xMax - xMin)) * plotWidth;
+  const toY = (value: number) => PADDING.top + plotHeight - ((value - yMin) / (yMax - yMin)) * plotHeight;
+
+  const ticks = Array.from({ length: TICK_COUNT }, (_, index) => index / (TICK_COUNT - 1));
+
+  return (
+    <Svg width={width} height={height}>
+      {/* Grid lines and tick labels */}
+      {ticks.map(fraction => {
+        const yValue = yMin + fraction * (yMax - yMin);
+        const xValue = xMin + fraction * (xMax - xMin);
+        return (
+          <React.Fragment key={`tick-${fraction}`}>
+            <Line
+              x1={PADDING.left}
+              x2={PADDING.left + plotWidth}
+              y1={toY(yValue)}
+              y2={toY(yValue)}
+              stroke="#e0e0e0"
+              strokeDasharray="4 4"
+            />
+            <SvgText x={PADDING.left - 6} y={toY(yValue) + 4} fontSize={10} fill="#333" textAnchor="end">
+              {formatTick(yValue)}
+            </SvgText>
+            <SvgText x={toX(xValue)} y={PADDING.top + plotHeight + 16} fontSize={10} fill="#333" textAnchor="middle">
+              {formatTick(xValue)}
+            </SvgText>
+          </React.Fragment>
+        );
+      })}
+
+      {/* Axes */}
+      <Line
+        x1={PADDING.left}
+        x2={PADDING.left}
+        y1={PADDING.top}
+        y2={PADDING.top + plotHeight}
+        stroke="#999"
+      />
+      <Line
+        x1={PADDING.left}
+        x2={PADDING.left + plotWidth}
+        y1={PADDING.top + plotHeight}
+        y2={PADDING.top + plotHeight}
+        stroke="#999"
+      />
+
+      {/* Axis titles */}
+      <SvgText
+        x={PADDING.left + plotWidth / 2}
+        y={height - 6}
+        fontSize={12}
+        fontWeight="bold"
+        fill="#333"
+        textAnchor="middle"
+      >
+        {xLabel}
+      </SvgText>
+      <SvgText
+        x={14}
+        y={PADDING.top + plotHeight / 2}
+        fontSize={12}
+        fontWeight="bold"
+        fill="#333"
+        textAnchor="middle"
+        rotation={-90}
+        origin={`14, ${PADDING.top + plotHeight / 2}`}
+      >
+        {yLabel}
+      </SvgText>
+
+      {/* Points */}
+      {points.map((point, index) => (
+        <Circle key={index} cx={toX(point.x)} cy={toY(point.y)} r={3} fill={color} />
+      ))}
+    </Svg>
+  );
+};
+
+export default ScatterPlot;
@@ -0,0 +1,76 @@
+import React, { createContext, useState, useContext, useEffect } from 'react';
+import AsyncStorage from '@react-native-async-storage/async-storage';
+
+const SETTINGS_STORAGE_KEY = 'GENIE_SETTINGS';
+
+// Where query results come from
+export const RESULT_SOURCES = {
+  AUTO: 'auto',     // Genie's own result, falling back to direct execution if missing or truncated
+  GENIE: 'genie',   // Always use Genie's result
+  DIRECT: 'direct', // Always execute the statement directly on the warehouse
+};
+
+// Default values for every setting
+export const DEFAULT_SETTINGS = {
+  resultSource: RESULT_SOURCES.AUTO,
+};
+
+// Create context for app settings
+const SettingsContext = createContext({
+  settings: DEFAULT_SETTINGS,
+  updateSettings: () => {},
+  loading: true,
+});
+
+// Provider component that loads and persists settings
+export const SettingsProvider = ({ children }) => {
+  const [settings, setSettings] = useState(DEFAULT_SETTINGS);
+  const [loading, setLoading] = useState(true);
+
+  // Load stored settings on app initialization
+  useEffect(() => {
+    const loadStoredSettings = async () => {
+      try {
+        const stored = await AsyncStorage.getItem(SETTINGS_STORAGE_KEY);
+        if (stored) {
+          // Merge with defaults so newly added settings get a value
+          setSettings({ ...DEFAULT_SETTINGS, ...JSON.parse(stored) });
+        }
+      } catch (error) {
+        console.error('Error loading settings:', error);
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    loadStoredSettings();
+  }, []);
+
+  // Update one or more settings and persist them
+  const updateSettings = async (changes) => {
+    const updated = { ...settings, ...changes };
+    setSettings(updated);
+    try {
+      await AsyncStorage.setItem(SETTINGS_STORAGE_KEY, JSON.stringify(updated));
+    } catch (error) {
+      console.error('Error saving settings:', error);
+    }
+  };
+
+  const value = {
+    settings,
+    updateSettings,
+    loading,
+  };
+
+  return <SettingsContext.Provider value={value}>{children}</SettingsContext.Provider>;
+};
+
+// Custom hook to use settings context
+export const useSettings = () => {
+  const context = useContext(SettingsContext);
+  if (context === undefined) {
+    throw new Error('useSettings must be used within a SettingsProvider');
+  }
+  return context;
+};
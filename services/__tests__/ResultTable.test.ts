@@ -0,0 +1,27 @@
+import { measureColumnWidths } from '../ResultTable';
+import { CellValue, parseResultColumn } from '../resultTypes';
+
+const column = (name: string) => parseResultColumn({ name, type_name: 'STRING' });
+
+const text = (length: number) => 'x'.repeat(length);
+
+describe('measureColumnWidths', () => {
+  it('sizes columns to their longest cell, between the minimum and maximum width', () => {
+    const rows: CellValue[][] = [['a', text(12), text(100)], ['b', text(4), text(3)]];
+    // 12 characters at 7.5 plus 20 of padding
+    expect(measureColumnWidths([column('a'), column('b'), column('c')], rows)).toEqual([80, 110, 320]);
+  });
+
+  it('leaves room for the header name and its sort and filter buttons', () => {
+    // 20 characters at 7.5, plus 20 of padding and 36 for the buttons
+    expect(measureColumnWidths([column(text(20))], [['short']])).toEqual([206]);
+  });
+
+  it('only measures the first 200 rows', () => {
+    const rows: CellValue[][] = Array.from({ length: 201 }, (_, index) => [index === 200 ? text(30) : 'a']);
+    expect(measureColumnWidths([column('a')], rows)).toEqual([80]);
+
+    rows[199] = [text(30)];
+    expect(measureColumnWidths([column('a')], rows)).toEqual([245]);
+  });
+});
@@ -0,0 +1,81 @@
+import { AlertCondition, AlertRule, describeAlertCondition, evaluateAlertCondition, getAlertColumns } from '../alertRules';
+import { parseResultColumn } from '../resultTypes';
+
+const columns = [
+  parseResultColumn({ name: 'line', type_name: 'STRING' }),
+  parseResultColumn({ name: 'waste_pct', type_name: 'DOUBLE' }),
+];
+
+const rows = [['A', 4], ['B', 8], ['C', null]];
+
+const rule = (condition: AlertCondition, changes: Partial<AlertRule> = {}): AlertRule => ({
+  id: 'rule-1',
+  pinId: 'pin-1',
+  condition,
+  intervalMinutes: 15,
+  enabled: true,
+  createdAt: 0,
+  ...changes,
+});
+
+describe('getAlertColumns', () => {
+  it('offers the numeric columns', () => {
+    expect(getAlertColumns(columns).map(column => column.name)).toEqual(['waste_pct']);
+  });
+});
+
+describe('describeAlertCondition', () => {
+  it('describes each kind of condition', () => {
+    expect(describeAlertCondition({ type: 'value', column: 'waste_pct', aggregation: 'avg', operator: '>', threshold: 5 }))
+      .toBe('avg of waste_pct > 5');
+    expect(describeAlertCondition({ type: 'value', column: 'waste_pct', aggregation: 'first', operator: '<=', threshold: 1 }))
+      .toBe('waste_pct <= 1');
+    expect(describeAlertCondition({ type: 'rowCount', operator: '=', threshold: 0 })).toBe('row count = 0');
+    expect(describeAlertCondition({ type: 'rowCountChanged' })).toBe('row count changed');
+  });
+});
+
+describe('evaluateAlertCondition', () => {
+  it('aggregates a column over every row, skipping empty cells', () => {
+    const condition: AlertCondition = { type: 'value', column: 'waste_pct', aggregation: 'avg', operator: '>', threshold: 5 };
+    expect(evaluateAlertCondition(rule(condition), columns, rows, 3)).toEqual({
+      triggered: true,
+      value: 6,
+      message: 'avg of waste_pct is 6 (avg of waste_pct > 5: met)',
+    });
+  });
+
+  it('reads the first row for single-value results', () => {
+    const condition: AlertCondition = { type: 'value', column: 'waste_pct', aggregation: 'first', operator: '>', threshold: 5 };
+    expect(evaluateAlertCondition(rule(condition), columns, rows, 3)).toMatchObject({ triggered: false, value: 4 });
+  });
+
+  it('reports a missing column or value without triggering', () => {
+    const missing: AlertCondition = { type: 'value', column: 'scrap', aggregation: 'sum', operator: '>', threshold: 1 };
+    expect(evaluateAlertCondition(rule(missing), columns, rows, 3))
+      .toEqual({ triggered: false, value: null, message: 'The result no longer has a scrap column' });
+
+    const empty: AlertCondition = { type: 'value', column: 'waste_pct', aggregation: 'max', operator: '>', threshold: 1 };
+    expect(evaluateAlertCondition(rule(empty), columns, [['A', null]], 1))
+      .toMatchObject({ triggered: false, value: null });
+    expect(evaluateAlertCondition(rule(empty), columns, [['A', 'n/a']], 1))
+      .toMatchObject({ triggered: false, value: null });
+  });
+
+  it('compares the row count with a threshold', () => {
+    const condition: AlertCondition = { type: 'rowCount', operator: '>=', threshold: 3 };
+    expect(evaluateAlertCondition(rule(condition), columns, rows, 3)).toMatchObject({ triggered: true, value: 3 });
+    expect(evaluateAlertCondition(rule(condition), columns, rows.slice(0, 2), 2)).toMatchObject({ triggered: false, value: 2 });
+  });
+
+  it('triggers on row count changes only after the first check', () => {
+    const condition: AlertCondition = { type: 'rowCountChanged' };
+    expect(evaluateAlertCondition(rule(condition), columns, rows, 3)).toMatchObject({ triggered: false });
+    expect(evaluateAlertCondition(rule(condition, { lastRowCount: 3 }), columns, rows, 3)).toMatchObject({ triggered: false });
+    expect(evaluateAlertCondition(rule(condition, { lastRowCount: 2 }), columns, rows, 3)).toEqual({
+      triggered: true,
+      value: 3,
+      message: 'Row count changed from 2 to 3',
+    });
+  });
+});
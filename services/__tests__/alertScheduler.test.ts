@@ -0,0 +1,65 @@
+import * as Notifications from 'expo-notifications';
+import { createGenieApi } from '../genieApi';
+import { createMockGenieClient } from '../mockGenieClient';
+import { checkDueAlerts } from '../alertScheduler';
+import { addPinnedResult } from '../dashboardStore';
+import { loadAlertHistory, saveAlertRule } from '../alertStore';
+
+jest.mock('@react-native-async-storage/async-storage', () =>
+  require('@react-native-async-storage/async-storage/jest/async-storage-mock')
+);
+
+jest.mock('expo-notifications', () => ({
+  setNotificationHandler: jest.fn(),
+  scheduleNotificationAsync: jest.fn(async () => 'notification-id'),
+}));
+
+jest.mock('expo-linking', () => ({
+  createURL: (path: string, { queryParams }: { queryParams: Record<string, string> }) =>
+    `chatbotgenie://${path}?${new URLSearchParams(queryParams)}`,
+  parse: jest.fn(),
+}));
+
+const WASTE_SQL = 'SELECT line, waste_pct FROM production';
+
+const wasteResult = {
+  status: { state: 'SUCCEEDED' },
+  manifest: {
+    schema: { columns: [{ name: 'line', type_name: 'STRING' }, { name: 'waste_pct', type_name: 'DOUBLE' }] },
+    total_row_count: 2,
+  },
+  result: { data_array: [['A', '4'], ['B', '8']] },
+};
+
+describe('checkDueAlerts', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => undefined);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('re-runs the pinned query through the API it is given', async () => {
+    const client = createMockGenieClient({ conversations: [], statements: [{ query: WASTE_SQL, responses: [{ body: wasteResult }] }] });
+    const [pin] = await addPinnedResult({ title: 'Waste', query: WASTE_SQL, spaceId: 'plant-space' });
+    await saveAlertRule({
+      id: 'rule-1',
+      pinId: pin.id,
+      condition: { type: 'value', column: 'waste_pct', aggregation: 'avg', operator: '>', threshold: 5 },
+      intervalMinutes: 15,
+      enabled: true,
+      createdAt: Date.now(),
+    });
+
+    const evaluations = await checkDueAlerts(createGenieApi(client), 'test-token', { force: true });
+
+    expect(client.requests[0]).toMatchObject({ method: 'POST', path: '/api/2.0/sql/statements/', apiToken: 'test-token' });
+    expect(evaluations).toHaveLength(1);
+    expect(evaluations[0]).toMatchObject({ ruleId: 'rule-1', triggered: true, value: 6 });
+    expect(await loadAlertHistory()).toHaveLength(1);
+    expect(Notifications.scheduleNotificationAsync).toHaveBeenCalledWith(expect.objectContaining({
+      content: expect.objectContaining({ title: 'Waste: avg of waste_pct > 5', data: expect.objectContaining({ pinId: pin.id }) }),
+    }));
+  });
+});
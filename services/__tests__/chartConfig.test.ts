@@ -0,0 +1,83 @@
+import { ChartConfig, buildChartSeries, getDefaultChartConfig, resolveChartConfig } from '../chartConfig';
+import { CellValue, parseResultColumn } from '../resultTypes';
+
+const columns = [
+  parseResultColumn({ name: 'region', type_name: 'STRING' }),
+  parseResultColumn({ name: 'revenue', type_name: 'DOUBLE' }),
+  parseResultColumn({ name: 'orders', type_name: 'LONG' }),
+];
+
+const rows: CellValue[][] = [
+  ['West', 100, 2],
+  ['East', 50, 1],
+  ['West', 20, 1],
+  ['South', 70, null],
+];
+
+const config = (changes: Partial<ChartConfig> = {}): ChartConfig => ({
+  ...getDefaultChartConfig(columns),
+  ...changes,
+});
+
+describe('getDefaultChartConfig', () => {
+  it('charts the first numeric column by the first text column', () => {
+    expect(getDefaultChartConfig(columns)).toMatchObject({ xColumn: 'region', yColumns: ['revenue'], aggregation: 'sum' });
+  });
+});
+
+describe('resolveChartConfig', () => {
+  it('replaces columns the result no longer has', () => {
+    const resolved = resolveChartConfig(config({ xColumn: 'country', yColumns: ['profit', 'orders'], stackColumn: 'segment' }), columns);
+    expect(resolved).toMatchObject({ xColumn: 'region', yColumns: ['orders'], stackColumn: null });
+  });
+});
+
+describe('buildChartSeries', () => {
+  it('groups rows by the X column and aggregates each series', () => {
+    expect(buildChartSeries(rows, columns, config({ yColumns: ['revenue', 'orders'] }))).toEqual({
+      labels: ['West', 'East', 'South'],
+      series: [
+        { name: 'revenue', values: [120, 50, 70] },
+        { name: 'orders', values: [3, 1, 0] },
+      ],
+      groupCount: 3,
+    });
+  });
+
+  it('supports each aggregation', () => {
+    const values = (aggregation: ChartConfig['aggregation']) =>
+      buildChartSeries(rows, columns, config({ aggregation })).series[0].values;
+    expect(values('avg')).toEqual([60, 50, 70]);
+    expect(values('count')).toEqual([2, 1, 1]);
+    expect(values('min')).toEqual([20, 50, 70]);
+    expect(values('max')).toEqual([100, 50, 70]);
+  });
+
+  it('counts text cells but leaves them out of the numeric aggregations', () => {
+    const textColumns = [
+      parseResultColumn({ name: 'region', type_name: 'STRING' }),
+      parseResultColumn({ name: 'rating', type_name: 'STRING' }),
+    ];
+    const textRows: CellValue[][] = [['West', '4'], ['West', 'n/a'], ['West', '2'], ['East', 'n/a'], ['East', null]];
+    const values = (aggregation: ChartConfig['aggregation']) =>
+      buildChartSeries(textRows, textColumns, config({ xColumn: 'region', yColumns: ['rating'], aggregation })).series[0].values;
+
+    expect(values('count')).toEqual([3, 1]);
+    expect(values('avg')).toEqual([3, 0]);
+    expect(values('min')).toEqual([2, 0]);
+    expect(values('max')).toEqual([4, 0]);
+  });
+
+  it('sorts by value or label and keeps the top N groups', () => {
+    const byValue = buildChartSeries(rows, columns, config({ sortBy: 'value', sortDirection: 'desc', limit: 2 }));
+    expect(byValue.labels).toEqual(['West', 'South']);
+    expect(byValue.groupCount).toBe(3);
+
+    expect(buildChartSeries(rows, columns, config({ sortBy: 'x', sortDirection: 'asc' })).labels)
+      .toEqual(['East', 'South', 'West']);
+  });
+
+  it('is empty when the configured columns are missing', () => {
+    expect(buildChartSeries(rows, columns, config({ yColumns: ['profit'] }))).toEqual({ labels: [], series: [], groupCount: 0 });
+  });
+});
@@ -0,0 +1,57 @@
+import { MAX_BAR_CATEGORIES, recommendVisualization } from '../chartRecommender';
+import { CellValue, parseResultColumn } from '../resultTypes';
+
+const column = (name: string, type_name: string) => parseResultColumn({ name, type_name });
+
+describe('recommendVisualization', () => {
+  it('shows a single row of numbers as KPI cards', () => {
+    const recommendation = recommendVisualization([column('revenue', 'DOUBLE')], [[120.5]]);
+    expect(recommendation.type).toBe('kpi');
+    expect(recommendation.reason).toBe('The result is a single value');
+  });
+
+  it('shows numbers over a date column as a line in time order', () => {
+    const columns = [column('day', 'DATE'), column('orders', 'LONG')];
+    const rows: CellValue[][] = [[Date.UTC(2024, 4, 2), 5], [Date.UTC(2024, 4, 1), 3]];
+
+    const recommendation = recommendVisualization(columns, rows);
+
+    expect(recommendation.type).toBe('line');
+    expect(recommendation.config).toMatchObject({ xColumn: 'day', yColumns: ['orders'], sortBy: 'x', sortDirection: 'asc' });
+  });
+
+  it('compares a few categories as bars, largest first', () => {
+    const columns = [column('region', 'STRING'), column('revenue', 'DOUBLE')];
+    const rows: CellValue[][] = [['West', 120], ['East', 80], ['South', 40]];
+
+    const recommendation = recommendVisualization(columns, rows);
+
+    expect(recommendation.type).toBe('bar');
+    expect(recommendation.config).toMatchObject({ xColumn: 'region', yColumns: ['revenue'], sortBy: 'value', sortDirection: 'desc' });
+    expect(recommendation.reason).toBe('region has 3 categories to compare by revenue');
+  });
+
+  it('shows shares of a whole as a pie', () => {
+    const columns = [column('channel', 'STRING'), column('share_pct', 'DOUBLE')];
+    const rows: CellValue[][] = [['Online', 60], ['Store', 30], ['Phone', 10]];
+
+    expect(recommendVisualization(columns, rows).type).toBe('pie');
+  });
+
+  it('plots two numeric columns against each other', () => {
+    const columns = [column('price', 'DOUBLE'), column('units', 'LONG')];
+    const rows: CellValue[][] = Array.from({ length: 12 }, (_, index) => [index * 1.5, 100 - index]);
+
+    expect(recommendVisualization(columns, rows).type).toBe('scatter');
+  });
+
+  it('keeps results with too many categories or no numbers as a table', () => {
+    const manyCategories: CellValue[][] = Array.from({ length: MAX_BAR_CATEGORIES + 1 }, (_, index) => [`customer ${index}`, index]);
+    expect(recommendVisualization([column('customer', 'STRING'), column('orders', 'LONG')], manyCategories).type).toBe('table');
+
+    expect(recommendVisualization([column('name', 'STRING')], [['a'], ['b']])).toMatchObject({
+      type: 'table',
+      reason: 'The result has no numeric columns to chart',
+    });
+  });
+});
@@ -0,0 +1,87 @@
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { loadConversation, saveConversation } from '../conversationStore';
+import type { QueryAttachment } from '../genieAttachments';
+import type { ChatMessage } from '../useChatService';
+
+jest.mock('@react-native-async-storage/async-storage', () =>
+  require('@react-native-async-storage/async-storage/jest/async-storage-mock')
+);
+
+const SQL = 'SELECT region, revenue FROM sales';
+
+const queryAnswer = (versions: QueryAttachment['versions']): ChatMessage => ({
+  id: 'answer',
+  text: '',
+  sender: 'bot',
+  rawResponse: null,
+  attachments: [{ type: 'query', query: SQL, versions }],
+});
+
+const question: ChatMessage = { id: 'question', text: 'Revenue by region', sender: 'user', rawResponse: null };
+
+const storedVersions = async (id: string) => {
+  const attachment = (await loadConversation(id))?.messages[1].attachments?.[0];
+  return attachment?.type === 'query' ? attachment.versions : undefined;
+};
+
+describe('conversationStore', () => {
+  beforeEach(async () => {
+    await AsyncStorage.clear();
+  });
+
+  it('drops loading messages and edited queries that are still running', async () => {
+    const loading: ChatMessage = { id: 'loading', text: '', sender: 'bot', rawResponse: null, loading: true };
+    await saveConversation('saved', [question, queryAnswer([
+      { id: 'done', query: `${SQL} LIMIT 1`, createdAt: 1, chartData: null },
+      { id: 'running', query: `${SQL} LIMIT 2`, createdAt: 2, loading: true },
+    ]), loading], null);
+
+    expect((await loadConversation('saved'))?.messages.map(msg => msg.id)).toEqual(['question', 'answer']);
+    expect((await storedVersions('saved'))?.map(version => version.id)).toEqual(['done']);
+  });
+
+  it('saves at most 2000 rows of each query result', async () => {
+    const rows = Array.from({ length: 2500 }, (_, index) => [`region ${index}`, index]);
+    const chartData = { columnNames: ['region', 'revenue'], rows, rowCount: 2500, totalRowCount: 5000, nextChunkLink: '/chunks/1' };
+    const statementResponse = { status: { state: 'SUCCEEDED' }, result: { data_array: rows } };
+    const answer: ChatMessage = {
+      ...queryAnswer([{ id: 'edit', query: SQL, createdAt: 1, chartData }]),
+      rawResponse: { apiResponse: {}, queryResults: [statementResponse] },
+      sqlExecutionResult: statementResponse,
+      sqlChartData: chartData,
+    };
+    const attachment = answer.attachments?.[0];
+    if (attachment?.type === 'query') attachment.chartData = chartData;
+
+    await saveConversation('large', [question, answer], null);
+
+    const saved = (await loadConversation('large'))?.messages[1];
+    const savedAttachment = saved?.attachments?.[0];
+    if (savedAttachment?.type !== 'query') throw new Error('Expected a query attachment');
+    const limited = { rowCount: 2000, totalRowCount: 5000, nextChunkLink: null };
+    expect(savedAttachment.chartData).toMatchObject(limited);
+    expect(savedAttachment.chartData.rows).toHaveLength(2000);
+    expect(savedAttachment.versions?.[0].chartData).toMatchObject(limited);
+    expect(saved?.sqlChartData).toMatchObject(limited);
+    expect(saved?.sqlExecutionResult.result.data_array).toHaveLength(2000);
+    expect(saved?.rawResponse.queryResults[0].result.data_array).toHaveLength(2000);
+    expect(JSON.parse(saved?.text || '')).toEqual(saved?.rawResponse);
+  });
+
+  it('shows a version stored while it was running as stopped', async () => {
+    const conversation = {
+      id: 'old',
+      title: 'Revenue by region',
+      createdAt: 1,
+      updatedAt: 1,
+      messageCount: 2,
+      genieConversationId: null,
+      messages: [question, queryAnswer([{ id: 'running', query: SQL, createdAt: 2, loading: true }])],
+    };
+    await AsyncStorage.setItem('GENIE_CONVERSATION_old', JSON.stringify(conversation));
+
+    expect(await storedVersions('old')).toEqual([
+      { id: 'running', query: SQL, createdAt: 2, loading: false, sqlError: 'The query was stopped before it finished' },
+    ]);
+  });
+});
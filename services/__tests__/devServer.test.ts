@@ -0,0 +1,57 @@
+/**
+ * @jest-environment node
+ */
+import { Server } from 'http';
+import { AddressInfo } from 'net';
+import { createDevServer } from '../../dev-server/server';
+import { GenieApi, createGenieApi } from '../genieApi';
+import { createHttpGenieClient } from '../genieClient';
+
+const SPACE_ID = 'local-dev-space';
+const WAREHOUSE_ID = 'local-sqlite';
+const TOKEN = 'dev-token';
+
+let server: Server;
+let api: GenieApi;
+
+beforeAll(async () => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  server = createDevServer({ thinkMs: 0, statementMs: 0 });
+  await new Promise<void>(resolve => server.listen(0, '127.0.0.1', resolve));
+  const { port } = server.address() as AddressInfo;
+  api = createGenieApi(createHttpGenieClient(`http://127.0.0.1:${port}`), {
+    retryPolicy: { baseDelayMs: 0, maxDelayMs: 0 },
+  });
+});
+
+afterAll(async () => {
+  await new Promise(resolve => server.close(resolve));
+  jest.restoreAllMocks();
+});
+
+describe('dev server', () => {
+  it('answers a conversation with a query result', async () => {
+    const started = await api.startConversation(SPACE_ID, 'What is revenue by region?', TOKEN);
+    const message = await api.pollForResponse(SPACE_ID, started.conversation_id, started.message_id, TOKEN);
+
+    expect(message.status).toBe('COMPLETED');
+    const attachment = message.attachments.find((item: any) => item.query);
+    expect(attachment.query.title).toBe('Revenue by region');
+
+    const result = await api.getAttachmentQueryResult(
+      SPACE_ID, started.conversation_id, started.message_id, attachment.attachment_id, TOKEN
+    );
+    expect(result.statement_response.status.state).toBe('SUCCEEDED');
+    expect(result.statement_response.manifest.schema.columns.map((column: any) => column.name))
+      .toEqual(['region', 'revenue']);
+    expect(result.statement_response.result.data_array.length).toBeGreaterThan(0);
+  });
+
+  it('runs a SQL statement', async () => {
+    const result = await api.executeSQLQuery('SELECT COUNT(*) AS customers FROM customers', WAREHOUSE_ID, TOKEN);
+
+    expect(result.status.state).toBe('SUCCEEDED');
+    expect(result.manifest.schema.columns[0].name).toBe('customers');
+    expect(Number(result.result.data_array[0][0])).toBeGreaterThan(0);
+  });
+});
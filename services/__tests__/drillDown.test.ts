@@ -0,0 +1,58 @@
+import { buildDrillDownQuestion, getBreakdownColumns, getRowDrillDownTarget } from '../drillDown';
+import { parseResultColumn } from '../resultTypes';
+
+const columns = [
+  parseResultColumn({ name: 'region', type_name: 'STRING' }),
+  parseResultColumn({ name: 'revenue', type_name: 'DECIMAL', type_precision: 10, type_scale: 2 }),
+  parseResultColumn({ name: 'channel', type_name: 'STRING' }),
+  parseResultColumn({ name: 'orders', type_name: 'LONG' }),
+];
+
+describe('getRowDrillDownTarget', () => {
+  it('picks the first non-numeric column and the first numeric column', () => {
+    expect(getRowDrillDownTarget(['West', 120.5, 'Online', 42], columns)).toEqual({
+      column: 'region',
+      value: 'West',
+      measure: 'revenue',
+      measureValue: '120.50',
+    });
+  });
+
+  it('has no target for rows of numbers only', () => {
+    expect(getRowDrillDownTarget([1, 2], [columns[1], columns[3]])).toBeNull();
+  });
+});
+
+describe('getBreakdownColumns', () => {
+  it('offers the other non-numeric columns', () => {
+    const target = { column: 'region', value: 'West' };
+    expect(getBreakdownColumns(columns, target).map(column => column.name)).toEqual(['channel']);
+  });
+});
+
+describe('buildDrillDownQuestion', () => {
+  const target = { column: 'region', value: 'West', measure: 'revenue', measureValue: '120.50' };
+
+  it('asks for a breakdown by the picked column, or lets Genie pick one', () => {
+    expect(buildDrillDownQuestion('breakdown', target, 'channel'))
+      .toBe('Break down revenue where region is "West" by channel');
+    expect(buildDrillDownQuestion('breakdown', target))
+      .toBe('Break down revenue where region is "West" by its most relevant dimension');
+  });
+
+  it('asks for the trend over time', () => {
+    expect(buildDrillDownQuestion('trend', target)).toBe('Show the trend of revenue over time where region is "West"');
+  });
+
+  it('asks why the value is high, with the value shown', () => {
+    expect(buildDrillDownQuestion('explain', target))
+      .toBe('Why is revenue high where region is "West" (120.50) compared to other region values?');
+  });
+
+  it('describes NULL values as empty and falls back without a measure', () => {
+    expect(buildDrillDownQuestion('trend', { column: 'region', value: 'NULL' }))
+      .toBe('Show the trend of the results over time where region is empty');
+    expect(buildDrillDownQuestion('explain', { column: 'region', value: 'East' }))
+      .toBe('Why is the value high where region is "East" compared to other region values?');
+  });
+});
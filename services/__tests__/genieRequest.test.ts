@@ -0,0 +1,175 @@
+import { GenieClient, GenieRequest, GenieResponse } from '../genieClient';
+import {
+  DEFAULT_RETRY_POLICIES,
+  RetryEvent,
+  RetryPolicy,
+  createRequestLayer,
+  getBackoffDelay,
+  parseRetryAfter,
+  resolveRetryPolicies,
+} from '../genieRequest';
+
+type Reply = { status: number; headers?: Record<string, string>; body?: any } | Error;
+
+const response = ({ status, headers = {}, body = {} }: { status: number; headers?: Record<string, string>; body?: any }): GenieResponse => ({
+  ok: status >= 200 && status < 300,
+  status,
+  headers: { get: (name: string) => headers[name] ?? null },
+  json: async () => body,
+});
+
+// Client that answers with the given replies in order - the last one repeats
+const createScriptedClient = (replies: Reply[]) => {
+  const requests: GenieRequest[] = [];
+  const client: GenieClient = {
+    request: async request => {
+      const reply = replies[Math.min(requests.length, replies.length - 1)];
+      requests.push(request);
+      if (reply instanceof Error) throw reply;
+      return response(reply);
+    },
+  };
+  return { client, requests };
+};
+
+const NO_DELAY: Partial<RetryPolicy> = { baseDelayMs: 0, maxDelayMs: 0 };
+
+const GET: GenieRequest = { method: 'GET', path: '/api/2.0/genie/spaces?page_token=secret' };
+
+describe('getBackoffDelay', () => {
+  const policy = DEFAULT_RETRY_POLICIES.messagePoll;
+
+  it('grows exponentially up to the maximum delay', () => {
+    const noJitter = () => 0;
+    expect(getBackoffDelay(policy, 1, noJitter)).toBe(1000);
+    expect(getBackoffDelay(policy, 2, noJitter)).toBe(1500);
+    expect(getBackoffDelay(policy, 20, noJitter)).toBe(10000);
+  });
+
+  it('randomizes part of the delay', () => {
+    expect(getBackoffDelay(policy, 1, () => 1)).toBe(800);
+    expect(getBackoffDelay(policy, 1, () => 0.5)).toBe(900);
+  });
+});
+
+describe('parseRetryAfter', () => {
+  it('reads seconds and HTTP dates', () => {
+    const now = Date.parse('2024-05-01T12:00:00Z');
+    expect(parseRetryAfter('3', now)).toBe(3000);
+    expect(parseRetryAfter('Wed, 01 May 2024 12:00:05 GMT', now)).toBe(5000);
+    expect(parseRetryAfter('Wed, 01 May 2024 11:59:00 GMT', now)).toBe(0);
+    expect(parseRetryAfter('soon', now)).toBeNull();
+    expect(parseRetryAfter(null, now)).toBeNull();
+  });
+});
+
+describe('sendWithRetry', () => {
+  let events: RetryEvent[];
+
+  const createLayer = (client: GenieClient, overrides: Partial<RetryPolicy> = NO_DELAY) =>
+    createRequestLayer(client, {
+      policies: resolveRetryPolicies({}, overrides),
+      onRetry: event => events.push(event),
+    });
+
+  beforeEach(() => {
+    events = [];
+    jest.spyOn(console, 'log').mockImplementation(() => undefined);
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+    jest.restoreAllMocks();
+  });
+
+  it('retries transient server errors and network failures', async () => {
+    const { client, requests } = createScriptedClient([
+      { status: 502 },
+      new TypeError('Network request failed'),
+      { status: 200, body: { spaces: [] } },
+    ]);
+
+    const result = await createLayer(client).sendWithRetry('read', GET);
+
+    expect(result.status).toBe(200);
+    expect(requests).toHaveLength(3);
+    expect(events.map(event => event.reason)).toEqual(['HTTP 502', 'network error']);
+    expect(events[0]).toMatchObject({ policy: 'read', path: '/api/2.0/genie/spaces', attempt: 1, gaveUp: false });
+  });
+
+  it('waits as long as Retry-After asks on 429', async () => {
+    jest.useFakeTimers();
+    const { client, requests } = createScriptedClient([
+      { status: 429, headers: { 'Retry-After': '2' } },
+      { status: 200 },
+    ]);
+
+    const sent = createLayer(client).sendWithRetry('read', GET);
+    await jest.advanceTimersByTimeAsync(1999);
+    expect(requests).toHaveLength(1);
+    await jest.advanceTimersByTimeAsync(1);
+
+    expect((await sent).status).toBe(200);
+    expect(events[0]).toMatchObject({ reason: 'HTTP 429', delayMs: 2000, retryAfter: true });
+  });
+
+  it("doesn't resend a submission that failed in flight", async () => {
+    const { client, requests } = createScriptedClient([new TypeError('Network request failed')]);
+
+    await expect(
+      createLayer(client).sendWithRetry('submit', { method: 'POST', path: '/api/2.0/sql/statements/' })
+    ).rejects.toThrow('Network request failed');
+    expect(requests).toHaveLength(1);
+    expect(events).toHaveLength(0);
+  });
+
+  it('hands back the last response once out of attempts', async () => {
+    const { client, requests } = createScriptedClient([{ status: 503 }]);
+
+    const result = await createLayer(client, { ...NO_DELAY, maxAttempts: 3 }).sendWithRetry('read', GET);
+
+    expect(result.status).toBe(503);
+    expect(requests).toHaveLength(3);
+    expect(events.map(event => event.gaveUp)).toEqual([false, false, true]);
+  });
+
+  it('gives up when the next wait would pass the deadline', async () => {
+    const { client, requests } = createScriptedClient([{ status: 503, headers: { 'Retry-After': '120' } }]);
+
+    const result = await createLayer(client, { deadlineMs: 60000 }).sendWithRetry('read', GET);
+
+    expect(result.status).toBe(503);
+    expect(requests).toHaveLength(1);
+    expect(events[0]).toMatchObject({ gaveUp: true, delayMs: 0 });
+  });
+
+  it('polls until the work is done without reporting routine polls', async () => {
+    const { client, requests } = createScriptedClient([
+      { status: 409 },
+      { status: 200, body: { status: 'EXECUTING_QUERY' } },
+      { status: 200, body: { status: 'COMPLETED' } },
+    ]);
+
+    const result = await createLayer(client).sendWithRetry('messagePoll', GET, async reply => {
+      const data = await reply.json();
+      return data.status === 'COMPLETED'
+        ? { done: true, value: data }
+        : { done: false, value: data, reason: `still ${data.status}` };
+    });
+
+    expect(result).toEqual({ status: 'COMPLETED' });
+    expect(requests).toHaveLength(3);
+    expect(events.map(event => event.reason)).toEqual(['HTTP 409']);
+  });
+
+  it('stops waiting when the request is cancelled', async () => {
+    const controller = new AbortController();
+    const { client } = createScriptedClient([{ status: 503 }]);
+
+    const sent = createLayer(client, { baseDelayMs: 5000 }).sendWithRetry('read', { ...GET, signal: controller.signal });
+    await Promise.resolve();
+    controller.abort();
+
+    await expect(sent).rejects.toMatchObject({ name: 'AbortError' });
+  });
+});
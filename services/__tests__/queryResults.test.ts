@@ -0,0 +1,63 @@
+import * as genieApiModule from '../genieApi';
+import { createGenieApi } from '../genieApi';
+import { MockGenieClient, createMockGenieClient } from '../mockGenieClient';
+import { executeQueryWithCache } from '../queryResults';
+import { cacheResult } from '../resultCache';
+
+jest.mock('@react-native-async-storage/async-storage', () =>
+  require('@react-native-async-storage/async-storage/jest/async-storage-mock')
+);
+
+const SQL = 'SELECT region, revenue FROM sales';
+
+const salesResult = {
+  status: { state: 'SUCCEEDED' },
+  manifest: {
+    schema: { columns: [{ name: 'region', type_name: 'STRING' }, { name: 'revenue', type_name: 'DOUBLE' }] },
+    total_row_count: 1,
+  },
+  result: { data_array: [['West', '120.5']] },
+};
+
+const cachedChartData = { columnNames: ['region', 'revenue'], rows: [['West', 99]], fetchedAt: 1700000000000 };
+
+describe('executeQueryWithCache', () => {
+  let client: MockGenieClient;
+
+  const api = () => createGenieApi(client, { retryPolicy: { baseDelayMs: 0, maxDelayMs: 0 } });
+
+  beforeEach(async () => {
+    client = createMockGenieClient({ conversations: [], statements: [{ query: SQL, responses: [{ body: salesResult }] }] });
+    await cacheResult(SQL, cachedChartData);
+    jest.spyOn(console, 'log').mockImplementation(() => undefined);
+    jest.spyOn(console, 'error').mockImplementation(() => undefined);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('returns the fresh result when the warehouse answers', async () => {
+    const chartData = await executeQueryWithCache(api(), SQL, 'warehouse', 'token');
+
+    expect(chartData.rows).toEqual([['West', 120.5]]);
+    expect(chartData.staleAsOf).toBeUndefined();
+  });
+
+  it('falls back to the cached result when the host cannot be reached', async () => {
+    client.setOnline(false);
+
+    const chartData = await executeQueryWithCache(api(), SQL, 'warehouse', 'token');
+
+    expect(chartData.rows).toEqual([['West', 99]]);
+    expect(chartData.staleAsOf).toBe(cachedChartData.fetchedAt);
+  });
+
+  it('surfaces a TypeError from transforming the result instead of the cached result', async () => {
+    jest.spyOn(genieApiModule, 'transformDatabricksResultToChartData').mockImplementation(() => {
+      throw new TypeError("Cannot read properties of undefined (reading 'columns')");
+    });
+
+    await expect(executeQueryWithCache(api(), SQL, 'warehouse', 'token')).rejects.toThrow(TypeError);
+  });
+});
@@ -0,0 +1,95 @@
+import * as FileSystem from 'expo-file-system';
+import * as Sharing from 'expo-sharing';
+import * as XLSX from 'xlsx';
+import { createGenieApi } from '../genieApi';
+import { createMockGenieClient } from '../mockGenieClient';
+import { buildCSV, buildJSON, buildWorkbook, exportChartData } from '../resultExport';
+import { parseResultColumn } from '../resultTypes';
+
+jest.mock('expo-file-system', () => ({
+  cacheDirectory: 'file:///cache/',
+  EncodingType: { UTF8: 'utf8', Base64: 'base64' },
+  writeAsStringAsync: jest.fn(async () => undefined),
+}));
+
+jest.mock('expo-sharing', () => ({
+  isAvailableAsync: jest.fn(async () => true),
+  shareAsync: jest.fn(async () => undefined),
+}));
+
+const columns = [
+  parseResultColumn({ name: 'region', type_name: 'STRING' }),
+  parseResultColumn({ name: 'revenue', type_name: 'DECIMAL', type_text: 'DECIMAL(10,2)', type_precision: 10, type_scale: 2 }),
+  parseResultColumn({ name: 'day', type_name: 'DATE' }),
+];
+
+const chartData = {
+  columns,
+  columnNames: columns.map(column => column.name),
+  rows: [
+    ['West, coast', 120.5, Date.UTC(2024, 4, 1)],
+    ['Say "hi"', null, Date.UTC(2024, 4, 2)],
+  ],
+};
+
+describe('buildCSV', () => {
+  it('writes a header row and quotes fields that need it', () => {
+    expect(buildCSV(chartData).split('\r\n')).toEqual([
+      'region,revenue,day',
+      '"West, coast",120.5,2024-05-01',
+      '"Say ""hi""",,2024-05-02',
+    ]);
+  });
+});
+
+describe('buildJSON', () => {
+  it('writes the column schema and one object per row', () => {
+    const document = JSON.parse(buildJSON(chartData));
+
+    expect(document.columns[1]).toEqual({ name: 'revenue', type: 'DECIMAL(10,2)', precision: 10, scale: 2 });
+    expect(document.rowCount).toBe(2);
+    expect(document.rows[0]).toEqual({ region: 'West, coast', revenue: 120.5, day: '2024-05-01' });
+    expect(document.rows[1].revenue).toBeNull();
+  });
+});
+
+describe('buildWorkbook', () => {
+  it('writes typed cells and a sheet describing the columns', () => {
+    const workbook = XLSX.read(buildWorkbook(chartData), { type: 'base64', cellDates: true });
+
+    expect(workbook.SheetNames).toEqual(['Results', 'Columns']);
+    const results = workbook.Sheets.Results;
+    expect(results.A2.v).toBe('West, coast');
+    expect(results.B2).toMatchObject({ t: 'n', v: 120.5 });
+    expect(results.C2.t).toBe('d');
+    expect(XLSX.utils.sheet_to_json(workbook.Sheets.Columns, { header: 1 })[2]).toEqual(['revenue', 'DECIMAL(10,2)', 10, 2]);
+  });
+});
+
+describe('exportChartData', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it('loads the chunks the table has not loaded yet before exporting', async () => {
+    const client = createMockGenieClient({
+      conversations: [],
+      chunks: { '/api/2.0/sql/statements/s1/result/chunks/1': { data_array: [['East', '80', '2024-05-03']] } },
+    });
+    const api = createGenieApi(client);
+
+    await exportChartData(api, { ...chartData, nextChunkLink: '/api/2.0/sql/statements/s1/result/chunks/1' }, 'csv', 'Revenue', 'token');
+
+    expect(client.requests.map(request => request.path)).toEqual(['/api/2.0/sql/statements/s1/result/chunks/1']);
+    const [fileUri, content] = (FileSystem.writeAsStringAsync as jest.Mock).mock.calls[0];
+    expect(fileUri).toMatch(/^file:\/\/\/cache\/Revenue_.*\.csv$/);
+    expect(content.split('\r\n')).toHaveLength(4);
+    expect(content).toContain('East,80,2024-05-03');
+    expect(Sharing.shareAsync).toHaveBeenCalledWith(fileUri, expect.objectContaining({ mimeType: 'text/csv' }));
+  });
+
+  it('refuses to export without a result', async () => {
+    await expect(exportChartData(createGenieApi(createMockGenieClient({ conversations: [] })), null, 'json'))
+      .rejects.toThrow('There is no result to export');
+  });
+});
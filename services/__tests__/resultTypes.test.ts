@@ -0,0 +1,137 @@
+import {
+  ResultColumn,
+  convertCellValue,
+  convertRows,
+  formatCellValue,
+  getResultColumns,
+  parseResultColumn,
+  toNumber,
+} from '../resultTypes';
+
+const column = (type_name: string, extra: Record<string, any> = {}): ResultColumn =>
+  parseResultColumn({ name: 'value', type_name, ...extra });
+
+describe('parseResultColumn', () => {
+  it('keeps the declared type, precision and scale', () => {
+    expect(parseResultColumn({ name: 'amount', type_name: 'decimal', type_text: 'DECIMAL(10,2)', type_precision: 10, type_scale: 2 }))
+      .toEqual({ name: 'amount', typeName: 'DECIMAL', typeText: 'DECIMAL(10,2)', precision: 10, scale: 2, kind: 'decimal' });
+  });
+
+  it('treats unknown types as text', () => {
+    expect(parseResultColumn({ name: 'tags', type_name: 'ARRAY' }).kind).toBe('string');
+    expect(parseResultColumn({ name: 'missing' }).kind).toBe('string');
+  });
+});
+
+describe('convertCellValue', () => {
+  it('converts integers, keeping LONG values outside the safe range as text', () => {
+    expect(convertCellValue('42', column('INT'))).toBe(42);
+    expect(convertCellValue('9007199254740993', column('LONG'))).toBe('9007199254740993');
+    expect(convertCellValue('n/a', column('INT'))).toBe('n/a');
+  });
+
+  it('converts doubles and booleans', () => {
+    expect(convertCellValue('3.25', column('DOUBLE'))).toBe(3.25);
+    expect(convertCellValue('TRUE', column('BOOLEAN'))).toBe(true);
+    expect(convertCellValue('false', column('BOOLEAN'))).toBe(false);
+  });
+
+  it('keeps NULL cells as null', () => {
+    expect(convertCellValue(null, column('INT'))).toBeNull();
+    expect(convertCellValue(undefined, column('STRING'))).toBeNull();
+  });
+});
+
+describe('convertRows', () => {
+  it('converts each cell by its column and leaves cells without a column alone', () => {
+    const columns = [column('STRING'), column('INT')];
+    expect(convertRows([['a', '1', 'extra']], columns)).toEqual([['a', 1, 'extra']]);
+  });
+});
+
+describe('getResultColumns', () => {
+  it('rebuilds typed columns for results saved before columns were typed', () => {
+    const columns = getResultColumns({ columnNames: ['region', 'revenue'], columnTypes: ['STRING', 'DOUBLE'] });
+    expect(columns.map(col => col.kind)).toEqual(['string', 'number']);
+  });
+});
+
+describe('toNumber', () => {
+  it('reads numbers from converted cells', () => {
+    expect(toNumber(5)).toBe(5);
+    expect(toNumber('12345678901234567.89')).toBeCloseTo(12345678901234568);
+    expect(toNumber(true)).toBe(1);
+    expect(toNumber(null)).toBeNaN();
+    expect(toNumber(' ')).toBeNaN();
+  });
+});
+
+describe('formatCellValue', () => {
+  it('formats cells for the table', () => {
+    expect(formatCellValue(null, column('INT'))).toBe('NULL');
+    expect(formatCellValue(120.5, column('DECIMAL', { type_precision: 10, type_scale: 2 }))).toBe('120.50');
+    expect(formatCellValue(Date.UTC(2024, 4, 1), column('DATE'))).toBe('2024-05-01');
+    expect(formatCellValue(Date.UTC(2024, 4, 1, 12, 30, 0, 250), column('TIMESTAMP'))).toBe('2024-05-01 12:30:00.250');
+    expect(formatCellValue(false, column('BOOLEAN'))).toBe('false');
+  });
+});
+
+describe('temporal values', () => {
+  const originalTZ = process.env.TZ;
+
+  // A zone far from UTC, so reading a value as device-local time would show
+  beforeAll(() => {
+    process.env.TZ = 'America/Los_Angeles';
+  });
+
+  afterAll(() => {
+    process.env.TZ = originalTZ;
+  });
+
+  const timestamp = column('TIMESTAMP');
+  const timestampNTZ = column('TIMESTAMP_NTZ');
+
+  it('reads DATE values as UTC midnight', () => {
+    expect(convertCellValue('2024-05-01', column('DATE'))).toBe(Date.UTC(2024, 4, 1));
+  });
+
+  it('reads TIMESTAMP_NTZ values without a zone as UTC', () => {
+    const value = convertCellValue('2024-05-01T12:00:00', timestampNTZ);
+    expect(value).toBe(Date.UTC(2024, 4, 1, 12));
+    expect(formatCellValue(value, timestampNTZ)).toBe('2024-05-01 12:00:00');
+  });
+
+  it('reads space-separated timestamps', () => {
+    expect(convertCellValue('2024-05-01 12:00:00', timestampNTZ)).toBe(Date.UTC(2024, 4, 1, 12));
+    expect(convertCellValue('2024-05-01 12:00:00.123456', timestampNTZ)).toBe(Date.UTC(2024, 4, 1, 12, 0, 0, 123));
+  });
+
+  it('keeps the zone or offset a timestamp has', () => {
+    expect(convertCellValue('2024-05-01T12:00:00Z', timestamp)).toBe(Date.UTC(2024, 4, 1, 12));
+    expect(convertCellValue('2024-05-01T12:00:00.000+02:00', timestamp)).toBe(Date.UTC(2024, 4, 1, 10));
+    expect(convertCellValue('2024-05-01 12:00:00-0700', timestamp)).toBe(Date.UTC(2024, 4, 1, 19));
+  });
+
+  it('leaves text that is not a date as it is', () => {
+    expect(convertCellValue('not a date', timestamp)).toBe('not a date');
+  });
+});
+
+describe('DECIMAL values', () => {
+  it('converts values a number holds exactly', () => {
+    expect(convertCellValue('120.50', column('DECIMAL', { type_precision: 10, type_scale: 2 }))).toBe(120.5);
+    expect(convertCellValue('-0.10', column('DECIMAL', { type_precision: 5, type_scale: 2 }))).toBe(-0.1);
+    expect(convertCellValue('42', column('DECIMAL'))).toBe(42);
+  });
+
+  it('keeps the exact text of values a number would round', () => {
+    expect(convertCellValue('12345678901234567.89', column('DECIMAL'))).toBe('12345678901234567.89');
+    expect(convertCellValue('0.12345678901234567', column('DECIMAL'))).toBe('0.12345678901234567');
+  });
+
+  it('keeps the text of every value in columns wider than a number holds', () => {
+    const wide = column('DECIMAL', { type_precision: 38, type_scale: 2 });
+    expect(convertCellValue('12.50', wide)).toBe('12.50');
+    expect(formatCellValue('12.50', wide)).toBe('12.50');
+  });
+});
@@ -0,0 +1,44 @@
+import { createWriteQueue } from '../storageQueue';
+
+const deferred = () => {
+  let resolve!: () => void;
+  const promise = new Promise<void>(done => { resolve = done; });
+  return { promise, resolve };
+};
+
+describe('createWriteQueue', () => {
+  it('runs each write after the previous one finishes', async () => {
+    const enqueueWrite = createWriteQueue();
+    const first = deferred();
+    const order: string[] = [];
+
+    const firstWrite = enqueueWrite(async () => { await first.promise; order.push('first'); });
+    const secondWrite = enqueueWrite(async () => { order.push('second'); return 2; });
+
+    await Promise.resolve();
+    expect(order).toEqual([]);
+
+    first.resolve();
+    await firstWrite;
+    await expect(secondWrite).resolves.toBe(2);
+    expect(order).toEqual(['first', 'second']);
+  });
+
+  it('keeps going after a failed write', async () => {
+    const enqueueWrite = createWriteQueue();
+
+    const failed = enqueueWrite(() => Promise.reject(new Error('disk full')));
+    const next = enqueueWrite(async () => 'saved');
+
+    await expect(failed).rejects.toThrow('disk full');
+    await expect(next).resolves.toBe('saved');
+  });
+
+  it('gives each queue its own chain', async () => {
+    const blocked = deferred();
+    createWriteQueue()(() => blocked.promise);
+
+    await expect(createWriteQueue()(async () => 'saved')).resolves.toBe('saved');
+    blocked.resolve();
+  });
+});
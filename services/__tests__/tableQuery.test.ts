@@ -0,0 +1,86 @@
+import { applyTableQuery, getDistinctValues, getNextSort, isFilterActive } from '../tableQuery';
+import { CellValue, parseResultColumn } from '../resultTypes';
+
+const columns = [
+  parseResultColumn({ name: 'region', type_name: 'STRING' }),
+  parseResultColumn({ name: 'revenue', type_name: 'DOUBLE' }),
+  parseResultColumn({ name: 'day', type_name: 'DATE' }),
+];
+
+const rows: CellValue[][] = [
+  ['West', 120.5, Date.UTC(2024, 4, 1)],
+  ['east', 80, Date.UTC(2024, 4, 3)],
+  ['Central', null, Date.UTC(2024, 4, 2)],
+  ['Region 10', 9, null],
+  ['Region 2', 300, Date.UTC(2024, 4, 5)],
+];
+
+const regions = (result: CellValue[][]) => result.map(row => row[0]);
+
+describe('applyTableQuery', () => {
+  it('returns the rows as they are when nothing is active', () => {
+    expect(applyTableQuery(rows, columns, {})).toBe(rows);
+    expect(applyTableQuery(rows, columns, { search: '  ', filters: { 0: { type: 'values', values: [] } } })).toBe(rows);
+  });
+
+  it('searches the displayed text of every cell', () => {
+    expect(regions(applyTableQuery(rows, columns, { search: 'EAST' }))).toEqual(['east']);
+    expect(regions(applyTableQuery(rows, columns, { search: '2024-05-02' }))).toEqual(['Central']);
+  });
+
+  it('filters by value list and by range', () => {
+    expect(regions(applyTableQuery(rows, columns, { filters: { 0: { type: 'values', values: ['West', 'east'] } } })))
+      .toEqual(['West', 'east']);
+    expect(regions(applyTableQuery(rows, columns, { filters: { 1: { type: 'range', min: 50, max: 200 } } })))
+      .toEqual(['West', 'east']);
+    expect(regions(applyTableQuery(rows, columns, { filters: { 2: { type: 'range', min: Date.UTC(2024, 4, 2) } } })))
+      .toEqual(['east', 'Central', 'Region 2']);
+  });
+
+  it('sorts numbers numerically and keeps nulls last in both directions', () => {
+    expect(regions(applyTableQuery(rows, columns, { sort: { columnIndex: 1, direction: 'asc' } })))
+      .toEqual(['Region 10', 'east', 'West', 'Region 2', 'Central']);
+    expect(regions(applyTableQuery(rows, columns, { sort: { columnIndex: 1, direction: 'desc' } })))
+      .toEqual(['Region 2', 'West', 'east', 'Region 10', 'Central']);
+  });
+
+  it('sorts text case-insensitively with numbers in natural order', () => {
+    expect(regions(applyTableQuery(rows, columns, { sort: { columnIndex: 0, direction: 'asc' } })))
+      .toEqual(['Central', 'east', 'Region 2', 'Region 10', 'West']);
+  });
+
+  it('keeps the original row order', () => {
+    applyTableQuery(rows, columns, { sort: { columnIndex: 0, direction: 'desc' } });
+    expect(regions(rows)[0]).toBe('West');
+  });
+});
+
+describe('isFilterActive', () => {
+  it('treats empty value lists and open ranges as inactive', () => {
+    expect(isFilterActive(undefined)).toBe(false);
+    expect(isFilterActive({ type: 'values', values: [] })).toBe(false);
+    expect(isFilterActive({ type: 'range' })).toBe(false);
+    expect(isFilterActive({ type: 'range', max: 0 })).toBe(true);
+  });
+});
+
+describe('getDistinctValues', () => {
+  it('lists the sorted display values, up to a limit', () => {
+    expect(getDistinctValues([...rows, ['West', 1, null]], 0, columns[0])).toEqual({
+      values: ['Central', 'east', 'Region 2', 'Region 10', 'West'],
+      truncated: false,
+    });
+    expect(getDistinctValues(rows, 1, columns[1], 2)).toEqual({ values: ['80', '120.5'], truncated: true });
+  });
+});
+
+describe('getNextSort', () => {
+  it('cycles ascending, descending, then unsorted', () => {
+    const ascending = getNextSort(null, 1);
+    expect(ascending).toEqual({ columnIndex: 1, direction: 'asc' });
+    const descending = getNextSort(ascending, 1);
+    expect(descending).toEqual({ columnIndex: 1, direction: 'desc' });
+    expect(getNextSort(descending, 1)).toBeNull();
+    expect(getNextSort(descending, 0)).toEqual({ columnIndex: 0, direction: 'asc' });
+  });
+});
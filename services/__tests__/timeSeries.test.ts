@@ -0,0 +1,91 @@
+import { ChartConfig } from '../chartConfig';
+import { CellValue, parseResultColumn } from '../resultTypes';
+import { bucketTime, buildTimeSeries, detectGranularity, formatTimeTick } from '../timeSeries';
+
+const DAY = 24 * 60 * 60 * 1000;
+
+const columns = [
+  parseResultColumn({ name: 'day', type_name: 'DATE' }),
+  parseResultColumn({ name: 'orders', type_name: 'LONG' }),
+];
+
+const config = (changes: Partial<ChartConfig> = {}): ChartConfig => ({
+  xColumn: 'day',
+  yColumns: ['orders'],
+  aggregation: 'sum',
+  sortBy: 'x',
+  sortDirection: 'asc',
+  limit: null,
+  timeBucket: null,
+  gapMode: 'zero',
+  ...changes,
+});
+
+describe('bucketTime', () => {
+  const time = Date.UTC(2024, 4, 15, 13, 45);
+
+  it('rounds down to the start of the hour, day, week and month', () => {
+    expect(bucketTime(time, 'hour')).toBe(Date.UTC(2024, 4, 15, 13));
+    expect(bucketTime(time, 'day')).toBe(Date.UTC(2024, 4, 15));
+    // 15 May 2024 is a Wednesday - weeks start on Monday
+    expect(bucketTime(time, 'week')).toBe(Date.UTC(2024, 4, 13));
+    expect(bucketTime(time, 'month')).toBe(Date.UTC(2024, 4, 1));
+  });
+});
+
+describe('detectGranularity', () => {
+  it('picks the granularity from the smallest gap', () => {
+    expect(detectGranularity([0, 60 * 60 * 1000])).toBe('hour');
+    expect(detectGranularity([0, DAY, 3 * DAY])).toBe('day');
+    expect(detectGranularity([0, 7 * DAY])).toBe('week');
+    expect(detectGranularity([Date.UTC(2024, 0, 1), Date.UTC(2024, 1, 1)])).toBe('month');
+  });
+});
+
+describe('formatTimeTick', () => {
+  it('labels ticks for the granularity', () => {
+    expect(formatTimeTick(Date.UTC(2024, 4, 1, 9), 'hour')).toBe('May 1 09:00');
+    expect(formatTimeTick(Date.UTC(2024, 4, 13), 'week')).toBe('Wk May 13');
+    expect(formatTimeTick(Date.UTC(2024, 4, 1), 'month')).toBe('May 2024');
+  });
+});
+
+describe('buildTimeSeries', () => {
+  // Out of order, with 3 May missing
+  const rows: CellValue[][] = [
+    [Date.UTC(2024, 4, 4), 7],
+    [Date.UTC(2024, 4, 1), 3],
+    [Date.UTC(2024, 4, 2), 5],
+    [Date.UTC(2024, 4, 2), 1],
+  ];
+
+  it('orders points chronologically and fills missing days with zero', () => {
+    const series = buildTimeSeries(rows, columns, config());
+
+    expect(series?.granularity).toBe('day');
+    expect(series?.labels).toEqual(['May 1', 'May 2', 'May 3', 'May 4']);
+    expect(series?.series[0].values).toEqual([3, 6, 0, 7]);
+    expect(series?.missing).toEqual([false, false, true, false]);
+  });
+
+  it('draws across gaps when they are marked', () => {
+    expect(buildTimeSeries(rows, columns, config({ gapMode: 'mark' }))?.series[0].values).toEqual([3, 6, 6.5, 7]);
+  });
+
+  it('buckets into the chosen granularity', () => {
+    const series = buildTimeSeries(rows, columns, config({ timeBucket: 'week' }));
+    // 1-4 May 2024 all fall in the week starting Monday 29 April
+    expect(series?.times).toEqual([Date.UTC(2024, 3, 29)]);
+    expect(series?.series[0].values).toEqual([16]);
+  });
+
+  it('keeps the most recent periods for a top-N limit', () => {
+    const series = buildTimeSeries(rows, columns, config({ limit: 2 }));
+    expect(series?.labels).toEqual(['May 3', 'May 4']);
+    expect(series?.groupCount).toBe(4);
+  });
+
+  it('has no series without a time column on the X axis', () => {
+    expect(buildTimeSeries(rows, columns, config({ xColumn: 'orders' }))).toBeNull();
+  });
+});
@@ -0,0 +1,336 @@
+import React from 'react';
+import { renderHook, act, waitFor } from '@testing-library/react-native';
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { GenieClientProvider } from '../GenieClientContext';
+import { GenieApiOptions } from '../genieApi';
+import { MockGenieClient, MockGenieData, createMockGenieClient } from '../mockGenieClient';
+import { useChatService, UseChatServiceParams } from '../useChatService';
+
+jest.mock('@react-native-async-storage/async-storage', () =>
+  require('@react-native-async-storage/async-storage/jest/async-storage-mock')
+);
+
+// Poll straight away - the recordings decide how many polls a message takes
+const NO_DELAY: GenieApiOptions = { retryPolicy: { baseDelayMs: 0, maxDelayMs: 0 } };
+
+const SALES_SQL = 'SELECT region, revenue FROM sales';
+
+const salesResult = {
+  status: { state: 'SUCCEEDED' },
+  manifest: {
+    schema: { columns: [{ name: 'region', type_name: 'STRING' }, { name: 'revenue', type_name: 'DOUBLE' }] },
+    total_row_count: 2,
+  },
+  result: { data_array: [['West', '120.5'], ['East', '80']] },
+};
+
+const completedText = (content: string) => ({
+  body: { status: 'COMPLETED', attachments: [{ attachment_id: 'text', text: { content } }] },
+});
+
+const recordings: MockGenieData = {
+  conversations: [
+    {
+      question: 'Hello',
+      polls: [{ status: 409 }, { status: 409 }, { body: { status: 'ASKING_AI' } }, completedText('Hi there')],
+    },
+    {
+      question: 'Follow up',
+      polls: [completedText('Following up')],
+    },
+    {
+      question: 'Revenue by region',
+      polls: [
+        { body: { status: 'EXECUTING_QUERY' } },
+        {
+          body: {
+            status: 'COMPLETED',
+            attachments: [{ attachment_id: 'sales', query: { title: 'Revenue', query: SALES_SQL, statement_id: 'genie-statement' } }],
+          },
+        },
+      ],
+      queryResults: { sales: salesResult },
+    },
+    {
+      question: 'Missing result',
+      polls: [{
+        body: {
+          status: 'COMPLETED',
+          attachments: [{ attachment_id: 'missing', query: { title: 'Missing', query: 'SELECT broken' } }],
+        },
+      }],
+    },
+    {
+      question: 'Unanswerable',
+      polls: [
+        { body: { status: 'ASKING_AI' } },
+        { body: { status: 'FAILED', error: { error: 'The space has no tables for this question', type: 'INVALID_QUESTION' } } },
+      ],
+    },
+    {
+      question: 'Forbidden',
+      polls: [{ status: 403, body: { error_code: 'PERMISSION_DENIED', message: 'User cannot access this space' } }],
+    },
+    {
+      question: 'Stopped warehouse',
+      polls: [{ body: { status: 'FAILED', error: { error: 'SQL warehouse abc is stopped', type: 'WAREHOUSE_ACCESS_ERROR' } } }],
+    },
+    {
+      question: 'Slow',
+      polls: [{ body: { status: 'EXECUTING_QUERY' } }],
+    },
+  ],
+  statements: [
+    {
+      query: 'SELECT broken',
+      responses: [{ body: { status: { state: 'FAILED', error: { message: 'Table broken not found' } } } }],
+    },
+    {
+      query: 'SELECT slow',
+      responses: [{ body: { status: { state: 'RUNNING' } } }],
+    },
+  ],
+};
+
+const renderChatService = (client: MockGenieClient, params: UseChatServiceParams = {}) => {
+  const wrapper = ({ children }: { children: React.ReactNode }) => (
+    <GenieClientProvider client={client} options={NO_DELAY}>{children}</GenieClientProvider>
+  );
+  return renderHook((props: UseChatServiceParams) => useChatService(props), {
+    wrapper,
+    initialProps: { apiKey: 'test-token', ...params },
+  });
+};
+
+const lastMessage = (result: { current: ReturnType<typeof useChatService> }) =>
+  result.current.messages[result.current.messages.length - 1];
+
+const requestPaths = (client: MockGenieClient) => client.requests.map(request => `${request.method} ${request.path}`);
+
+describe('useChatService', () => {
+  let client: MockGenieClient;
+
+  beforeEach(() => {
+    client = createMockGenieClient(recordings);
+    jest.spyOn(console, 'log').mockImplementation(() => undefined);
+    jest.spyOn(console, 'error').mockImplementation(() => undefined);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('keeps polling through 409 conflicts until Genie answers', async () => {
+    const { result } = renderChatService(client);
+
+    await act(() => result.current.sendMessage('Hello'));
+
+    const answer = lastMessage(result);
+    expect(answer.loading).toBe(false);
+    expect(answer.extractedContent).toBe('Hi there');
+    expect(answer.progressSteps).toBeUndefined();
+    expect(result.current.loading).toBe(false);
+
+    const polls = requestPaths(client).filter(path => path.startsWith('GET') && path.includes('/messages/'));
+    expect(polls).toHaveLength(4);
+    expect(client.requests[0].apiToken).toBe('test-token');
+  });
+
+  it('saves the conversation once the answer has arrived', async () => {
+    const setItem = jest.spyOn(AsyncStorage, 'setItem');
+    const { result } = renderChatService(client);
+
+    await act(() => result.current.sendMessage('Hello'));
+
+    // Saves from earlier tests can still be finishing - only count this conversation's
+    const conversationKey = `GENIE_CONVERSATION_${result.current.activeConversationId}`;
+    const conversationSaves = setItem.mock.calls.filter(([key]) => key === conversationKey);
+    expect(conversationSaves).toHaveLength(1);
+    expect(JSON.parse(conversationSaves[0][1]).messages.map((msg: any) => msg.text)).toContain('Hello');
+  });
+
+  it('continues the conversation with follow-up questions', async () => {
+    const { result } = renderChatService(client);
+
+    await act(() => result.current.sendMessage('Hello'));
+    await act(() => result.current.sendMessage('Follow up'));
+
+    expect(lastMessage(result).extractedContent).toBe('Following up');
+    const posts = requestPaths(client).filter(path => path.startsWith('POST'));
+    expect(posts[0]).toBe('POST /api/2.0/genie/spaces/test-space-id/start-conversation');
+    expect(posts[1]).toMatch(/^POST \/api\/2\.0\/genie\/spaces\/test-space-id\/conversations\/mock-conversation-\d+\/messages$/);
+  });
+
+  it('loads the query result Genie produced for a query attachment', async () => {
+    const { result } = renderChatService(client);
+
+    await act(() => result.current.sendMessage('Revenue by region'));
+
+    const answer = lastMessage(result);
+    expect(answer.isQueryResponse).toBe(true);
+    const attachment = answer.attachments?.[0];
+    expect(attachment?.type).toBe('query');
+    if (attachment?.type !== 'query') return;
+    expect(attachment.resultSource).toBe('genie');
+    expect(attachment.chartData.columnNames).toEqual(['region', 'revenue']);
+    expect(attachment.chartData.rows).toEqual([['West', 120.5], ['East', 80]]);
+    expect(answer.sqlChartData).toBe(attachment.chartData);
+  });
+
+  it('shows the SQL error when the statement fails on the warehouse', async () => {
+    const { result } = renderChatService(client, { getWarehouseId: () => 'picked-warehouse' });
+
+    await act(() => result.current.sendMessage('Missing result'));
+
+    const attachment = lastMessage(result).attachments?.[0];
+    expect(attachment?.type).toBe('query');
+    if (attachment?.type !== 'query') return;
+    expect(attachment.chartData).toBeNull();
+    expect(attachment.sqlError).toBe('SQL execution failed: Table broken not found');
+
+    const statementRequest = client.requests.find(request => request.path === '/api/2.0/sql/statements/');
+    expect(statementRequest?.body).toMatchObject({ statement: 'SELECT broken', warehouse_id: 'picked-warehouse' });
+  });
+
+  it("shows Genie's reason when a message fails", async () => {
+    const { result } = renderChatService(client);
+
+    await act(() => result.current.sendMessage('Unanswerable'));
+
+    const answer = lastMessage(result);
+    expect(answer.loading).toBe(false);
+    expect(answer.text).toBe('ERROR: The space has no tables for this question');
+    expect(answer.rawResponse).toEqual({ error: 'The space has no tables for this question' });
+    expect(answer.errorInfo).toMatchObject({ kind: 'genieFailed', errorCode: 'INVALID_QUESTION' });
+  });
+
+  it('classifies errors from the Databricks error body', async () => {
+    const { result } = renderChatService(client);
+
+    await act(() => result.current.sendMessage('Forbidden'));
+
+    expect(lastMessage(result)).toMatchObject({
+      error: true,
+      text: 'ERROR: API error 403: User cannot access this space',
+      errorInfo: { kind: 'permissionDenied', status: 403, errorCode: 'PERMISSION_DENIED' },
+    });
+  });
+
+  it('starts a stopped warehouse and asks the question again', async () => {
+    const { result } = renderChatService(client, { getWarehouseId: () => 'abc' });
+
+    await act(() => result.current.sendMessage('Stopped warehouse'));
+    const failed = lastMessage(result);
+    expect(failed.errorInfo?.kind).toBe('warehouseStopped');
+
+    await act(() => result.current.startWarehouse(failed.id));
+
+    expect(requestPaths(client)).toContain('POST /api/2.0/sql/warehouses/abc/start');
+    const questions = requestPaths(client).filter(path => path.startsWith('POST /api/2.0/genie/'));
+    expect(questions).toHaveLength(2);
+  });
+
+  it('fails questions that have no recorded answer', async () => {
+    const { result } = renderChatService(client);
+
+    await act(() => result.current.sendMessage('Something else'));
+
+    expect(lastMessage(result).text).toBe('ERROR: No recorded answer for this question');
+  });
+
+  it('shows an error when the host cannot be reached', async () => {
+    client.setOnline(false);
+    const { result } = renderChatService(client);
+
+    await act(() => result.current.sendMessage('Hello'));
+
+    expect(lastMessage(result).text).toBe('ERROR: Network request failed');
+    expect(lastMessage(result).errorInfo?.kind).toBe('network');
+  });
+
+  it('retries a failed answer in place', async () => {
+    client.setOnline(false);
+    const { result } = renderChatService(client);
+
+    await act(() => result.current.sendMessage('Hello'));
+    const failed = lastMessage(result);
+    const messageCount = result.current.messages.length;
+
+    client.setOnline(true);
+    await act(async () => result.current.retryMessage(failed.id));
+
+    await waitFor(() => expect(lastMessage(result).extractedContent).toBe('Hi there'));
+    expect(lastMessage(result).id).toBe(failed.id);
+    expect(lastMessage(result).errorInfo).toBeUndefined();
+    expect(result.current.messages).toHaveLength(messageCount);
+  });
+
+  it('marks a stopped request as cancelled', async () => {
+    client = createMockGenieClient(recordings, { latencyMs: 20 });
+    const { result } = renderChatService(client);
+
+    let sent: Promise<void> = Promise.resolve();
+    act(() => {
+      sent = result.current.sendMessage('Slow');
+    });
+    await waitFor(() => expect(lastMessage(result).progressStatus).toBe('EXECUTING_QUERY'));
+
+    act(() => result.current.cancelRequest());
+    await act(() => sent);
+
+    const answer = lastMessage(result);
+    expect(answer.cancelled).toBe(true);
+    expect(answer.loading).toBe(false);
+    expect(result.current.loading).toBe(false);
+  });
+
+  it('stops an edited query that is still running', async () => {
+    client = createMockGenieClient(recordings, { latencyMs: 20 });
+    const { result } = renderChatService(client);
+
+    await act(() => result.current.sendMessage('Revenue by region'));
+    const answer = lastMessage(result);
+
+    let run: Promise<void> = Promise.resolve();
+    act(() => {
+      run = result.current.runEditedQuery(answer.id, 0, 'SELECT slow');
+    });
+    const statementPoll = () => requestPaths(client).find(path => path.startsWith('GET /api/2.0/sql/statements/'));
+    await waitFor(() => expect(statementPoll()).toBeDefined());
+    expect(result.current.loading).toBe(true);
+
+    act(() => result.current.cancelRequest());
+    await act(() => run);
+
+    const attachment = lastMessage(result).attachments?.[0];
+    if (attachment?.type !== 'query') throw new Error('Expected a query attachment');
+    expect(attachment.versions).toMatchObject([{ query: 'SELECT slow', loading: false, sqlError: 'Query cancelled' }]);
+    expect(result.current.loading).toBe(false);
+    expect(requestPaths(client)).toContain(`${statementPoll()?.replace('GET', 'POST')}/cancel`);
+  });
+
+  it('queues questions while offline and sends them once back online', async () => {
+    const { result, rerender } = renderChatService(client, { isOnline: false });
+
+    await act(() => result.current.sendMessage('Hello'));
+
+    expect(lastMessage(result)).toMatchObject({ sender: 'user', text: 'Hello', queued: true });
+    expect(client.requests).toHaveLength(0);
+
+    rerender({ apiKey: 'test-token', isOnline: true });
+
+    await waitFor(() => expect(lastMessage(result).extractedContent).toBe('Hi there'));
+    const question = result.current.messages.find(msg => msg.sender === 'user');
+    expect(question?.queued).toBeUndefined();
+  });
+
+  it('asks new conversations in the default space', async () => {
+    const { result } = renderChatService(client, { defaultSpaceId: 'sales-space' });
+
+    expect(result.current.spaceId).toBe('sales-space');
+    await act(() => result.current.sendMessage('Hello'));
+
+    expect(client.requests[0].path).toBe('/api/2.0/genie/spaces/sales-space/start-conversation');
+    expect(requestPaths(client).every(path => path.includes('/spaces/sales-space/'))).toBe(true);
+  });
+});
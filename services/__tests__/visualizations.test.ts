@@ -0,0 +1,139 @@
+import { ChartConfig, getDefaultChartConfig } from '../chartConfig';
+import { CellValue, parseResultColumn } from '../resultTypes';
+import {
+  MAX_PIE_SLICES,
+  MAX_SCATTER_POINTS,
+  buildKPIValues,
+  buildPieSlices,
+  buildScatterPoints,
+  buildStackedSeries,
+  getAvailableVisualizations,
+} from '../visualizations';
+
+const column = (name: string, type_name: string) => parseResultColumn({ name, type_name });
+
+const region = column('region', 'STRING');
+const segment = column('segment', 'STRING');
+const revenue = column('revenue', 'DOUBLE');
+const orders = column('orders', 'LONG');
+
+const config = (columns: ReturnType<typeof column>[], changes: Partial<ChartConfig> = {}): ChartConfig => ({
+  ...getDefaultChartConfig(columns),
+  limit: null,
+  ...changes,
+});
+
+describe('getAvailableVisualizations', () => {
+  it('offers only the table without numbers or rows', () => {
+    expect(getAvailableVisualizations([region, segment], 5)).toEqual(['table']);
+    expect(getAvailableVisualizations([region, revenue], 0)).toEqual(['table']);
+  });
+
+  it('offers KPI cards, and nothing that needs several rows, for a single row', () => {
+    expect(getAvailableVisualizations([revenue], 1)).toEqual(['table', 'kpi']);
+    expect(getAvailableVisualizations([region, revenue, orders], 1)).toEqual(['table', 'kpi']);
+    expect(getAvailableVisualizations([revenue], 2)).not.toContain('kpi');
+  });
+
+  it('needs two numeric columns for a scatter plot', () => {
+    expect(getAvailableVisualizations([revenue, orders], 10)).toContain('scatter');
+    expect(getAvailableVisualizations([region, revenue], 10)).not.toContain('scatter');
+  });
+
+  it('needs a label column for a pie', () => {
+    expect(getAvailableVisualizations([region, revenue], 10)).toContain('pie');
+    expect(getAvailableVisualizations([revenue, orders], 10)).not.toContain('pie');
+  });
+
+  it('needs two series or a second label column for stacked bars', () => {
+    expect(getAvailableVisualizations([region, revenue, orders], 10)).toContain('stackedBar');
+    expect(getAvailableVisualizations([region, segment, revenue], 10)).toContain('stackedBar');
+    expect(getAvailableVisualizations([region, revenue], 10)).not.toContain('stackedBar');
+  });
+
+  it('lists the types in toggle order', () => {
+    expect(getAvailableVisualizations([region, revenue, orders], 10))
+      .toEqual(['table', 'bar', 'stackedBar', 'line', 'area', 'pie', 'scatter']);
+  });
+});
+
+describe('buildKPIValues', () => {
+  it('makes a card for each numeric column of the row', () => {
+    expect(buildKPIValues([['West', 1234.5, 12]], [region, revenue, orders])).toEqual([
+      { label: 'revenue', value: (1234.5).toLocaleString() },
+      { label: 'orders', value: (12).toLocaleString() },
+    ]);
+    expect(buildKPIValues([], [revenue])).toEqual([]);
+  });
+});
+
+describe('buildPieSlices', () => {
+  const columns = [region, revenue];
+
+  it('orders slices largest first and leaves out values that cannot be drawn', () => {
+    const rows: CellValue[][] = [['West', 20], ['East', 50], ['North', 0], ['South', -5]];
+    expect(buildPieSlices(rows, columns, config(columns))).toEqual([
+      { name: 'East', value: 50 },
+      { name: 'West', value: 20 },
+    ]);
+  });
+
+  it('combines the smallest slices into Other', () => {
+    const rows: CellValue[][] = Array.from({ length: MAX_PIE_SLICES + 2 }, (_, index) => [`region ${index}`, index + 1]);
+    const slices = buildPieSlices(rows, columns, config(columns));
+
+    expect(slices).toHaveLength(MAX_PIE_SLICES);
+    // The three smallest (1, 2 and 3) don't get a slice of their own
+    expect(slices[slices.length - 1]).toEqual({ name: 'Other', value: 6 });
+  });
+});
+
+describe('buildStackedSeries', () => {
+  it('breaks the series down by a second text column', () => {
+    const columns = [region, segment, revenue];
+    const rows: CellValue[][] = [['West', 'Retail', 10], ['West', 'Online', 30], ['East', 'Retail', 5]];
+
+    expect(buildStackedSeries(rows, columns, config(columns, { xColumn: 'region', yColumns: ['revenue'] }))).toEqual({
+      labels: ['West', 'East'],
+      legend: ['Online', 'Retail'],
+      data: [[30, 10], [0, 5]],
+      groupCount: 2,
+    });
+  });
+
+  it('stacks the numeric columns on each other without a text column to stack by', () => {
+    const columns = [region, revenue, orders];
+    const rows: CellValue[][] = [['West', 10, 2], ['East', 5, 1]];
+
+    expect(buildStackedSeries(rows, columns, config(columns))).toMatchObject({
+      legend: ['revenue', 'orders'],
+      data: [[10, 2], [5, 1]],
+    });
+  });
+});
+
+describe('buildScatterPoints', () => {
+  const columns = [region, revenue, orders];
+
+  it('plots the rows that have both numbers', () => {
+    const rows: CellValue[][] = [['West', 10, 2], ['East', null, 1], ['South', 4, 3]];
+    expect(buildScatterPoints(rows, columns, config(columns))).toMatchObject({
+      xColumn: { name: 'revenue' },
+      yColumn: { name: 'orders' },
+      points: [{ x: 10, y: 2 }, { x: 4, y: 3 }],
+      pointCount: 2,
+    });
+  });
+
+  it('samples large results', () => {
+    const rows: CellValue[][] = Array.from({ length: MAX_SCATTER_POINTS * 2 }, (_, index) => ['West', index, index]);
+    const scatter = buildScatterPoints(rows, columns, config(columns));
+
+    expect(scatter?.points).toHaveLength(MAX_SCATTER_POINTS);
+    expect(scatter?.pointCount).toBe(MAX_SCATTER_POINTS * 2);
+  });
+
+  it('needs two numeric columns', () => {
+    expect(buildScatterPoints([['West', 10]], [region, revenue], config([region, revenue]))).toBeNull();
+  });
+});
@@ -0,0 +1,154 @@
+/**
+ * alertRules.ts
+ *
+ * Threshold alerts for pinned queries. A rule checks a pinned query's result
+ * on a schedule against a condition on its typed columns - a numeric column
+ * compared with a threshold (e.g. "waste_pct > 5"), the row count compared
+ * with a threshold, or the row count changing since the last check.
+ */
+
+import { CellValue, ResultColumn, isNumericColumn, toNumber } from './resultTypes';
+import { Aggregation, createAccumulator, addToAccumulator, getAggregateValue } from './chartConfig';
+
+export type AlertOperator = '>' | '>=' | '<' | '<=' | '=' | '!=';
+
+// First row reads a single-value result; the others aggregate every row
+export type AlertAggregation = 'first' | Exclude<Aggregation, 'count'>;
+
+export type AlertCondition =
+  | { type: 'value'; column: string; aggregation: AlertAggregation; operator: AlertOperator; threshold: number }
+  | { type: 'rowCount'; operator: AlertOperator; threshold: number }
+  | { type: 'rowCountChanged' };
+
+export interface AlertRule {
+  id: string;
+  // Pinned result whose SQL is checked
+  pinId: string;
+  condition: AlertCondition;
+  intervalMinutes: number;
+  enabled: boolean;
+  createdAt: number;
+  lastCheckedAt?: number;
+  // Whether the condition was met at the last check - notifications are only sent when it becomes met
+  lastTriggered?: boolean;
+  // Row count at the last check, for row count changes
+  lastRowCount?: number;
+}
+
+export interface AlertEvaluation {
+  id: string;
+  ruleId: string;
+  pinId: string;
+  checkedAt: number;
+  triggered: boolean;
+  // Value the condition was checked against - null when the query failed or the value was missing
+  value: number | null;
+  message: string;
+  error?: string;
+}
+
+export const ALERT_OPERATORS: AlertOperator[] = ['>', '>=', '<', '<=', '=', '!='];
+
+export const ALERT_AGGREGATIONS: { value: AlertAggregation; label: string }[] = [
+  { value: 'first', label: 'First row' },
+  { value: 'sum', label: 'Sum' },
+  { value: 'avg', label: 'Average' },
+  { value: 'min', label: 'Min' },
+  { value: 'max', label: 'Max' },
+];
+
+// Background fetch runs at most every 15 minutes, so shorter intervals aren't offered
+export const ALERT_INTERVALS: { minutes: number; label: string }[] = [
+  { minutes: 15, label: '15 min' },
+  { minutes: 60, label: 'Hourly' },
+  { minutes: 6 * 60, label: 'Every 6 hours' },
+  { minutes: 24 * 60, label: 'Daily' },
+];
+
+// Columns a value condition can check
+export const getAlertColumns = (columns: ResultColumn[]): ResultColumn[] => columns.filter(isNumericColumn);
+
+const compare = (value: number, operator: AlertOperator, threshold: number): boolean => {
+  switch (operator) {
+    case '>':
+      return value > threshold;
+    case '>=':
+      return value >= threshold;
+    case '<':
+      return value < threshold;
+    case '<=':
+      return value <= threshold;
+    case '=':
+      return value === threshold;
+    default:
+      return value !== threshold;
+  }
+};
+
+// Describe what a value condition checks, e.g. "avg of waste_pct"
+const describeValueSubject = (condition: Extract<AlertCondition, { type: 'value' }>): string =>
+  condition.aggregation === 'first' ? condition.column : `${condition.aggregation} of ${condition.column}`;
+
+// Describe a condition for the rule list and notifications, e.g. "avg of waste_pct > 5"
+export const describeAlertCondition = (condition: AlertCondition): string => {
+  switch (condition.type) {
+    case 'value':
+      return `${describeValueSubject(condition)} ${condition.operator} ${condition.threshold}`;
+    case 'rowCount':
+      return `row count ${condition.operator} ${condition.threshold}`;
+    default:
+      return 'row count changed';
+  }
+};
+
+// Check a rule's condition against a fresh result
+export const evaluateAlertCondition = (
+  rule: AlertRule,
+  columns: ResultColumn[],
+  rows: CellValue[][],
+  rowCount: number
+): { triggered: boolean; value: number | null; message: string } => {
+  const { condition } = rule;
+  const description = describeAlertCondition(condition);
+
+  if (condition.type === 'rowCountChanged') {
+    // The first check only records the count
+    const triggered = rule.lastRowCount !== undefined && rule.lastRowCount !== rowCount;
+    return {
+      triggered,
+      value: rowCount,
+      message: triggered
+        ? `Row count changed from ${rule.lastRowCount} to ${rowCount}`
+        : `Row count is ${rowCount}`,
+    };
+  }
+
+  if (condition.type === 'rowCount') {
+    const triggered = compare(rowCount, condition.operator, condition.threshold);
+    return { triggered, value: rowCount, message: `Row count is ${rowCount} (${description}: ${triggered ? 'met' : 'not met'})` };
+  }
+
+  const columnIndex = columns.findIndex(column => column.name === condition.column);
+  if (columnIndex < 0) {
+    return { triggered: false, value: null, message: `The result no longer has a ${condition.column} column` };
+  }
+
+  let value: number;
+  if (condition.aggregation === 'first') {
+    value = rows.length > 0 ? toNumber(rows[0][columnIndex]) : NaN;
+  } else {
+    const accumulator = createAccumulator();
+    rows.forEach(row => addToAccumulator(accumulator, row[columnIndex]));
+    value = accumulator.numericCount > 0 ? getAggregateValue(accumulator, condition.aggregation) : NaN;
+  }
+  if (isNaN(value)) {
+    return { triggered: false, value: null, message: `${condition.column} has no numeric value` };
+  }
+
+  const triggered = compare(value, condition.operator, condition.threshold);
+  return {
+    triggered,
+    value,
+    message: `${describeValueSubject(condition)} is ${value.toLocaleString(undefined, { maximumFractionDigits: 2 })} (${description}: ${triggered ? 'met' : 'not met'})`,
+  };
+};
@@ -0,0 +1,184 @@
+/**
+ * alertScheduler.ts
+ *
+ * Checks alert rules that are due by re-running their pinned query, records
+ * each evaluation and sends a local notification when a condition becomes
+ * met. Checks run on a timer while the app is open and through background
+ * fetch while it isn't - the background task is defined when this module is
+ * imported, so it has to be imported from index.js.
+ */
+
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import * as BackgroundFetch from 'expo-background-fetch';
+import * as TaskManager from 'expo-task-manager';
+import * as Notifications from 'expo-notifications';
+import * as Linking from 'expo-linking';
+import { GenieApi, genieApi, transformDatabricksResultToChartData } from './genieApi';
+import { getResultColumns } from './resultTypes';
+import { loadPinnedResults, PinnedResult } from './dashboardStore';
+import { AlertRule, AlertEvaluation, describeAlertCondition, evaluateAlertCondition } from './alertRules';
+import { loadAlertRules, updateAlertRule, addAlertEvaluation, createAlertId } from './alertStore';
+import { DEFAULT_SPACE_ID, SpaceRegistry, loadSpaceRegistry, resolveWarehouseId } from './genieSpaces';
+
+export const ALERT_TASK_NAME = 'GENIE_ALERT_CHECK';
+
+// Same storage key AuthContext keeps the signed-in user's token under
+const API_KEY_STORAGE_KEY = 'DATABRICKS_API_KEY';
+
+// Show alert notifications even when the app is in the foreground
+Notifications.setNotificationHandler({
+  handleNotification: async () => ({
+    shouldShowAlert: true,
+    shouldPlaySound: true,
+    shouldSetBadge: false,
+  }),
+});
+
+// Deep link that opens the dashboard on a pinned result
+export const createPinLink = (pinId: string): string =>
+  Linking.createURL('dashboard', { queryParams: { pin: pinId } });
+
+// Get the pinned result a dashboard deep link points at, if it is one
+export const getPinIdFromLink = (url: string | null): string | null => {
+  if (!url) return null;
+  const { path, queryParams } = Linking.parse(url);
+  const pin = queryParams?.pin;
+  return path === 'dashboard' && typeof pin === 'string' ? pin : null;
+};
+
+const isRuleDue = (rule: AlertRule, now: number): boolean =>
+  rule.enabled && (!rule.lastCheckedAt || now - rule.lastCheckedAt >= rule.intervalMinutes * 60 * 1000);
+
+const sendAlertNotification = async (pin: PinnedResult, rule: AlertRule, message: string): Promise<void> => {
+  try {
+    await Notifications.scheduleNotificationAsync({
+      content: {
+        title: `${pin.title}: ${describeAlertCondition(rule.condition)}`,
+        body: message,
+        data: { pinId: pin.id, url: createPinLink(pin.id) },
+      },
+      // Deliver right away
+      trigger: null,
+    });
+  } catch (error) {
+    console.error(`Error sending notification for alert ${rule.id}:`, error);
+  }
+};
+
+// Re-run a rule's query and evaluate its condition
+const checkRule = async (
+  api: GenieApi,
+  rule: AlertRule,
+  pin: PinnedResult,
+  registry: SpaceRegistry,
+  apiKey?: string
+): Promise<AlertEvaluation> => {
+  const checkedAt = Date.now();
+  try {
+    // Run on the warehouse picked for the pin's space, as the dashboard does
+    const warehouseId = resolveWarehouseId(pin.spaceId || DEFAULT_SPACE_ID, registry);
+    const sqlExecutionResult = await api.executeSQLQuery(pin.query, warehouseId, apiKey);
+    let chartData = transformDatabricksResultToChartData(sqlExecutionResult);
+    if (!chartData) {
+      throw new Error('The query returned no result');
+    }
+    // Aggregates need every row, not just the first chunk
+    if (rule.condition.type === 'value' && rule.condition.aggregation !== 'first' && chartData.nextChunkLink) {
+      chartData = await api.loadAllChartRows(chartData, apiKey);
+    }
+
+    const rowCount = chartData.totalRowCount ?? chartData.rowCount;
+    const result = evaluateAlertCondition(rule, getResultColumns(chartData), chartData.rows, rowCount);
+
+    // Only notify when the condition becomes met, not on every check while it stays met
+    if (result.triggered && (rule.condition.type === 'rowCountChanged' || !rule.lastTriggered)) {
+      await sendAlertNotification(pin, rule, result.message);
+    }
+    await updateAlertRule(rule.id, { lastCheckedAt: checkedAt, lastTriggered: result.triggered, lastRowCount: rowCount });
+
+    return { id: createAlertId(), ruleId: rule.id, pinId: pin.id, checkedAt, ...result };
+  } catch (error: any) {
+    console.error(`Error checking alert ${rule.id}:`, error);
+    // A failed check still counts as a check so it isn't retried on every tick
+    await updateAlertRule(rule.id, { lastCheckedAt: checkedAt });
+    const errorMessage = error?.message || 'Error executing SQL query';
+    return {
+      id: createAlertId(),
+      ruleId: rule.id,
+      pinId: pin.id,
+      checkedAt,
+      triggered: false,
+      value: null,
+      message: 'The check failed',
+      error: errorMessage,
+    };
+  }
+};
+
+// Check every enabled rule that's due - or every enabled rule when forced - and return the new evaluations.
+// The app passes the API it got from GenieClientContext, so checks follow demo mode and tests.
+export const checkDueAlerts = async (
+  api: GenieApi,
+  apiKey?: string,
+  options: { force?: boolean } = {}
+): Promise<AlertEvaluation[]> => {
+  const now = Date.now();
+  const rules = (await loadAlertRules()).filter(rule => options.force ? rule.enabled : isRuleDue(rule, now));
+  if (rules.length === 0) return [];
+
+  const pins = await loadPinnedResults();
+  const registry = await loadSpaceRegistry();
+  const evaluations: AlertEvaluation[] = [];
+  // One at a time so a batch of checks doesn't queue up on the warehouse
+  for (const rule of rules) {
+    const pin = pins.find(item => item.id === rule.pinId);
+    if (!pin) continue;
+    const evaluation = await checkRule(api, rule, pin, registry, apiKey);
+    await addAlertEvaluation(evaluation);
+    evaluations.push(evaluation);
+  }
+  return evaluations;
+};
+
+// Background fetch entry point - runs without the app's React tree, so the token comes from
+// storage and requests go to the workspace over HTTP
+TaskManager.defineTask(ALERT_TASK_NAME, async () => {
+  try {
+    const apiKey = await AsyncStorage.getItem(API_KEY_STORAGE_KEY);
+    if (!apiKey) return BackgroundFetch.BackgroundFetchResult.NoData;
+    const evaluations = await checkDueAlerts(genieApi, apiKey);
+    return evaluations.length > 0
+      ? BackgroundFetch.BackgroundFetchResult.NewData
+      : BackgroundFetch.BackgroundFetchResult.NoData;
+  } catch (error) {
+    console.error('Error running background alert check:', error);
+    return BackgroundFetch.BackgroundFetchResult.Failed;
+  }
+});
+
+// Register the background check - the OS decides the actual timing, at most every 15 minutes
+export const registerAlertBackgroundTask = async (): Promise<void> => {
+  try {
+    const isRegistered = await TaskManager.isTaskRegisteredAsync(ALERT_TASK_NAME);
+    if (isRegistered) return;
+    await BackgroundFetch.registerTaskAsync(ALERT_TASK_NAME, {
+      minimumInterval: 15 * 60,
+      stopOnTerminate: false,
+      startOnBoot: true,
+    });
+  } catch (error) {
+    console.error('Error registering background alert check:', error);
+  }
+};
+
+// Stop background checks once no rules are left
+export const unregisterAlertBackgroundTask = async (): Promise<void> => {
+  try {
+    const isRegistered = await TaskManager.isTaskRegisteredAsync(ALERT_TASK_NAME);
+    if (isRegistered) {
+      await BackgroundFetch.unregisterTaskAsync(ALERT_TASK_NAME);
+    }
+  } catch (error) {
+    console.error('Error unregistering background alert check:', error);
+  }
+};
@@ -0,0 +1,117 @@
+/**
+ * alertStore.ts
+ *
+ * Local persistence for alert rules and their evaluation history using
+ * AsyncStorage. The history keeps the most recent evaluations across all
+ * rules so it can't grow without bound.
+ */
+
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { createWriteQueue } from './storageQueue';
+import type { AlertRule, AlertEvaluation } from './alertRules';
+
+const ALERT_RULES_KEY = 'GENIE_ALERT_RULES';
+const ALERT_HISTORY_KEY = 'GENIE_ALERT_HISTORY';
+
+// Most evaluations kept in the history
+const MAX_HISTORY_ENTRIES = 200;
+
+// Rule updates are read-modify-write, and the background task can write while
+// the app is open, so writes are queued
+const enqueueWrite = createWriteQueue();
+
+// Generate a local ID for a rule or an evaluation
+export const createAlertId = (): string =>
+  `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
+
+export const loadAlertRules = async (): Promise<AlertRule[]> => {
+  try {
+    const stored = await AsyncStorage.getItem(ALERT_RULES_KEY);
+    return stored ? JSON.parse(stored) : [];
+  } catch (error) {
+    console.error('Error loading alert rules:', error);
+    return [];
+  }
+};
+
+// Load the evaluation history, most recent first
+export const loadAlertHistory = async (): Promise<AlertEvaluation[]> => {
+  try {
+    const stored = await AsyncStorage.getItem(ALERT_HISTORY_KEY);
+    return stored ? JSON.parse(stored) : [];
+  } catch (error) {
+    console.error('Error loading alert history:', error);
+    return [];
+  }
+};
+
+// Save (create or replace) a rule
+export const saveAlertRule = (rule: AlertRule): Promise<AlertRule[]> => enqueueWrite(async () => {
+  try {
+    const rules = await loadAlertRules();
+    const exists = rules.some(item => item.id === rule.id);
+    const updatedRules = exists ? rules.map(item => item.id === rule.id ? rule : item) : [...rules, rule];
+    await AsyncStorage.setItem(ALERT_RULES_KEY, JSON.stringify(updatedRules));
+    return updatedRules;
+  } catch (error) {
+    console.error(`Error saving alert rule ${rule.id}:`, error);
+    return loadAlertRules();
+  }
+});
+
+// Update part of a rule, e.g. after it was checked - does nothing if the rule was deleted meanwhile
+export const updateAlertRule = (id: string, changes: Partial<Omit<AlertRule, 'id'>>): Promise<AlertRule[]> => enqueueWrite(async () => {
+  try {
+    const rules = await loadAlertRules();
+    const updatedRules = rules.map(item => item.id === id ? { ...item, ...changes } : item);
+    await AsyncStorage.setItem(ALERT_RULES_KEY, JSON.stringify(updatedRules));
+    return updatedRules;
+  } catch (error) {
+    console.error(`Error updating alert rule ${id}:`, error);
+    return loadAlertRules();
+  }
+});
+
+// Delete a rule along with its history
+export const deleteAlertRule = (id: string): Promise<AlertRule[]> => enqueueWrite(async () => {
+  try {
+    const rules = await loadAlertRules();
+    const updatedRules = rules.filter(item => item.id !== id);
+    await AsyncStorage.setItem(ALERT_RULES_KEY, JSON.stringify(updatedRules));
+    const history = await loadAlertHistory();
+    await AsyncStorage.setItem(ALERT_HISTORY_KEY, JSON.stringify(history.filter(item => item.ruleId !== id)));
+    return updatedRules;
+  } catch (error) {
+    console.error(`Error deleting alert rule ${id}:`, error);
+    return loadAlertRules();
+  }
+});
+
+// Delete every rule for a pinned result, e.g. when it's unpinned
+export const deleteAlertRulesForPin = (pinId: string): Promise<AlertRule[]> => enqueueWrite(async () => {
+  try {
+    const rules = await loadAlertRules();
+    const removedIds = new Set(rules.filter(item => item.pinId === pinId).map(item => item.id));
+    const updatedRules = rules.filter(item => !removedIds.has(item.id));
+    await AsyncStorage.setItem(ALERT_RULES_KEY, JSON.stringify(updatedRules));
+    const history = await loadAlertHistory();
+    await AsyncStorage.setItem(ALERT_HISTORY_KEY, JSON.stringify(history.filter(item => !removedIds.has(item.ruleId))));
+    return updatedRules;
+  } catch (error) {
+    console.error(`Error deleting alert rules for ${pinId}:`, error);
+    return loadAlertRules();
+  }
+});
+
+// Add an evaluation to the front of the history
+export const addAlertEvaluation = (evaluation: AlertEvaluation): Promise<AlertEvaluation[]> => enqueueWrite(async () => {
+  try {
+    const history = await loadAlertHistory();
+    const updatedHistory = [evaluation, ...history].slice(0, MAX_HISTORY_ENTRIES);
+    await AsyncStorage.setItem(ALERT_HISTORY_KEY, JSON.stringify(updatedHistory));
+    return updatedHistory;
+  } catch (error) {
+    console.error('Error saving alert evaluation:', error);
+    return loadAlertHistory();
+  }
+});
@@ -0,0 +1,192 @@
+/**
+ * chartConfig.ts
+ *
+ * Chart builder configuration and the series it produces from a result.
+ * Rows are grouped by the X column and each Y column is aggregated per group.
+ * Columns are stored by name so a saved configuration still applies when a
+ * regenerated answer returns the same columns in a different order.
+ */
+
+import { CellValue, ResultColumn, isNumericColumn, formatCellValue, toNumber } from './resultTypes';
+import { compareCells } from './tableQuery';
+import type { TimeGranularity, GapMode } from './timeSeries';
+
+export type Aggregation = 'sum' | 'avg' | 'count' | 'min' | 'max';
+
+export type ChartSortBy = 'none' | 'x' | 'value';
+
+export interface ChartConfig {
+  xColumn: string;
+  yColumns: string[];
+  aggregation: Aggregation;
+  sortBy: ChartSortBy;
+  sortDirection: 'asc' | 'desc';
+  // Number of groups to chart - null charts every group
+  limit: number | null;
+  // Text column whose values are stacked in a stacked bar chart
+  stackColumn?: string | null;
+  // Time axes only - bucket raw times into a granularity (null picks one from the data)
+  timeBucket?: TimeGranularity | null;
+  gapMode?: GapMode;
+}
+
+export interface ChartSeries {
+  name: string;
+  values: number[];
+}
+
+export interface ChartSeriesData {
+  labels: string[];
+  series: ChartSeries[];
+  // Number of groups before the top-N limit was applied
+  groupCount: number;
+}
+
+export const AGGREGATIONS: Aggregation[] = ['sum', 'avg', 'count', 'min', 'max'];
+
+export const TOP_N_OPTIONS = [5, 10, 20, 50];
+
+// Charts showed the first 10 rows before the builder existed
+export const DEFAULT_CHART_LIMIT = 10;
+
+// Running totals for one group of one series
+export interface Accumulator {
+  sum: number;
+  // Non-empty cells, for count
+  count: number;
+  // Cells holding a number, for the other aggregations
+  numericCount: number;
+  min: number;
+  max: number;
+}
+
+// Build the default configuration: the first non-numeric column on the X axis
+// and the first numeric column as the only series
+export const getDefaultChartConfig = (columns: ResultColumn[]): ChartConfig => {
+  const labelColumn = columns.find(column => !isNumericColumn(column)) || columns[0];
+  const valueColumn = columns.find(isNumericColumn) || columns[Math.min(1, columns.length - 1)];
+  return {
+    xColumn: labelColumn?.name || '',
+    yColumns: valueColumn ? [valueColumn.name] : [],
+    aggregation: 'sum',
+    sortBy: 'none',
+    sortDirection: 'desc',
+    limit: DEFAULT_CHART_LIMIT,
+    stackColumn: null,
+    timeBucket: null,
+    gapMode: 'zero',
+  };
+};
+
+// Fit a saved configuration to a result's columns, replacing columns that no longer exist
+export const resolveChartConfig = (config: ChartConfig | null | undefined, columns: ResultColumn[]): ChartConfig => {
+  const defaults = getDefaultChartConfig(columns);
+  if (!config) return defaults;
+
+  const names = columns.map(column => column.name);
+  const yColumns = (config.yColumns || []).filter(name => names.includes(name));
+  return {
+    xColumn: names.includes(config.xColumn) ? config.xColumn : defaults.xColumn,
+    yColumns: yColumns.length > 0 ? yColumns : defaults.yColumns,
+    aggregation: AGGREGATIONS.includes(config.aggregation) ? config.aggregation : defaults.aggregation,
+    sortBy: config.sortBy || defaults.sortBy,
+    sortDirection: config.sortDirection || defaults.sortDirection,
+    limit: config.limit === undefined ? defaults.limit : config.limit,
+    stackColumn: config.stackColumn && names.includes(config.stackColumn) ? config.stackColumn : null,
+    timeBucket: config.timeBucket || null,
+    gapMode: config.gapMode || defaults.gapMode,
+  };
+};
+
+// Empty running totals for a new group
+export const createAccumulator = (): Accumulator => ({ sum: 0, count: 0, numericCount: 0, min: Infinity, max: -Infinity });
+
+// Add a cell to a group's running totals - count works on any column, the
+// other aggregations skip non-numeric cells
+export const addToAccumulator = (accumulator: Accumulator, cell: CellValue) => {
+  if (cell === null || cell === undefined) return;
+  accumulator.count++;
+  const value = toNumber(cell);
+  if (isNaN(value)) return;
+  accumulator.numericCount++;
+  accumulator.sum += value;
+  accumulator.min = Math.min(accumulator.min, value);
+  accumulator.max = Math.max(accumulator.max, value);
+};
+
+// Get the aggregated value of a group - 0 when it has no numbers to aggregate
+export const getAggregateValue = (accumulator: Accumulator, aggregation: Aggregation): number => {
+  switch (aggregation) {
+    case 'count':
+      return accumulator.count;
+    case 'avg':
+      return accumulator.numericCount > 0 ? accumulator.sum / accumulator.numericCount : 0;
+    case 'min':
+      return accumulator.numericCount > 0 ? accumulator.min : 0;
+    case 'max':
+      return accumulator.numericCount > 0 ? accumulator.max : 0;
+    default:
+      return accumulator.sum;
+  }
+};
+
+// Group rows by the X column and aggregate each series, then sort and apply the top-N limit
+export const buildChartSeries = (
+  rows: CellValue[][],
+  columns: ResultColumn[],
+  config: ChartConfig
+): ChartSeriesData => {
+  const xIndex = columns.findIndex(column => column.name === config.xColumn);
+  const yIndices = config.yColumns
+    .map(name => columns.findIndex(column => column.name === name))
+    .filter(index => index >= 0);
+  if (xIndex < 0 || yIndices.length === 0) {
+    return { labels: [], series: [], groupCount: 0 };
+  }
+  const xColumn = columns[xIndex];
+
+  // Groups in order of first appearance, keyed by the formatted X value
+  const groups = new Map<string, { xValue: CellValue; accumulators: Accumulator[] }>();
+  for (const row of rows) {
+    const label = formatCellValue(row[xIndex], xColumn);
+    let group = groups.get(label);
+    if (!group) {
+      group = {
+        xValue: row[xIndex],
+        accumulators: yIndices.map(createAccumulator),
+      };
+      groups.set(label, group);
+    }
+
+    yIndices.forEach((columnIndex, seriesIndex) => {
+      addToAccumulator(group!.accumulators[seriesIndex], row[columnIndex]);
+    });
+  }
+
+  let entries = Array.from(groups.entries()).map(([label, group]) => ({
+    label,
+    xValue: group.xValue,
+    values: group.accumulators.map(accumulator => getAggregateValue(accumulator, config.aggregation)),
+  }));
+
+  if (config.sortBy !== 'none') {
+    const multiplier = config.sortDirection === 'asc' ? 1 : -1;
+    entries.sort((a, b) => multiplier * (config.sortBy === 'x'
+      ? compareCells(a.xValue, b.xValue, xColumn)
+      : a.values[0] - b.values[0]));
+  }
+
+  const groupCount = entries.length;
+  if (config.limit !== null && config.limit > 0) {
+    entries = entries.slice(0, config.limit);
+  }
+
+  return {
+    labels: entries.map(entry => entry.label),
+    series: yIndices.map((columnIndex, seriesIndex) => ({
+      name: columns[columnIndex].name,
+      values: entries.map(entry => entry.values[seriesIndex]),
+    })),
+    groupCount,
+  };
+};
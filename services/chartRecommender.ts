@@ -0,0 +1,143 @@
+/**
+ * chartRecommender.ts
+ *
+ * Picks the default visualization and axes for a query result from its
+ * column types, the cardinality of its text columns and its row count:
+ * - A single row of numbers is shown as KPI cards
+ * - A date or timestamp column with numeric series is shown as a line over time
+ * - A text column with a few categories is shown as a bar chart (or a pie
+ *   chart when the values are shares)
+ * - Two numeric columns and nothing else are shown as a scatter plot
+ * - Anything else stays a table
+ * Each recommendation carries a short reason that's shown next to the chart.
+ */
+
+import { CellValue, ResultColumn, isNumericColumn, isTemporalColumn, formatCellValue, toNumber } from './resultTypes';
+import { ChartConfig, getDefaultChartConfig } from './chartConfig';
+import { VisualizationType, getAvailableVisualizations, MAX_PIE_SLICES } from './visualizations';
+
+export interface VisualizationRecommendation {
+  type: VisualizationType;
+  config: ChartConfig;
+  reason: string;
+}
+
+// Most categories a bar chart is recommended for
+export const MAX_BAR_CATEGORIES = 20;
+
+// Rows inspected when counting distinct values
+const CARDINALITY_SAMPLE_ROWS = 1000;
+
+// Most numeric series drawn on a recommended line chart
+const MAX_LINE_SERIES = 3;
+
+// Fewest points that make a scatter plot worth showing
+const MIN_SCATTER_ROWS = 10;
+
+// Column names that suggest the values are parts of a whole
+const SHARE_COLUMN_PATTERN = /share|percent|pct|ratio|proportion/i;
+
+// Count the distinct values of a column, stopping once the count passes the limit
+const countDistinct = (rows: CellValue[][], columnIndex: number, column: ResultColumn, limit: number): number => {
+  const distinct = new Set<string>();
+  const sampleSize = Math.min(rows.length, CARDINALITY_SAMPLE_ROWS);
+  for (let index = 0; index < sampleSize; index++) {
+    distinct.add(formatCellValue(rows[index][columnIndex], column));
+    if (distinct.size > limit) break;
+  }
+  return distinct.size;
+};
+
+// Check whether every value of a column is zero or more
+const isNonNegativeColumn = (rows: CellValue[][], columnIndex: number): boolean =>
+  rows.every(row => {
+    const value = toNumber(row[columnIndex]);
+    return isNaN(value) || value >= 0;
+  });
+
+// Recommend a visualization and axes for a result
+export const recommendVisualization = (
+  columns: ResultColumn[],
+  rows: CellValue[][]
+): VisualizationRecommendation => {
+  const defaults = getDefaultChartConfig(columns);
+  const available = getAvailableVisualizations(columns, rows.length);
+  const numericColumns = columns.filter(isNumericColumn);
+  const temporalColumns = columns.filter(isTemporalColumn);
+  const textColumns = columns.filter(column => !isNumericColumn(column) && !isTemporalColumn(column));
+
+  if (available.includes('kpi')) {
+    return {
+      type: 'kpi',
+      config: defaults,
+      reason: numericColumns.length === 1
+        ? 'The result is a single value'
+        : 'The result is a single row of numbers',
+    };
+  }
+
+  if (numericColumns.length === 0 || rows.length < 2) {
+    return { type: 'table', config: defaults, reason: 'The result has no numeric columns to chart' };
+  }
+
+  // A time column with numbers is almost always a trend
+  if (temporalColumns.length > 0) {
+    const timeColumn = temporalColumns[0];
+    const series = numericColumns.slice(0, MAX_LINE_SERIES).map(column => column.name);
+    return {
+      type: 'line',
+      config: { ...defaults, xColumn: timeColumn.name, yColumns: series, sortBy: 'x', sortDirection: 'asc', limit: null },
+      reason: `${timeColumn.name} is a ${timeColumn.kind} column, so ${series.join(', ')} ${series.length > 1 ? 'are' : 'is'} shown over time`,
+    };
+  }
+
+  // A text column with few categories compares well as bars
+  for (const labelColumn of textColumns) {
+    const columnIndex = columns.indexOf(labelColumn);
+    const categoryCount = countDistinct(rows, columnIndex, labelColumn, MAX_BAR_CATEGORIES);
+    if (categoryCount > MAX_BAR_CATEGORIES) continue;
+
+    const valueColumn = numericColumns[0];
+    const isShare = numericColumns.length === 1
+      && categoryCount <= MAX_PIE_SLICES
+      && SHARE_COLUMN_PATTERN.test(valueColumn.name)
+      && isNonNegativeColumn(rows, columns.indexOf(valueColumn));
+    if (isShare && available.includes('pie')) {
+      return {
+        type: 'pie',
+        config: { ...defaults, xColumn: labelColumn.name, yColumns: [valueColumn.name], limit: null },
+        reason: `${valueColumn.name} looks like shares of a whole across ${categoryCount} ${labelColumn.name} values`,
+      };
+    }
+
+    return {
+      type: 'bar',
+      config: {
+        ...defaults,
+        xColumn: labelColumn.name,
+        yColumns: [valueColumn.name],
+        sortBy: 'value',
+        sortDirection: 'desc',
+        limit: null,
+      },
+      reason: `${labelColumn.name} has ${categoryCount} categories to compare by ${valueColumn.name}`,
+    };
+  }
+
+  // Only numbers - look for a relationship between the first two
+  if (textColumns.length === 0 && numericColumns.length >= 2 && rows.length >= MIN_SCATTER_ROWS) {
+    return {
+      type: 'scatter',
+      config: { ...defaults, xColumn: numericColumns[0].name, yColumns: [numericColumns[1].name] },
+      reason: `${numericColumns[0].name} and ${numericColumns[1].name} are both numeric, so they're plotted against each other`,
+    };
+  }
+
+  return {
+    type: 'table',
+    config: defaults,
+    reason: textColumns.length > 0
+      ? `${textColumns[0].name} has more than ${MAX_BAR_CATEGORIES} categories to chart clearly`
+      : 'The result is best read as a table',
+  };
+};
@@ -0,0 +1,230 @@
+/**
+ * conversationStore.ts
+ *
+ * Local persistence for chat conversations using AsyncStorage.
+ * Each conversation is stored under its own key, and a lightweight index of
+ * summaries (title, dates, message count) is kept separately so the history
+ * panel can be rendered without loading every message.
+ */
+
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import type { ChatMessage } from './useChatService';
+import type { QueryVersion } from './genieAttachments';
+import { limitChartRows } from './resultCache';
+import { createWriteQueue } from './storageQueue';
+
+const CONVERSATION_INDEX_KEY = 'GENIE_CONVERSATION_INDEX';
+const CONVERSATION_KEY_PREFIX = 'GENIE_CONVERSATION_';
+
+// Maximum title length derived from the first user question
+const MAX_TITLE_LENGTH = 60;
+
+// Most rows saved per query result - the conversation is rewritten on every change,
+// so results are cut like the result cache does
+const MAX_SAVED_ROWS = 2000;
+
+// Summary shown in the history panel
+export interface ConversationSummary {
+  id: string;
+  title: string;
+  createdAt: number;
+  updatedAt: number;
+  messageCount: number;
+  genieConversationId: string | null;
+  // Genie space the conversation belongs to - missing for conversations from before spaces could be picked
+  spaceId?: string;
+}
+
+// Full conversation including messages
+export interface StoredConversation extends ConversationSummary {
+  messages: ChatMessage[];
+}
+
+const conversationKey = (id: string): string => `${CONVERSATION_KEY_PREFIX}${id}`;
+
+// Index updates are read-modify-write, so writes are queued
+const enqueueWrite = createWriteQueue();
+
+// Generate a local ID for a new conversation
+export const createConversationId = (): string =>
+  `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
+
+// Build a title from the first user message in the conversation
+export const deriveConversationTitle = (messages: ChatMessage[]): string => {
+  const firstQuestion = messages.find(msg => msg.sender === 'user');
+  if (!firstQuestion) return 'New conversation';
+  const text = firstQuestion.text.trim().replace(/\s+/g, ' ');
+  return text.length > MAX_TITLE_LENGTH ? text.substring(0, MAX_TITLE_LENGTH) + '...' : text;
+};
+
+// Replace the edited query versions of every query attachment in a message
+const mapQueryVersions = (
+  message: ChatMessage,
+  update: (versions: QueryVersion[]) => QueryVersion[]
+): ChatMessage => {
+  if (!message.attachments?.some(attachment => attachment.type === 'query' && attachment.versions?.length)) {
+    return message;
+  }
+  return {
+    ...message,
+    attachments: message.attachments.map(attachment =>
+      attachment.type === 'query' && attachment.versions
+        ? { ...attachment, versions: update(attachment.versions) }
+        : attachment
+    ),
+  };
+};
+
+// A version saved while it was still running can't be resumed - show it as stopped
+const restoreMessage = (message: ChatMessage): ChatMessage =>
+  mapQueryVersions(message, versions => versions.map(version =>
+    version.loading
+      ? { ...version, loading: false, sqlError: 'The query was stopped before it finished' }
+      : version
+  ));
+
+// Cut the rows of a raw statement response the same way
+const limitStatementRows = (response: any): any => {
+  const dataArray = response?.result?.data_array;
+  if (!dataArray || dataArray.length <= MAX_SAVED_ROWS) return response;
+  return { ...response, result: { ...response.result, data_array: dataArray.slice(0, MAX_SAVED_ROWS) } };
+};
+
+// Cap the rows of every query result in a message before it's saved
+const limitMessageRows = (message: ChatMessage): ChatMessage => {
+  const attachments = message.attachments?.map(attachment =>
+    attachment.type === 'query'
+      ? {
+          ...attachment,
+          chartData: limitChartRows(attachment.chartData, MAX_SAVED_ROWS),
+          versions: attachment.versions?.map(version => ({
+            ...version,
+            chartData: limitChartRows(version.chartData, MAX_SAVED_ROWS),
+          })),
+        }
+      : attachment
+  );
+
+  // Genie's raw answer and the text made from it hold the same rows
+  const queryResults: any[] | undefined = message.rawResponse?.queryResults;
+  const limitedResults = queryResults?.map(limitStatementRows);
+  const rawChanged = !!limitedResults && limitedResults.some((result, index) => result !== queryResults?.[index]);
+  const rawResponse = rawChanged ? { ...message.rawResponse, queryResults: limitedResults } : message.rawResponse;
+
+  return {
+    ...message,
+    text: rawChanged ? JSON.stringify(rawResponse, null, 2) : message.text,
+    rawResponse,
+    attachments,
+    sqlExecutionResult: limitStatementRows(message.sqlExecutionResult),
+    sqlChartData: limitChartRows(message.sqlChartData, MAX_SAVED_ROWS),
+  };
+};
+
+// Load the conversation index, most recently updated first
+export const loadConversationSummaries = async (): Promise<ConversationSummary[]> => {
+  try {
+    const stored = await AsyncStorage.getItem(CONVERSATION_INDEX_KEY);
+    const summaries: ConversationSummary[] = stored ? JSON.parse(stored) : [];
+    return summaries.sort((a, b) => b.updatedAt - a.updatedAt);
+  } catch (error) {
+    console.error('Error loading conversation index:', error);
+    return [];
+  }
+};
+
+const saveConversationSummaries = async (summaries: ConversationSummary[]): Promise<void> => {
+  await AsyncStorage.setItem(CONVERSATION_INDEX_KEY, JSON.stringify(summaries));
+};
+
+// Load a full conversation by its local ID
+export const loadConversation = async (id: string): Promise<StoredConversation | null> => {
+  try {
+    const stored = await AsyncStorage.getItem(conversationKey(id));
+    if (!stored) return null;
+    const conversation: StoredConversation = JSON.parse(stored);
+    return { ...conversation, messages: conversation.messages.map(restoreMessage) };
+  } catch (error) {
+    console.error(`Error loading conversation ${id}:`, error);
+    return null;
+  }
+};
+
+// Save (create or update) a conversation and refresh its index entry.
+// A title set by the user is kept; otherwise it's derived from the first question.
+export const saveConversation = (
+  id: string,
+  messages: ChatMessage[],
+  genieConversationId: string | null,
+  spaceId?: string
+): Promise<ConversationSummary[]> => enqueueWrite(async () => {
+  try {
+    const summaries = await loadConversationSummaries();
+    const existing = summaries.find(summary => summary.id === id);
+    const now = Date.now();
+
+    // Loading placeholders and running query versions are transient and should never be restored
+    const persistedMessages = messages
+      .filter(msg => !msg.loading)
+      .map(msg => mapQueryVersions(msg, versions => versions.filter(version => !version.loading)))
+      .map(limitMessageRows);
+
+    const summary: ConversationSummary = {
+      id,
+      title: existing?.title || deriveConversationTitle(persistedMessages),
+      createdAt: existing?.createdAt || now,
+      updatedAt: now,
+      // The welcome message isn't part of the conversation
+      messageCount: persistedMessages.filter(msg => msg.id !== '1').length,
+      genieConversationId,
+      spaceId,
+    };
+
+    const conversation: StoredConversation = { ...summary, messages: persistedMessages };
+    await AsyncStorage.setItem(conversationKey(id), JSON.stringify(conversation));
+
+    const updatedSummaries = [summary, ...summaries.filter(item => item.id !== id)];
+    await saveConversationSummaries(updatedSummaries);
+    return updatedSummaries;
+  } catch (error) {
+    console.error(`Error saving conversation ${id}:`, error);
+    return loadConversationSummaries();
+  }
+});
+
+// Rename a conversation in both the index and the stored record
+export const renameConversation = (id: string, title: string): Promise<ConversationSummary[]> => enqueueWrite(async () => {
+  try {
+    const trimmedTitle = title.trim();
+    const summaries = await loadConversationSummaries();
+    if (!trimmedTitle) return summaries;
+
+    const updatedSummaries = summaries.map(summary =>
+      summary.id === id ? { ...summary, title: trimmedTitle } : summary
+    );
+    await saveConversationSummaries(updatedSummaries);
+
+    const conversation = await loadConversation(id);
+    if (conversation) {
+      await AsyncStorage.setItem(conversationKey(id), JSON.stringify({ ...conversation, title: trimmedTitle }));
+    }
+    return updatedSummaries;
+  } catch (error) {
+    console.error(`Error renaming conversation ${id}:`, error);
+    return loadConversationSummaries();
+  }
+});
+
+// Delete a conversation and its index entry
+export const deleteConversation = (id: string): Promise<ConversationSummary[]> => enqueueWrite(async () => {
+  try {
+    await AsyncStorage.removeItem(conversationKey(id));
+    const summaries = await loadConversationSummaries();
+    const updatedSummaries = summaries.filter(summary => summary.id !== id);
+    await saveConversationSummaries(updatedSummaries);
+    return updatedSummaries;
+  } catch (error) {
+    console.error(`Error deleting conversation ${id}:`, error);
+    return loadConversationSummaries();
+  }
+});
@@ -0,0 +1,92 @@
+/**
+ * dashboardStore.ts
+ *
+ * Local persistence for results pinned to the dashboard using AsyncStorage.
+ * A pin keeps the SQL, title and visualization of a query result - not its
+ * rows - so dashboard tiles always re-run the query for fresh data.
+ */
+
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { createWriteQueue } from './storageQueue';
+import type { ChartConfig } from './chartConfig';
+import type { VisualizationType } from './visualizations';
+
+const DASHBOARD_PINS_KEY = 'GENIE_DASHBOARD_PINS';
+
+export interface PinnedResult {
+  id: string;
+  title: string;
+  query: string;
+  // Genie space the result was asked in - its SQL runs on that space's warehouse
+  spaceId?: string;
+  visualizationType?: VisualizationType | null;
+  chartConfig?: ChartConfig | null;
+  pinnedAt: number;
+  // When the tile's query last finished successfully
+  lastUpdatedAt?: number;
+}
+
+export type NewPinnedResult = Omit<PinnedResult, 'id' | 'pinnedAt' | 'lastUpdatedAt'>;
+
+// Pin updates are read-modify-write, so writes are queued
+const enqueueWrite = createWriteQueue();
+
+// Load the pinned results in the order they were pinned
+export const loadPinnedResults = async (): Promise<PinnedResult[]> => {
+  try {
+    const stored = await AsyncStorage.getItem(DASHBOARD_PINS_KEY);
+    return stored ? JSON.parse(stored) : [];
+  } catch (error) {
+    console.error('Error loading pinned results:', error);
+    return [];
+  }
+};
+
+const savePinnedResults = async (pins: PinnedResult[]): Promise<void> => {
+  await AsyncStorage.setItem(DASHBOARD_PINS_KEY, JSON.stringify(pins));
+};
+
+// Pin a result - pinning the same SQL again replaces the earlier pin's title and visualization
+export const addPinnedResult = (pin: NewPinnedResult): Promise<PinnedResult[]> => enqueueWrite(async () => {
+  try {
+    const pins = await loadPinnedResults();
+    const existing = pins.find(item => item.query.trim() === pin.query.trim());
+    const updatedPins = existing
+      ? pins.map(item => item.id === existing.id ? { ...item, ...pin } : item)
+      : [...pins, { ...pin, id: `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`, pinnedAt: Date.now() }];
+    await savePinnedResults(updatedPins);
+    return updatedPins;
+  } catch (error) {
+    console.error('Error pinning result:', error);
+    return loadPinnedResults();
+  }
+});
+
+// Update a pinned result, e.g. its chart configuration or when it was last refreshed
+export const updatePinnedResult = (
+  id: string,
+  changes: Partial<Omit<PinnedResult, 'id'>>
+): Promise<PinnedResult[]> => enqueueWrite(async () => {
+  try {
+    const pins = await loadPinnedResults();
+    const updatedPins = pins.map(item => item.id === id ? { ...item, ...changes } : item);
+    await savePinnedResults(updatedPins);
+    return updatedPins;
+  } catch (error) {
+    console.error(`Error updating pinned result ${id}:`, error);
+    return loadPinnedResults();
+  }
+});
+
+// Remove a result from the dashboard
+export const removePinnedResult = (id: string): Promise<PinnedResult[]> => enqueueWrite(async () => {
+  try {
+    const pins = await loadPinnedResults();
+    const updatedPins = pins.filter(item => item.id !== id);
+    await savePinnedResults(updatedPins);
+    return updatedPins;
+  } catch (error) {
+    console.error(`Error removing pinned result ${id}:`, error);
+    return loadPinnedResults();
+  }
+});
@@ -0,0 +1,110 @@
+/**
+ * demoRecordings.ts
+ *
+ * Recorded conversations the mock Genie client replays in demo mode
+ * (GENIE_DEMO_MODE=true), so the app can be shown without a workspace.
+ * Ask one of the recorded questions - anything else gets a FAILED answer.
+ */
+
+import type { MockGenieData } from './mockGenieClient';
+
+const DEMO_SPACE_ID = 'demo-space';
+const DEMO_WAREHOUSE_ID = 'demo-warehouse';
+
+const SALES_BY_REGION_SQL = 'SELECT region, SUM(revenue) AS revenue FROM sales GROUP BY region ORDER BY revenue DESC';
+const WEEKLY_ORDERS_SQL = 'SELECT week, COUNT(*) AS orders FROM orders GROUP BY week ORDER BY week';
+
+// Statement response in the JSON_ARRAY format the warehouse returns
+const createStatementResponse = (columns: { name: string; type_name: string }[], rows: string[][]) => ({
+  status: { state: 'SUCCEEDED' },
+  manifest: {
+    format: 'JSON_ARRAY',
+    schema: { column_count: columns.length, columns: columns.map((column, position) => ({ ...column, position })) },
+    total_row_count: rows.length,
+    truncated: false,
+  },
+  result: { chunk_index: 0, row_offset: 0, row_count: rows.length, data_array: rows },
+});
+
+const salesByRegion = createStatementResponse(
+  [{ name: 'region', type_name: 'STRING' }, { name: 'revenue', type_name: 'DOUBLE' }],
+  [['West', '482300.5'], ['East', '391870.25'], ['Central', '288940'], ['South', '176215.75']]
+);
+
+const weeklyOrders = createStatementResponse(
+  [{ name: 'week', type_name: 'DATE' }, { name: 'orders', type_name: 'LONG' }],
+  [['2024-01-01', '1240'], ['2024-01-08', '1315'], ['2024-01-15', '1198'], ['2024-01-22', '1422'], ['2024-01-29', '1507']]
+);
+
+export const demoRecordings: MockGenieData = {
+  spaces: [{
+    space_id: DEMO_SPACE_ID,
+    title: 'Sales demo',
+    description: 'Recorded sales and orders answers',
+    warehouse_id: DEMO_WAREHOUSE_ID,
+  }],
+  warehouses: [{ id: DEMO_WAREHOUSE_ID, name: 'Demo warehouse', state: 'RUNNING' }],
+  conversations: [
+    {
+      question: 'What can you tell me about?',
+      polls: [
+        { body: { status: 'ASKING_AI' } },
+        {
+          body: {
+            status: 'COMPLETED',
+            attachments: [
+              { attachment_id: 'demo-text', text: { content: 'I can answer questions about sales by region and weekly orders.' } },
+              {
+                attachment_id: 'demo-suggestions',
+                suggested_questions: { questions: ['What is revenue by region?', 'How many orders per week?'] },
+              },
+            ],
+          },
+        },
+      ],
+    },
+    {
+      question: 'What is revenue by region?',
+      polls: [
+        // Genie answers 409 while the message is still being set up
+        { status: 409 },
+        { body: { status: 'EXECUTING_QUERY' } },
+        {
+          body: {
+            status: 'COMPLETED',
+            attachments: [{
+              attachment_id: 'demo-sales-query',
+              query: {
+                title: 'Revenue by region',
+                description: 'Total revenue for each region, highest first.',
+                query: SALES_BY_REGION_SQL,
+              },
+            }],
+          },
+        },
+      ],
+      queryResults: { 'demo-sales-query': salesByRegion },
+    },
+    {
+      question: 'How many orders per week?',
+      polls: [
+        { body: { status: 'EXECUTING_QUERY' } },
+        {
+          body: {
+            status: 'COMPLETED',
+            attachments: [{
+              attachment_id: 'demo-orders-query',
+              query: { title: 'Orders per week', description: 'Number of orders placed each week.', query: WEEKLY_ORDERS_SQL },
+            }],
+          },
+        },
+      ],
+      queryResults: { 'demo-orders-query': weeklyOrders },
+    },
+  ],
+  // Edited SQL and pinned tiles run the statement again on the warehouse
+  statements: [
+    { query: SALES_BY_REGION_SQL, responses: [{ body: salesByRegion }] },
+    { query: WEEKLY_ORDERS_SQL, responses: [{ body: weeklyOrders }] },
+  ],
+};
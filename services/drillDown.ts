@@ -0,0 +1,68 @@
+/**
+ * drillDown.ts
+ *
+ * Follow-up questions for a value picked from a chart or a table row. Each
+ * action turns the picked value and its column into a natural-language
+ * question that's asked in the same Genie conversation.
+ */
+
+import { CellValue, ResultColumn, isNumericColumn, formatCellValue } from './resultTypes';
+
+export type DrillDownAction = 'breakdown' | 'trend' | 'explain';
+
+export interface DrillDownTarget {
+  // Column and value that was picked
+  column: string;
+  value: string;
+  // Numeric column shown for the value, and its value
+  measure?: string;
+  measureValue?: string;
+}
+
+export const DRILL_DOWN_ACTIONS: { action: DrillDownAction; label: string }[] = [
+  { action: 'breakdown', label: 'Break this down by…' },
+  { action: 'trend', label: 'Show trend for this' },
+  { action: 'explain', label: 'Why is this high?' },
+];
+
+// Columns a value can be broken down by - the non-numeric columns other than its own
+export const getBreakdownColumns = (columns: ResultColumn[], target: DrillDownTarget): ResultColumn[] =>
+  columns.filter(column => !isNumericColumn(column) && column.name !== target.column);
+
+// Pick the value and measure for a table row - its first non-numeric column and its first numeric column
+export const getRowDrillDownTarget = (row: CellValue[], columns: ResultColumn[]): DrillDownTarget | null => {
+  const dimensionIndex = columns.findIndex(column => !isNumericColumn(column));
+  if (dimensionIndex < 0) return null;
+  const measureIndex = columns.findIndex(isNumericColumn);
+  return {
+    column: columns[dimensionIndex].name,
+    value: formatCellValue(row[dimensionIndex], columns[dimensionIndex]),
+    measure: measureIndex >= 0 ? columns[measureIndex].name : undefined,
+    measureValue: measureIndex >= 0 ? formatCellValue(row[measureIndex], columns[measureIndex]) : undefined,
+  };
+};
+
+// Build the follow-up question for an action - breakdowns without a column let Genie pick one
+export const buildDrillDownQuestion = (
+  action: DrillDownAction,
+  target: DrillDownTarget,
+  breakdownColumn?: string
+): string => {
+  const subject = target.measure || 'the results';
+  const selection = target.value === 'NULL'
+    ? `where ${target.column} is empty`
+    : `where ${target.column} is "${target.value}"`;
+
+  switch (action) {
+    case 'breakdown':
+      return breakdownColumn
+        ? `Break down ${subject} ${selection} by ${breakdownColumn}`
+        : `Break down ${subject} ${selection} by its most relevant dimension`;
+    case 'trend':
+      return `Show the trend of ${subject} over time ${selection}`;
+    default: {
+      const measured = target.measureValue ? ` (${target.measureValue})` : '';
+      return `Why is ${target.measure || 'the value'} high ${selection}${measured} compared to other ${target.column} values?`;
+    }
+  }
+};
@@ -7,265 +7,613 @@
  * - Executing SQL queries via Databricks SQL API
  * - Transforming query results into chart-friendly data formats
  * 
- * Environment variables are used for authentication (API_TOKEN, SPACE_ID, etc.)
- * and should be configured in the .env file.
+ * Requests go through a GenieClient (see genieClient.ts) - the workspace
+ * from the .env file by default. The Genie space and SQL warehouse are
+ * passed to every call, so each conversation can use its own.
  */
 
 // services/genieApi.ts - Simple API client that returns raw JSON
+import { GenieClient, httpGenieClient } from './genieClient';
+import { parseResultColumn, convertRows, getResultColumns } from './resultTypes';
 import {
-  SPACE_ID,
-  INSTANCE_URL,
-  WAREHOUSE_ID
-} from '@env';
-
-// API_TOKEN is now passed as a parameter or read from .env as fallback
-import { API_TOKEN as DEFAULT_API_TOKEN } from '@env';
+  isNetworkError,
+  createGenieError,
+  createResponseError,
+  createStatementError
+} from './genieErrors';
+import {
+  RetryEvent,
+  RetryPolicy,
+  RetryPolicyOverrides,
+  createRequestLayer,
+  resolveRetryPolicies,
+  createAbortError,
+  isAbortError,
+  throwIfAborted
+} from './genieRequest';
+import { recordRetryEvent } from './retryTelemetry';
 
 // Helper to get API token - only use the provided API token
 const getApiToken = (apiToken?: string): string => {
   if (!apiToken) {
-    throw new Error('API token is required but was not provided');
+    throw createGenieError('authExpired', 'API token is required but was not provided');
   }
   return apiToken;
 };
 
-// Start a new conversation with Genie - returns raw API response
-export const startConversation = async (question: string, apiToken?: string): Promise<any> => {
-  try {
-    console.log(`Starting conversation with message: "${question}"`);
-    
-    const response = await fetch(`https://${INSTANCE_URL}/api/2.0/genie/spaces/${SPACE_ID}/start-conversation`, {
-      method: "POST",
-      headers: {
-        "Authorization": `Bearer ${getApiToken(apiToken)}`,
-        "Content-Type": "application/json",
-      },
-      body: JSON.stringify({ content: question }),
-    });
-    
-    if (!response.ok) {
-      throw new Error(`API error ${response.status}`);
-    }
-    
-    const data = await response.json();
-    return data;
-  } catch (error) {
-    console.error("Error starting conversation:", error);
-    throw error;
-  }
+// Cancellation helpers live with the request layer - re-exported for existing callers
+export { createAbortError, isAbortError };
+
+// Network failures are classified with the other error kinds in genieErrors.ts
+export { isNetworkError };
+
+// Transform the SQL query result into chart data - basic implementation
+export const transformQueryResultToChartData = (queryResult: any): any => {
+  // Just return the raw data - this will be modified in the SQL chart component
+  return queryResult;
 };
 
-// Create a new message in an existing conversation - returns raw API response
-export const createMessage = async (conversationId: string, question: string, apiToken?: string): Promise<any> => {
+// Options for direct statement execution
+export interface SQLExecutionOptions {
+  // INLINE returns rows in the response; EXTERNAL_LINKS returns presigned URLs for large results
+  disposition?: 'INLINE' | 'EXTERNAL_LINKS';
+  // Called as soon as the warehouse assigns a statement ID
+  onStatementId?: (statementId: string) => void;
+}
+
+// Statement states that mean the statement is still running
+const isStatementRunning = (state?: string): boolean => state === "PENDING" || state === "RUNNING";
+
+// Transform SQL result from Databricks API into chart data
+// Rows from later chunks are loaded on demand through loadMoreChartRows
+export const transformDatabricksResultToChartData = (result: any): any => {
+  if (!result || !result.result || !result.manifest) {
+    return null;
+  }
+  
   try {
-    console.log(`Creating message in conversation ${conversationId}: "${question}"`);
-    
-    const response = await fetch(`https://${INSTANCE_URL}/api/2.0/genie/spaces/${SPACE_ID}/conversations/${conversationId}/messages`, {
-      method: "POST",
-      headers: {
-        "Authorization": `Bearer ${getApiToken(apiToken)}`,
-        "Content-Type": "application/json",
-      },
-      body: JSON.stringify({ content: question }),
-    });
-    
-    if (!response.ok) {
-      throw new Error(`API error ${response.status}`);
-    }
+    const schema = result.manifest.schema;
+    // Typed columns with the declared type, precision and scale of each
+    const columns = schema.columns.map(parseResultColumn);
+    const columnNames = columns.map((col: any) => col.name);
+    // Convert cells from JSON_ARRAY strings into values of their column types
+    const data = convertRows(result.result.data_array || [], columns);
     
-    const data = await response.json();
-    return data;
+    // Return formatted data suitable for charts with all rows preserved
+    return {
+      columns,
+      columnNames,
+      rows: data,
+      rowCount: data.length,
+      totalRowCount: result.manifest.total_row_count || result.result.total_row_count || data.length,
+      statementId: result.statement_id,
+      // When the rows were fetched, so results reopened offline can say how old they are
+      fetchedAt: Date.now(),
+      // Link to the next chunk of rows, if the result has more
+      nextChunkLink: result.result.next_chunk_internal_link || null
+    };
   } catch (error) {
-    console.error("Error creating message:", error);
-    throw error;
+    console.error("Error transforming Databricks result to chart data:", error);
+    return null;
   }
 };
 
-// Poll for a conversation response from Genie - returns raw API response
-export const pollForResponse = async (
-  conversationId: string,
-  messageId: string,
-  apiToken?: string,
-  attempts: number = 0
-): Promise<any> => {
-  try {
-    // Add delay for retries
-    if (attempts > 0) {
-      const delay = Math.min(1000 * Math.pow(1.5, attempts), 10000);
-      await new Promise(resolve => setTimeout(resolve, delay));
+export interface GenieApiOptions {
+  // Changes to the retry policy of single endpoints (see DEFAULT_RETRY_POLICIES)
+  retryPolicies?: RetryPolicyOverrides;
+  // Changes to every retry policy - the mock client doesn't need any delays
+  retryPolicy?: Partial<RetryPolicy>;
+  // Called for every retry - recorded for the retry debug view by default
+  onRetry?: (event: RetryEvent) => void;
+}
+
+// Build the API functions on a client - the hooks take theirs from GenieClientContext,
+// so tests and demo mode can swap the workspace for a mock
+export const createGenieApi = (client: GenieClient, options: GenieApiOptions = {}) => {
+  const { sendWithRetry } = createRequestLayer(client, {
+    policies: resolveRetryPolicies(options.retryPolicies, options.retryPolicy),
+    onRetry: options.onRetry || recordRetryEvent,
+  });
+
+  // Check whether the Databricks host can be reached. Any HTTP response counts -
+  // an auth error still means we're online - only a failed or timed-out request doesn't.
+  const checkDatabricksReachable = async (timeoutMs: number = 5000): Promise<boolean> => {
+    const controller = new AbortController();
+    const timeoutId = setTimeout(() => controller.abort(), timeoutMs);
+    try {
+      await client.request({ method: "HEAD", path: "/", signal: controller.signal });
+      return true;
+    } catch (error) {
+      return false;
+    } finally {
+      clearTimeout(timeoutId);
     }
-    
-    const response = await fetch(`https://${INSTANCE_URL}/api/2.0/genie/spaces/${SPACE_ID}/conversations/${conversationId}/messages/${messageId}`, {
-      method: "GET",
-      headers: { "Authorization": `Bearer ${getApiToken(apiToken)}` },
-    });
-    
-    if (response.status === 409 && attempts < 15) {
-      console.log(`Received 409 conflict, retrying... (attempt ${attempts + 1})`);
-      return await pollForResponse(conversationId, messageId, apiToken, attempts + 1);
+  };
+
+  // List the Genie spaces the user can access, following every page - returns the raw space objects
+  const listGenieSpaces = async (apiToken?: string, signal?: AbortSignal): Promise<any[]> => {
+    try {
+      const spaces: any[] = [];
+      let pageToken: string | undefined;
+      do {
+        throwIfAborted(signal);
+        const query = pageToken ? `?page_token=${encodeURIComponent(pageToken)}` : '';
+        const response = await sendWithRetry("read", {
+          method: "GET",
+          path: `/api/2.0/genie/spaces${query}`,
+          apiToken: getApiToken(apiToken),
+          signal,
+        });
+
+        if (!response.ok) {
+          throw await createResponseError(response);
+        }
+
+        const data = await response.json();
+        spaces.push(...(data.spaces || []));
+        pageToken = data.next_page_token || undefined;
+      } while (pageToken);
+      return spaces;
+    } catch (error) {
+      console.error("Error listing Genie spaces:", error);
+      throw error;
     }
-    
-    if (!response.ok) {
-      throw new Error(`API error ${response.status}`);
+  };
+
+  // List the SQL warehouses in the workspace - returns the raw warehouse objects
+  const listSQLWarehouses = async (apiToken?: string, signal?: AbortSignal): Promise<any[]> => {
+    try {
+      throwIfAborted(signal);
+      const response = await sendWithRetry("read", {
+        method: "GET",
+        path: `/api/2.0/sql/warehouses`,
+        apiToken: getApiToken(apiToken),
+        signal,
+      });
+
+      if (!response.ok) {
+        throw await createResponseError(response, "Databricks SQL API error");
+      }
+
+      const data = await response.json();
+      return data.warehouses || [];
+    } catch (error) {
+      console.error("Error listing SQL warehouses:", error);
+      throw error;
     }
-    
-    const data = await response.json();
-    
-    // Continue polling if not complete
-    if ((data.status !== "COMPLETED" && data.status !== "FAILED") && attempts < 20) {
-      return await pollForResponse(conversationId, messageId, apiToken, attempts + 1);
+  };
+
+  // Start a new conversation with Genie - returns raw API response
+  const startConversation = async (
+    spaceId: string,
+    question: string,
+    apiToken?: string,
+    signal?: AbortSignal
+  ): Promise<any> => {
+    try {
+      throwIfAborted(signal);
+      console.log(`Starting conversation with message: "${question}"`);
+
+      const response = await sendWithRetry("submit", {
+        method: "POST",
+        path: `/api/2.0/genie/spaces/${spaceId}/start-conversation`,
+        apiToken: getApiToken(apiToken),
+        body: { content: question },
+        signal,
+      });
+
+      if (!response.ok) {
+        throw await createResponseError(response);
+      }
+
+      const data = await response.json();
+      return data;
+    } catch (error) {
+      console.error("Error starting conversation:", error);
+      throw error;
     }
-    
-    return data;
-  } catch (error) {
-    console.error("Error polling for response:", error);
-    throw error;
-  }
-};
+  };
 
-// Get SQL query results for a message - returns raw API response
-export const getSQLQueryResult = async (
-  conversationId: string,
-  messageId: string,
-  apiToken?: string,
-  attempts: number = 0
-): Promise<any> => {
-  try {
-    // Add delay for retries
-    if (attempts > 0) {
-      const delay = Math.min(1000 * Math.pow(1.5, attempts), 10000);
-      await new Promise(resolve => setTimeout(resolve, delay));
+  // Create a new message in an existing conversation - returns raw API response
+  const createMessage = async (
+    spaceId: string,
+    conversationId: string,
+    question: string,
+    apiToken?: string,
+    signal?: AbortSignal
+  ): Promise<any> => {
+    try {
+      throwIfAborted(signal);
+      console.log(`Creating message in conversation ${conversationId}: "${question}"`);
+
+      const response = await sendWithRetry("submit", {
+        method: "POST",
+        path: `/api/2.0/genie/spaces/${spaceId}/conversations/${conversationId}/messages`,
+        apiToken: getApiToken(apiToken),
+        body: { content: question },
+        signal,
+      });
+
+      if (!response.ok) {
+        throw await createResponseError(response);
+      }
+
+      const data = await response.json();
+      return data;
+    } catch (error) {
+      console.error("Error creating message:", error);
+      throw error;
     }
-    
-    const response = await fetch(`https://${INSTANCE_URL}/api/2.0/genie/spaces/${SPACE_ID}/conversations/${conversationId}/messages/${messageId}/query-result`, {
+  };
+
+  // Poll for a conversation response from Genie - returns raw API response
+  // onStatus is called with the message status from every poll (e.g. ASKING_AI, EXECUTING_QUERY)
+  const pollForResponse = async (
+    spaceId: string,
+    conversationId: string,
+    messageId: string,
+    apiToken?: string,
+    signal?: AbortSignal,
+    onStatus?: (status: string) => void
+  ): Promise<any> => {
+    try {
+      return await sendWithRetry("messagePoll", {
+        method: "GET",
+        path: `/api/2.0/genie/spaces/${spaceId}/conversations/${conversationId}/messages/${messageId}`,
+        apiToken: getApiToken(apiToken),
+        signal,
+      }, async response => {
+        if (!response.ok) {
+          throw await createResponseError(response);
+        }
+
+        const data = await response.json();
+
+        if (data.status && onStatus) {
+          onStatus(data.status);
+        }
+
+        // Continue polling if not complete
+        if (data.status !== "COMPLETED" && data.status !== "FAILED") {
+          return { done: false, value: data, reason: `still ${data.status}` };
+        }
+        return { done: true, value: data };
+      });
+    } catch (error) {
+      console.error("Error polling for response:", error);
+      throw error;
+    }
+  };
+
+  // Poll a Genie query-result endpoint until its statement is no longer running
+  const pollQueryResult = (path: string, apiToken?: string, signal?: AbortSignal): Promise<any> =>
+    sendWithRetry("queryResultPoll", {
       method: "GET",
-      headers: { "Authorization": `Bearer ${getApiToken(apiToken)}` },
+      path,
+      apiToken: getApiToken(apiToken),
+      signal,
+    }, async response => {
+      if (!response.ok) {
+        throw await createResponseError(response);
+      }
+
+      const data = await response.json();
+      const state = data.statement_response?.status?.state;
+
+      // Continue polling if query is still running
+      return isStatementRunning(state) ? { done: false, value: data, reason: `still ${state}` } : { done: true, value: data };
     });
-    
-    if (!response.ok) {
-      throw new Error(`API error ${response.status}`);
+
+  // Get SQL query results for a message - returns raw API response
+  const getSQLQueryResult = async (
+    spaceId: string,
+    conversationId: string,
+    messageId: string,
+    apiToken?: string,
+    signal?: AbortSignal
+  ): Promise<any> => {
+    try {
+      return await pollQueryResult(
+        `/api/2.0/genie/spaces/${spaceId}/conversations/${conversationId}/messages/${messageId}/query-result`,
+        apiToken,
+        signal
+      );
+    } catch (error) {
+      console.error("Error getting SQL query result:", error);
+      throw error;
     }
-    
-    const data = await response.json();
-    
-    // Get the statement state if available
-    const state = data.statement_response?.status?.state;
-    
-    // Continue polling if query is still running
-    if ((state === "RUNNING" || state === "PENDING") && attempts < 15) {
-      return await getSQLQueryResult(conversationId, messageId, apiToken, attempts + 1);
+  };
+
+  // Get query results for a specific attachment - matches updated API
+  const getAttachmentQueryResult = async (
+    spaceId: string,
+    conversationId: string,
+    messageId: string,
+    attachmentId: string,
+    apiToken?: string,
+    signal?: AbortSignal
+  ): Promise<any> => {
+    try {
+      return await pollQueryResult(
+        `/api/2.0/genie/spaces/${spaceId}/conversations/${conversationId}/messages/${messageId}/attachments/${attachmentId}/query-result`,
+        apiToken,
+        signal
+      );
+    } catch (error) {
+      console.error("Error getting attachment query result:", error);
+      throw error;
     }
-    
-    return data;
-  } catch (error) {
-    console.error("Error getting SQL query result:", error);
-    throw error;
-  }
-};
+  };
 
-// Get query results for a specific attachment - matches updated API
-export const getAttachmentQueryResult = async (
-  conversationId: string,
-  messageId: string,
-  attachmentId: string,
-  apiToken?: string,
-  attempts: number = 0
-): Promise<any> => {
-  try {
-    // Add delay for retries
-    if (attempts > 0) {
-      const delay = Math.min(1000 * Math.pow(1.5, attempts), 10000);
-      await new Promise(resolve => setTimeout(resolve, delay));
+  // Download the rows behind EXTERNAL_LINKS so every result chunk carries a data_array.
+  // Presigned links must be fetched without the Databricks Authorization header.
+  const resolveExternalLinks = async (resultData: any, signal?: AbortSignal): Promise<any> => {
+    const externalLinks = resultData?.external_links;
+    if (!Array.isArray(externalLinks) || externalLinks.length === 0) {
+      return resultData;
     }
-    
-    const response = await fetch(`https://${INSTANCE_URL}/api/2.0/genie/spaces/${SPACE_ID}/conversations/${conversationId}/messages/${messageId}/attachments/${attachmentId}/query-result`, {
-      method: "GET",
-      headers: { "Authorization": `Bearer ${getApiToken(apiToken)}` },
-    });
-    
-    if (!response.ok) {
-      throw new Error(`API error ${response.status}`);
+
+    const rows: any[][] = [];
+    for (const link of externalLinks) {
+      const response = await sendWithRetry("resultChunk", { method: "GET", path: link.external_link, signal });
+      if (!response.ok) {
+        throw await createResponseError(response, `Error downloading result chunk ${link.chunk_index}:`);
+      }
+      const chunkRows = await response.json();
+      rows.push(...chunkRows);
     }
-    
-    const data = await response.json();
-    
-    // Continue polling if query is still running (based on status if available)
-    if (data.statement_response?.status?.state === "RUNNING" && attempts < 15) {
-      return await getAttachmentQueryResult(conversationId, messageId, attachmentId, apiToken, attempts + 1);
+
+    // The last link points at the chunk after the ones we just downloaded
+    const lastLink = externalLinks[externalLinks.length - 1];
+    return {
+      ...resultData,
+      data_array: rows,
+      next_chunk_internal_link: lastLink.next_chunk_internal_link || resultData.next_chunk_internal_link
+    };
+  };
+
+  // Poll a SQL statement until it finishes - returns raw API response
+  const pollSQLStatement = async (
+    statementId: string,
+    apiToken?: string,
+    signal?: AbortSignal
+  ): Promise<any> => {
+    try {
+      return await sendWithRetry("statementPoll", {
+        method: "GET",
+        path: `/api/2.0/sql/statements/${statementId}`,
+        apiToken: getApiToken(apiToken),
+        signal,
+      }, async response => {
+        if (!response.ok) {
+          throw await createResponseError(response, "Databricks SQL API error");
+        }
+
+        const data = await response.json();
+        const state = data.status?.state;
+
+        // Continue polling while the statement is queued or running
+        return isStatementRunning(state) ? { done: false, value: data, reason: `still ${state}` } : { done: true, value: data };
+      });
+    } catch (error) {
+      console.error("Error polling SQL statement:", error);
+      throw error;
     }
-    
-    return data;
-  } catch (error) {
-    console.error("Error getting attachment query result:", error);
-    throw error;
-  }
-};
+  };
 
-// Transform the SQL query result into chart data - basic implementation
-export const transformQueryResultToChartData = (queryResult: any): any => {
-  // Just return the raw data - this will be modified in the SQL chart component
-  return queryResult;
-};
+  // Execute SQL query directly using Databricks SQL API
+  // Long-running statements continue asynchronously and are polled until they finish
+  const executeSQLQuery = async (
+    sqlQuery: string,
+    warehouseId: string,
+    apiToken?: string,
+    signal?: AbortSignal,
+    options: SQLExecutionOptions = {}
+  ): Promise<any> => {
+    const { disposition = "INLINE", onStatementId } = options;
+    let statementId: string | undefined;
 
-// Execute SQL query directly using Databricks SQL API
-export const executeSQLQuery = async (sqlQuery: string, apiToken?: string): Promise<any> => {
-  try {
-    console.log(`Executing SQL query with Databricks API: "${sqlQuery}"`);
-    
-    const response = await fetch(`https://${INSTANCE_URL}/api/2.0/sql/statements/`, {
-      method: "POST",
-      headers: {
-        "Authorization": `Bearer ${getApiToken(apiToken)}`,
-        "Content-Type": "application/json",
-      },
-      body: JSON.stringify({
-        statement: sqlQuery,
-        warehouse_id: WAREHOUSE_ID,
-        wait_timeout: "30s", // Wait up to 30 seconds for results
-        disposition: "INLINE", // Get results inline in the response
-        format: "JSON_ARRAY", // Return results as JSON array
-        row_limit: 10000 // Increased row limit to ensure more data is returned
-      }),
-    });
-    
-    if (!response.ok) {
-      throw new Error(`Databricks SQL API error ${response.status}`);
+    try {
+      throwIfAborted(signal);
+      console.log(`Executing SQL query with Databricks API: "${sqlQuery}"`);
+
+      const response = await sendWithRetry("submit", {
+        method: "POST",
+        path: `/api/2.0/sql/statements/`,
+        apiToken: getApiToken(apiToken),
+        body: {
+          statement: sqlQuery,
+          warehouse_id: warehouseId,
+          wait_timeout: "10s", // Wait briefly for fast queries to return in one round trip
+          on_wait_timeout: "CONTINUE", // Keep running after the wait timeout - we poll for the result
+          disposition, // INLINE rows or EXTERNAL_LINKS for large results
+          format: "JSON_ARRAY", // Return results as JSON array
+          row_limit: 10000 // Increased row limit to ensure more data is returned
+        },
+        signal,
+      });
+
+      if (!response.ok) {
+        throw await createResponseError(response, "Databricks SQL API error");
+      }
+
+      let data = await response.json();
+      statementId = data.statement_id;
+      if (statementId && onStatementId) {
+        onStatementId(statementId);
+      }
+
+      // Poll until the statement finishes if it outlived the wait timeout
+      if (isStatementRunning(data.status?.state) && statementId) {
+        data = await pollSQLStatement(statementId, apiToken, signal);
+      }
+
+      const state = data.status?.state;
+
+      // Check if execution failed
+      if (state === "FAILED") {
+        throw createStatementError(data.status?.error);
+      }
+      if (state === "CANCELED" || state === "CLOSED") {
+        throw createGenieError('queryFailed', `SQL statement was ${state.toLowerCase()} before returning a result`);
+      }
+      if (isStatementRunning(state)) {
+        if (statementId) {
+          cancelSQLStatement(statementId, apiToken).catch(() => undefined);
+        }
+        throw createGenieError('timeout', "SQL statement did not finish in time");
+      }
+
+      // Download the first chunk for EXTERNAL_LINKS results
+      if (data.result?.external_links) {
+        data = { ...data, result: await resolveExternalLinks(data.result, signal) };
+      }
+
+      return data;
+    } catch (error) {
+      // Don't leave a statement running on the warehouse once nobody is waiting for it
+      if (isAbortError(error) && statementId) {
+        cancelSQLStatement(statementId, apiToken).catch(() => undefined);
+      }
+      console.error("Error executing SQL query:", error);
+      throw error;
     }
-    
-    const data = await response.json();
-    
-    // Check if execution failed
-    if (data.status?.state === "FAILED") {
-      throw new Error(`SQL execution failed: ${data.status?.error?.message || "Unknown error"}`);
+  };
+
+  // Fetch the next result chunk by following a next_chunk_internal_link - returns raw result data
+  const fetchSQLResultChunk = async (
+    chunkLink: string,
+    apiToken?: string,
+    signal?: AbortSignal
+  ): Promise<any> => {
+    try {
+      throwIfAborted(signal);
+
+      const response = await sendWithRetry("resultChunk", {
+        method: "GET",
+        path: `${chunkLink}`,
+        apiToken: getApiToken(apiToken),
+        signal,
+      });
+
+      if (!response.ok) {
+        throw await createResponseError(response, "Databricks SQL API error");
+      }
+
+      const data = await response.json();
+      return await resolveExternalLinks(data, signal);
+    } catch (error) {
+      console.error("Error fetching SQL result chunk:", error);
+      throw error;
     }
-    
-    return data;
-  } catch (error) {
-    console.error("Error executing SQL query:", error);
-    throw error;
-  }
-};
+  };
+
+  // Cancel a running SQL statement on the warehouse
+  const cancelSQLStatement = async (statementId: string, apiToken?: string): Promise<void> => {
+    try {
+      console.log(`Cancelling SQL statement ${statementId}`);
+
+      const response = await sendWithRetry("submit", {
+        method: "POST",
+        path: `/api/2.0/sql/statements/${statementId}/cancel`,
+        apiToken: getApiToken(apiToken),
+      });
+
+      if (!response.ok) {
+        throw await createResponseError(response, "Databricks SQL API error");
+      }
+    } catch (error) {
+      console.error("Error cancelling SQL statement:", error);
+      throw error;
+    }
+  };
+
+  // Start a stopped SQL warehouse - it takes a few minutes to come up, and statements sent meanwhile wait for it
+  const startSQLWarehouse = async (warehouseId: string, apiToken?: string): Promise<void> => {
+    try {
+      console.log(`Starting SQL warehouse ${warehouseId}`);
+
+      const response = await sendWithRetry("submit", {
+        method: "POST",
+        path: `/api/2.0/sql/warehouses/${warehouseId}/start`,
+        apiToken: getApiToken(apiToken),
+      });
+
+      if (!response.ok) {
+        throw await createResponseError(response, "Databricks SQL API error");
+      }
+    } catch (error) {
+      console.error("Error starting SQL warehouse:", error);
+      throw error;
+    }
+  };
+
+  // Load every remaining chunk of rows into existing chart data
+  const loadAllChartRows = async (chartData: any, apiToken?: string, signal?: AbortSignal): Promise<any> => {
+    let current = chartData;
+    while (current?.nextChunkLink) {
+      current = await loadMoreChartRows(current, apiToken, signal);
+    }
+    return current;
+  };
+
+  // Load the next chunk of rows into existing chart data
+  const loadMoreChartRows = async (chartData: any, apiToken?: string, signal?: AbortSignal): Promise<any> => {
+    if (!chartData?.nextChunkLink) {
+      return chartData;
+    }
+
+    const chunk = await fetchSQLResultChunk(chartData.nextChunkLink, apiToken, signal);
+    const chunkRows = convertRows(chunk.data_array || [], getResultColumns(chartData));
+    const rows = [...chartData.rows, ...chunkRows];
 
-// Transform SQL result from Databricks API into chart data
-export const transformDatabricksResultToChartData = (result: any): any => {
-  if (!result || !result.result || !result.manifest) {
-    return null;
-  }
-  
-  try {
-    const schema = result.manifest.schema;
-    const columnNames = schema.columns.map((col: any) => col.name);
-    const data = result.result.data_array || [];
-    
-    // Return formatted data suitable for charts with all rows preserved
     return {
-      columnNames,
-      rows: data,
-      rowCount: data.length,
-      totalRowCount: result.result.total_row_count || data.length
+      ...chartData,
+      rows,
+      rowCount: rows.length,
+      nextChunkLink: chunk.next_chunk_internal_link || null
     };
-  } catch (error) {
-    console.error("Error transforming Databricks result to chart data:", error);
-    return null;
-  }
-}; 
\ No newline at end of file
+  };
+
+
+  return {
+    checkDatabricksReachable,
+    listGenieSpaces,
+    listSQLWarehouses,
+    startConversation,
+    createMessage,
+    pollForResponse,
+    getSQLQueryResult,
+    getAttachmentQueryResult,
+    pollSQLStatement,
+    executeSQLQuery,
+    fetchSQLResultChunk,
+    cancelSQLStatement,
+    startSQLWarehouse,
+    loadAllChartRows,
+    loadMoreChartRows,
+  };
+};
+
+export type GenieApi = ReturnType<typeof createGenieApi>;
+
+// Functions bound to the workspace over HTTP, for code that runs outside the React tree
+export const genieApi = createGenieApi(httpGenieClient);
+
+export const {
+  checkDatabricksReachable,
+  listGenieSpaces,
+  listSQLWarehouses,
+  startConversation,
+  createMessage,
+  pollForResponse,
+  getSQLQueryResult,
+  getAttachmentQueryResult,
+  pollSQLStatement,
+  executeSQLQuery,
+  fetchSQLResultChunk,
+  cancelSQLStatement,
+  startSQLWarehouse,
+  loadAllChartRows,
+  loadMoreChartRows,
+} = genieApi;
@@ -0,0 +1,118 @@
+/**
+ * genieAttachments.ts
+ *
+ * Normalized model for the attachments in a Genie message response.
+ * A single Genie answer can contain a text explanation, any number of query
+ * attachments and a list of suggested follow-up questions. Each raw attachment
+ * is parsed into a typed object so the UI can render all of them in order.
+ */
+
+import type { ResultSource } from './queryResults';
+import type { ChartConfig } from './chartConfig';
+
+// Plain text explanation from Genie
+export interface TextAttachment {
+  type: 'text';
+  attachmentId?: string;
+  content: string;
+}
+
+// A user-edited version of a query attachment and the result of running it
+export interface QueryVersion {
+  id: string;
+  query: string;
+  createdAt: number;
+  loading?: boolean;
+  chartData?: any;
+  sqlError?: string;
+  // Chart builder choices for this version's result
+  chartConfig?: ChartConfig;
+}
+
+// Generated SQL query - result fields are filled in once the result is fetched
+export interface QueryAttachment {
+  type: 'query';
+  attachmentId?: string;
+  title?: string;
+  description?: string;
+  query: string;
+  statementId?: string;
+  chartData?: any;
+  sqlError?: string;
+  // Which pipeline produced chartData - Genie's own result or direct execution
+  resultSource?: ResultSource;
+  // Chart builder choices for the original result - kept when the answer is regenerated
+  chartConfig?: ChartConfig;
+  // Edited re-runs, oldest first - the fields above always hold Genie's original
+  versions?: QueryVersion[];
+}
+
+// Follow-up questions suggested by Genie
+export interface SuggestedQuestionsAttachment {
+  type: 'suggested_questions';
+  attachmentId?: string;
+  questions: string[];
+}
+
+export type GenieAttachment = TextAttachment | QueryAttachment | SuggestedQuestionsAttachment;
+
+// Parse a single raw attachment, returning null for shapes we don't understand
+export const parseAttachment = (raw: any): GenieAttachment | null => {
+  if (!raw) return null;
+  const attachmentId = raw.attachment_id || raw.id;
+
+  if (raw.query) {
+    return {
+      type: 'query',
+      attachmentId,
+      title: raw.query.title,
+      description: raw.query.description,
+      query: raw.query.query || '',
+      statementId: raw.query.statement_id,
+    };
+  }
+
+  if (raw.text?.content) {
+    return {
+      type: 'text',
+      attachmentId,
+      content: raw.text.content,
+    };
+  }
+
+  const questions = raw.suggested_questions?.questions;
+  if (Array.isArray(questions) && questions.length > 0) {
+    return {
+      type: 'suggested_questions',
+      attachmentId,
+      questions: questions.filter((question: any) => typeof question === 'string'),
+    };
+  }
+
+  return null;
+};
+
+// Parse every attachment in a Genie message response, keeping their order
+export const parseAttachments = (response: any): GenieAttachment[] => {
+  const rawAttachments = Array.isArray(response?.attachments) ? response.attachments : [];
+  return rawAttachments
+    .map(parseAttachment)
+    .filter((attachment: GenieAttachment | null): attachment is GenieAttachment => attachment !== null);
+};
+
+// Get the query attachments from a list of attachments
+export const getQueryAttachments = (attachments: GenieAttachment[]): QueryAttachment[] =>
+  attachments.filter((attachment): attachment is QueryAttachment => attachment.type === 'query');
+
+// Build a plain text summary of the answer - text content and query descriptions in order
+export const summarizeAttachments = (attachments: GenieAttachment[]): string => {
+  const parts = attachments
+    .map(attachment => {
+      if (attachment.type === 'text') return attachment.content;
+      if (attachment.type === 'query') return attachment.description || attachment.title || '';
+      return '';
+    })
+    .filter(part => part.trim() !== '');
+
+  return parts.length > 0 ? parts.join('\n\n') : 'Could not extract content from response';
+};
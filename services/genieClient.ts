@@ -0,0 +1,61 @@
+/**
+ * genieClient.ts
+ *
+ * Transport for the Genie and SQL statement APIs. genieApi.ts builds every
+ * call on a GenieClient - retries and polling go through genieRequest.ts -
+ * so the same code runs against the workspace over HTTP or against the
+ * in-memory mock in mockGenieClient.ts.
+ */
+
+import { INSTANCE_URL } from '@env';
+
+export interface GenieRequest {
+  method: 'GET' | 'POST' | 'HEAD';
+  // Workspace API path such as /api/2.0/sql/statements/, or a full URL for presigned result links
+  path: string;
+  // Sent as JSON
+  body?: any;
+  // Sent as a bearer token - presigned links are fetched without one
+  apiToken?: string;
+  signal?: AbortSignal;
+}
+
+// The parts of a fetch Response the API code reads
+export interface GenieResponse {
+  ok: boolean;
+  status: number;
+  // Read for Retry-After
+  headers?: { get: (name: string) => string | null };
+  json: () => Promise<any>;
+}
+
+export interface GenieClient {
+  request: (request: GenieRequest) => Promise<GenieResponse>;
+}
+
+const isAbsoluteUrl = (path: string): boolean => /^https?:\/\//.test(path);
+
+// INSTANCE_URL is a workspace host, or a full URL such as http://localhost:8787 for the local dev server
+const getInstanceBaseUrl = (instanceUrl: string): string =>
+  isAbsoluteUrl(instanceUrl) ? instanceUrl.replace(/\/+$/, '') : `https://${instanceUrl}`;
+
+// Client that sends requests to a workspace over HTTP - the workspace in .env by default
+export const createHttpGenieClient = (baseUrl: string = getInstanceBaseUrl(INSTANCE_URL)): GenieClient => ({
+  request: ({ method, path, body, apiToken, signal }) => {
+    const headers: Record<string, string> = {};
+    if (apiToken) {
+      headers["Authorization"] = `Bearer ${apiToken}`;
+    }
+    if (body !== undefined) {
+      headers["Content-Type"] = "application/json";
+    }
+    return fetch(isAbsoluteUrl(path) ? path : `${baseUrl}${path}`, {
+      method,
+      headers,
+      body: body !== undefined ? JSON.stringify(body) : undefined,
+      signal,
+    });
+  },
+});
+
+export const httpGenieClient = createHttpGenieClient();
@@ -0,0 +1,202 @@
+/**
+ * genieErrors.ts
+ *
+ * Typed errors for the Genie and SQL statement APIs. Failed responses are
+ * classified from the Databricks error body (error_code and message) and the
+ * HTTP status, so the chat can explain what went wrong and offer the action
+ * that fixes it - logging in again, starting the warehouse or retrying.
+ */
+
+import type { GenieResponse } from './genieClient';
+
+export type GenieErrorKind =
+  | 'authExpired'
+  | 'permissionDenied'
+  | 'rateLimited'
+  | 'warehouseStopped'
+  | 'queryFailed'
+  | 'genieFailed'
+  | 'timeout'
+  | 'network'
+  | 'notFound'
+  | 'serverError'
+  | 'unknown';
+
+// Action offered next to the Retry button of an error
+export type GenieErrorAction = 'relogin' | 'startWarehouse';
+
+export interface GenieError extends Error {
+  kind: GenieErrorKind;
+  status?: number;
+  errorCode?: string;
+}
+
+// Error details kept on a chat message - plain data so it survives the conversation store
+export interface MessageErrorInfo {
+  kind: GenieErrorKind;
+  message: string;
+  status?: number;
+  errorCode?: string;
+}
+
+export interface ErrorDescription {
+  title: string;
+  explanation: string;
+  action?: GenieErrorAction;
+}
+
+const ERROR_DESCRIPTIONS: Record<GenieErrorKind, ErrorDescription> = {
+  authExpired: {
+    title: 'Your session has expired',
+    explanation: 'Databricks no longer accepts your API token. Log in again with a current token.',
+    action: 'relogin',
+  },
+  permissionDenied: {
+    title: "You don't have access",
+    explanation: "Your account can't use this Genie space or SQL warehouse. Ask a workspace admin for access, or pick another space.",
+  },
+  rateLimited: {
+    title: 'Too many requests',
+    explanation: 'Databricks is limiting how often questions can be asked. Wait a moment, then retry.',
+  },
+  warehouseStopped: {
+    title: "The SQL warehouse isn't running",
+    explanation: 'Start the warehouse and the question is asked again. Starting can take a few minutes.',
+    action: 'startWarehouse',
+  },
+  queryFailed: {
+    title: 'The query failed',
+    explanation: 'The SQL for this question failed on the warehouse. Retry, or rephrase the question.',
+  },
+  genieFailed: {
+    title: "Genie couldn't answer",
+    explanation: 'Try rephrasing the question or asking something more specific.',
+  },
+  timeout: {
+    title: 'The request timed out',
+    explanation: 'The warehouse may still be starting, or the query is slow. Retry in a moment.',
+  },
+  network: {
+    title: "Can't reach Databricks",
+    explanation: 'Check your connection, then retry.',
+  },
+  notFound: {
+    title: 'Not found',
+    explanation: 'The conversation or space no longer exists. Start a new chat and ask again.',
+  },
+  serverError: {
+    title: 'Databricks had a problem',
+    explanation: 'The service returned an error. Retry in a moment.',
+  },
+  unknown: {
+    title: 'Something went wrong',
+    explanation: 'Retry, or check the details below.',
+  },
+};
+
+const ERROR_CODE_KINDS: Record<string, GenieErrorKind> = {
+  UNAUTHENTICATED: 'authExpired',
+  PERMISSION_DENIED: 'permissionDenied',
+  REQUEST_LIMIT_EXCEEDED: 'rateLimited',
+  RESOURCE_EXHAUSTED: 'rateLimited',
+  TOO_MANY_REQUESTS: 'rateLimited',
+  DEADLINE_EXCEEDED: 'timeout',
+  RESOURCE_DOES_NOT_EXIST: 'notFound',
+  NOT_FOUND: 'notFound',
+  TEMPORARILY_UNAVAILABLE: 'serverError',
+  INTERNAL_ERROR: 'serverError',
+};
+
+// Databricks answers an invalid or expired token with 403 as well as 401
+const AUTH_MESSAGE = /invalid access token|token (has )?expired|expired token|api token is required/i;
+const WAREHOUSE_STOPPED_MESSAGE = /warehouse\b[^.]*\b(is stopped|was stopped|is not running|not running|is stopping|is not started)/i;
+const TIMEOUT_MESSAGE = /timed? ?out|did not finish in time|deadline/i;
+
+// Work out what kind of failure a Databricks error is
+export const classifyError = (details: { status?: number; errorCode?: string; message?: string }): GenieErrorKind => {
+  const { status, errorCode, message = '' } = details;
+  if (AUTH_MESSAGE.test(message)) return 'authExpired';
+  if (WAREHOUSE_STOPPED_MESSAGE.test(message)) return 'warehouseStopped';
+  if (errorCode && ERROR_CODE_KINDS[errorCode]) return ERROR_CODE_KINDS[errorCode];
+  if (status === 401) return 'authExpired';
+  if (status === 403) return 'permissionDenied';
+  if (status === 429) return 'rateLimited';
+  if (status === 404) return 'notFound';
+  if (status === 408 || status === 504 || TIMEOUT_MESSAGE.test(message)) return 'timeout';
+  if (status && status >= 500) return 'serverError';
+  return 'unknown';
+};
+
+export const createGenieError = (
+  kind: GenieErrorKind,
+  message: string,
+  details: { status?: number; errorCode?: string } = {}
+): GenieError => {
+  const error = new Error(message) as GenieError;
+  error.name = 'GenieError';
+  error.kind = kind;
+  error.status = details.status;
+  error.errorCode = details.errorCode;
+  return error;
+};
+
+export const isGenieError = (error: any): error is GenieError => error?.name === 'GenieError' && !!error.kind;
+
+// Error for a request that got no response - the request layer wraps whatever the client rejected with
+export const createNetworkError = (cause: any): GenieError => {
+  const error = createGenieError('network', cause instanceof Error && cause.message ? cause.message : 'Network request failed');
+  (error as any).cause = cause;
+  return error;
+};
+
+// Check whether a request failed because the host couldn't be reached. Only errors the request
+// layer created count - a TypeError thrown by our own code is a bug, not a lost connection.
+export const isNetworkError = (error: any): boolean => isGenieError(error) && error.kind === 'network';
+
+// Build the error for a failed response from its Databricks error body.
+// prefix names the API, e.g. "API error 403: Invalid access token."
+export const createResponseError = async (response: GenieResponse, prefix: string = 'API error'): Promise<GenieError> => {
+  let body: any = null;
+  try {
+    body = await response.json();
+  } catch (error) {
+    // Not every error response has a JSON body
+  }
+  const errorCode = typeof body?.error_code === 'string' ? body.error_code : undefined;
+  const detail = body?.message || body?.error?.message || (typeof body?.error === 'string' ? body.error : undefined);
+  const kind = classifyError({ status: response.status, errorCode, message: detail });
+  return createGenieError(kind, detail ? `${prefix} ${response.status}: ${detail}` : `${prefix} ${response.status}`, {
+    status: response.status,
+    errorCode,
+  });
+};
+
+// Build the error for a statement that finished in the FAILED state
+export const createStatementError = (statementError: any): GenieError => {
+  const message = statementError?.message || 'Unknown error';
+  const errorCode = statementError?.error_code;
+  const kind = classifyError({ errorCode, message });
+  return createGenieError(kind === 'unknown' || kind === 'notFound' ? 'queryFailed' : kind, `SQL execution failed: ${message}`, {
+    errorCode,
+  });
+};
+
+// Build the error for a Genie message that ended FAILED - its error holds Genie's reason
+export const createGenieMessageError = (messageError: any): GenieError => {
+  const message = messageError?.error || messageError?.message || 'Genie could not answer this question';
+  const errorCode = messageError?.type;
+  const kind = classifyError({ message });
+  return createGenieError(kind === 'unknown' ? 'genieFailed' : kind, message, { errorCode });
+};
+
+// Error details for a chat message, from any error a request threw
+export const getMessageErrorInfo = (error: any): MessageErrorInfo => {
+  const message = error instanceof Error ? error.message : 'An unknown error occurred';
+  if (isGenieError(error)) {
+    return { kind: error.kind, message, status: error.status, errorCode: error.errorCode };
+  }
+  return { kind: classifyError({ message }), message };
+};
+
+export const describeError = (kind: GenieErrorKind): ErrorDescription =>
+  ERROR_DESCRIPTIONS[kind] || ERROR_DESCRIPTIONS.unknown;
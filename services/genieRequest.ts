@@ -0,0 +1,302 @@
+/**
+ * genieRequest.ts
+ *
+ * Shared request layer for the Genie and SQL statement APIs. Every call in
+ * genieApi.ts goes through sendWithRetry with the retry policy of its
+ * endpoint: transient failures (network errors, 429, 503 and other
+ * temporary 5xx responses) are retried with exponential backoff and jitter,
+ * Retry-After is honored on 429 and 503, and polling endpoints keep asking
+ * on the same schedule until the work is done. Every policy has an overall
+ * deadline, after which the last response or error is handed back.
+ */
+
+import { GenieClient, GenieRequest, GenieResponse } from './genieClient';
+import { createNetworkError } from './genieErrors';
+
+// Endpoints that share a retry policy
+export type RetryPolicyName =
+  | 'read'            // Listing spaces and warehouses
+  | 'submit'          // Asking a question, running a statement, starting a warehouse
+  | 'messagePoll'     // Waiting for Genie to answer a message
+  | 'queryResultPoll' // Waiting for the result of a Genie query attachment
+  | 'statementPoll'   // Waiting for a SQL statement to finish
+  | 'resultChunk';    // Downloading further chunks of a result
+
+export interface RetryPolicy {
+  // Requests made in total, the first one included
+  maxAttempts: number;
+  // Delay before the second attempt - each later one is multiplier times longer, up to maxDelayMs
+  baseDelayMs: number;
+  multiplier: number;
+  maxDelayMs: number;
+  // Share of each delay that is randomized (0-1), so clients that failed together don't retry together
+  jitter: number;
+  // Statuses that mean "try again" - a Retry-After header on 429 and 503 sets the delay
+  retryStatuses: number[];
+  // Retry when the host can't be reached. Off for requests that aren't safe to send twice.
+  retryNetworkErrors: boolean;
+  // Give up once this long has passed since the first attempt
+  deadlineMs: number;
+}
+
+export type RetryPolicyOverrides = Partial<Record<RetryPolicyName, Partial<RetryPolicy>>>;
+
+const TRANSIENT_STATUSES = [429, 500, 502, 503, 504];
+
+export const DEFAULT_RETRY_POLICIES: Record<RetryPolicyName, RetryPolicy> = {
+  read: {
+    maxAttempts: 4,
+    baseDelayMs: 500,
+    multiplier: 2,
+    maxDelayMs: 5000,
+    jitter: 0.5,
+    retryStatuses: TRANSIENT_STATUSES,
+    retryNetworkErrors: true,
+    deadlineMs: 20000,
+  },
+  // A POST that failed in flight may still have been applied, so only retry
+  // responses that say the request was turned away
+  submit: {
+    maxAttempts: 3,
+    baseDelayMs: 1000,
+    multiplier: 2,
+    maxDelayMs: 8000,
+    jitter: 0.5,
+    retryStatuses: [429, 503],
+    retryNetworkErrors: false,
+    deadlineMs: 30000,
+  },
+  // Genie answers 409 while the message is still being set up
+  messagePoll: {
+    maxAttempts: 40,
+    baseDelayMs: 1000,
+    multiplier: 1.5,
+    maxDelayMs: 10000,
+    jitter: 0.2,
+    retryStatuses: [409, ...TRANSIENT_STATUSES],
+    retryNetworkErrors: true,
+    deadlineMs: 5 * 60 * 1000,
+  },
+  queryResultPoll: {
+    maxAttempts: 16,
+    baseDelayMs: 1000,
+    multiplier: 1.5,
+    maxDelayMs: 10000,
+    jitter: 0.2,
+    retryStatuses: TRANSIENT_STATUSES,
+    retryNetworkErrors: true,
+    deadlineMs: 2 * 60 * 1000,
+  },
+  statementPoll: {
+    maxAttempts: 60,
+    baseDelayMs: 1000,
+    multiplier: 1.5,
+    maxDelayMs: 10000,
+    jitter: 0.2,
+    retryStatuses: TRANSIENT_STATUSES,
+    retryNetworkErrors: true,
+    deadlineMs: 10 * 60 * 1000,
+  },
+  resultChunk: {
+    maxAttempts: 4,
+    baseDelayMs: 500,
+    multiplier: 2,
+    maxDelayMs: 5000,
+    jitter: 0.5,
+    retryStatuses: TRANSIENT_STATUSES,
+    retryNetworkErrors: true,
+    deadlineMs: 30000,
+  },
+};
+
+// A retry the request layer scheduled, or the point where it gave up
+export interface RetryEvent {
+  policy: RetryPolicyName;
+  method: GenieRequest['method'];
+  // Path without its query string - presigned links carry credentials there
+  path: string;
+  // Attempt that just failed, from 1
+  attempt: number;
+  // Why the attempt is retried, e.g. "HTTP 429", "network error" or "still RUNNING"
+  reason: string;
+  // Wait before the next attempt - 0 when giving up
+  delayMs: number;
+  // The delay came from a Retry-After header
+  retryAfter: boolean;
+  gaveUp: boolean;
+  at: number;
+}
+
+// What a polling endpoint made of a response
+export type PollStep<T> =
+  | { done: true; value: T }
+  | { done: false; value: T; reason: string };
+
+// Error thrown when a request is cancelled through its AbortSignal
+export const createAbortError = (): Error => {
+  const error = new Error('Request cancelled');
+  error.name = 'AbortError';
+  return error;
+};
+
+// Check whether an error came from a cancelled request (ours or fetch's own)
+export const isAbortError = (error: any): boolean => error?.name === 'AbortError';
+
+// Throw straight away if the signal has already been aborted
+export const throwIfAborted = (signal?: AbortSignal): void => {
+  if (signal?.aborted) {
+    throw createAbortError();
+  }
+};
+
+// Wait between retries - rejects as soon as the signal is aborted
+export const sleep = (ms: number, signal?: AbortSignal): Promise<void> => {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      reject(createAbortError());
+      return;
+    }
+    const onAbort = () => {
+      clearTimeout(timeoutId);
+      reject(createAbortError());
+    };
+    const timeoutId = setTimeout(() => {
+      signal?.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+    signal?.addEventListener('abort', onAbort);
+  });
+};
+
+// Delay before the attempt after `attempt` - exponential backoff, capped, with part of it randomized
+export const getBackoffDelay = (policy: RetryPolicy, attempt: number, random: () => number = Math.random): number => {
+  const delay = Math.min(policy.baseDelayMs * Math.pow(policy.multiplier, attempt - 1), policy.maxDelayMs);
+  return Math.round(delay * (1 - policy.jitter * random()));
+};
+
+// Parse a Retry-After header - either seconds or an HTTP date - into milliseconds
+export const parseRetryAfter = (value: string | null | undefined, now: number = Date.now()): number | null => {
+  if (!value) return null;
+  const trimmed = value.trim();
+  if (/^\d+(\.\d+)?$/.test(trimmed)) {
+    return Math.round(parseFloat(trimmed) * 1000);
+  }
+  const date = Date.parse(trimmed);
+  return Number.isNaN(date) ? null : Math.max(date - now, 0);
+};
+
+// Merge overrides into the default policies - `all` applies to every endpoint
+export const resolveRetryPolicies = (
+  overrides: RetryPolicyOverrides = {},
+  all: Partial<RetryPolicy> = {}
+): Record<RetryPolicyName, RetryPolicy> => {
+  const policies = {} as Record<RetryPolicyName, RetryPolicy>;
+  (Object.keys(DEFAULT_RETRY_POLICIES) as RetryPolicyName[]).forEach(name => {
+    policies[name] = { ...DEFAULT_RETRY_POLICIES[name], ...all, ...overrides[name] };
+  });
+  return policies;
+};
+
+export interface RequestLayerOptions {
+  policies?: Record<RetryPolicyName, RetryPolicy>;
+  // Called for every retry and give-up
+  onRetry?: (event: RetryEvent) => void;
+  random?: () => number;
+  now?: () => number;
+}
+
+// Wrap a client so each request is retried according to its endpoint's policy
+export const createRequestLayer = (client: GenieClient, options: RequestLayerOptions = {}) => {
+  const {
+    policies = DEFAULT_RETRY_POLICIES,
+    onRetry = () => undefined,
+    random = Math.random,
+    now = Date.now,
+  } = options;
+
+  // Send a request under a policy. handle turns a response into a result - it sees every
+  // response except retried ones, so it throws for failed responses as usual. Polling
+  // endpoints return { done: false } to ask again; once out of attempts or time the last
+  // value is returned, or the last response handled, or the last network error thrown.
+  const sendWithRetry = async <T = GenieResponse>(
+    policyName: RetryPolicyName,
+    request: GenieRequest,
+    handle: (response: GenieResponse) => Promise<PollStep<T>> = async response => ({ done: true, value: response as any })
+  ): Promise<T> => {
+    const policy = policies[policyName];
+    const startedAt = now();
+    const [path] = request.path.split('?');
+
+    for (let attempt = 1; ; attempt++) {
+      throwIfAborted(request.signal);
+
+      let response: GenieResponse | null = null;
+      let failure: any = null;
+      let step: PollStep<T> | null = null;
+      let reason: string;
+      let retryAfterMs: number | null = null;
+
+      try {
+        response = await client.request(request);
+      } catch (error) {
+        if (isAbortError(error)) {
+          throw error;
+        }
+        // Any other rejection means no response arrived - fetch rejects with a TypeError
+        failure = createNetworkError(error);
+        if (!policy.retryNetworkErrors) {
+          throw failure;
+        }
+      }
+
+      if (failure) {
+        reason = 'network error';
+      } else if (response && policy.retryStatuses.includes(response.status)) {
+        reason = `HTTP ${response.status}`;
+        if (response.status === 429 || response.status === 503) {
+          retryAfterMs = parseRetryAfter(response.headers?.get('Retry-After'), now());
+        }
+      } else {
+        step = await handle(response as GenieResponse);
+        if (step.done) {
+          return step.value;
+        }
+        reason = step.reason;
+      }
+
+      const delayMs = retryAfterMs ?? getBackoffDelay(policy, attempt, random);
+      const outOfTime = now() - startedAt + delayMs > policy.deadlineMs;
+      const gaveUp = attempt >= policy.maxAttempts || outOfTime;
+      const isRetry = !step;
+
+      // Polls of work that is still running are routine - only failures and give-ups are reported
+      if (isRetry || gaveUp) {
+        onRetry({
+          policy: policyName,
+          method: request.method,
+          path,
+          attempt,
+          reason,
+          delayMs: gaveUp ? 0 : delayMs,
+          retryAfter: retryAfterMs !== null,
+          gaveUp,
+          at: now(),
+        });
+      }
+
+      if (gaveUp) {
+        console.log(`Giving up on ${request.method} ${path} after ${attempt} attempts (${reason})`);
+        if (step) return step.value;
+        if (failure) throw failure;
+        return (await handle(response as GenieResponse)).value;
+      }
+
+      if (isRetry) {
+        console.log(`${reason} from ${request.method} ${path}, retrying in ${delayMs}ms (attempt ${attempt + 1})`);
+      }
+      await sleep(delayMs, request.signal);
+    }
+  };
+
+  return { sendWithRetry };
+};
@@ -0,0 +1,117 @@
+/**
+ * genieSpaces.ts
+ *
+ * Registry of the Genie spaces and SQL warehouses the user can pick from.
+ * Spaces and warehouses are listed from the workspace and cached in
+ * AsyncStorage along with the warehouse picked for each space and the space
+ * new conversations start in. SPACE_ID and WAREHOUSE_ID from .env are only
+ * the defaults for when nothing has been picked.
+ */
+
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { SPACE_ID, WAREHOUSE_ID } from '@env';
+import { createWriteQueue } from './storageQueue';
+
+const SPACE_REGISTRY_KEY = 'GENIE_SPACE_REGISTRY';
+
+export const DEFAULT_SPACE_ID: string = SPACE_ID;
+export const DEFAULT_WAREHOUSE_ID: string = WAREHOUSE_ID;
+
+export interface GenieSpace {
+  id: string;
+  title: string;
+  description?: string;
+  // Warehouse the space was set up with
+  warehouseId?: string;
+}
+
+export interface SQLWarehouse {
+  id: string;
+  name: string;
+  // e.g. RUNNING or STOPPED - stopped warehouses start when a query arrives
+  state?: string;
+}
+
+// The space a conversation talks to and the warehouse its SQL runs on
+export interface GenieSpaceSelection {
+  spaceId: string;
+  warehouseId: string;
+}
+
+export interface SpaceRegistry {
+  // Last listed spaces and warehouses, so the picker works offline
+  spaces: GenieSpace[];
+  warehouses: SQLWarehouse[];
+  // Space new conversations start in
+  defaultSpaceId?: string;
+  // Warehouse picked for each space, by space ID
+  warehouseIds: Record<string, string>;
+}
+
+const EMPTY_REGISTRY: SpaceRegistry = { spaces: [], warehouses: [], warehouseIds: {} };
+
+// Registry updates are read-modify-write, so writes are queued
+const enqueueWrite = createWriteQueue();
+
+// Convert a space from the Genie API
+export const parseGenieSpace = (space: any): GenieSpace => ({
+  id: space.space_id,
+  title: space.title || space.space_id,
+  description: space.description || undefined,
+  warehouseId: space.warehouse_id || undefined,
+});
+
+// Convert a warehouse from the SQL warehouses API
+export const parseSQLWarehouse = (warehouse: any): SQLWarehouse => ({
+  id: warehouse.id,
+  name: warehouse.name || warehouse.id,
+  state: warehouse.state || undefined,
+});
+
+// Keep the space from .env in the list even when the listing doesn't include it
+export const withDefaultSpace = (spaces: GenieSpace[]): GenieSpace[] =>
+  !DEFAULT_SPACE_ID || spaces.some(space => space.id === DEFAULT_SPACE_ID)
+    ? spaces
+    : [{ id: DEFAULT_SPACE_ID, title: 'Default space', warehouseId: DEFAULT_WAREHOUSE_ID }, ...spaces];
+
+// Warehouse to run a space's SQL on - the one picked for it, then the one it was set up with
+export const resolveWarehouseId = (spaceId: string, registry: SpaceRegistry): string =>
+  registry.warehouseIds[spaceId]
+  || registry.spaces.find(space => space.id === spaceId)?.warehouseId
+  || DEFAULT_WAREHOUSE_ID;
+
+export const loadSpaceRegistry = async (): Promise<SpaceRegistry> => {
+  try {
+    const stored = await AsyncStorage.getItem(SPACE_REGISTRY_KEY);
+    return stored ? { ...EMPTY_REGISTRY, ...JSON.parse(stored) } : EMPTY_REGISTRY;
+  } catch (error) {
+    console.error('Error loading space registry:', error);
+    return EMPTY_REGISTRY;
+  }
+};
+
+// Update part of the registry, e.g. a fresh listing or a picked warehouse
+export const updateSpaceRegistry = (changes: Partial<SpaceRegistry>): Promise<SpaceRegistry> => enqueueWrite(async () => {
+  try {
+    const registry = await loadSpaceRegistry();
+    const updatedRegistry = { ...registry, ...changes };
+    await AsyncStorage.setItem(SPACE_REGISTRY_KEY, JSON.stringify(updatedRegistry));
+    return updatedRegistry;
+  } catch (error) {
+    console.error('Error saving space registry:', error);
+    return loadSpaceRegistry();
+  }
+});
+
+// Pick the warehouse a space's SQL runs on
+export const setSpaceWarehouse = (spaceId: string, warehouseId: string): Promise<SpaceRegistry> => enqueueWrite(async () => {
+  try {
+    const registry = await loadSpaceRegistry();
+    const updatedRegistry = { ...registry, warehouseIds: { ...registry.warehouseIds, [spaceId]: warehouseId } };
+    await AsyncStorage.setItem(SPACE_REGISTRY_KEY, JSON.stringify(updatedRegistry));
+    return updatedRegistry;
+  } catch (error) {
+    console.error(`Error saving warehouse for space ${spaceId}:`, error);
+    return loadSpaceRegistry();
+  }
+});
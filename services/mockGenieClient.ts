@@ -0,0 +1,247 @@
+/**
+ * mockGenieClient.ts
+ *
+ * In-memory GenieClient that replays recorded conversations, for tests and
+ * demo mode. A question is matched to a recording by its text, and each poll
+ * of the message returns the next recorded response - so 409 conflicts,
+ * in-progress statuses and FAILED messages play out as they did against the
+ * workspace. SQL statements are matched by their query text the same way.
+ */
+
+import { GenieClient, GenieRequest, GenieResponse } from './genieClient';
+import { createAbortError } from './genieRequest';
+
+// A recorded HTTP response - status 200 when not given
+export interface MockResponse {
+  status?: number;
+  body?: any;
+  // Response headers such as Retry-After
+  headers?: Record<string, string>;
+}
+
+export interface GenieRecording {
+  question: string;
+  // Responses to each poll of the message, in order - the last one repeats.
+  // Message bodies get their id and conversation_id filled in.
+  polls: MockResponse[];
+  // statement_response for each query attachment by attachment_id, and for the
+  // message-level query-result endpoint under ''
+  queryResults?: Record<string, any>;
+}
+
+export interface StatementRecording {
+  query: string;
+  // Response to the POST that runs the statement, then to each poll of it - the last one repeats.
+  // Statement bodies get their statement_id filled in.
+  responses: MockResponse[];
+}
+
+export interface MockGenieData {
+  spaces?: any[];
+  warehouses?: any[];
+  conversations: GenieRecording[];
+  statements?: StatementRecording[];
+  // Result chunks by their next_chunk_internal_link
+  chunks?: Record<string, any>;
+}
+
+export interface MockGenieClientOptions {
+  // Time each response takes, so requests can be stopped while in flight
+  latencyMs?: number;
+}
+
+export interface MockGenieClient extends GenieClient {
+  // Every request received, in order
+  requests: GenieRequest[];
+  // While offline every request fails the way fetch does without a connection
+  setOnline: (online: boolean) => void;
+}
+
+interface MessageState {
+  conversationId: string;
+  question: string;
+  recording: GenieRecording | null;
+  pollCount: number;
+}
+
+interface StatementState {
+  recording: StatementRecording | null;
+  pollCount: number;
+}
+
+const normalizeText = (text: string): string => text.trim().replace(/\s+/g, ' ').toLowerCase();
+
+const jsonResponse = (status: number, body?: any, headers: Record<string, string> = {}): GenieResponse => ({
+  ok: status >= 200 && status < 300,
+  status,
+  headers: {
+    get: (name: string) => {
+      const key = Object.keys(headers).find(header => header.toLowerCase() === name.toLowerCase());
+      return key ? headers[key] : null;
+    },
+  },
+  json: async () => body === undefined ? {} : JSON.parse(JSON.stringify(body)),
+});
+
+// Answer for questions that weren't recorded
+const createUnrecordedFailure = (question: string): MockResponse => ({
+  body: {
+    status: 'FAILED',
+    content: question,
+    error: { error: 'No recorded answer for this question', type: 'MOCK_NOT_RECORDED' },
+  },
+});
+
+// Statement state for queries that weren't recorded
+const UNRECORDED_STATEMENT: MockResponse = {
+  body: {
+    status: { state: 'FAILED', error: { message: 'No recorded result for this query' } },
+  },
+};
+
+// Get the entry for this poll - the last entry repeats once the recording runs out
+const nextResponse = (responses: MockResponse[], index: number): MockResponse =>
+  responses[Math.min(index, responses.length - 1)] || { status: 404 };
+
+export const createMockGenieClient = (
+  data: MockGenieData,
+  options: MockGenieClientOptions = {}
+): MockGenieClient => {
+  const { latencyMs = 0 } = options;
+  const requests: GenieRequest[] = [];
+  const messages = new Map<string, MessageState>();
+  const statements = new Map<string, StatementState>();
+  let online = true;
+  let nextId = 1;
+
+  const findRecording = (question: string) =>
+    data.conversations.find(recording => normalizeText(recording.question) === normalizeText(question)) || null;
+
+  const findStatement = (query: string) =>
+    (data.statements || []).find(recording => normalizeText(recording.query) === normalizeText(query)) || null;
+
+  const addMessage = (conversationId: string, question: string): string => {
+    const messageId = `mock-message-${nextId++}`;
+    messages.set(messageId, { conversationId, question, recording: findRecording(question), pollCount: 0 });
+    return messageId;
+  };
+
+  const pollMessage = (messageId: string): GenieResponse => {
+    const state = messages.get(messageId);
+    if (!state) return jsonResponse(404, { message: `Message ${messageId} not found` });
+
+    const polls = state.recording?.polls || [createUnrecordedFailure(state.question)];
+    const { status = 200, body, headers } = nextResponse(polls, state.pollCount++);
+    return jsonResponse(status, body && { ...body, id: messageId, conversation_id: state.conversationId }, headers);
+  };
+
+  const getQueryResult = (messageId: string, attachmentId: string): GenieResponse => {
+    const statementResponse = messages.get(messageId)?.recording?.queryResults?.[attachmentId];
+    return statementResponse
+      ? jsonResponse(200, { statement_response: statementResponse })
+      : jsonResponse(404, { message: 'No query result' });
+  };
+
+  const respondToStatement = (statementId: string): GenieResponse => {
+    const state = statements.get(statementId);
+    if (!state) return jsonResponse(404, { message: `Statement ${statementId} not found` });
+
+    const responses = state.recording?.responses || [UNRECORDED_STATEMENT];
+    const { status = 200, body, headers } = nextResponse(responses, state.pollCount++);
+    return jsonResponse(status, body && { ...body, statement_id: statementId }, headers);
+  };
+
+  // Route a request to the recorded data, like the workspace would
+  const route = ({ method, path, body }: GenieRequest): GenieResponse => {
+    if (method === 'HEAD') return jsonResponse(200);
+
+    const [pathname] = path.split('?');
+    let match: RegExpMatchArray | null;
+
+    if (method === 'GET' && pathname === '/api/2.0/genie/spaces') {
+      return jsonResponse(200, { spaces: data.spaces || [] });
+    }
+    if (method === 'GET' && pathname === '/api/2.0/sql/warehouses') {
+      return jsonResponse(200, { warehouses: data.warehouses || [] });
+    }
+
+    if (method === 'POST' && /^\/api\/2\.0\/genie\/spaces\/[^/]+\/start-conversation$/.test(pathname)) {
+      const conversationId = `mock-conversation-${nextId++}`;
+      const messageId = addMessage(conversationId, body?.content || '');
+      return jsonResponse(200, {
+        conversation_id: conversationId,
+        message_id: messageId,
+        conversation: { id: conversationId },
+        message: { id: messageId, conversation_id: conversationId, status: 'SUBMITTED' },
+      });
+    }
+    if (method === 'POST' && (match = pathname.match(/^\/api\/2\.0\/genie\/spaces\/[^/]+\/conversations\/([^/]+)\/messages$/))) {
+      const messageId = addMessage(match[1], body?.content || '');
+      return jsonResponse(200, { id: messageId, conversation_id: match[1], status: 'SUBMITTED' });
+    }
+
+    const messagePath = /^\/api\/2\.0\/genie\/spaces\/[^/]+\/conversations\/[^/]+\/messages\/([^/]+)/;
+    if (method === 'GET' && (match = pathname.match(new RegExp(`${messagePath.source}$`)))) {
+      return pollMessage(match[1]);
+    }
+    if (method === 'GET' && (match = pathname.match(new RegExp(`${messagePath.source}/query-result$`)))) {
+      return getQueryResult(match[1], '');
+    }
+    if (method === 'GET' && (match = pathname.match(new RegExp(`${messagePath.source}/attachments/([^/]+)/query-result$`)))) {
+      return getQueryResult(match[1], match[2]);
+    }
+
+    if (method === 'POST' && pathname === '/api/2.0/sql/statements/') {
+      const statementId = `mock-statement-${nextId++}`;
+      statements.set(statementId, { recording: findStatement(body?.statement || ''), pollCount: 0 });
+      return respondToStatement(statementId);
+    }
+    if (method === 'POST' && (match = pathname.match(/^\/api\/2\.0\/sql\/statements\/([^/]+)\/cancel$/))) {
+      return jsonResponse(statements.has(match[1]) ? 200 : 404);
+    }
+    if (method === 'POST' && /^\/api\/2\.0\/sql\/warehouses\/[^/]+\/start$/.test(pathname)) {
+      return jsonResponse(200);
+    }
+    if (method === 'GET' && data.chunks?.[path]) {
+      return jsonResponse(200, data.chunks[path]);
+    }
+    if (method === 'GET' && (match = pathname.match(/^\/api\/2\.0\/sql\/statements\/([^/]+)$/))) {
+      return respondToStatement(match[1]);
+    }
+
+    return jsonResponse(404, { message: `No mock route for ${method} ${path}` });
+  };
+
+  const request = (genieRequest: GenieRequest): Promise<GenieResponse> => {
+    requests.push(genieRequest);
+    const { signal } = genieRequest;
+
+    return new Promise((resolve, reject) => {
+      if (signal?.aborted) {
+        reject(createAbortError());
+        return;
+      }
+      const onAbort = () => {
+        clearTimeout(timeoutId);
+        reject(createAbortError());
+      };
+      const timeoutId = setTimeout(() => {
+        signal?.removeEventListener('abort', onAbort);
+        if (!online) {
+          reject(new TypeError('Network request failed'));
+          return;
+        }
+        resolve(route(genieRequest));
+      }, latencyMs);
+      signal?.addEventListener('abort', onAbort);
+    });
+  };
+
+  return {
+    request,
+    requests,
+    setOnline: (value: boolean) => {
+      online = value;
+    },
+  };
+};
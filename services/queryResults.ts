@@ -0,0 +1,171 @@
+/**
+ * queryResults.ts
+ *
+ * Single result pipeline for Genie query attachments.
+ * Genie already runs the SQL it generates, so its attachment query result is
+ * preferred. The statement is only executed again directly on the warehouse
+ * when that result is missing or truncated, or when a source is forced.
+ * Fresh results are cached by their SQL, and the cached result is used when
+ * the Databricks host can't be reached.
+ */
+
+import {
+  GenieApi,
+  transformDatabricksResultToChartData,
+  isAbortError,
+  isNetworkError,
+  SQLExecutionOptions
+} from './genieApi';
+import { cacheResult, getCachedResult, toStaleChartData } from './resultCache';
+import type { QueryAttachment } from './genieAttachments';
+import type { GenieSpaceSelection } from './genieSpaces';
+
+// Where a query result came from
+export type ResultSource = 'genie' | 'direct';
+
+// User setting - 'auto' prefers Genie and falls back to direct execution
+export type ResultSourcePreference = 'auto' | ResultSource;
+
+export interface QueryResultLoad {
+  chartData: any;
+  source: ResultSource | null;
+  // Raw statement response the chart data was built from
+  statementResponse: any;
+  sqlError?: string;
+}
+
+// Check whether a statement response holds fewer rows than the query produced
+export const isResultTruncated = (statementResponse: any): boolean => {
+  const manifest = statementResponse?.manifest;
+  if (!manifest) return false;
+  if (manifest.truncated) return true;
+
+  // Rows that can still be fetched as further chunks aren't missing
+  if (statementResponse?.result?.next_chunk_internal_link) return false;
+  const loadedRows = statementResponse?.result?.data_array?.length ?? 0;
+  return typeof manifest.total_row_count === 'number' && manifest.total_row_count > loadedRows;
+};
+
+// Run a query on the warehouse and cache its result. When the host can't be
+// reached the cached result is returned instead, marked with staleAsOf.
+export const executeQueryWithCache = async (
+  api: GenieApi,
+  sqlQuery: string,
+  warehouseId: string,
+  apiToken?: string,
+  signal?: AbortSignal,
+  options?: SQLExecutionOptions
+): Promise<any> => {
+  let sqlExecutionResult;
+  try {
+    sqlExecutionResult = await api.executeSQLQuery(sqlQuery, warehouseId, apiToken, signal, options);
+  } catch (err) {
+    if (isNetworkError(err)) {
+      const cached = await getCachedResult(sqlQuery);
+      if (cached) {
+        console.log('Databricks is unreachable, showing the cached result');
+        return toStaleChartData(cached);
+      }
+    }
+    throw err;
+  }
+
+  // Outside the try - a failure here is a bug to surface, not a reason to show the cached result
+  const chartData = transformDatabricksResultToChartData(sqlExecutionResult);
+  cacheResult(sqlQuery, chartData);
+  return chartData;
+};
+
+// Fetch the result Genie produced for a query attachment
+const loadGenieResult = async (
+  api: GenieApi,
+  spaceId: string,
+  conversationId: string,
+  messageId: string,
+  attachment: QueryAttachment,
+  apiToken?: string,
+  signal?: AbortSignal
+): Promise<any> => {
+  const result = attachment.attachmentId
+    ? await api.getAttachmentQueryResult(spaceId, conversationId, messageId, attachment.attachmentId, apiToken, signal)
+    : await api.getSQLQueryResult(spaceId, conversationId, messageId, apiToken, signal);
+  return result?.statement_response || null;
+};
+
+// Load the result for a query attachment from the preferred source, in the conversation's space and warehouse,
+// through the API the caller got from GenieClientContext
+export const loadQueryAttachmentResult = async (
+  api: GenieApi,
+  selection: GenieSpaceSelection,
+  conversationId: string,
+  messageId: string,
+  attachment: QueryAttachment,
+  preference: ResultSourcePreference = 'auto',
+  apiToken?: string,
+  signal?: AbortSignal
+): Promise<QueryResultLoad> => {
+  let genieResponse = null;
+  let genieChartData = null;
+  let genieError: string | undefined;
+
+  if (preference !== 'direct') {
+    try {
+      genieResponse = await loadGenieResult(api, selection.spaceId, conversationId, messageId, attachment, apiToken, signal);
+      genieChartData = transformDatabricksResultToChartData(genieResponse);
+    } catch (err) {
+      if (isAbortError(err)) throw err;
+      console.error('Error getting Genie query result:', err);
+      genieError = err instanceof Error ? err.message : 'Error getting query result';
+    }
+
+    // Genie's result is complete (or forced) - no need to run the query again
+    if (genieChartData && (preference === 'genie' || !isResultTruncated(genieResponse))) {
+      cacheResult(attachment.query, genieChartData);
+      return { chartData: genieChartData, source: 'genie', statementResponse: genieResponse };
+    }
+
+    if (preference === 'genie' || !attachment.query) {
+      return {
+        chartData: genieChartData,
+        source: genieChartData ? 'genie' : null,
+        statementResponse: genieResponse,
+        sqlError: genieChartData ? undefined : genieError || 'No query result available'
+      };
+    }
+
+    console.log(genieChartData
+      ? 'Genie query result is truncated, executing the statement directly'
+      : 'Genie query result is missing, executing the statement directly');
+  }
+
+  let directResponse;
+  try {
+    // A truncated Genie result means a large result set - fetch it through external links
+    directResponse = await api.executeSQLQuery(attachment.query, selection.warehouseId, apiToken, signal, {
+      disposition: genieChartData ? 'EXTERNAL_LINKS' : 'INLINE'
+    });
+  } catch (err) {
+    if (isAbortError(err)) throw err;
+    console.error('Error executing SQL query with Databricks API:', err);
+    const sqlError = err instanceof Error ? err.message : 'Error executing SQL query';
+
+    // A truncated Genie result is still better than nothing
+    if (genieChartData) {
+      return { chartData: genieChartData, source: 'genie', statementResponse: genieResponse };
+    }
+    // So is the last result we cached for this SQL, when the warehouse can't be reached
+    const cached = isNetworkError(err) ? await getCachedResult(attachment.query) : null;
+    if (cached) {
+      return { chartData: toStaleChartData(cached), source: null, statementResponse: null };
+    }
+    return { chartData: null, source: null, statementResponse: null, sqlError };
+  }
+
+  const directChartData = transformDatabricksResultToChartData(directResponse);
+  cacheResult(attachment.query, directChartData);
+  return {
+    chartData: directChartData,
+    source: 'direct',
+    statementResponse: directResponse
+  };
+};
@@ -0,0 +1,108 @@
+/**
+ * resultCache.ts
+ *
+ * Local cache of query results keyed by their SQL text, so answers and
+ * pinned results can still be shown when the Databricks host can't be
+ * reached. Each result is stored under its own key and a small index keeps
+ * track of them so the oldest can be evicted.
+ */
+
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { createWriteQueue } from './storageQueue';
+
+const RESULT_CACHE_INDEX_KEY = 'GENIE_RESULT_CACHE_INDEX';
+const RESULT_CACHE_KEY_PREFIX = 'GENIE_RESULT_CACHE_';
+
+// Most results kept, and most rows kept per result - AsyncStorage isn't meant for large blobs
+const MAX_CACHED_RESULTS = 50;
+const MAX_CACHED_ROWS = 2000;
+
+interface CacheIndexEntry {
+  key: string;
+  cachedAt: number;
+}
+
+export interface CachedResult {
+  chartData: any;
+  cachedAt: number;
+}
+
+// Index updates are read-modify-write, so writes are queued
+const enqueueWrite = createWriteQueue();
+
+// The same SQL with different whitespace or a trailing semicolon is the same result
+export const normalizeQuery = (query: string): string =>
+  query.trim().replace(/;\s*$/, '').replace(/\s+/g, ' ');
+
+// Storage key for a query - a string hash keeps keys short for long SQL
+const cacheKey = (query: string): string => {
+  const normalized = normalizeQuery(query);
+  let hash = 5381;
+  for (let i = 0; i < normalized.length; i++) {
+    hash = ((hash << 5) + hash + normalized.charCodeAt(i)) | 0;
+  }
+  return `${RESULT_CACHE_KEY_PREFIX}${(hash >>> 0).toString(36)}_${normalized.length}`;
+};
+
+const loadCacheIndex = async (): Promise<CacheIndexEntry[]> => {
+  const stored = await AsyncStorage.getItem(RESULT_CACHE_INDEX_KEY);
+  return stored ? JSON.parse(stored) : [];
+};
+
+// Load the cached result for a query, if there is one
+export const getCachedResult = async (query?: string): Promise<CachedResult | null> => {
+  if (!query?.trim()) return null;
+  try {
+    const stored = await AsyncStorage.getItem(cacheKey(query));
+    if (!stored) return null;
+    const cached = JSON.parse(stored);
+    // Two queries can share a hash - only return the result of this one
+    return cached.query === normalizeQuery(query) ? { chartData: cached.chartData, cachedAt: cached.cachedAt } : null;
+  } catch (error) {
+    console.error('Error loading cached result:', error);
+    return null;
+  }
+};
+
+// Keep at most maxRows rows of chart data for storage. Further chunks follow on from
+// the last row fetched, so a cut result can't load more - totalRowCount still says how many there are.
+export const limitChartRows = (chartData: any, maxRows: number): any => {
+  const rows = chartData?.rows;
+  if (!rows || rows.length <= maxRows) return chartData;
+  return {
+    ...chartData,
+    rows: rows.slice(0, maxRows),
+    rowCount: maxRows,
+    totalRowCount: Math.max(chartData.totalRowCount || 0, rows.length),
+    nextChunkLink: null
+  };
+};
+
+// Cache a fresh result for a query, replacing any older one
+export const cacheResult = (query: string | undefined, chartData: any): Promise<void> => enqueueWrite(async () => {
+  if (!query?.trim() || !chartData) return;
+  try {
+    const key = cacheKey(query);
+    const cachedAt = Date.now();
+    const cachedChartData = limitChartRows(chartData, MAX_CACHED_ROWS);
+    await AsyncStorage.setItem(key, JSON.stringify({ query: normalizeQuery(query), chartData: cachedChartData, cachedAt }));
+
+    const index = await loadCacheIndex();
+    const updatedIndex = [{ key, cachedAt }, ...index.filter(entry => entry.key !== key)];
+    const evicted = updatedIndex.slice(MAX_CACHED_RESULTS);
+    if (evicted.length > 0) {
+      await AsyncStorage.multiRemove(evicted.map(entry => entry.key));
+    }
+    await AsyncStorage.setItem(RESULT_CACHE_INDEX_KEY, JSON.stringify(updatedIndex.slice(0, MAX_CACHED_RESULTS)));
+  } catch (error) {
+    console.error('Error caching result:', error);
+  }
+});
+
+// Chart data for a cached result, marked with how old it is
+export const toStaleChartData = (cached: CachedResult): any => ({
+  ...cached.chartData,
+  staleAsOf: cached.chartData?.fetchedAt || cached.cachedAt,
+  // Further chunks can't be fetched without a connection
+  nextChunkLink: null
+});
@@ -0,0 +1,148 @@
+/**
+ * resultExport.ts
+ *
+ * Export query results to CSV, Excel (XLSX) or JSON and open the native share sheet.
+ * The full result is exported - any chunks not loaded in the table yet are
+ * fetched first - and the Databricks column types are kept in the output.
+ */
+
+import * as FileSystem from 'expo-file-system';
+import * as Sharing from 'expo-sharing';
+import * as XLSX from 'xlsx';
+import type { GenieApi } from './genieApi';
+import {
+  ResultColumn,
+  CellValue,
+  getResultColumns,
+  isTemporalColumn,
+  formatTemporalISO
+} from './resultTypes';
+
+export type ExportFormat = 'csv' | 'xlsx' | 'json';
+
+// File details for each export format
+const EXPORT_FORMATS: Record<ExportFormat, { extension: string; mimeType: string; UTI: string }> = {
+  csv: { extension: 'csv', mimeType: 'text/csv', UTI: 'public.comma-separated-values-text' },
+  xlsx: {
+    extension: 'xlsx',
+    mimeType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+    UTI: 'org.openxmlformats.spreadsheetml.sheet'
+  },
+  json: { extension: 'json', mimeType: 'application/json', UTI: 'public.json' },
+};
+
+// Text/JSON form of a typed cell - dates and timestamps become ISO strings
+const toPortableValue = (value: CellValue, column?: ResultColumn): CellValue => {
+  if (column && isTemporalColumn(column) && typeof value === 'number') {
+    return formatTemporalISO(value, column.kind);
+  }
+  return value;
+};
+
+// Quote a CSV field when it contains a delimiter, quote or line break
+const escapeCSVField = (value: any): string => {
+  if (value === null || value === undefined) return '';
+  const text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// Build a CSV document with a header row of column names
+export const buildCSV = (chartData: any): string => {
+  const columns = getResultColumns(chartData);
+  const lines = [
+    columns.map(column => escapeCSVField(column.name)).join(','),
+    ...chartData.rows.map((row: CellValue[]) =>
+      row.map((cell, index) => escapeCSVField(toPortableValue(cell, columns[index]))).join(',')
+    ),
+  ];
+  return lines.join('\r\n');
+};
+
+// Build a JSON document with the column schema and one object per row
+export const buildJSON = (chartData: any): string => {
+  const columns = getResultColumns(chartData);
+  return JSON.stringify({
+    columns: columns.map(column => ({
+      name: column.name,
+      type: column.typeText || column.typeName,
+      ...(column.precision !== undefined ? { precision: column.precision } : {}),
+      ...(column.scale !== undefined ? { scale: column.scale } : {}),
+    })),
+    rowCount: chartData.rows.length,
+    rows: chartData.rows.map((row: CellValue[]) => {
+      const record: Record<string, CellValue> = {};
+      columns.forEach((column, index) => {
+        record[column.name] = toPortableValue(row[index], column);
+      });
+      return record;
+    }),
+  }, null, 2);
+};
+
+// Build an XLSX workbook (base64) with typed cells plus a sheet describing the columns
+export const buildWorkbook = (chartData: any): string => {
+  const columns = getResultColumns(chartData);
+  const rows = chartData.rows.map((row: CellValue[]) =>
+    row.map((cell, index) => {
+      // Excel stores dates as dates, not text
+      if (isTemporalColumn(columns[index]) && typeof cell === 'number') {
+        return new Date(cell);
+      }
+      return cell;
+    })
+  );
+
+  const workbook = XLSX.utils.book_new();
+  const resultSheet = XLSX.utils.aoa_to_sheet([columns.map(column => column.name), ...rows], { cellDates: true });
+  XLSX.utils.book_append_sheet(workbook, resultSheet, 'Results');
+
+  const columnsSheet = XLSX.utils.aoa_to_sheet([
+    ['Column', 'Type', 'Precision', 'Scale'],
+    ...columns.map(column => [column.name, column.typeText || column.typeName, column.precision ?? '', column.scale ?? '']),
+  ]);
+  XLSX.utils.book_append_sheet(workbook, columnsSheet, 'Columns');
+
+  return XLSX.write(workbook, { type: 'base64', bookType: 'xlsx' });
+};
+
+// Make a file name that's safe on every platform
+const buildFileName = (title: string, extension: string): string => {
+  const safeTitle = title.replace(/[^A-Za-z0-9_-]+/g, '_').replace(/^_+|_+$/g, '').substring(0, 50) || 'genie_result';
+  const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+  return `${safeTitle}_${timestamp}.${extension}`;
+};
+
+// Export the full result in the chosen format and open the share sheet
+export const exportChartData = async (
+  api: GenieApi,
+  chartData: any,
+  format: ExportFormat,
+  title: string = 'genie_result',
+  apiToken?: string
+): Promise<void> => {
+  if (!chartData?.columnNames) {
+    throw new Error('There is no result to export');
+  }
+
+  if (!(await Sharing.isAvailableAsync())) {
+    throw new Error('Sharing is not available on this device');
+  }
+
+  // Fetch any chunks the table hasn't loaded yet so the export is complete
+  const fullData = await api.loadAllChartRows(chartData, apiToken);
+  const { extension, mimeType, UTI } = EXPORT_FORMATS[format];
+  const fileUri = `${FileSystem.cacheDirectory}${buildFileName(title, extension)}`;
+
+  if (format === 'xlsx') {
+    await FileSystem.writeAsStringAsync(fileUri, buildWorkbook(fullData), {
+      encoding: FileSystem.EncodingType.Base64,
+    });
+  } else {
+    const content = format === 'csv' ? buildCSV(fullData) : buildJSON(fullData);
+    await FileSystem.writeAsStringAsync(fileUri, content, {
+      encoding: FileSystem.EncodingType.UTF8,
+    });
+  }
+
+  await Sharing.shareAsync(fileUri, { mimeType, UTI, dialogTitle: `Export ${title}` });
+};
@@ -0,0 +1,173 @@
+/**
+ * resultTypes.ts
+ *
+ * Typed result model built from the Databricks manifest schema.
+ * Each column keeps its declared type_name, precision and scale, and cells
+ * are converted from the JSON_ARRAY strings into numbers, booleans and dates.
+ * Dates and timestamps are stored as epoch milliseconds so converted rows
+ * survive being saved with the conversation as JSON.
+ */
+
+// How a column's values are handled by charts and tables
+export type ColumnKind = 'integer' | 'number' | 'decimal' | 'boolean' | 'date' | 'timestamp' | 'string';
+
+export interface ResultColumn {
+  name: string;
+  typeName: string;
+  typeText?: string;
+  precision?: number;
+  scale?: number;
+  kind: ColumnKind;
+}
+
+// A converted cell - dates and timestamps are epoch milliseconds
+export type CellValue = string | number | boolean | null;
+
+const KIND_BY_TYPE_NAME: Record<string, ColumnKind> = {
+  BYTE: 'integer',
+  SHORT: 'integer',
+  INT: 'integer',
+  LONG: 'integer',
+  FLOAT: 'number',
+  DOUBLE: 'number',
+  DECIMAL: 'decimal',
+  BOOLEAN: 'boolean',
+  DATE: 'date',
+  TIMESTAMP: 'timestamp',
+  TIMESTAMP_NTZ: 'timestamp',
+};
+
+// Get the kind for a Databricks type name - anything unknown is treated as text
+export const getColumnKind = (typeName?: string): ColumnKind =>
+  KIND_BY_TYPE_NAME[(typeName || '').toUpperCase()] || 'string';
+
+// Build a typed column from a manifest schema column
+export const parseResultColumn = (column: any): ResultColumn => {
+  const typeName = (column?.type_name || 'STRING').toUpperCase();
+  return {
+    name: column?.name || '',
+    typeName,
+    typeText: column?.type_text,
+    precision: typeof column?.type_precision === 'number' ? column.type_precision : undefined,
+    scale: typeof column?.type_scale === 'number' ? column.type_scale : undefined,
+    kind: getColumnKind(typeName),
+  };
+};
+
+// Check whether a column holds numbers
+export const isNumericColumn = (column?: ResultColumn): boolean =>
+  !!column && (column.kind === 'integer' || column.kind === 'number' || column.kind === 'decimal');
+
+// Check whether a column holds dates or timestamps
+export const isTemporalColumn = (column?: ResultColumn): boolean =>
+  !!column && (column.kind === 'date' || column.kind === 'timestamp');
+
+// Parse a DATE or TIMESTAMP string into epoch milliseconds (UTC)
+const parseTemporalValue = (value: string): number | null => {
+  let text = value.trim();
+  // DATE values have no time part - parse them as UTC midnight
+  if (/^\d{4}-\d{2}-\d{2}$/.test(text)) {
+    text = `${text}T00:00:00Z`;
+  } else {
+    // Hermes and JSC don't all accept a space between the date and the time,
+    // nor more than millisecond precision
+    text = text.replace(/^(\d{4}-\d{2}-\d{2}) (?=\d)/, '$1T').replace(/(\.\d{3})\d+/, '$1');
+    // TIMESTAMP_NTZ values have no zone - read them as UTC, the zone they're displayed in,
+    // rather than as device-local time
+    if (/T\d/.test(text) && !/(Z|[+-]\d{2}(:?\d{2})?)$/i.test(text)) {
+      text = `${text}Z`;
+    }
+  }
+  const time = Date.parse(text);
+  return isNaN(time) ? null : time;
+};
+
+// Largest DECIMAL precision a number holds exactly
+const MAX_EXACT_DECIMAL_PRECISION = 15;
+
+// Drop the zeros a DECIMAL's scale pads with, so "120.50" matches String(120.5)
+const trimDecimalText = (text: string): string =>
+  text.includes('.') ? text.replace(/0+$/, '').replace(/\.$/, '') : text;
+
+// Convert a raw JSON_ARRAY cell into a value of its column's type
+export const convertCellValue = (value: any, column: ResultColumn): CellValue => {
+  if (value === null || value === undefined) return null;
+
+  switch (column.kind) {
+    case 'integer': {
+      const numeric = Number(value);
+      if (isNaN(numeric)) return String(value);
+      // LONG values outside the safe integer range would lose precision as numbers
+      return Number.isSafeInteger(numeric) ? numeric : String(value);
+    }
+    case 'number': {
+      const numeric = Number(value);
+      return isNaN(numeric) ? String(value) : numeric;
+    }
+    case 'decimal': {
+      const numeric = Number(value);
+      if (isNaN(numeric)) return String(value);
+      // Wide DECIMAL values would be rounded as numbers - keep their exact text
+      if ((column.precision ?? 0) > MAX_EXACT_DECIMAL_PRECISION) return String(value);
+      return trimDecimalText(String(value).trim()) === String(numeric) ? numeric : String(value);
+    }
+    case 'boolean':
+      return value === true || String(value).toLowerCase() === 'true';
+    case 'date':
+    case 'timestamp': {
+      if (typeof value === 'number') return value;
+      const time = parseTemporalValue(String(value));
+      return time === null ? String(value) : time;
+    }
+    default:
+      return typeof value === 'string' ? value : String(value);
+  }
+};
+
+// Convert every cell in a list of raw rows
+export const convertRows = (rows: any[][], columns: ResultColumn[]): CellValue[][] =>
+  rows.map(row => row.map((cell, index) =>
+    columns[index] ? convertCellValue(cell, columns[index]) : cell
+  ));
+
+// Get the typed columns for chart data, rebuilding them for results saved before columns were typed
+export const getResultColumns = (data: any): ResultColumn[] => {
+  if (Array.isArray(data?.columns) && data.columns.length > 0) {
+    return data.columns;
+  }
+  return (data?.columnNames || []).map((name: string, index: number) =>
+    parseResultColumn({ name, type_name: data?.columnTypes?.[index] })
+  );
+};
+
+// Get a numeric value from a cell - NaN when the cell isn't a number
+export const toNumber = (value: CellValue): number => {
+  if (typeof value === 'number') return value;
+  if (typeof value === 'boolean') return value ? 1 : 0;
+  if (typeof value === 'string' && value.trim() !== '') return Number(value);
+  return NaN;
+};
+
+// Format a converted value as ISO text (dates without a time part)
+export const formatTemporalISO = (value: number, kind: ColumnKind): string => {
+  const iso = new Date(value).toISOString();
+  return kind === 'date' ? iso.substring(0, 10) : iso;
+};
+
+// Format a cell for display in a table
+export const formatCellValue = (value: CellValue, column?: ResultColumn): string => {
+  if (value === null || value === undefined) return 'NULL';
+  if (!column) return String(value);
+
+  if (isTemporalColumn(column) && typeof value === 'number') {
+    const iso = formatTemporalISO(value, column.kind);
+    return column.kind === 'timestamp' ? iso.replace('T', ' ').replace(/\.000Z$|Z$/, '') : iso;
+  }
+  if (column.kind === 'decimal' && typeof value === 'number' && column.scale !== undefined) {
+    return value.toFixed(column.scale);
+  }
+  if (column.kind === 'boolean') {
+    return value ? 'true' : 'false';
+  }
+  return String(value);
+};
@@ -0,0 +1,67 @@
+/**
+ * retryTelemetry.ts
+ *
+ * In-memory log of the retries the request layer made, for the retry debug
+ * view. Only the most recent events are kept and nothing is persisted.
+ */
+
+import { useSyncExternalStore } from 'react';
+import type { RetryEvent, RetryPolicyName } from './genieRequest';
+
+const MAX_EVENTS = 200;
+
+// Counts for one retry policy
+export interface RetrySummary {
+  policy: RetryPolicyName;
+  retries: number;
+  gaveUp: number;
+  // Retries whose delay came from a Retry-After header
+  retryAfter: number;
+}
+
+let events: RetryEvent[] = [];
+const listeners = new Set<() => void>();
+
+const notify = () => listeners.forEach(listener => listener());
+
+// Add an event - newest first, oldest dropped past MAX_EVENTS
+export const recordRetryEvent = (event: RetryEvent): void => {
+  events = [event, ...events].slice(0, MAX_EVENTS);
+  notify();
+};
+
+export const getRetryEvents = (): RetryEvent[] => events;
+
+export const clearRetryEvents = (): void => {
+  events = [];
+  notify();
+};
+
+export const subscribeToRetryEvents = (listener: () => void): (() => void) => {
+  listeners.add(listener);
+  return () => {
+    listeners.delete(listener);
+  };
+};
+
+// Count retries and give-ups per policy, most retried first
+export const summarizeRetryEvents = (retryEvents: RetryEvent[]): RetrySummary[] => {
+  const summaries = new Map<RetryPolicyName, RetrySummary>();
+  retryEvents.forEach(event => {
+    const summary = summaries.get(event.policy) || { policy: event.policy, retries: 0, gaveUp: 0, retryAfter: 0 };
+    if (event.gaveUp) {
+      summary.gaveUp++;
+    } else {
+      summary.retries++;
+    }
+    if (event.retryAfter) {
+      summary.retryAfter++;
+    }
+    summaries.set(event.policy, summary);
+  });
+  return [...summaries.values()].sort((a, b) => b.retries + b.gaveUp - (a.retries + a.gaveUp));
+};
+
+// Recent retry events, re-rendering as new ones are recorded
+export const useRetryEvents = (): RetryEvent[] =>
+  useSyncExternalStore(subscribeToRetryEvents, getRetryEvents, getRetryEvents);
@@ -0,0 +1,74 @@
+/**
+ * sqlHighlight.ts
+ *
+ * Minimal SQL tokenizer used to syntax-highlight the queries Genie generates.
+ * It only needs to be good enough for display - it doesn't validate SQL.
+ */
+
+export type SQLTokenType = 'keyword' | 'function' | 'string' | 'number' | 'comment' | 'operator' | 'identifier' | 'whitespace';
+
+export interface SQLToken {
+  type: SQLTokenType;
+  text: string;
+}
+
+const SQL_KEYWORDS = new Set([
+  'select', 'from', 'where', 'and', 'or', 'not', 'in', 'is', 'null', 'as', 'on',
+  'join', 'inner', 'left', 'right', 'full', 'outer', 'cross', 'group', 'by', 'order',
+  'having', 'limit', 'offset', 'distinct', 'union', 'all', 'case', 'when', 'then',
+  'else', 'end', 'asc', 'desc', 'with', 'between', 'like', 'ilike', 'exists', 'true',
+  'false', 'interval', 'over', 'partition', 'rows', 'range', 'preceding', 'following',
+  'current', 'row', 'unbounded', 'cast', 'insert', 'into', 'values', 'update', 'set',
+  'delete', 'create', 'table', 'view', 'qualify', 'nulls', 'first', 'last', 'using',
+]);
+
+const TOKEN_PATTERNS: [SQLTokenType, RegExp][] = [
+  ['whitespace', /^\s+/],
+  ['comment', /^--[^\n]*/],
+  ['comment', /^\/\*[\s\S]*?(\*\/|$)/],
+  ['string', /^'(?:[^']|'')*'?/],
+  ['identifier', /^`[^`]*`?/],
+  ['identifier', /^"[^"]*"?/],
+  ['number', /^\d+(\.\d+)?([eE][+-]?\d+)?/],
+  ['identifier', /^[A-Za-z_][A-Za-z0-9_]*/],
+  ['operator', /^(<=|>=|<>|!=|::|\|\||[-+*/%=<>(),.;])/],
+];
+
+// Split a SQL string into tokens for highlighting
+export const tokenizeSQL = (sql: string): SQLToken[] => {
+  const tokens: SQLToken[] = [];
+  let remaining = sql;
+
+  while (remaining.length > 0) {
+    let matched = false;
+
+    for (const [type, pattern] of TOKEN_PATTERNS) {
+      const match = remaining.match(pattern);
+      if (!match) continue;
+
+      const text = match[0];
+      let tokenType = type;
+      if (type === 'identifier' && /^[A-Za-z_]/.test(text)) {
+        const rest = remaining.slice(text.length);
+        if (SQL_KEYWORDS.has(text.toLowerCase())) {
+          tokenType = 'keyword';
+        } else if (/^\s*\(/.test(rest)) {
+          tokenType = 'function';
+        }
+      }
+
+      tokens.push({ type: tokenType, text });
+      remaining = remaining.slice(text.length);
+      matched = true;
+      break;
+    }
+
+    // Unknown character - keep it as-is so the text is never lost
+    if (!matched) {
+      tokens.push({ type: 'operator', text: remaining[0] });
+      remaining = remaining.slice(1);
+    }
+  }
+
+  return tokens;
+};
@@ -0,0 +1,20 @@
+/**
+ * storageQueue.ts
+ *
+ * Write queue for the AsyncStorage stores. Their updates are
+ * read-modify-write, so each store chains its writes to avoid one save
+ * overwriting another that started before it finished.
+ */
+
+// Run each task after the previous one settles - a failed write doesn't block the next
+export type EnqueueWrite = <T>(task: () => Promise<T>) => Promise<T>;
+
+// Create a queue - each store keeps its own, so writes to different keys don't wait on each other
+export const createWriteQueue = (): EnqueueWrite => {
+  let writeQueue: Promise<unknown> = Promise.resolve();
+  return <T>(task: () => Promise<T>): Promise<T> => {
+    const result = writeQueue.then(task, task);
+    writeQueue = result.catch(() => undefined);
+    return result;
+  };
+};
@@ -0,0 +1,147 @@
+/**
+ * tableQuery.ts
+ *
+ * Sorting, searching and per-column filtering for result tables.
+ * Comparisons use the declared column types from the typed result model, so
+ * numbers, dates and booleans sort by value rather than as text.
+ */
+
+import {
+  CellValue,
+  ResultColumn,
+  isNumericColumn,
+  isTemporalColumn,
+  formatCellValue,
+  toNumber
+} from './resultTypes';
+
+export type SortDirection = 'asc' | 'desc';
+
+export interface SortState {
+  columnIndex: number;
+  direction: SortDirection;
+}
+
+// Value list filter for text columns, range filter for numeric and date columns
+export type ColumnFilter =
+  | { type: 'values'; values: string[] }
+  | { type: 'range'; min?: number; max?: number };
+
+// Active filters keyed by column index
+export type ColumnFilters = Record<number, ColumnFilter>;
+
+export interface TableQuery {
+  search?: string;
+  filters?: ColumnFilters;
+  sort?: SortState | null;
+}
+
+// Maximum number of distinct values offered in a value list filter
+export const MAX_FILTER_VALUES = 200;
+
+// Check whether a column is filtered by range rather than by value list
+export const usesRangeFilter = (column?: ResultColumn): boolean =>
+  isNumericColumn(column) || isTemporalColumn(column);
+
+// Compare two cells of the same column - nulls always sort last
+export const compareCells = (a: CellValue, b: CellValue, column?: ResultColumn): number => {
+  const aMissing = a === null || a === undefined;
+  const bMissing = b === null || b === undefined;
+  if (aMissing || bMissing) {
+    return aMissing === bMissing ? 0 : aMissing ? 1 : -1;
+  }
+
+  if (usesRangeFilter(column) || column?.kind === 'boolean') {
+    const aNumber = toNumber(a);
+    const bNumber = toNumber(b);
+    if (!isNaN(aNumber) && !isNaN(bNumber)) {
+      return aNumber - bNumber;
+    }
+  }
+
+  return String(a).localeCompare(String(b), undefined, { numeric: true, sensitivity: 'base' });
+};
+
+// Check a single cell against a column filter
+const matchesFilter = (value: CellValue, filter: ColumnFilter, column?: ResultColumn): boolean => {
+  if (filter.type === 'values') {
+    return filter.values.includes(formatCellValue(value, column));
+  }
+
+  const numeric = toNumber(value);
+  if (isNaN(numeric)) return false;
+  if (filter.min !== undefined && numeric < filter.min) return false;
+  if (filter.max !== undefined && numeric > filter.max) return false;
+  return true;
+};
+
+// Check whether a filter actually restricts anything
+export const isFilterActive = (filter?: ColumnFilter): boolean => {
+  if (!filter) return false;
+  return filter.type === 'values'
+    ? filter.values.length > 0
+    : filter.min !== undefined || filter.max !== undefined;
+};
+
+// Apply search, column filters and sorting to a list of rows.
+// Rows are returned as-is when nothing is active, so large results aren't copied needlessly.
+export const applyTableQuery = (rows: CellValue[][], columns: ResultColumn[], query: TableQuery): CellValue[][] => {
+  const search = (query.search || '').trim().toLowerCase();
+  const activeFilters = Object.entries(query.filters || {})
+    .filter(([, filter]) => isFilterActive(filter))
+    .map(([index, filter]) => ({ index: Number(index), filter }));
+
+  let result = rows;
+
+  if (search || activeFilters.length > 0) {
+    result = rows.filter(row => {
+      for (const { index, filter } of activeFilters) {
+        if (!matchesFilter(row[index], filter, columns[index])) return false;
+      }
+      if (!search) return true;
+      return row.some((cell, index) => formatCellValue(cell, columns[index]).toLowerCase().includes(search));
+    });
+  }
+
+  if (query.sort) {
+    const { columnIndex, direction } = query.sort;
+    const column = columns[columnIndex];
+    const multiplier = direction === 'asc' ? 1 : -1;
+    // Copy before sorting so the original row order is kept
+    result = [...result].sort((a, b) => {
+      const aMissing = a[columnIndex] === null || a[columnIndex] === undefined;
+      const bMissing = b[columnIndex] === null || b[columnIndex] === undefined;
+      // Nulls stay last in both directions
+      if (aMissing || bMissing) return compareCells(a[columnIndex], b[columnIndex], column);
+      return multiplier * compareCells(a[columnIndex], b[columnIndex], column);
+    });
+  }
+
+  return result;
+};
+
+// Get the distinct display values of a column, sorted, for a value list filter
+export const getDistinctValues = (
+  rows: CellValue[][],
+  columnIndex: number,
+  column?: ResultColumn,
+  limit: number = MAX_FILTER_VALUES
+): { values: string[]; truncated: boolean } => {
+  const distinct = new Set<string>();
+  for (const row of rows) {
+    distinct.add(formatCellValue(row[columnIndex], column));
+    if (distinct.size > limit) break;
+  }
+  const values = Array.from(distinct).slice(0, limit).sort((a, b) =>
+    a.localeCompare(b, undefined, { numeric: true, sensitivity: 'base' })
+  );
+  return { values, truncated: distinct.size > limit };
+};
+
+// Get the next sort state when a column header is tapped: ascending, descending, then unsorted
+export const getNextSort = (current: SortState | null | undefined, columnIndex: number): SortState | null => {
+  if (!current || current.columnIndex !== columnIndex) {
+    return { columnIndex, direction: 'asc' };
+  }
+  return current.direction === 'asc' ? { columnIndex, direction: 'desc' } : null;
+};
@@ -0,0 +1,236 @@
+/**
+ * timeSeries.ts
+ *
+ * Time-aware series for charts with a DATE or TIMESTAMP column on the X axis.
+ * Points are sorted chronologically, optionally bucketed into hours, days,
+ * weeks or months, and missing periods are either filled with zero or
+ * interpolated and marked. Tick labels follow the granularity of the data.
+ * All times are epoch milliseconds in UTC, matching the typed result model.
+ */
+
+import { CellValue, ResultColumn, isTemporalColumn } from './resultTypes';
+import {
+  ChartConfig,
+  ChartSeries,
+  Accumulator,
+  createAccumulator,
+  addToAccumulator,
+  getAggregateValue
+} from './chartConfig';
+
+export type TimeGranularity = 'hour' | 'day' | 'week' | 'month';
+
+// Zero fills missing periods; mark interpolates across them and flags the points
+export type GapMode = 'zero' | 'mark';
+
+export const TIME_GRANULARITIES: TimeGranularity[] = ['hour', 'day', 'week', 'month'];
+
+export const GRANULARITY_LABELS: Record<TimeGranularity, string> = {
+  hour: 'Hourly',
+  day: 'Daily',
+  week: 'Weekly',
+  month: 'Monthly',
+};
+
+// Most points drawn on a time axis - finer data is bucketed to a coarser granularity
+export const MAX_TIME_POINTS = 500;
+
+// Roughly how many tick labels fit under a chart
+const TARGET_TICK_COUNT = 12;
+
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+const WEEK = 7 * DAY;
+
+const MONTH_NAMES = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+
+export interface TimeSeriesData {
+  times: number[];
+  labels: string[];
+  series: ChartSeries[];
+  granularity: TimeGranularity;
+  // True for points added for a missing period
+  missing: boolean[];
+  // Periods before the top-N limit was applied
+  groupCount: number;
+}
+
+// Check whether the X column of a configuration is a date or timestamp column
+export const isTimeAxis = (columns: ResultColumn[], config: ChartConfig): boolean =>
+  isTemporalColumn(columns.find(column => column.name === config.xColumn));
+
+// Round a time down to the start of its hour, day, week (Monday) or month
+export const bucketTime = (time: number, granularity: TimeGranularity): number => {
+  const date = new Date(time);
+  switch (granularity) {
+    case 'hour':
+      return Math.floor(time / HOUR) * HOUR;
+    case 'day':
+      return Math.floor(time / DAY) * DAY;
+    case 'week': {
+      const day = Math.floor(time / DAY) * DAY;
+      // getUTCDay is 0 for Sunday - weeks start on Monday
+      const offset = (new Date(day).getUTCDay() + 6) % 7;
+      return day - offset * DAY;
+    }
+    default:
+      return Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), 1);
+  }
+};
+
+// Get the start of the next period
+export const addPeriod = (time: number, granularity: TimeGranularity): number => {
+  switch (granularity) {
+    case 'hour':
+      return time + HOUR;
+    case 'day':
+      return time + DAY;
+    case 'week':
+      return time + WEEK;
+    default: {
+      const date = new Date(time);
+      return Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + 1, 1);
+    }
+  }
+};
+
+// Guess the granularity of a sorted list of distinct times from the smallest gap between them
+export const detectGranularity = (times: number[]): TimeGranularity => {
+  let smallestGap = Infinity;
+  for (let index = 1; index < times.length; index++) {
+    smallestGap = Math.min(smallestGap, times[index] - times[index - 1]);
+  }
+  if (smallestGap < DAY) return 'hour';
+  if (smallestGap < WEEK) return 'day';
+  if (smallestGap < 28 * DAY) return 'week';
+  return 'month';
+};
+
+// Count the periods between two times
+const countPeriods = (start: number, end: number, granularity: TimeGranularity): number => {
+  if (granularity === 'month') {
+    const from = new Date(start);
+    const to = new Date(end);
+    return (to.getUTCFullYear() - from.getUTCFullYear()) * 12 + to.getUTCMonth() - from.getUTCMonth() + 1;
+  }
+  const length = granularity === 'hour' ? HOUR : granularity === 'day' ? DAY : WEEK;
+  return Math.floor((end - start) / length) + 1;
+};
+
+// Format a tick label for the granularity of the axis
+export const formatTimeTick = (time: number, granularity: TimeGranularity): string => {
+  const date = new Date(time);
+  const month = MONTH_NAMES[date.getUTCMonth()];
+  const day = date.getUTCDate();
+  switch (granularity) {
+    case 'hour':
+      return `${month} ${day} ${String(date.getUTCHours()).padStart(2, '0')}:00`;
+    case 'day':
+      return `${month} ${day}`;
+    case 'week':
+      return `Wk ${month} ${day}`;
+    default:
+      return `${month} ${date.getUTCFullYear()}`;
+  }
+};
+
+// Blank out labels so only about TARGET_TICK_COUNT are drawn and they don't overlap
+export const thinTickLabels = (labels: string[]): string[] => {
+  const step = Math.ceil(labels.length / TARGET_TICK_COUNT);
+  return step > 1 ? labels.map((label, index) => (index % step === 0 ? label : '')) : labels;
+};
+
+// Fill missing values by drawing a straight line between the known values around them
+const interpolateGaps = (values: (number | null)[]): number[] =>
+  values.map((value, index) => {
+    if (value !== null) return value;
+    let before = index - 1;
+    while (before >= 0 && values[before] === null) before--;
+    let after = index + 1;
+    while (after < values.length && values[after] === null) after++;
+    if (before < 0 || after >= values.length) return (values[before] ?? values[after]) || 0;
+    const fraction = (index - before) / (after - before);
+    return (values[before] as number) + fraction * ((values[after] as number) - (values[before] as number));
+  });
+
+// Build a chronological series for a configuration with a time column on the X axis
+export const buildTimeSeries = (
+  rows: CellValue[][],
+  columns: ResultColumn[],
+  config: ChartConfig
+): TimeSeriesData | null => {
+  const xIndex = columns.findIndex(column => column.name === config.xColumn);
+  const yIndices = config.yColumns
+    .map(name => columns.findIndex(column => column.name === name))
+    .filter(index => index >= 0);
+  if (xIndex < 0 || !isTemporalColumn(columns[xIndex]) || yIndices.length === 0) return null;
+
+  // Dates are already epoch milliseconds; anything else can't be placed on the axis
+  const timedRows = rows.filter(row => typeof row[xIndex] === 'number');
+  if (timedRows.length === 0) return null;
+
+  const distinctTimes = Array.from(new Set(timedRows.map(row => row[xIndex] as number))).sort((a, b) => a - b);
+  let granularity = config.timeBucket || detectGranularity(distinctTimes);
+  let bucket = !!config.timeBucket;
+
+  // Too many points to draw - bucket into the first granularity that fits
+  if (countPeriods(distinctTimes[0], distinctTimes[distinctTimes.length - 1], granularity) > MAX_TIME_POINTS) {
+    const coarser = TIME_GRANULARITIES.slice(TIME_GRANULARITIES.indexOf(granularity) + 1);
+    granularity = coarser.find(candidate =>
+      countPeriods(distinctTimes[0], distinctTimes[distinctTimes.length - 1], candidate) <= MAX_TIME_POINTS
+    ) || 'month';
+    bucket = true;
+  }
+
+  // Aggregate each series per point in time
+  const groups = new Map<number, Accumulator[]>();
+  for (const row of timedRows) {
+    const rawTime = row[xIndex] as number;
+    const time = bucket ? bucketTime(rawTime, granularity) : rawTime;
+    let accumulators = groups.get(time);
+    if (!accumulators) {
+      accumulators = yIndices.map(createAccumulator);
+      groups.set(time, accumulators);
+    }
+    yIndices.forEach((columnIndex, seriesIndex) => addToAccumulator(accumulators![seriesIndex], row[columnIndex]));
+  }
+
+  const observedTimes = Array.from(groups.keys()).sort((a, b) => a - b);
+  const observedValues = new Map(observedTimes.map(time => [
+    time,
+    groups.get(time)!.map(accumulator => getAggregateValue(accumulator, config.aggregation))
+  ]));
+
+  // Gaps can only be found when every point sits on a period boundary
+  const aligned = observedTimes.every(time => bucketTime(time, granularity) === time);
+  let times = observedTimes;
+  if (aligned) {
+    times = [];
+    const end = observedTimes[observedTimes.length - 1];
+    for (let time = observedTimes[0]; time <= end && times.length <= MAX_TIME_POINTS; time = addPeriod(time, granularity)) {
+      times.push(time);
+    }
+  }
+  const missing = times.map(time => !observedValues.has(time));
+
+  const series: ChartSeries[] = yIndices.map((columnIndex, seriesIndex) => {
+    const values = times.map(time => observedValues.get(time)?.[seriesIndex] ?? null);
+    return {
+      name: columns[columnIndex].name,
+      values: config.gapMode === 'mark' ? interpolateGaps(values) : values.map(value => value ?? 0),
+    };
+  });
+
+  // The top-N limit keeps the most recent periods
+  const groupCount = times.length;
+  const start = config.limit !== null && config.limit > 0 ? Math.max(0, times.length - config.limit) : 0;
+
+  return {
+    times: times.slice(start),
+    labels: times.slice(start).map(time => formatTimeTick(time, granularity)),
+    series: series.map(item => ({ ...item, values: item.values.slice(start) })),
+    granularity,
+    missing: missing.slice(start),
+    groupCount,
+  };
+};
@@ -0,0 +1,151 @@
+/**
+ * useAlerts.ts
+ *
+ * Hook for threshold alerts on pinned results: loads the rules and their
+ * history, saves and deletes rules, checks due rules while the app is open,
+ * and opens the pinned result when an alert notification or deep link is
+ * tapped.
+ */
+
+import { useState, useCallback, useEffect, useRef } from 'react';
+import * as Notifications from 'expo-notifications';
+import * as Linking from 'expo-linking';
+import { AlertRule, AlertEvaluation } from './alertRules';
+import {
+  loadAlertRules,
+  loadAlertHistory,
+  saveAlertRule,
+  deleteAlertRule,
+  deleteAlertRulesForPin,
+  updateAlertRule
+} from './alertStore';
+import {
+  checkDueAlerts,
+  getPinIdFromLink,
+  registerAlertBackgroundTask,
+  unregisterAlertBackgroundTask
+} from './alertScheduler';
+import { useGenieApi } from './GenieClientContext';
+
+// How often due rules are checked while the app is open
+const FOREGROUND_CHECK_INTERVAL = 60 * 1000;
+
+export interface UseAlertsParams {
+  apiKey?: string;
+  // Called with a pinned result's ID when its alert notification or link is opened
+  onOpenPin?: (pinId: string) => void;
+}
+
+export const useAlerts = (params?: UseAlertsParams) => {
+  const { apiKey, onOpenPin } = params || {};
+  const api = useGenieApi();
+  const [rules, setRules] = useState<AlertRule[]>([]);
+  const [history, setHistory] = useState<AlertEvaluation[]>([]);
+  const [checking, setChecking] = useState(false);
+  // Avoid overlapping checks when a tick lands while one is still running
+  const checkingRef = useRef(false);
+  const onOpenPinRef = useRef(onOpenPin);
+  onOpenPinRef.current = onOpenPin;
+
+  // Load the rules and history on mount
+  useEffect(() => {
+    loadAlertRules().then(setRules);
+    loadAlertHistory().then(setHistory);
+  }, []);
+
+  // Only run background checks while there's something to check
+  useEffect(() => {
+    if (rules.some(rule => rule.enabled)) {
+      registerAlertBackgroundTask();
+    } else if (rules.length === 0) {
+      unregisterAlertBackgroundTask();
+    }
+  }, [rules]);
+
+  const runChecks = useCallback(async (force: boolean) => {
+    if (checkingRef.current) return;
+    checkingRef.current = true;
+    setChecking(true);
+    try {
+      const evaluations = await checkDueAlerts(api, apiKey, { force });
+      if (evaluations.length > 0) {
+        setRules(await loadAlertRules());
+        setHistory(await loadAlertHistory());
+      }
+    } finally {
+      checkingRef.current = false;
+      setChecking(false);
+    }
+  }, [api, apiKey]);
+
+  // Check due rules on a timer while the app is open
+  useEffect(() => {
+    if (!apiKey) return;
+    runChecks(false);
+    const interval = setInterval(() => runChecks(false), FOREGROUND_CHECK_INTERVAL);
+    return () => clearInterval(interval);
+  }, [apiKey, runChecks]);
+
+  // Open the pinned result behind a tapped notification or dashboard link
+  useEffect(() => {
+    const openPin = (pinId: unknown) => {
+      if (typeof pinId === 'string') {
+        onOpenPinRef.current?.(pinId);
+      }
+    };
+
+    // The notification that launched the app, if any
+    Notifications.getLastNotificationResponseAsync()
+      .then(response => openPin(response?.notification.request.content.data?.pinId))
+      .catch(error => console.error('Error reading the last notification:', error));
+    Linking.getInitialURL().then(url => openPin(getPinIdFromLink(url)));
+
+    const notificationSubscription = Notifications.addNotificationResponseReceivedListener(response =>
+      openPin(response.notification.request.content.data?.pinId)
+    );
+    const linkSubscription = Linking.addEventListener('url', ({ url }) => openPin(getPinIdFromLink(url)));
+
+    return () => {
+      notificationSubscription.remove();
+      linkSubscription.remove();
+    };
+  }, []);
+
+  // Save a rule - asks for notification permission the first time one is saved
+  const saveRule = useCallback(async (rule: AlertRule) => {
+    const { status } = await Notifications.getPermissionsAsync();
+    if (status !== 'granted') {
+      await Notifications.requestPermissionsAsync();
+    }
+    setRules(await saveAlertRule(rule));
+  }, []);
+
+  const deleteRule = useCallback(async (id: string) => {
+    setRules(await deleteAlertRule(id));
+    setHistory(await loadAlertHistory());
+  }, []);
+
+  // Remove the rules of a result that's been unpinned
+  const deleteRulesForPin = useCallback(async (pinId: string) => {
+    setRules(await deleteAlertRulesForPin(pinId));
+    setHistory(await loadAlertHistory());
+  }, []);
+
+  const toggleRule = useCallback(async (id: string, enabled: boolean) => {
+    setRules(await updateAlertRule(id, { enabled }));
+  }, []);
+
+  // Check every enabled rule right away, whether or not it's due
+  const checkNow = useCallback(() => runChecks(true), [runChecks]);
+
+  return {
+    rules,
+    history,
+    checking,
+    saveRule,
+    deleteRule,
+    deleteRulesForPin,
+    toggleRule,
+    checkNow
+  };
+};
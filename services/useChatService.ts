@@ -1,13 +1,28 @@
-import { useState, useCallback } from 'react';
-import { 
-  startConversation, 
-  pollForResponse, 
-  createMessage, 
-  getSQLQueryResult,
-  executeSQLQuery,
-  transformDatabricksResultToChartData,
-  getAttachmentQueryResult
-} from './genieApi';
+import { useState, useCallback, useEffect, useRef } from 'react';
+import { isAbortError } from './genieApi';
+import { MessageErrorInfo, createGenieError, createGenieMessageError, getMessageErrorInfo } from './genieErrors';
+import { useGenieApi } from './GenieClientContext';
+import {
+  ConversationSummary,
+  createConversationId,
+  loadConversationSummaries,
+  loadConversation,
+  saveConversation,
+  renameConversation as renameStoredConversation,
+  deleteConversation as deleteStoredConversation
+} from './conversationStore';
+import {
+  GenieAttachment,
+  QueryAttachment,
+  QueryVersion,
+  parseAttachments,
+  getQueryAttachments,
+  summarizeAttachments
+} from './genieAttachments';
+import { ResultSourcePreference, loadQueryAttachmentResult, executeQueryWithCache } from './queryResults';
+import { DEFAULT_SPACE_ID, DEFAULT_WAREHOUSE_ID } from './genieSpaces';
+import { ExportFormat, exportChartData } from './resultExport';
+import type { ChartConfig } from './chartConfig';
 
 // Simple type for messages
 export interface ChatMessage {
@@ -16,72 +31,157 @@ export interface ChatMessage {
   sender: 'user' | 'bot';
   rawResponse: any; // Raw API response
   loading?: boolean;
+  // Set when the user stopped the request before Genie answered
+  cancelled?: boolean;
+  // A question asked while offline - it's sent once the connection returns
+  queued?: boolean;
+  // Set on answers that failed, with what went wrong
+  error?: boolean;
+  errorInfo?: MessageErrorInfo;
+  // Progress of a loading message - current phase and when each phase started
+  progressStatus?: string;
+  progressSteps?: MessageProgressStep[];
+  loadingStartedAt?: number;
   // Add properties to store extracted information
   extractedContent?: string;
   isQueryResponse?: boolean;
+  // Every attachment in Genie's answer, in order, with query results filled in
+  attachments?: GenieAttachment[];
   // Add properties for direct SQL execution results
   sqlExecutionResult?: any;
   sqlChartData?: any;
   sqlError?: string;
 }
 
+// A phase a loading message went through - Genie statuses plus our own
+// SENDING and FETCHING_RESULTS phases around the Genie poll
+export interface MessageProgressStep {
+  status: string;
+  startedAt: number;
+}
+
+// Find a query result in a message - Genie's original, or an edited version when versionId is given
+const findQueryResult = (
+  messages: ChatMessage[],
+  messageId: string,
+  attachmentIndex: number,
+  versionId?: string
+): QueryAttachment | QueryVersion | undefined => {
+  const attachment = messages.find(msg => msg.id === messageId)?.attachments?.[attachmentIndex];
+  if (!attachment || attachment.type !== 'query') return undefined;
+  return versionId
+    ? attachment.versions?.find(version => version.id === versionId)
+    : attachment;
+};
+
 // Define hook parameters
 export interface UseChatServiceParams {
   apiKey?: string;
+  // Where query results come from - 'auto' prefers Genie's own result
+  resultSource?: ResultSourcePreference;
+  // Whether the Databricks host can be reached - questions are queued while it can't
+  isOnline?: boolean;
+  // Space new conversations start in
+  defaultSpaceId?: string;
+  // Warehouse picked for a space - the .env warehouse when not given
+  getWarehouseId?: (spaceId: string) => string;
 }
 
+// Welcome message shown at the start of every conversation
+const createWelcomeMessage = (): ChatMessage => ({
+  id: '1', 
+  text: 'Hello! I am Genie, your iPad chatbot assistant. Ask me a question.',
+  sender: 'bot',
+  rawResponse: null
+});
+
 // Custom hook for chat service
 export const useChatService = (params?: UseChatServiceParams) => {
-  const { apiKey } = params || {};
-  const [messages, setMessages] = useState<ChatMessage[]>([
-    { 
-      id: '1', 
-      text: 'Hello! I am Genie, your iPad chatbot assistant. Ask me a question.',
-      sender: 'bot',
-      rawResponse: null
-    },
-  ]);
+  const { apiKey, resultSource = 'auto', isOnline = true, defaultSpaceId, getWarehouseId } = params || {};
+  const api = useGenieApi();
+  const [messages, setMessages] = useState<ChatMessage[]>([createWelcomeMessage()]);
   const [conversationId, setConversationId] = useState<string | null>(null);
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState<string | null>(null);
+  
+  // Space of the active conversation - null follows the default space until the conversation starts
+  const [conversationSpaceId, setConversationSpaceId] = useState<string | null>(null);
+  const spaceId = conversationSpaceId || defaultSpaceId || DEFAULT_SPACE_ID;
+  const warehouseId = getWarehouseId ? getWarehouseId(spaceId) : DEFAULT_WAREHOUSE_ID;
+  
+  // Local ID of the active conversation in the conversation store
+  const [activeConversationId, setActiveConversationId] = useState<string>(createConversationId);
+  const [conversations, setConversations] = useState<ConversationSummary[]>([]);
+  // Set when a stored conversation is opened so it isn't immediately re-saved
+  const skipNextSaveRef = useRef(false);
+  
+  // Controller for the in-flight request, used by the Stop button
+  const abortControllerRef = useRef<AbortController | null>(null);
+  // Statement running on the warehouse for the in-flight request, if known
+  const runningStatementIdRef = useRef<string | null>(null);
+  // Results currently fetching another chunk, so scrolling doesn't request it twice
+  const loadingMoreRef = useRef<Set<string>>(new Set());
+
+  // Load the conversation history on mount
+  useEffect(() => {
+    loadConversationSummaries().then(setConversations);
+  }, []);
 
-  // Function to extract content based on response type
-  const extractContent = (response: any): { content: string, isQueryResponse: boolean } => {
-    console.log("Extracting content from response", response);
+  // Persist the active conversation as messages arrive
+  useEffect(() => {
+    if (skipNextSaveRef.current) {
+      skipNextSaveRef.current = false;
+      return;
+    }
     
-    // Check if this is a SQL query response (has query attachment)
-    if (response?.attachments?.[0]?.query) {
-      // SQL Query Response - extract description from query
-      const description = response.attachments[0].query.description || "No query description available";
-      
-      // REMOVED SQL QUERY TEXT - Only using the description
-      return { content: description, isQueryResponse: true };
-    } 
+    // Nothing to save until the user has asked something
+    if (!messages.some(msg => msg.sender === 'user')) return;
     
-    // Regular Response - extract content from text
-    if (response?.attachments?.[0]?.text?.content) {
-      const content = response.attachments[0].text.content || "No content available";
-      return { content, isQueryResponse: false };
-    }
+    // Every progress update changes the messages - save once the request has finished
+    if (loading) return;
     
-    // Fallback if neither pattern matches
-    return { content: "Could not extract content from response", isQueryResponse: false };
-  };
+    saveConversation(activeConversationId, messages, conversationId, spaceId).then(setConversations);
+  }, [messages, conversationId, activeConversationId, spaceId, loading]);
 
-  // Send a message to the API
-  const sendMessage = useCallback(async (text: string, isRegeneration: boolean = false) => {
+  // Send a message to the API.
+  // queuedMessageId sends a question that was queued while offline instead of adding a new one.
+  // A regeneration replaces the last answer, or the answer given as retryMessageId.
+  const sendMessage = useCallback(async (
+    text: string,
+    isRegeneration: boolean = false,
+    queuedMessageId?: string,
+    retryMessageId?: string
+  ) => {
     if (!text.trim()) return;
     
     setError(null);
     
+    // Keep the question until the connection returns
+    if (!isOnline && !isRegeneration && !queuedMessageId) {
+      setMessages(prev => [
+        ...prev,
+        {
+          id: Date.now().toString(),
+          text,
+          sender: 'user',
+          rawResponse: null,
+          queued: true
+        }
+      ]);
+      return;
+    }
+    
     // Find the last bot message for regeneration
     let botMessageToReplace: ChatMessage | null = null;
     let botMessageToReplaceIndex = -1;
     
     if (isRegeneration) {
-      // Find the last non-loading bot message
+      // Find the answer being retried, or the last non-loading bot message
       for (let i = messages.length - 1; i >= 0; i--) {
-        if (messages[i].sender === 'bot' && !messages[i].loading && messages[i].id !== '1') {
+        const isTarget = retryMessageId
+          ? messages[i].id === retryMessageId
+          : messages[i].sender === 'bot' && !messages[i].loading && messages[i].id !== '1';
+        if (isTarget) {
           botMessageToReplace = messages[i];
           botMessageToReplaceIndex = i;
           break;
@@ -89,8 +189,13 @@ export const useChatService = (params?: UseChatServiceParams) => {
       }
     }
     
-    // Add user message (only if not regenerating)
-    if (!isRegeneration) {
+    // Chart choices of the answer being regenerated, carried over to the new query results in order
+    const previousChartConfigs = botMessageToReplace
+      ? getQueryAttachments(botMessageToReplace.attachments || []).map(attachment => attachment.chartConfig)
+      : [];
+    
+    // Add user message (only if not regenerating or sending a queued one)
+    if (!isRegeneration && !queuedMessageId) {
       const userMessageId = Date.now().toString();
       setMessages(prev => [
         ...prev, 
@@ -108,6 +213,14 @@ export const useChatService = (params?: UseChatServiceParams) => {
       ? botMessageToReplace.id  // Reuse existing ID for regeneration
       : (Date.now() + 1).toString();  // New ID for normal flow
     
+    // Initial progress for the loading message
+    const loadingStartedAt = Date.now();
+    const initialProgress = {
+      progressStatus: 'SENDING',
+      progressSteps: [{ status: 'SENDING', startedAt: loadingStartedAt }],
+      loadingStartedAt
+    };
+    
     // Replace existing message with loading state or add new loading message
     if (isRegeneration && botMessageToReplace) {
       // Update the existing message to show loading
@@ -116,8 +229,13 @@ export const useChatService = (params?: UseChatServiceParams) => {
           ? { 
               ...msg, 
               loading: true,
+              cancelled: undefined,
+              error: undefined,
+              errorInfo: undefined,
+              ...initialProgress,
               text: 'Regenerating response...',
               extractedContent: undefined,
+              attachments: undefined,
               sqlChartData: undefined,
               sqlError: undefined
             } 
@@ -125,20 +243,46 @@ export const useChatService = (params?: UseChatServiceParams) => {
       ));
     } else if (!isRegeneration) {
       // Regular flow - add a new loading message
-      setMessages(prev => [
-        ...prev, 
-        {
-          id: botLoadingMessageId,
-          text: 'Loading...',
-          sender: 'bot',
-          loading: true,
-          rawResponse: null
-        }
-      ]);
+      const loadingMessage: ChatMessage = {
+        id: botLoadingMessageId,
+        text: 'Loading...',
+        sender: 'bot',
+        loading: true,
+        rawResponse: null,
+        ...initialProgress
+      };
+      setMessages(prev => queuedMessageId
+        // A queued question gets its answer right below it, ahead of questions queued after it
+        ? prev.flatMap(msg => msg.id === queuedMessageId ? [{ ...msg, queued: undefined }, loadingMessage] : [msg])
+        : [...prev, loadingMessage]
+      );
     }
     
     setLoading(true);
     
+    // Every request gets its own controller so Stop only cancels this one
+    const abortController = new AbortController();
+    abortControllerRef.current = abortController;
+    runningStatementIdRef.current = null;
+    const { signal } = abortController;
+    
+    // Record a new phase on the loading message, ignoring repeats of the current one
+    const reportProgress = (status: string) => {
+      setMessages(prev => {
+        const target = prev.find(msg => msg.id === botLoadingMessageId);
+        if (!target || !target.loading || target.progressStatus === status) return prev;
+        return prev.map(msg => 
+          msg.id === botLoadingMessageId
+            ? {
+                ...msg,
+                progressStatus: status,
+                progressSteps: [...(msg.progressSteps || []), { status, startedAt: Date.now() }]
+              }
+            : msg
+        );
+      });
+    };
+    
     try {
       let currentConversationId = conversationId;
       let messageId;
@@ -147,13 +291,15 @@ export const useChatService = (params?: UseChatServiceParams) => {
       // Start a new conversation or continue existing one
       if (!currentConversationId) {
         // Start a new conversation
-        responseData = await startConversation(text, apiKey);
+        responseData = await api.startConversation(spaceId, text, apiKey, signal);
         currentConversationId = responseData.conversation_id;
         messageId = responseData.message_id;
         setConversationId(currentConversationId);
+        // The conversation stays in this space even if the default changes
+        setConversationSpaceId(spaceId);
       } else {
         // Create a new message in the existing conversation
-        responseData = await createMessage(currentConversationId, text, apiKey);
+        responseData = await api.createMessage(spaceId, currentConversationId, text, apiKey, signal);
         messageId = responseData.id;
       }
       
@@ -163,58 +309,64 @@ export const useChatService = (params?: UseChatServiceParams) => {
       }
       
       // Poll for response
-      const pollResult = await pollForResponse(currentConversationId, messageId, apiKey);
+      const pollResult = await api.pollForResponse(spaceId, currentConversationId, messageId, apiKey, signal, reportProgress);
       
-      // Extract content based on response type
-      const { content, isQueryResponse } = extractContent(pollResult);
+      // Genie couldn't answer - show its reason rather than an empty reply
+      if (pollResult?.status === 'FAILED') {
+        throw createGenieMessageError(pollResult.error);
+      }
+      // Polling gave up while Genie was still working on it
+      if (pollResult?.status !== 'COMPLETED') {
+        throw createGenieError('timeout', 'Genie did not answer in time');
+      }
       
-      // Variables for SQL execution
-      let sqlExecutionResult = null;
-      let sqlChartData = null;
-      let sqlError: string | undefined = undefined;
+      // Parse every attachment in the response into typed objects
+      const attachments = parseAttachments(pollResult);
+      const queryAttachments = getQueryAttachments(attachments);
+      const content = summarizeAttachments(attachments);
+      const isQueryResponse = queryAttachments.length > 0;
       
-      // For messages with SQL queries, execute the query directly with Databricks
-      if (isQueryResponse && pollResult?.attachments?.[0]?.query?.query) {
-        try {
-          const sqlQuery = pollResult.attachments[0].query.query;
-          
-          // Execute SQL query directly with Databricks API
-          sqlExecutionResult = await executeSQLQuery(sqlQuery, apiKey);
-          
-          // Transform result to chart-friendly format
-          sqlChartData = transformDatabricksResultToChartData(sqlExecutionResult);
-        } catch (sqlErr) {
-          console.error('Error executing SQL query with Databricks API:', sqlErr);
-          sqlError = sqlErr instanceof Error ? sqlErr.message : 'Error executing SQL query';
-        }
+      if (isQueryResponse) {
+        reportProgress('FETCHING_RESULTS');
       }
       
-      // For messages with SQL queries, also get SQL results from Genie
-      let sqlResult = null;
-      if (hasSQLQuery(pollResult) && currentConversationId && messageId) {
-        try {
-          // Check if we have an attachment ID
-          if (pollResult?.attachments?.[0]?.attachment_id) {
-            // Use the new attachment-specific endpoint
-            sqlResult = await getAttachmentQueryResult(
-              currentConversationId, 
-              messageId, 
-              pollResult.attachments[0].attachment_id,
-              apiKey
-            );
-          } else {
-            // Fallback to the old endpoint
-            sqlResult = await getSQLQueryResult(currentConversationId, messageId, apiKey);
-          }
-        } catch (err) {
-          console.error('Error getting SQL result:', err);
+      // Load the result for each query attachment, in order
+      const queryResults: any[] = [];
+      queryAttachments.forEach((attachment, index) => {
+        if (previousChartConfigs[index]) {
+          attachment.chartConfig = previousChartConfigs[index];
         }
+      });
+      for (const attachment of queryAttachments) {
+        // Remember the warehouse statement so Stop can cancel it
+        runningStatementIdRef.current = attachment.statementId || null;
+        
+        const queryResult = await loadQueryAttachmentResult(
+          api,
+          { spaceId, warehouseId },
+          currentConversationId,
+          messageId,
+          attachment,
+          resultSource,
+          apiKey,
+          signal
+        );
+        queryResults.push(queryResult.statementResponse);
+        attachment.chartData = queryResult.chartData;
+        attachment.sqlError = queryResult.sqlError;
+        attachment.resultSource = queryResult.source || undefined;
       }
       
+      // The first query result is kept on the message itself for older renderers
+      const firstQuery = queryAttachments[0];
+      const sqlExecutionResult = queryResults[0] || null;
+      const sqlChartData = firstQuery?.chartData || null;
+      const sqlError = firstQuery?.sqlError;
+      
       // Prepare the raw response data to display
       const rawResponseData = {
         apiResponse: pollResult,
-        sqlResult: sqlResult
+        queryResults
       };
       
       // Create formatted JSON string for display
@@ -232,9 +384,15 @@ export const useChatService = (params?: UseChatServiceParams) => {
               ...msg, 
               text: formattedJson,
               loading: false,
+              progressStatus: undefined,
+              progressSteps: undefined,
+              loadingStartedAt: undefined,
               rawResponse: rawResponseData,
+              error: undefined,
+              errorInfo: undefined,
               extractedContent: content,
               isQueryResponse: isQueryResponse,
+              attachments,
               sqlExecutionResult,
               sqlChartData,
               sqlError
@@ -243,14 +401,39 @@ export const useChatService = (params?: UseChatServiceParams) => {
       ));
       
     } catch (err) {
-      console.error('Error sending message:', err);
-      const errorMessage = err instanceof Error ? err.message : 'An unknown error occurred';
-      
       // Find target message ID to update with error
       const targetMessageId = isRegeneration && botMessageToReplace 
         ? botMessageToReplace.id  // Update existing message for regeneration
         : botLoadingMessageId;    // Update loading message for normal flow
       
+      // The user stopped the request - show it as cancelled rather than failed
+      if (isAbortError(err)) {
+        setMessages(prev => prev.map(msg => 
+          msg.id === targetMessageId
+            ? { 
+                ...msg, 
+                text: 'Request cancelled',
+                loading: false,
+                progressStatus: undefined,
+                progressSteps: undefined,
+                loadingStartedAt: undefined,
+                cancelled: true,
+                error: undefined,
+                errorInfo: undefined,
+                extractedContent: undefined,
+                attachments: undefined,
+                rawResponse: { cancelled: true }
+              } 
+            : msg
+        ));
+        return;
+      }
+      
+      console.error('Error sending message:', err);
+      // Classified so the bubble can explain the error and offer a fix
+      const errorInfo = getMessageErrorInfo(err);
+      const errorMessage = errorInfo.message;
+      
       // Update message with error
       setMessages(prev => prev.map(msg => 
         msg.id === targetMessageId
@@ -258,6 +441,13 @@ export const useChatService = (params?: UseChatServiceParams) => {
               ...msg, 
               text: `ERROR: ${errorMessage}`,
               loading: false,
+              progressStatus: undefined,
+              progressSteps: undefined,
+              loadingStartedAt: undefined,
+              error: true,
+              errorInfo,
+              extractedContent: undefined,
+              attachments: undefined,
               rawResponse: { error: errorMessage }
             } 
           : msg
@@ -265,35 +455,281 @@ export const useChatService = (params?: UseChatServiceParams) => {
       
       setError(errorMessage);
     } finally {
-      setLoading(false);
+      // Only clear shared state if a newer request hasn't replaced this one
+      if (abortControllerRef.current === abortController) {
+        abortControllerRef.current = null;
+        runningStatementIdRef.current = null;
+        setLoading(false);
+      }
     }
-  }, [messages, conversationId, apiKey]);
+  }, [api, messages, conversationId, apiKey, resultSource, isOnline, spaceId, warehouseId]);
 
-  // Clear all messages and reset conversation
+  // Send queued questions one at a time, oldest first, once the connection returns
+  useEffect(() => {
+    if (!isOnline || loading) return;
+    const queuedMessage = messages.find(msg => msg.sender === 'user' && msg.queued);
+    if (queuedMessage) {
+      sendMessage(queuedMessage.text, false, queuedMessage.id);
+    }
+  }, [isOnline, loading, messages, sendMessage]);
+
+  // Ask the question behind an answer again, replacing that answer
+  const retryMessage = useCallback((messageId: string) => {
+    const index = messages.findIndex(msg => msg.id === messageId);
+    const question = messages.slice(0, index).reverse().find(msg => msg.sender === 'user');
+    if (index < 0 || !question || loading) return;
+    sendMessage(question.text, true, undefined, messageId);
+  }, [messages, loading, sendMessage]);
+
+  // Start the conversation's warehouse, then retry the answer that found it stopped
+  const startWarehouse = useCallback(async (messageId: string) => {
+    try {
+      await api.startSQLWarehouse(warehouseId, apiKey);
+    } catch (err) {
+      console.error('Error starting SQL warehouse:', err);
+      setError(err instanceof Error ? err.message : 'Error starting the SQL warehouse');
+      return;
+    }
+    retryMessage(messageId);
+  }, [api, warehouseId, apiKey, retryMessage]);
+
+  // Run a user-edited version of a query attachment and add it as a new version.
+  // Genie's original query and result are kept on the attachment for comparison.
+  const runEditedQuery = useCallback(async (messageId: string, attachmentIndex: number, sqlQuery: string) => {
+    if (!sqlQuery.trim() || loading) return;
+    
+    const versionId = Date.now().toString();
+    
+    // Add or update the edited version inside its message
+    const updateVersion = (changes: Partial<QueryVersion>) => {
+      setMessages(prev => prev.map(msg => {
+        if (msg.id !== messageId || !msg.attachments) return msg;
+        return {
+          ...msg,
+          attachments: msg.attachments.map((attachment, index) => {
+            if (index !== attachmentIndex || attachment.type !== 'query') return attachment;
+            const versions = attachment.versions || [];
+            const exists = versions.some(version => version.id === versionId);
+            // Only the start adds the version - a conversation reopened mid-run no longer has it
+            if (!exists && !changes.loading) return attachment;
+            return {
+              ...attachment,
+              versions: exists
+                ? versions.map(version => version.id === versionId ? { ...version, ...changes } : version)
+                : [...versions, { id: versionId, query: sqlQuery, createdAt: Date.now(), ...changes }]
+            };
+          })
+        };
+      }));
+    };
+    
+    updateVersion({ loading: true });
+    setError(null);
+    setLoading(true);
+    
+    // Like a question, the edited query gets its own controller so Stop can cancel it
+    const abortController = new AbortController();
+    abortControllerRef.current = abortController;
+    runningStatementIdRef.current = null;
+    
+    try {
+      const chartData = await executeQueryWithCache(api, sqlQuery, warehouseId, apiKey, abortController.signal, {
+        onStatementId: statementId => { runningStatementIdRef.current = statementId; }
+      });
+      updateVersion({ loading: false, chartData });
+    } catch (err) {
+      if (isAbortError(err)) {
+        updateVersion({ loading: false, sqlError: 'Query cancelled' });
+        return;
+      }
+      console.error('Error running edited SQL query:', err);
+      const sqlError = err instanceof Error ? err.message : 'Error executing SQL query';
+      updateVersion({ loading: false, sqlError });
+    } finally {
+      // Only clear shared state if a newer request hasn't replaced this one
+      if (abortControllerRef.current === abortController) {
+        abortControllerRef.current = null;
+        runningStatementIdRef.current = null;
+        setLoading(false);
+      }
+    }
+  }, [api, apiKey, warehouseId, loading]);
+
+  // Fetch the next chunk of rows for a query result shown in a message.
+  // Pass versionId to load more rows for an edited version instead of Genie's original.
+  const loadMoreRows = useCallback(async (messageId: string, attachmentIndex: number, versionId?: string) => {
+    const requestKey = `${messageId}:${attachmentIndex}:${versionId || 'original'}`;
+    if (loadingMoreRef.current.has(requestKey)) return;
+    
+    const target = findQueryResult(messages, messageId, attachmentIndex, versionId);
+    if (!target?.chartData?.nextChunkLink) return;
+    
+    loadingMoreRef.current.add(requestKey);
+    try {
+      const chartData = await api.loadMoreChartRows(target.chartData, apiKey);
+      setMessages(prev => prev.map(msg => {
+        if (msg.id !== messageId || !msg.attachments) return msg;
+        return {
+          ...msg,
+          attachments: msg.attachments.map((item, index) => {
+            if (index !== attachmentIndex || item.type !== 'query') return item;
+            if (!versionId) return { ...item, chartData };
+            return {
+              ...item,
+              versions: (item.versions || []).map(version => 
+                version.id === versionId ? { ...version, chartData } : version
+              )
+            };
+          })
+        };
+      }));
+    } catch (err) {
+      console.error('Error loading more rows:', err);
+      setError(err instanceof Error ? err.message : 'Error loading more rows');
+    } finally {
+      loadingMoreRef.current.delete(requestKey);
+    }
+  }, [api, messages, apiKey]);
+
+  // Save the chart builder configuration for a query result shown in a message.
+  // Pass versionId to configure the chart of an edited version instead of Genie's original.
+  const updateChartConfig = useCallback((
+    messageId: string,
+    attachmentIndex: number,
+    chartConfig: ChartConfig,
+    versionId?: string
+  ) => {
+    setMessages(prev => prev.map(msg => {
+      if (msg.id !== messageId || !msg.attachments) return msg;
+      return {
+        ...msg,
+        attachments: msg.attachments.map((item, index) => {
+          if (index !== attachmentIndex || item.type !== 'query') return item;
+          if (!versionId) return { ...item, chartConfig };
+          return {
+            ...item,
+            versions: (item.versions || []).map(version => 
+              version.id === versionId ? { ...version, chartConfig } : version
+            )
+          };
+        })
+      };
+    }));
+  }, []);
+
+  // Export a full query result in a message and open the share sheet
+  const exportResult = useCallback(async (
+    messageId: string,
+    attachmentIndex: number,
+    format: ExportFormat,
+    versionId?: string
+  ) => {
+    const target = findQueryResult(messages, messageId, attachmentIndex, versionId);
+    if (!target?.chartData) {
+      throw new Error('There is no result to export');
+    }
+    
+    const attachment = messages.find(msg => msg.id === messageId)?.attachments?.[attachmentIndex];
+    const title = attachment?.type === 'query' && attachment.title ? attachment.title : 'genie_result';
+    await exportChartData(api, target.chartData, format, versionId ? `${title}_edited` : title, apiKey);
+  }, [api, messages, apiKey]);
+
+  // Stop the in-flight request and cancel its SQL statement on the warehouse
+  const cancelRequest = useCallback(() => {
+    const abortController = abortControllerRef.current;
+    if (!abortController) return;
+    
+    const statementId = runningStatementIdRef.current;
+    abortControllerRef.current = null;
+    runningStatementIdRef.current = null;
+    abortController.abort();
+    setLoading(false);
+    
+    if (statementId) {
+      api.cancelSQLStatement(statementId, apiKey).catch(err => {
+        console.error('Error cancelling SQL statement:', err);
+      });
+    }
+  }, [api, apiKey]);
+
+  // Clear all messages and start a new conversation
+  // The previous conversation stays available in the history
   const clearChat = useCallback(() => {
-    setMessages([{ 
-      id: '1', 
-      text: 'Hello! I am Genie, your iPad chatbot assistant. Ask me a question.',
-      sender: 'bot',
-      rawResponse: null
-    }]);
+    abortControllerRef.current?.abort();
+    abortControllerRef.current = null;
+    setMessages([createWelcomeMessage()]);
     setConversationId(null);
+    setConversationSpaceId(null);
+    setActiveConversationId(createConversationId());
     setError(null);
     setLoading(false);
   }, []);
 
-  // Helper function to check if a response contains SQL query
-  const hasSQLQuery = (response: any): boolean => {
-    return !!(
-      response?.attachments?.[0]?.query
-    );
-  };
+  // Reopen a stored conversation - follow-up questions continue its Genie conversation
+  const openConversation = useCallback(async (id: string) => {
+    const stored = await loadConversation(id);
+    if (!stored) {
+      setError('Could not open the selected conversation');
+      return;
+    }
+    
+    abortControllerRef.current?.abort();
+    abortControllerRef.current = null;
+    skipNextSaveRef.current = true;
+    setMessages(stored.messages.length > 0 ? stored.messages : [createWelcomeMessage()]);
+    setConversationId(stored.genieConversationId);
+    // Conversations saved before spaces could be picked were all in the .env space
+    setConversationSpaceId(stored.spaceId || DEFAULT_SPACE_ID);
+    setActiveConversationId(stored.id);
+    setError(null);
+    setLoading(false);
+  }, []);
+
+  // Talk to another Genie space - a Genie conversation can't change spaces,
+  // so a conversation that has started is left in the history and a new one begins
+  const switchSpace = useCallback((newSpaceId: string) => {
+    if (newSpaceId === spaceId) return;
+    if (messages.some(msg => msg.sender === 'user')) {
+      clearChat();
+    }
+    setConversationSpaceId(newSpaceId);
+  }, [spaceId, messages, clearChat]);
+
+  // Rename a stored conversation
+  const renameConversation = useCallback(async (id: string, title: string) => {
+    const updated = await renameStoredConversation(id, title);
+    setConversations(updated);
+  }, []);
+
+  // Delete a stored conversation, starting fresh if it was the active one
+  const deleteConversation = useCallback(async (id: string) => {
+    const updated = await deleteStoredConversation(id);
+    setConversations(updated);
+    if (id === activeConversationId) {
+      clearChat();
+    }
+  }, [activeConversationId, clearChat]);
 
   return {
     messages,
     loading,
     error,
     sendMessage,
-    clearChat
+    retryMessage,
+    startWarehouse,
+    runEditedQuery,
+    loadMoreRows,
+    updateChartConfig,
+    exportResult,
+    cancelRequest,
+    clearChat,
+    conversations,
+    activeConversationId,
+    openConversation,
+    renameConversation,
+    deleteConversation,
+    spaceId,
+    warehouseId,
+    switchSpace
   };
 }; 
\ No newline at end of file
@@ -7,6 +7,7 @@ import {
   executeSQLQuery,
   transformDatabricksResultToChartData
 } from './genieApi';
+import { DEFAULT_SPACE_ID, DEFAULT_WAREHOUSE_ID } from './genieSpaces';
 
 export interface ChatMessage {
   id: string;
@@ -100,16 +101,16 @@ export const useChatServiceExtended = () => {
     try {
       // Start conversation if not already started
       if (!conversationId) {
-        const convoId = await startConversation(text);
+        const convoId = await startConversation(DEFAULT_SPACE_ID, text);
         setConversationId(convoId);
       }
       
       // Create message and get response
-      const messageResult = await createMessage(conversationId || '', text);
+      const messageResult = await createMessage(DEFAULT_SPACE_ID, conversationId || '', text);
       const msgId = messageResult.id;
       
       // Poll for response
-      const response = await pollForResponse(conversationId || '', msgId);
+      const response = await pollForResponse(DEFAULT_SPACE_ID, conversationId || '', msgId);
       const { content, isQueryResponse } = extractContent(response);
       
       // Variables for SQL execution
@@ -123,7 +124,7 @@ export const useChatServiceExtended = () => {
           const sqlQuery = response.attachments[0].query.query;
           
           // Execute SQL query directly with Databricks API
-          sqlExecutionResult = await executeSQLQuery(sqlQuery);
+          sqlExecutionResult = await executeSQLQuery(sqlQuery, DEFAULT_WAREHOUSE_ID);
           
           // Transform result to chart-friendly format
           sqlChartData = transformDatabricksResultToChartData(sqlExecutionResult);
@@ -137,7 +138,7 @@ export const useChatServiceExtended = () => {
       let sqlResult = null;
       if (hasSQLQuery(response) && conversationId && msgId) {
         try {
-          sqlResult = await getSQLQueryResult(conversationId, msgId);
+          sqlResult = await getSQLQueryResult(DEFAULT_SPACE_ID, conversationId, msgId);
         } catch (sqlErr) {
           console.error('Error getting SQL results from Genie:', sqlErr);
         }
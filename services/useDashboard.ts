@@ -0,0 +1,70 @@
+/**
+ * useDashboard.ts
+ *
+ * Hook for the dashboard of pinned results: loads the pins, pins and unpins
+ * results, and re-runs a pin's SQL for its tile.
+ */
+
+import { useState, useCallback, useEffect } from 'react';
+import { executeQueryWithCache } from './queryResults';
+import { useGenieApi } from './GenieClientContext';
+import {
+  NewPinnedResult,
+  PinnedResult,
+  loadPinnedResults,
+  addPinnedResult,
+  updatePinnedResult,
+  removePinnedResult
+} from './dashboardStore';
+import { DEFAULT_SPACE_ID, DEFAULT_WAREHOUSE_ID } from './genieSpaces';
+import type { ChartConfig } from './chartConfig';
+
+export interface UseDashboardParams {
+  apiKey?: string;
+  // Warehouse picked for a space - the .env warehouse when not given
+  getWarehouseId?: (spaceId: string) => string;
+}
+
+export const useDashboard = (params?: UseDashboardParams) => {
+  const { apiKey, getWarehouseId } = params || {};
+  const api = useGenieApi();
+  const [pins, setPins] = useState<PinnedResult[]>([]);
+
+  // Load the pinned results on mount
+  useEffect(() => {
+    loadPinnedResults().then(setPins);
+  }, []);
+
+  const pinResult = useCallback(async (pin: NewPinnedResult) => {
+    setPins(await addPinnedResult(pin));
+  }, []);
+
+  const unpinResult = useCallback(async (id: string) => {
+    setPins(await removePinnedResult(id));
+  }, []);
+
+  // Keep chart changes made on a tile
+  const updatePinnedChartConfig = useCallback(async (id: string, chartConfig: ChartConfig) => {
+    setPins(await updatePinnedResult(id, { chartConfig }));
+  }, []);
+
+  // Re-run a pin's SQL and record when it finished - returns the chart data for its tile.
+  // Offline this is the cached result, which doesn't count as an update.
+  const runPinnedQuery = useCallback(async (pin: PinnedResult, signal?: AbortSignal) => {
+    // Pins from before spaces could be picked were all asked in the .env space
+    const warehouseId = getWarehouseId ? getWarehouseId(pin.spaceId || DEFAULT_SPACE_ID) : DEFAULT_WAREHOUSE_ID;
+    const chartData = await executeQueryWithCache(api, pin.query, warehouseId, apiKey, signal);
+    if (!chartData?.staleAsOf) {
+      setPins(await updatePinnedResult(pin.id, { lastUpdatedAt: Date.now() }));
+    }
+    return chartData;
+  }, [api, apiKey, getWarehouseId]);
+
+  return {
+    pins,
+    pinResult,
+    unpinResult,
+    updatePinnedChartConfig,
+    runPinnedQuery
+  };
+};
@@ -0,0 +1,92 @@
+/**
+ * useSpaces.ts
+ *
+ * Hook for the space registry: lists the Genie spaces and SQL warehouses the
+ * user can access, and keeps the space new conversations start in and the
+ * warehouse picked for each space.
+ */
+
+import { useState, useCallback, useEffect } from 'react';
+import { useGenieApi } from './GenieClientContext';
+import {
+  DEFAULT_SPACE_ID,
+  SpaceRegistry,
+  loadSpaceRegistry,
+  updateSpaceRegistry,
+  setSpaceWarehouse,
+  parseGenieSpace,
+  parseSQLWarehouse,
+  resolveWarehouseId,
+  withDefaultSpace
+} from './genieSpaces';
+
+export interface UseSpacesParams {
+  apiKey?: string;
+}
+
+export const useSpaces = (params?: UseSpacesParams) => {
+  const { apiKey } = params || {};
+  const { listGenieSpaces, listSQLWarehouses } = useGenieApi();
+  const [registry, setRegistry] = useState<SpaceRegistry>({ spaces: [], warehouses: [], warehouseIds: {} });
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+
+  // Load the stored registry on mount
+  useEffect(() => {
+    loadSpaceRegistry().then(setRegistry);
+  }, []);
+
+  // List the spaces and warehouses again - the stored lists are kept if this fails
+  const refreshSpaces = useCallback(async () => {
+    if (!apiKey) return;
+    setLoading(true);
+    setError(null);
+    try {
+      const [spaces, warehouses] = await Promise.all([listGenieSpaces(apiKey), listSQLWarehouses(apiKey)]);
+      setRegistry(await updateSpaceRegistry({
+        spaces: spaces.map(parseGenieSpace),
+        warehouses: warehouses.map(parseSQLWarehouse)
+      }));
+    } catch (err) {
+      console.error('Error listing spaces:', err);
+      setError(err instanceof Error ? err.message : 'Error listing spaces');
+    } finally {
+      setLoading(false);
+    }
+  }, [apiKey, listGenieSpaces, listSQLWarehouses]);
+
+  useEffect(() => {
+    refreshSpaces();
+  }, [refreshSpaces]);
+
+  const defaultSpaceId = registry.defaultSpaceId || DEFAULT_SPACE_ID || registry.spaces[0]?.id;
+
+  // Start new conversations in a space
+  const setDefaultSpace = useCallback(async (spaceId: string) => {
+    setRegistry(await updateSpaceRegistry({ defaultSpaceId: spaceId }));
+  }, []);
+
+  const selectWarehouse = useCallback(async (spaceId: string, warehouseId: string) => {
+    setRegistry(await setSpaceWarehouse(spaceId, warehouseId));
+  }, []);
+
+  const getWarehouseId = useCallback((spaceId: string) => resolveWarehouseId(spaceId, registry), [registry]);
+
+  const getSpaceTitle = useCallback((spaceId: string) =>
+    registry.spaces.find(space => space.id === spaceId)?.title
+      || (spaceId === DEFAULT_SPACE_ID ? 'Default space' : spaceId),
+  [registry]);
+
+  return {
+    spaces: withDefaultSpace(registry.spaces),
+    warehouses: registry.warehouses,
+    defaultSpaceId,
+    loading,
+    error,
+    refreshSpaces,
+    setDefaultSpace,
+    selectWarehouse,
+    getWarehouseId,
+    getSpaceTitle
+  };
+};
@@ -0,0 +1,234 @@
+/**
+ * visualizations.ts
+ *
+ * Visualization types for query results and the data each one is drawn from.
+ * Only the types that fit a result's shape are offered - a KPI card needs a
+ * single row, a scatter plot needs two numeric columns, and so on.
+ */
+
+import {
+  CellValue,
+  ResultColumn,
+  isNumericColumn,
+  formatCellValue,
+  toNumber
+} from './resultTypes';
+import {
+  ChartConfig,
+  Accumulator,
+  buildChartSeries,
+  createAccumulator,
+  addToAccumulator,
+  getAggregateValue
+} from './chartConfig';
+
+export type VisualizationType = 'table' | 'kpi' | 'bar' | 'stackedBar' | 'line' | 'area' | 'pie' | 'scatter';
+
+export const VISUALIZATION_LABELS: Record<VisualizationType, string> = {
+  table: 'Table',
+  kpi: 'KPI',
+  bar: 'Bar',
+  stackedBar: 'Stacked',
+  line: 'Line',
+  area: 'Area',
+  pie: 'Pie',
+  scatter: 'Scatter',
+};
+
+// Slices and stacks beyond these limits are combined into "Other"
+export const MAX_PIE_SLICES = 8;
+export const MAX_STACKS = 6;
+
+// Points drawn in a scatter plot - larger results are sampled evenly
+export const MAX_SCATTER_POINTS = 2000;
+
+// Number of KPI cards shown for a single-row result
+const MAX_KPI_CARDS = 4;
+
+// Get the visualization types that fit a result, in toggle order
+export const getAvailableVisualizations = (columns: ResultColumn[], rowCount: number): VisualizationType[] => {
+  const numericCount = columns.filter(isNumericColumn).length;
+  const labelCount = columns.length - numericCount;
+  const types: VisualizationType[] = ['table'];
+
+  if (numericCount === 0 || rowCount === 0) return types;
+
+  if (rowCount === 1) {
+    types.push('kpi');
+    return types;
+  }
+
+  types.push('bar');
+  if ((labelCount >= 1 && numericCount >= 2) || (labelCount >= 2 && numericCount >= 1)) {
+    types.push('stackedBar');
+  }
+  types.push('line', 'area');
+  if (labelCount >= 1) {
+    types.push('pie');
+  }
+  if (numericCount >= 2) {
+    types.push('scatter');
+  }
+  return types;
+};
+
+export interface PieSlice {
+  name: string;
+  value: number;
+}
+
+// Build pie slices from the first series, largest first.
+// Negative and zero values can't be drawn as slices and are left out.
+export const buildPieSlices = (rows: CellValue[][], columns: ResultColumn[], config: ChartConfig): PieSlice[] => {
+  const { labels, series } = buildChartSeries(rows, columns, { ...config, sortBy: 'none', limit: null });
+  if (series.length === 0) return [];
+
+  const slices = labels
+    .map((name, index) => ({ name, value: series[0].values[index] }))
+    .filter(slice => slice.value > 0)
+    .sort((a, b) => b.value - a.value);
+  if (slices.length <= MAX_PIE_SLICES) return slices;
+
+  // Only totals can be added up into an "Other" slice
+  const kept = slices.slice(0, MAX_PIE_SLICES - 1);
+  if (config.aggregation !== 'sum' && config.aggregation !== 'count') return kept;
+  const otherValue = slices.slice(MAX_PIE_SLICES - 1).reduce((sum, slice) => sum + slice.value, 0);
+  return [...kept, { name: 'Other', value: otherValue }];
+};
+
+export interface StackedSeriesData {
+  labels: string[];
+  legend: string[];
+  // One array per X group, with one value per stack
+  data: number[][];
+  groupCount: number;
+}
+
+// Get the column a stacked bar chart stacks by - the configured one, or the first
+// other text column when only one series is configured
+const getStackColumn = (columns: ResultColumn[], config: ChartConfig): ResultColumn | undefined => {
+  if (config.stackColumn) {
+    return columns.find(column => column.name === config.stackColumn);
+  }
+  if (config.yColumns.length >= 2) return undefined;
+  return columns.find(column => !isNumericColumn(column) && column.name !== config.xColumn);
+};
+
+// Build stacked bar data - either the configured series stacked on each other,
+// or the first series broken down by the values of a text column
+export const buildStackedSeries = (
+  rows: CellValue[][],
+  columns: ResultColumn[],
+  config: ChartConfig
+): StackedSeriesData => {
+  const stackColumn = getStackColumn(columns, config);
+
+  if (!stackColumn) {
+    // Stack every numeric column when only one series is configured
+    const yColumns = config.yColumns.length >= 2
+      ? config.yColumns
+      : columns.filter(isNumericColumn).map(column => column.name);
+    const { labels, series, groupCount } = buildChartSeries(rows, columns, { ...config, yColumns });
+    return {
+      labels,
+      legend: series.map(item => item.name),
+      data: labels.map((_, index) => series.map(item => item.values[index])),
+      groupCount,
+    };
+  }
+
+  // Groups, their order and the top-N limit come from the totals of the first series
+  const totals = buildChartSeries(rows, columns, { ...config, yColumns: config.yColumns.slice(0, 1) });
+  const xIndex = columns.findIndex(column => column.name === config.xColumn);
+  const yIndex = columns.findIndex(column => column.name === config.yColumns[0]);
+  const stackIndex = columns.indexOf(stackColumn);
+  if (xIndex < 0 || yIndex < 0 || totals.labels.length === 0) {
+    return { labels: [], legend: [], data: [], groupCount: 0 };
+  }
+
+  // Keep the largest stacks and combine the rest into "Other"
+  const stackTotals = new Map<string, number>();
+  for (const row of rows) {
+    const key = formatCellValue(row[stackIndex], stackColumn);
+    const value = toNumber(row[yIndex]);
+    stackTotals.set(key, (stackTotals.get(key) || 0) + (isNaN(value) ? 0 : Math.abs(value)));
+  }
+  const rankedStacks = Array.from(stackTotals.entries()).sort((a, b) => b[1] - a[1]).map(([key]) => key);
+  const keptStacks = rankedStacks.length > MAX_STACKS ? rankedStacks.slice(0, MAX_STACKS - 1) : rankedStacks;
+  const legend = rankedStacks.length > MAX_STACKS ? [...keptStacks, 'Other'] : keptStacks;
+
+  const groupIndex = new Map(totals.labels.map((label, index) => [label, index]));
+  const cells: Accumulator[][] = totals.labels.map(() => legend.map(createAccumulator));
+  for (const row of rows) {
+    const group = groupIndex.get(formatCellValue(row[xIndex], columns[xIndex]));
+    if (group === undefined) continue;
+    const key = formatCellValue(row[stackIndex], stackColumn);
+    const stack = keptStacks.includes(key) ? keptStacks.indexOf(key) : legend.length - 1;
+    addToAccumulator(cells[group][stack], row[yIndex]);
+  }
+
+  return {
+    labels: totals.labels,
+    legend,
+    data: cells.map(group => group.map(cell => getAggregateValue(cell, config.aggregation))),
+    groupCount: totals.groupCount,
+  };
+};
+
+export interface ScatterData {
+  xColumn: ResultColumn;
+  yColumn: ResultColumn;
+  points: { x: number; y: number }[];
+  // Number of rows with both values before sampling
+  pointCount: number;
+}
+
+// Build scatter points from two numeric columns - the configured X column when
+// it's numeric, and the first configured series that isn't the X column
+export const buildScatterPoints = (
+  rows: CellValue[][],
+  columns: ResultColumn[],
+  config: ChartConfig
+): ScatterData | null => {
+  const numericColumns = columns.filter(isNumericColumn);
+  const configuredX = numericColumns.find(column => column.name === config.xColumn);
+  const xColumn = configuredX || numericColumns[0];
+  const yColumn = numericColumns.find(column => column !== xColumn && config.yColumns.includes(column.name))
+    || numericColumns.find(column => column !== xColumn);
+  if (!xColumn || !yColumn) return null;
+
+  const xIndex = columns.indexOf(xColumn);
+  const yIndex = columns.indexOf(yColumn);
+  const allPoints = [];
+  for (const row of rows) {
+    const x = toNumber(row[xIndex]);
+    const y = toNumber(row[yIndex]);
+    if (!isNaN(x) && !isNaN(y)) allPoints.push({ x, y });
+  }
+
+  const step = Math.ceil(allPoints.length / MAX_SCATTER_POINTS);
+  const points = step > 1 ? allPoints.filter((_, index) => index % step === 0) : allPoints;
+  return { xColumn, yColumn, points, pointCount: allPoints.length };
+};
+
+export interface KPIValue {
+  label: string;
+  value: string;
+}
+
+// Build KPI cards from the numeric columns of a single-row result
+export const buildKPIValues = (rows: CellValue[][], columns: ResultColumn[]): KPIValue[] => {
+  const row = rows[0];
+  if (!row) return [];
+  return columns
+    .map((column, index) => ({ column, value: row[index] }))
+    .filter(({ column }) => isNumericColumn(column))
+    .slice(0, MAX_KPI_CARDS)
+    .map(({ column, value }) => ({
+      label: column.name,
+      // Group digits for readability, except decimals which keep their declared scale
+      value: typeof value === 'number' && column.kind !== 'decimal'
+        ? value.toLocaleString()
+        : formatCellValue(value, column),
+    }));
+};
@@ -4,6 +4,8 @@ const apiToken = process.env.API_TOKEN;
 const spaceId = process.env.SPACE_ID;
 const instanceUrl = process.env.INSTANCE_URL;
 const warehouseId = process.env.WAREHOUSE_ID;
+// A host is reached over HTTPS - a full URL (e.g. the local dev server) is used as is
+const baseUrl = /^https?:\/\//.test(instanceUrl || '') ? instanceUrl.replace(/\/+$/, '') : `https://${instanceUrl}`;
 
 console.log("Testing Databricks Genie API connection...");
 
@@ -17,7 +19,7 @@ async function testGenieAPI() {
     console.log("\nTesting API connection...");
     
     // Test connection by attempting to start a conversation
-    const response = await fetch(`https://${instanceUrl}/api/2.0/genie/spaces/${spaceId}/start-conversation`, {
+    const response = await fetch(`${baseUrl}/api/2.0/genie/spaces/${spaceId}/start-conversation`, {
       method: "POST",
       headers: {
         "Authorization": `Bearer ${apiToken}`,
@@ -47,7 +49,7 @@ async function testGenieAPI() {
       console.log("Attachment ID:", attachmentId);
       
       try {
-        const attachmentResult = await fetch(`https://${instanceUrl}/api/2.0/genie/spaces/${spaceId}/conversations/${data.conversation_id}/messages/${data.message_id}/attachments/${attachmentId}/query-result`, {
+        const attachmentResult = await fetch(`${baseUrl}/api/2.0/genie/spaces/${spaceId}/conversations/${data.conversation_id}/messages/${data.message_id}/attachments/${attachmentId}/query-result`, {
           method: "GET",
           headers: { "Authorization": `Bearer ${apiToken}` },
         });
@@ -82,7 +84,7 @@ async function pollForResponse(conversationId, messageId, attempts = 0) {
     await new Promise(resolve => setTimeout(resolve, delay));
   }
   
-  const response = await fetch(`https://${instanceUrl}/api/2.0/genie/spaces/${spaceId}/conversations/${conversationId}/messages/${messageId}`, {
+  const response = await fetch(`${baseUrl}/api/2.0/genie/spaces/${spaceId}/conversations/${conversationId}/messages/${messageId}`, {
     method: "GET",
     headers: { "Authorization": `Bearer ${apiToken}` },
   });